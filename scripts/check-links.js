@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+/**
+ * Link Health Checker
+ * Requests every URL in link-items.json, writes a machine-readable report and
+ * updates lastChecked and status for each checked link.
+ *
+ * Usage: node scripts/check-links.js [options]
+ *   --data <dir>            Data folder with link-items.json (default: public/data)
+ *   --report <file>         Report output path (default: link-health-report.json)
+ *   --concurrency <n>       Parallel requests (default: 8)
+ *   --timeout <ms>          Per-request timeout (default: 10000)
+ *   --max-redirects <n>     Redirects to follow before giving up (default: 5)
+ *   --only <id,id>          Only check these link IDs
+ *   --no-update             Do not write lastChecked/status back to link-items.json
+ *   --strict                Exit with code 1 when dead links or TLS failures are found
+ */
+
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { readJsonFile, writeJsonFile } from './lib/json-files.js';
+
+export const DEFAULT_OPTIONS = {
+  concurrency: 8,
+  timeoutMs: 10000,
+  maxRedirects: 5,
+  userAgent: 'poe-link-collection-link-checker (+https://github.com/weo-soft/poe-link-collection)',
+};
+
+/**
+ * Possible check outcomes, in report summary order:
+ * - ok: responded with a success status on the same domain
+ * - moved: responded with a success status after redirecting to another domain
+ * - blocked: the server refused automated requests (401, 403, 429); needs a manual look
+ * - dead: error status (404, 410, 5xx, ...) or the host does not resolve / refuses connections
+ * - tls-error: certificate or TLS handshake failure
+ * - timeout: no response within the timeout
+ * - error: anything else (too many redirects, invalid redirect target, ...)
+ */
+export const OUTCOMES = ['ok', 'moved', 'blocked', 'dead', 'tls-error', 'timeout', 'error'];
+
+/** Outcomes that count as a successful check and bump lastChecked */
+const REACHABLE_OUTCOMES = ['ok', 'moved'];
+
+const BLOCKED_STATUSES = [401, 403, 429];
+
+const TLS_ERROR_CODES = new Set([
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'CERT_REVOKED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'ERR_SSL_WRONG_VERSION_NUMBER',
+  'EPROTO',
+]);
+
+const UNREACHABLE_ERROR_CODES = new Set([
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+]);
+
+/**
+ * Returns a URL's host name for domain comparisons (lowercase, without "www.")
+ * @param {string} url
+ * @returns {string} - Host name, or empty string if the URL cannot be parsed
+ */
+export function getComparableHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Maps a failed request to a check outcome
+ * @param {Error} error - Error thrown by fetch
+ * @returns {{ outcome: string, error: string }}
+ */
+export function classifyRequestError(error) {
+  const cause = (error && error.cause) || {};
+  const code = cause.code || (error && error.code) || '';
+  const message = cause.message || (error && error.message) || 'Request failed';
+
+  if (error && (error.name === 'AbortError' || error.name === 'TimeoutError')) {
+    return { outcome: 'timeout', error: 'Request timed out' };
+  }
+  if (TLS_ERROR_CODES.has(code) || /certificate|ssl|tls/i.test(message)) {
+    return { outcome: 'tls-error', error: code ? `${code}: ${message}` : message };
+  }
+  if (UNREACHABLE_ERROR_CODES.has(code)) {
+    return { outcome: 'dead', error: `${code}: ${message}` };
+  }
+  return { outcome: 'error', error: code ? `${code}: ${message}` : message };
+}
+
+/**
+ * Maps a final HTTP status to a check outcome
+ * @param {number} status - HTTP status code
+ * @param {string} url - Original URL
+ * @param {string} finalUrl - URL after redirects
+ * @returns {string} - Outcome
+ */
+function classifyStatus(status, url, finalUrl) {
+  if (BLOCKED_STATUSES.includes(status)) return 'blocked';
+  if (status >= 400) return 'dead';
+  return getComparableHost(finalUrl) === getComparableHost(url) ? 'ok' : 'moved';
+}
+
+/**
+ * Sends one request without following redirects
+ * @param {string} url
+ * @param {string} method - 'HEAD' or 'GET'
+ * @param {Object} options - { fetchImpl, timeoutMs, userAgent }
+ * @returns {Promise<Response>}
+ */
+async function requestOnce(url, method, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+  try {
+    const response = await options.fetchImpl(url, {
+      method,
+      redirect: 'manual',
+      signal: controller.signal,
+      headers: { 'user-agent': options.userAgent },
+    });
+    // Only the status and headers matter; release the connection
+    if (response.body && typeof response.body.cancel === 'function') {
+      await response.body.cancel().catch(() => {});
+    }
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks a single URL, following redirects manually so every hop is recorded.
+ * Tries HEAD first and falls back to GET when HEAD gets an error status, since
+ * some servers do not support HEAD.
+ * @param {string} url - URL to check
+ * @param {Object} [options] - { timeoutMs, maxRedirects, userAgent, fetchImpl }
+ * @returns {Promise<Object>} - { url, outcome, httpStatus, finalUrl, redirects, error, durationMs }
+ */
+export async function checkUrl(url, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, fetchImpl: globalThis.fetch, ...options };
+  const started = Date.now();
+  const redirects = [];
+  let currentUrl = url;
+  let method = 'HEAD';
+
+  const result = (fields) => ({
+    url,
+    outcome: 'error',
+    httpStatus: null,
+    finalUrl: currentUrl,
+    redirects,
+    error: null,
+    durationMs: Date.now() - started,
+    ...fields,
+  });
+
+  try {
+    for (;;) {
+      const response = await requestOnce(currentUrl, method, settings);
+      const location = response.headers.get('location');
+
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects.length >= settings.maxRedirects) {
+          return result({
+            httpStatus: response.status,
+            error: `More than ${settings.maxRedirects} redirects`,
+          });
+        }
+        let nextUrl;
+        try {
+          nextUrl = new URL(location, currentUrl).href;
+        } catch {
+          return result({ httpStatus: response.status, error: `Invalid redirect: ${location}` });
+        }
+        redirects.push({ status: response.status, from: currentUrl, to: nextUrl });
+        currentUrl = nextUrl;
+        continue;
+      }
+
+      if (method === 'HEAD' && response.status >= 400) {
+        method = 'GET';
+        continue;
+      }
+
+      return result({
+        outcome: classifyStatus(response.status, url, currentUrl),
+        httpStatus: response.status,
+      });
+    }
+  } catch (error) {
+    return result(classifyRequestError(error));
+  }
+}
+
+/**
+ * Runs an async worker over items with a concurrency limit
+ * @param {Array} items
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
+/**
+ * Formats a date as an ISO timestamp without milliseconds (the format used in the data files)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDataTimestamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Checks every link in a link-items map
+ * @param {Object} linkItems - Link items keyed by ID (contents of link-items.json)
+ * @param {Object} [options] - checkUrl options plus { concurrency, ids, onResult, now }
+ * @returns {Promise<Object>} - Report: { generatedAt, options, summary, results }
+ */
+export async function checkLinks(linkItems, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const entries = Object.entries(linkItems || {}).filter(
+    ([id, link]) =>
+      link && typeof link.url === 'string' && (!settings.ids || settings.ids.includes(id))
+  );
+
+  const results = await runWithConcurrency(entries, settings.concurrency, async ([id, link]) => {
+    const checked = { id, name: link.name, ...(await checkUrl(link.url, settings)) };
+    if (typeof settings.onResult === 'function') {
+      settings.onResult(checked);
+    }
+    return checked;
+  });
+
+  const summary = { total: results.length };
+  OUTCOMES.forEach((outcome) => {
+    summary[outcome] = results.filter((item) => item.outcome === outcome).length;
+  });
+
+  return {
+    generatedAt: toDataTimestamp(settings.now || new Date()),
+    options: {
+      concurrency: settings.concurrency,
+      timeoutMs: settings.timeoutMs,
+      maxRedirects: settings.maxRedirects,
+    },
+    summary,
+    results,
+  };
+}
+
+/**
+ * Maps a check result to the link status stored in link-items.json.
+ * Blocked, timed out and other inconclusive checks leave the current status alone.
+ * @param {Object} item - Result from checkLinks
+ * @returns {{ status: string, statusNote?: string }|null} - New status, or null to keep the current one
+ */
+export function getStatusUpdate(item) {
+  switch (item.outcome) {
+    case 'ok':
+      return { status: 'ok' };
+    case 'moved':
+      return { status: 'moved', statusNote: `Redirects to ${item.finalUrl}` };
+    case 'dead':
+      return {
+        status: 'dead',
+        statusNote: item.httpStatus ? `HTTP ${item.httpStatus}` : item.error,
+      };
+    case 'tls-error':
+      return { status: 'degraded', statusNote: `TLS error: ${item.error}` };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Applies a report to link items: reachable links get lastChecked set to the report time, and
+ * conclusive results update status. A changed status replaces statusNote with the checker's
+ * note; an unchanged status keeps the existing (possibly hand-written) note.
+ * @param {Object} linkItems - Link items keyed by ID
+ * @param {Object} report - Report from checkLinks
+ * @returns {{ linkItems: Object, updated: Array<string> }} - Updated copy and the IDs that changed
+ */
+export function applyReportToLinkItems(linkItems, report) {
+  const resultsById = new Map(report.results.map((item) => [item.id, item]));
+  const updated = [];
+  const next = {};
+
+  Object.entries(linkItems).forEach(([id, link]) => {
+    const item = resultsById.get(id);
+    if (!item) {
+      next[id] = link;
+      return;
+    }
+
+    let nextLink = link;
+    if (REACHABLE_OUTCOMES.includes(item.outcome)) {
+      nextLink = { ...nextLink, lastChecked: report.generatedAt };
+    }
+
+    const statusUpdate = getStatusUpdate(item);
+    if (statusUpdate && statusUpdate.status !== link.status) {
+      nextLink = { ...nextLink, ...statusUpdate };
+      if (statusUpdate.statusNote === undefined) {
+        delete nextLink.statusNote;
+      }
+    }
+
+    next[id] = nextLink;
+    if (nextLink !== link) {
+      updated.push(id);
+    }
+  });
+
+  return { linkItems: next, updated };
+}
+
+/**
+ * Formats a one-line progress entry for a checked link
+ * @param {Object} item - Result from checkLinks
+ * @returns {string}
+ */
+function formatResultLine(item) {
+  const status = item.httpStatus ? ` ${item.httpStatus}` : '';
+  let detail = '';
+  if (item.outcome === 'moved') detail = ` -> ${item.finalUrl}`;
+  else if (item.error) detail = ` (${item.error})`;
+  return `${item.outcome.padEnd(9)}${status} ${item.id}${detail}\n`;
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'public/data' },
+      report: { type: 'string', default: 'link-health-report.json' },
+      concurrency: { type: 'string' },
+      timeout: { type: 'string' },
+      'max-redirects': { type: 'string' },
+      only: { type: 'string' },
+      'no-update': { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+    },
+  });
+
+  const toNumber = (value, fallback, min = 0) => {
+    const number = value === undefined ? fallback : Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`Expected a whole number of at least ${min}, got "${value}"`);
+    }
+    return number;
+  };
+
+  // A zero timeout would abort every request before it is sent
+  const concurrency = Math.max(1, toNumber(values.concurrency, DEFAULT_OPTIONS.concurrency));
+  const timeoutMs = toNumber(values.timeout, DEFAULT_OPTIONS.timeoutMs, 1);
+  const maxRedirects = toNumber(values['max-redirects'], DEFAULT_OPTIONS.maxRedirects);
+
+  const linkItemsPath = join(values.data, 'link-items.json');
+  const { data: linkItems, format } = await readJsonFile(linkItemsPath);
+
+  const report = await checkLinks(linkItems, {
+    concurrency,
+    timeoutMs,
+    maxRedirects,
+    ids: values.only ? values.only.split(',').map((id) => id.trim()) : undefined,
+    onResult: (item) => process.stdout.write(formatResultLine(item)),
+  });
+
+  await writeJsonFile(values.report, report);
+  process.stdout.write(`\nReport written to ${values.report}\n`);
+
+  if (!values['no-update']) {
+    const { linkItems: updatedItems, updated } = applyReportToLinkItems(linkItems, report);
+    await writeJsonFile(linkItemsPath, updatedItems, format);
+    process.stdout.write(`Updated ${updated.length} links in ${linkItemsPath}\n`);
+  }
+
+  const summary = OUTCOMES.map((outcome) => `${outcome}: ${report.summary[outcome]}`).join(', ');
+  process.stdout.write(`Checked ${report.summary.total} links (${summary})\n`);
+
+  const hasFailures = report.summary.dead > 0 || report.summary['tls-error'] > 0;
+  return values.strict && hasFailures ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Calendar Feed Generator
+ * Writes one iCalendar feed per game (calendar-poe1.ics, calendar-poe2.ics) from
+ * events.json and leagues.json, keeping only the entries loadEvents and loadLeagues
+ * would accept. Runs after `vite build`; the Events section links the selected game's
+ * feed so calendar apps can subscribe to it.
+ *
+ * Usage: node scripts/generate-calendars.js [options]
+ *   --data <dir>   Data folder with events.json and leagues.json (default: public/data)
+ *   --out <dir>    Folder the feeds are written to (default: dist)
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { buildGameCalendar, getCalendarFileName } from '../src/scripts/calendar.js';
+import { validateEvent, validateLeague } from '../src/scripts/data.js';
+import { readJsonFile } from './lib/json-files.js';
+
+/** Games that get a calendar feed */
+export const CALENDAR_GAMES = ['poe1', 'poe2'];
+
+/**
+ * Keeps the valid items of a data file, as the runtime loaders do
+ * @param {*} data - Parsed events.json or leagues.json
+ * @param {Function} validate - validateEvent or validateLeague
+ * @returns {Array}
+ */
+export function filterValidItems(data, validate) {
+  return Array.isArray(data) ? data.filter((item) => validate(item)) : [];
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'public/data' },
+      out: { type: 'string', default: 'dist' },
+    },
+  });
+
+  const { data: eventsData } = await readJsonFile(join(values.data, 'events.json'));
+  const { data: leaguesData } = await readJsonFile(join(values.data, 'leagues.json'));
+  const events = filterValidItems(eventsData, validateEvent);
+  const leagues = filterValidItems(leaguesData, validateLeague);
+  const now = new Date();
+
+  await mkdir(values.out, { recursive: true });
+  for (const game of CALENDAR_GAMES) {
+    const fileName = getCalendarFileName(game);
+    await writeFile(join(values.out, fileName), buildGameCalendar(events, leagues, game, { now }));
+    process.stdout.write(`Wrote ${fileName} to ${values.out}\n`);
+  }
+  return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
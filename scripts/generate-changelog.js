@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * Changelog Generator
+ * Diffs links.json/link-items.json against a previous revision with compareLinks and
+ * prepends the changes (added, moved, renamed, updated, removed links) to updates.json as
+ * a dated group, bumping lastUpdated. Changes that only concern one game get a `game`.
+ *
+ * Usage: node scripts/generate-changelog.js [options]
+ *   --since <ref|path>  Previous revision: a git ref (default: HEAD), a data folder, or a
+ *                       links.json file with its link-items.json next to it
+ *   --data <dir>        Data folder (default: public/data)
+ *   --date <iso>        Date of the new group (default: now)
+ *   --dry-run           Print the entries without writing updates.json
+ */
+
+import { execFile } from 'node:child_process';
+import { stat } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs, promisify } from 'node:util';
+import { LINK_CHANGE_TYPES } from '../src/scripts/data.js';
+import { compareLinks, formatChangelogEntryText } from '../src/scripts/updates.js';
+import { toDataTimestamp } from './check-links.js';
+import { readJsonFile, writeJsonFile } from './lib/json-files.js';
+
+const execFileAsync = promisify(execFile);
+
+/** Category keys holding link IDs per game */
+const GAME_KEYS = ['poe1', 'poe2'];
+
+/**
+ * Resolves links.json categories into the Category arrays compareLinks expects.
+ * Without a game, links of both games are merged per category; unknown IDs are skipped.
+ * @param {Object} links - Parsed links.json
+ * @param {Object} linkItems - Parsed link-items.json
+ * @param {string} [game] - Only resolve this game's list ('poe1' or 'poe2')
+ * @returns {Array<{ id: string, links: Array<{ id: string, name: string, url: string }> }>}
+ */
+export function resolveCategories(links, linkItems, game) {
+  const items = linkItems || {};
+  const gameKeys = game ? [game] : GAME_KEYS;
+
+  return Object.values(links || {})
+    .filter((category) => category && category.id)
+    .map((category) => {
+      const ids = gameKeys.flatMap((key) => (Array.isArray(category[key]) ? category[key] : []));
+      const resolved = [...new Set(ids)]
+        .filter((id) => items[id] && items[id].url)
+        .map((id) => ({
+          id,
+          name: items[id].name,
+          url: items[id].url,
+          description: items[id].description,
+        }));
+      return { id: category.id, links: resolved };
+    });
+}
+
+/**
+ * Diffs two revisions of the link data per game with compareLinks. A change found for
+ * both games is listed once without a `game`; the others keep theirs so the Updates
+ * overlay can hide changes for the other game.
+ * @param {{ links: Object, linkItems: Object }} current - Current links.json/link-items.json
+ * @param {{ links: Object, linkItems: Object }} previous - Previous revision
+ * @returns {Array} - ChangelogEntry objects, grouped by type in display order
+ */
+export function diffLinkData(current, previous) {
+  const [poe1Entries, poe2Entries] = GAME_KEYS.map((game) =>
+    compareLinks(
+      resolveCategories(current.links, current.linkItems, game),
+      resolveCategories(previous.links, previous.linkItems, game),
+      { game }
+    )
+  );
+  const withoutGame = (entry) => JSON.stringify({ ...entry, game: undefined });
+  const poe2Keys = new Set(poe2Entries.map(withoutGame));
+  const sharedKeys = new Set(poe1Entries.map(withoutGame).filter((key) => poe2Keys.has(key)));
+
+  const entries = [
+    ...poe1Entries.map((entry) => {
+      if (!sharedKeys.has(withoutGame(entry))) return entry;
+      const shared = { ...entry };
+      delete shared.game;
+      return shared;
+    }),
+    ...poe2Entries.filter((entry) => !sharedKeys.has(withoutGame(entry))),
+  ];
+
+  return entries.sort(
+    (a, b) => LINK_CHANGE_TYPES.indexOf(a.type) - LINK_CHANGE_TYPES.indexOf(b.type)
+  );
+}
+
+/**
+ * Builds a stable key for a changelog entry, used to skip entries already listed
+ * @param {Object} entry - ChangelogEntry
+ * @returns {string}
+ */
+function getEntryKey(entry) {
+  return entry.type === 'note'
+    ? `note:${entry.message}`
+    : `${entry.type}:${entry.categoryId}:${entry.linkUrl}:${entry.game || ''}`;
+}
+
+/**
+ * Prepends changelog entries to an UpdateRecord as a group dated `date` and sets
+ * lastUpdated. When the newest group is from the same UTC day, the entries are added to
+ * it instead (skipping ones it already lists), so running the command twice is harmless.
+ * @param {Object} updates - Parsed updates.json
+ * @param {Array} entries - ChangelogEntry objects
+ * @param {string} date - ISO timestamp for the group and lastUpdated
+ * @returns {{ updates: Object, added: Array }} - New UpdateRecord and the entries actually added
+ */
+export function prependChangelogGroup(updates, entries, date) {
+  const changelog = Array.isArray(updates && updates.changelog) ? updates.changelog : [];
+  const [latest, ...older] = changelog;
+  const sameDay = latest && String(latest.date).slice(0, 10) === date.slice(0, 10);
+  const existingKeys = new Set(sameDay ? latest.entries.map(getEntryKey) : []);
+  const added = entries.filter((entry) => !existingKeys.has(getEntryKey(entry)));
+
+  if (added.length === 0) {
+    return { updates, added };
+  }
+
+  const nextChangelog = sameDay
+    ? [{ ...latest, date, entries: [...latest.entries, ...added] }, ...older]
+    : [{ date, entries: added }, ...changelog];
+
+  return { updates: { ...updates, lastUpdated: date, changelog: nextChangelog }, added };
+}
+
+/**
+ * Reads links.json and link-items.json from a previous revision
+ * @param {string} since - Git ref, data folder, or path to a links.json file
+ * @param {string} dataDir - Data folder the git paths are taken from
+ * @returns {Promise<{ links: Object, linkItems: Object }>}
+ */
+export async function readPreviousData(since, dataDir) {
+  const info = await stat(since).catch(() => null);
+
+  if (info) {
+    const dir = info.isDirectory() ? since : dirname(since);
+    const linksFile = info.isDirectory() ? 'links.json' : basename(since);
+    const { data: links } = await readJsonFile(join(dir, linksFile));
+    const { data: linkItems } = await readJsonFile(join(dir, 'link-items.json'));
+    return { links, linkItems };
+  }
+
+  const show = async (file) => {
+    // Running git inside the data folder with a "./" path resolves it relative to that folder
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', dataDir, 'show', `${since}:./${file}`], {
+        maxBuffer: 16 * 1024 * 1024,
+      });
+      return JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(
+        `Could not read ${join(dataDir, file)} at "${since}": ${(error.stderr || error.message).trim()}`
+      );
+    }
+  };
+
+  return { links: await show('links.json'), linkItems: await show('link-items.json') };
+}
+
+/** Line prefix per changelog entry type (anything else is shown as "~") */
+const ENTRY_SIGNS = { added: '+', removed: '-', moved: '>' };
+
+/**
+ * Formats a changelog entry as one output line
+ * @param {Object} entry - ChangelogEntry
+ * @returns {string}
+ */
+function formatEntry(entry) {
+  const game = entry.game ? ` [${entry.game}]` : '';
+  return `${ENTRY_SIGNS[entry.type] || '~'} ${formatChangelogEntryText(entry)}${game} <${entry.linkUrl}>`;
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      since: { type: 'string', default: 'HEAD' },
+      data: { type: 'string', default: 'public/data' },
+      date: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  const date = values.date ? new Date(values.date) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --date: ${values.date}`);
+  }
+
+  const { data: links } = await readJsonFile(join(values.data, 'links.json'));
+  const { data: linkItems } = await readJsonFile(join(values.data, 'link-items.json'));
+  const previous = await readPreviousData(values.since, values.data);
+
+  const entries = diffLinkData({ links, linkItems }, previous);
+
+  if (entries.length === 0) {
+    process.stdout.write(`No link changes since ${values.since}\n`);
+    return 0;
+  }
+
+  const updatesPath = join(values.data, 'updates.json');
+  const { data: updates, format } = await readJsonFile(updatesPath);
+  const result = prependChangelogGroup(updates, entries, toDataTimestamp(date));
+
+  entries.forEach((entry) => {
+    const listed = !result.added.includes(entry);
+    process.stdout.write(`${formatEntry(entry)}${listed ? ' (already listed)' : ''}\n`);
+  });
+
+  if (result.added.length === 0) {
+    process.stdout.write(`\n${updatesPath} already lists every change\n`);
+    return 0;
+  }
+  if (values['dry-run']) {
+    process.stdout.write(`\nDry run: ${updatesPath} was not changed\n`);
+    return 0;
+  }
+
+  await writeJsonFile(updatesPath, result.updates, format);
+  process.stdout.write(
+    `\nAdded ${result.added.length} ${result.added.length === 1 ? 'entry' : 'entries'} to ${updatesPath}\n`
+  );
+  return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
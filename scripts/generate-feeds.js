@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * Feed Generator
+ * Turns the changelog groups in updates.json into an Atom feed (atom.xml) and an RSS 2.0
+ * feed (rss.xml), one item per date group with its entries as HTML content, so feed
+ * readers and chat bots can announce new hub links. Runs after `vite build` and writes
+ * next to the built index.html, which links both feeds for discovery.
+ *
+ * Usage: node scripts/generate-feeds.js [options]
+ *   --data <dir>    Data folder with updates.json (default: public/data)
+ *   --out <dir>     Folder the feeds are written to (default: dist)
+ *   --site <url>    Site URL used for links and IDs (default: https://poe-hub.weosoft.org/)
+ *   --limit <n>     Newest date groups to include (default: 30)
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { formatChangelogEntryText } from '../src/scripts/updates.js';
+import { readJsonFile } from './lib/json-files.js';
+
+export const DEFAULT_SITE_URL = 'https://poe-hub.weosoft.org/';
+
+/** Feed file names, relative to the site root (index.html links to these) */
+export const FEED_FILES = { atom: 'atom.xml', rss: 'rss.xml' };
+
+const FEED_TITLE = 'PoE Link Collection Hub – Updates';
+const FEED_DESCRIPTION = 'New, moved and removed links on the PoE Link Collection Hub';
+
+/** Section heading per entry type, in display order */
+const ENTRY_TYPE_TITLES = {
+  added: 'Added',
+  moved: 'Moved',
+  renamed: 'Renamed',
+  updated: 'Updated',
+  removed: 'Removed',
+  note: 'Notes',
+};
+
+const GAME_NAMES = { poe1: 'PoE 1', poe2: 'PoE 2' };
+
+/**
+ * Escapes text for XML element content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats a changelog group date for item titles (in UTC, so builds are reproducible)
+ * @param {string} date - ISO timestamp
+ * @returns {string} - e.g. "July 21, 2026"
+ */
+function formatFeedDate(date) {
+  return new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  }).format(new Date(date));
+}
+
+/**
+ * Summarizes a group's entries for its item title
+ * @param {Array} entries - ChangelogEntry objects
+ * @returns {string} - e.g. "2 links added, 1 removed, 1 note"
+ */
+function summarizeEntries(entries) {
+  const counts = Object.keys(ENTRY_TYPE_TITLES)
+    .map((type) => [type, entries.filter((entry) => entry.type === type).length])
+    .filter(([, count]) => count > 0);
+
+  return counts
+    .map(([type, count], index) => {
+      if (type === 'note') return `${count} ${count === 1 ? 'note' : 'notes'}`;
+      const noun = index === 0 ? ` ${count === 1 ? 'link' : 'links'}` : '';
+      return `${count}${noun} ${type}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Renders a group's entries as HTML, one list per entry type
+ * @param {Array} entries - ChangelogEntry objects
+ * @returns {string} - HTML (not yet escaped for XML)
+ */
+export function renderEntriesHtml(entries) {
+  return Object.entries(ENTRY_TYPE_TITLES)
+    .map(([type, title]) => {
+      const items = entries
+        .filter((entry) => entry.type === type)
+        .map((entry) => {
+          const game = entry.game ? ` [${GAME_NAMES[entry.game] || entry.game}]` : '';
+          if (type === 'note') {
+            return `<li>${escapeXml(entry.message)}${game}</li>`;
+          }
+          const text = escapeXml(formatChangelogEntryText(entry));
+          const link =
+            type === 'removed' ? text : `<a href="${escapeXml(entry.linkUrl)}">${text}</a>`;
+          return `<li>${link}${game}</li>`;
+        });
+      return items.length > 0 ? `<h3>${title}</h3><ul>${items.join('')}</ul>` : '';
+    })
+    .join('');
+}
+
+/**
+ * Converts changelog groups into feed items, newest first
+ * @param {Object} updates - Parsed updates.json
+ * @param {Object} options
+ * @param {string} options.siteUrl - Site URL (with trailing slash)
+ * @param {number} [options.limit] - Maximum number of items
+ * @returns {Array<{ id: string, title: string, link: string, date: string, html: string }>}
+ */
+export function buildFeedItems(updates, { siteUrl, limit = Infinity }) {
+  const changelog = Array.isArray(updates && updates.changelog) ? updates.changelog : [];
+  const { hostname } = new URL(siteUrl);
+
+  return changelog
+    .filter(
+      (group) =>
+        group &&
+        Array.isArray(group.entries) &&
+        group.entries.length > 0 &&
+        !Number.isNaN(new Date(group.date).getTime())
+    )
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, limit)
+    .map((group) => {
+      const date = new Date(group.date).toISOString();
+      return {
+        id: `tag:${hostname},${date.slice(0, 10)}:updates/${date}`,
+        title: `${formatFeedDate(date)}: ${summarizeEntries(group.entries)}`,
+        link: siteUrl,
+        date,
+        html: renderEntriesHtml(group.entries),
+      };
+    });
+}
+
+/**
+ * Builds the Atom feed
+ * @param {Object} updates - Parsed updates.json
+ * @param {Object} options - See buildFeedItems
+ * @returns {string} - XML document
+ */
+export function buildAtomFeed(updates, options) {
+  const { siteUrl } = options;
+  const items = buildFeedItems(updates, options);
+  const updated = items.length > 0 ? items[0].date : new Date(updates.lastUpdated).toISOString();
+  const entries = items.map(
+    (item) => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <updated>${item.date}</updated>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>
+`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(siteUrl)}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link href="${escapeXml(siteUrl)}"/>
+  <link rel="self" href="${escapeXml(new URL(FEED_FILES.atom, siteUrl).href)}"/>
+  <updated>${updated}</updated>
+  <author><name>PoE Hub</name></author>
+${entries.join('')}</feed>
+`;
+}
+
+/**
+ * Builds the RSS 2.0 feed
+ * @param {Object} updates - Parsed updates.json
+ * @param {Object} options - See buildFeedItems
+ * @returns {string} - XML document
+ */
+export function buildRssFeed(updates, options) {
+  const { siteUrl } = options;
+  const items = buildFeedItems(updates, options);
+  const lastBuildDate = new Date(items.length > 0 ? items[0].date : updates.lastUpdated);
+  const rssItems = items.map(
+    (item) => `    <item>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <pubDate>${new Date(item.date).toUTCString()}</pubDate>
+      <description>${escapeXml(item.html)}</description>
+    </item>
+`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(new URL(FEED_FILES.rss, siteUrl).href)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>
+${rssItems.join('')}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'public/data' },
+      out: { type: 'string', default: 'dist' },
+      site: { type: 'string', default: DEFAULT_SITE_URL },
+      limit: { type: 'string', default: '30' },
+    },
+  });
+
+  const limit = Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid --limit: ${values.limit}`);
+  }
+  // Relative URLs resolve against the site root only when it ends with a slash
+  const siteUrl = new URL(values.site).href.replace(/\/?$/, '/');
+
+  const { data: updates } = await readJsonFile(join(values.data, 'updates.json'));
+  const options = { siteUrl, limit };
+
+  await mkdir(values.out, { recursive: true });
+  await writeFile(join(values.out, FEED_FILES.atom), buildAtomFeed(updates, options));
+  await writeFile(join(values.out, FEED_FILES.rss), buildRssFeed(updates, options));
+
+  const count = buildFeedItems(updates, options).length;
+  process.stdout.write(
+    `Wrote ${FEED_FILES.atom} and ${FEED_FILES.rss} to ${values.out} (${count} ${count === 1 ? 'item' : 'items'})\n`
+  );
+  return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
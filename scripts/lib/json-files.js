@@ -0,0 +1,43 @@
+/**
+ * JSON Data File Helpers
+ * Reads and writes the files in public/data, keeping each file's indentation and line endings
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+/**
+ * Detects the indentation used by a JSON document
+ * @param {string} text - JSON text
+ * @returns {number} - Number of spaces (defaults to 2)
+ */
+export function detectIndent(text) {
+  const match = /^[[{]\r?\n( +)\S/.exec(text);
+  return match ? match[1].length : 2;
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} path - File path
+ * @returns {Promise<{ data: *, format: { indent: number, eol: string } }>} - Parsed data and
+ *   the file's formatting, to pass back to writeJsonFile
+ */
+export async function readJsonFile(path) {
+  const text = await readFile(path, 'utf8');
+  return {
+    data: JSON.parse(text),
+    format: { indent: detectIndent(text), eol: text.includes('\r\n') ? '\r\n' : '\n' },
+  };
+}
+
+/**
+ * Writes data as JSON with a trailing newline
+ * @param {string} path - File path
+ * @param {*} data - JSON-serializable data
+ * @param {{ indent?: number, eol?: string }} [format] - Formatting from readJsonFile
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(path, data, format = {}) {
+  const { indent = 2, eol = '\n' } = format;
+  const json = JSON.stringify(data, null, indent).replace(/\n/g, eol);
+  await writeFile(path, `${json}${eol}`, 'utf8');
+}
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Link Reference Linter
+ * Checks that links.json and link-items.json agree with each other: every link ID a
+ * category references exists, no category lists the same ID twice, every link item is
+ * used, and no two link items point at the same URL. loadLinks only warns about missing
+ * IDs at runtime; this catches them before deploy.
+ *
+ * Usage: node scripts/lint-links.js [options]
+ *   --data <dir>   Data folder with links.json and link-items.json (default: public/data)
+ *   --strict       Also exit with code 1 on warnings (orphans, duplicate URLs)
+ */
+
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { readJsonFile } from './lib/json-files.js';
+
+/** Category keys holding link IDs per game */
+const GAME_KEYS = ['poe1', 'poe2'];
+
+/**
+ * Normalizes a URL for duplicate detection: lower-case host without "www.",
+ * no trailing slash and no hash
+ * @param {string} url - Link URL
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const port = parsed.port ? `:${parsed.port}` : '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${port}${path}${parsed.search}`;
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+/**
+ * Lints the references between categories and link items
+ * @param {Object} links - Parsed links.json (category key -> { id, title, poe1, poe2 })
+ * @param {Object} linkItems - Parsed link-items.json (link ID -> link)
+ * @returns {Array<{ severity: 'error'|'warning', file: string, path: string, message: string }>}
+ *   - Errors (missing and duplicate IDs) first, then warnings (orphans, duplicate URLs)
+ */
+export function lintLinkReferences(links, linkItems) {
+  const items = linkItems && typeof linkItems === 'object' ? linkItems : {};
+  const errors = [];
+  const warnings = [];
+  // Link ID -> games whose categories reference it
+  const gamesById = new Map();
+
+  Object.entries(links && typeof links === 'object' ? links : {}).forEach(([key, category]) => {
+    GAME_KEYS.forEach((game) => {
+      const ids = category && Array.isArray(category[game]) ? category[game] : [];
+      const firstIndex = new Map();
+
+      ids.forEach((id, index) => {
+        const path = `${key}.${game}[${index}]`;
+
+        if (firstIndex.has(id)) {
+          errors.push({
+            severity: 'error',
+            file: 'links.json',
+            path,
+            message: `repeats "${id}" (already at [${firstIndex.get(id)}])`,
+          });
+          return;
+        }
+        firstIndex.set(id, index);
+
+        if (!Object.prototype.hasOwnProperty.call(items, id)) {
+          errors.push({
+            severity: 'error',
+            file: 'links.json',
+            path,
+            message: `references unknown link item "${id}"`,
+          });
+          return;
+        }
+
+        if (!gamesById.has(id)) gamesById.set(id, new Set());
+        gamesById.get(id).add(game);
+      });
+    });
+  });
+
+  Object.keys(items).forEach((id) => {
+    if (!gamesById.has(id)) {
+      warnings.push({
+        severity: 'warning',
+        file: 'link-items.json',
+        path: id,
+        message: 'is not referenced by any category',
+      });
+    }
+  });
+
+  // Sites listed for both games often have a separate "-poe2" item with the same URL;
+  // that is only a duplicate when both IDs are shown for the same game (or one is unused)
+  const idsByUrl = new Map();
+  Object.entries(items).forEach(([id, link]) => {
+    if (!link || typeof link.url !== 'string') return;
+    const url = normalizeUrl(link.url);
+    const earlierIds = idsByUrl.get(url) || [];
+    const games = gamesById.get(id);
+    const clash = earlierIds.find((otherId) => {
+      const otherGames = gamesById.get(otherId);
+      if (!games || !otherGames) return true;
+      return [...games].some((game) => otherGames.has(game));
+    });
+
+    if (clash) {
+      warnings.push({
+        severity: 'warning',
+        file: 'link-items.json',
+        path: id,
+        message: `has the same URL as "${clash}"`,
+      });
+    }
+    idsByUrl.set(url, [...earlierIds, id]);
+  });
+
+  return [...errors, ...warnings];
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} - Exit code (1 on errors, or on warnings with --strict)
+ */
+export async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'public/data' },
+      strict: { type: 'boolean', default: false },
+    },
+  });
+
+  const { data: links } = await readJsonFile(join(values.data, 'links.json'));
+  const { data: linkItems } = await readJsonFile(join(values.data, 'link-items.json'));
+  const problems = lintLinkReferences(links, linkItems);
+
+  problems.forEach(({ severity, file, path, message }) => {
+    process.stdout.write(`${severity.padEnd(7)} ${file}: ${path} ${message}\n`);
+  });
+
+  const errorCount = problems.filter((problem) => problem.severity === 'error').length;
+  const warningCount = problems.length - errorCount;
+  if (problems.length > 0) {
+    process.stdout.write(
+      `\n${errorCount} ${errorCount === 1 ? 'error' : 'errors'}, ${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}\n`
+    );
+  } else {
+    process.stdout.write(`All link references in ${values.data} are consistent\n`);
+  }
+
+  return errorCount > 0 || (values.strict && warningCount > 0) ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
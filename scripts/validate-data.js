@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Data Validation CLI
+ * Validates the JSON files in public/data against the schemas in public/schemas and reports
+ * every problem with its file and key path, so invalid entries fail CI instead of being
+ * skipped with a console.warn at runtime.
+ *
+ * Usage: node scripts/validate-data.js [options]
+ *   --data <dir>      Data folder (default: public/data)
+ *   --schemas <dir>   Schema folder (default: public/schemas)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+/** Data files and the schema each one must match */
+export const DATA_FILES = [
+  { file: 'links.json', schema: 'links.schema.json' },
+  { file: 'link-items.json', schema: 'link-items.schema.json' },
+  { file: 'events.json', schema: 'events.schema.json' },
+  { file: 'leagues.json', schema: 'leagues.schema.json' },
+  { file: 'updates.json', schema: 'updates.schema.json' },
+];
+
+/** Files holding arrays of items with a startDate/endDate range */
+const DATE_RANGE_FILES = ['events.json', 'leagues.json'];
+
+/**
+ * Turns a JSON Pointer into a readable key path (e.g. "/3/endDate" -> "[3].endDate")
+ * @param {string} pointer - JSON Pointer such as Ajv's instancePath
+ * @returns {string} - Key path, or "(root)" for the document itself
+ */
+export function formatKeyPath(pointer) {
+  if (!pointer) return '(root)';
+
+  return pointer
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, key) => {
+      if (/^\d+$/.test(key)) return `${path}[${key}]`;
+      return path ? `${path}.${key}` : key;
+    }, '');
+}
+
+/**
+ * Converts Ajv errors into { path, message } problems.
+ * "if" errors are dropped since the failing then/else branch is reported on its own.
+ * @param {Array} errors - Ajv errors
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function toProblems(errors) {
+  return (errors || [])
+    .filter((error) => error.keyword !== 'if')
+    .map((error) => {
+      if (error.keyword === 'required') {
+        return {
+          path: formatKeyPath(`${error.instancePath}/${error.params.missingProperty}`),
+          message: 'is required',
+        };
+      }
+      if (error.keyword === 'enum') {
+        const allowed = error.params.allowedValues.map((value) => JSON.stringify(value));
+        return {
+          path: formatKeyPath(error.instancePath),
+          message: `must be one of ${allowed.join(', ')}`,
+        };
+      }
+      if (error.keyword === 'propertyNames') {
+        return {
+          path: formatKeyPath(`${error.instancePath}/${error.params.propertyName}`),
+          message: 'is not a valid key',
+        };
+      }
+      return { path: formatKeyPath(error.instancePath), message: error.message };
+    })
+    .filter((problem) => problem.message !== 'property name must be valid');
+}
+
+/**
+ * Checks that every item's endDate is after its startDate (not expressible in JSON Schema)
+ * @param {Array} items - Events or leagues
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function checkDateRanges(items) {
+  if (!Array.isArray(items)) return [];
+
+  const problems = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') return;
+    const start = new Date(item.startDate);
+    const end = new Date(item.endDate);
+    if (!Number.isNaN(start.getTime()) && !Number.isNaN(end.getTime()) && end <= start) {
+      problems.push({ path: `[${index}].endDate`, message: 'must be after startDate' });
+    }
+  });
+  return problems;
+}
+
+/**
+ * Creates an Ajv instance with every schema in the schema folder loaded
+ * @param {string} schemasDir - Folder with the *.schema.json files
+ * @returns {Promise<Object>} - { ajv, validators } where validators maps schema file names to
+ *   compiled validate functions
+ */
+export async function loadValidators(schemasDir) {
+  const ajv = new Ajv({ allErrors: true, strictTypes: false });
+  addFormats(ajv);
+
+  const validators = {};
+  for (const { schema } of DATA_FILES) {
+    const text = await readFile(join(schemasDir, schema), 'utf8');
+    validators[schema] = ajv.compile(JSON.parse(text));
+  }
+  return { ajv, validators };
+}
+
+/**
+ * Validates every data file in a folder
+ * @param {Object} [options]
+ * @param {string} [options.dataDir] - Data folder (default: public/data)
+ * @param {string} [options.schemasDir] - Schema folder (default: public/schemas)
+ * @returns {Promise<Array<{ file: string, path: string, message: string }>>} - All problems found
+ */
+export async function validateDataFolder(options = {}) {
+  const { dataDir = 'public/data', schemasDir = 'public/schemas' } = options;
+  const { validators } = await loadValidators(schemasDir);
+  const problems = [];
+
+  for (const { file, schema } of DATA_FILES) {
+    const report = (items) => items.forEach((problem) => problems.push({ file, ...problem }));
+
+    let text;
+    try {
+      text = await readFile(join(dataDir, file), 'utf8');
+    } catch (error) {
+      report([{ path: '(file)', message: `could not be read (${error.code || error.message})` }]);
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      report([{ path: '(file)', message: `is not valid JSON (${error.message})` }]);
+      continue;
+    }
+
+    const validate = validators[schema];
+    if (!validate(data)) {
+      report(toProblems(validate.errors));
+    }
+    if (DATE_RANGE_FILES.includes(file)) {
+      report(checkDateRanges(data));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} - Exit code (1 when any problem was found)
+ */
+export async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'public/data' },
+      schemas: { type: 'string', default: 'public/schemas' },
+    },
+  });
+
+  const problems = await validateDataFolder({ dataDir: values.data, schemasDir: values.schemas });
+
+  problems.forEach(({ file, path, message }) => {
+    process.stdout.write(`${file}: ${path} ${message}\n`);
+  });
+
+  if (problems.length > 0) {
+    const fileCount = new Set(problems.map((problem) => problem.file)).size;
+    process.stdout.write(
+      `\n${problems.length} ${problems.length === 1 ? 'problem' : 'problems'} in ${fileCount} ${fileCount === 1 ? 'file' : 'files'}\n`
+    );
+    return 1;
+  }
+
+  process.stdout.write(`All ${DATA_FILES.length} data files in ${values.data} are valid\n`);
+  return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,16 @@
+/**
+ * Link Health Configuration
+ * Controls when links count as stale (not verified by the link checker for a while)
+ */
+
+// Reads a positive whole number from the environment, falling back to a default
+function getEnvNumber(key, fallback) {
+  const value = Number(String(import.meta.env[key] || '').trim());
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+export const linkHealthConfig = {
+  // Links whose lastChecked is older than this many days are marked stale.
+  // Override at build time with VITE_STALE_LINK_DAYS.
+  staleAfterDays: getEnvNumber('VITE_STALE_LINK_DAYS', 90),
+};
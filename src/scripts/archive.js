@@ -0,0 +1,294 @@
+/**
+ * Archive Module
+ * Handles the sidebar's Archive view: past events and leagues with their total durations,
+ * searchable by name or description and filterable by game and type
+ */
+
+import { calculateEventDurations } from './events.js';
+import { CALENDAR_ITEM_TYPES } from './calendar-view.js';
+
+/** Game filter options; '' shows both games */
+export const ARCHIVE_GAMES = [
+  { id: '', label: 'All games' },
+  { id: 'poe1', label: 'PoE 1' },
+  { id: 'poe2', label: 'PoE 2' },
+];
+
+/** Filters of the rendered archive; game is null until the visitor picks one (follows the selected game) */
+let archiveFilters = { query: '', game: null, type: '' };
+
+/**
+ * Collects the events and leagues that have ended, newest first.
+ * League-type events are left out because leagues come from leagues.json (as in the Events section).
+ * @param {Array} events - Validated Event objects
+ * @param {Array} leagues - Validated League objects
+ * @param {Date} [now]
+ * @returns {Array<{ id: string, kind: string, name: string, type: string, game: string|undefined,
+ *   description: string, start: Date, end: Date, detailsLink: string, totalDuration: string }>}
+ */
+export function getArchiveItems(events, leagues, now = new Date()) {
+  const toItem = (item, kind, type) => {
+    const durations = calculateEventDurations(item);
+    return {
+      id: item.id,
+      kind,
+      name: item.name,
+      type,
+      game: item.game,
+      description: typeof item.description === 'string' ? item.description : '',
+      start: new Date(item.startDate),
+      end: new Date(item.endDate),
+      detailsLink: typeof item.detailsLink === 'string' ? item.detailsLink.trim() : '',
+      totalDuration: durations ? durations.totalDuration : '',
+    };
+  };
+
+  return [
+    ...(Array.isArray(leagues) ? leagues : [])
+      .filter(Boolean)
+      .map((league) => toItem(league, 'league', 'league')),
+    ...(Array.isArray(events) ? events : [])
+      .filter((event) => event && event.type !== 'league')
+      .map((event) => toItem(event, 'event', event.type || 'event')),
+  ]
+    .filter((item) => !isNaN(item.start.getTime()) && !isNaN(item.end.getTime()) && item.end < now)
+    .sort((a, b) => b.end - a.end || b.start - a.start);
+}
+
+/**
+ * Checks whether an archive item matches the filters.
+ * Every whitespace-separated query term must appear in the name or description (case-insensitive);
+ * events without a game match either game.
+ * @param {Object} item - Item from getArchiveItems
+ * @param {Object} [filters]
+ * @param {string} [filters.query]
+ * @param {string} [filters.game] - 'poe1', 'poe2' or '' for both
+ * @param {string} [filters.type] - Type from CALENDAR_ITEM_TYPES or '' for all
+ * @returns {boolean}
+ */
+export function archiveItemMatches(item, { query = '', game = '', type = '' } = {}) {
+  if (game && item.game !== undefined && item.game !== game) return false;
+  if (type && item.type !== type) return false;
+
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = `${item.name}\n${item.description}`.toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+/**
+ * Formats an archive item's date range
+ * @param {Object} item - Item from getArchiveItems
+ * @returns {string} - e.g. "Mar 6, 2026 – Jun 28, 2026"
+ */
+function formatArchiveDates(item) {
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  return `${item.start.toLocaleDateString('en-US', options)} – ${item.end.toLocaleDateString('en-US', options)}`;
+}
+
+/**
+ * Creates a labelled select for one filter
+ * @param {string} id - Element ID
+ * @param {string} labelText - Visually hidden label
+ * @param {Array<{ id: string, label: string }>} options
+ * @param {string} value - Selected option ID
+ * @returns {{ wrapper: HTMLElement, select: HTMLSelectElement }}
+ */
+function createFilterSelect(id, labelText, options, value) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'archive-filter';
+
+  const label = document.createElement('label');
+  label.className = 'sr-only';
+  label.setAttribute('for', id);
+  label.textContent = labelText;
+  wrapper.appendChild(label);
+
+  const select = document.createElement('select');
+  select.id = id;
+  select.className = 'form-input archive-filter-select';
+  options.forEach((option) => {
+    const element = document.createElement('option');
+    element.value = option.id;
+    element.textContent = option.label;
+    select.appendChild(element);
+  });
+  select.value = value;
+  wrapper.appendChild(select);
+
+  return { wrapper, select };
+}
+
+/**
+ * Renders one archive entry
+ * @param {Object} item - Item from getArchiveItems
+ * @returns {HTMLElement}
+ */
+function renderArchiveItem(item) {
+  const entry = document.createElement('article');
+  entry.className = `archive-item archive-item--${item.type}`;
+  entry.setAttribute('role', 'listitem');
+  entry.setAttribute('data-archive-id', `${item.kind}-${item.id}`);
+
+  const name = document.createElement(item.detailsLink ? 'a' : 'h3');
+  name.className = 'archive-item-name';
+  name.textContent = item.name;
+  if (item.detailsLink) {
+    name.href = item.detailsLink;
+    name.target = '_blank';
+    name.rel = 'noopener noreferrer';
+  }
+  entry.appendChild(name);
+
+  const typeLabel = CALENDAR_ITEM_TYPES.find((type) => type.id === item.type);
+  const gameLabel = ARCHIVE_GAMES.find((game) => game.id === item.game);
+  const meta = document.createElement('div');
+  meta.className = 'archive-item-meta';
+  meta.textContent = [
+    gameLabel ? gameLabel.label : 'PoE 1 & 2',
+    typeLabel ? typeLabel.label : item.type,
+    formatArchiveDates(item),
+  ].join(' · ');
+  entry.appendChild(meta);
+
+  if (item.totalDuration) {
+    const duration = document.createElement('div');
+    duration.className = 'archive-item-duration';
+    duration.innerHTML = '<span class="duration-label">Lasted:</span> ';
+    const value = document.createElement('span');
+    value.className = 'duration-value';
+    value.textContent = item.totalDuration;
+    duration.appendChild(value);
+    entry.appendChild(duration);
+  }
+
+  return entry;
+}
+
+/**
+ * Renders the archive entries matching the current filters
+ * @param {Object} elements - { list, count, emptyState } of the archive view
+ * @param {Array} items - Items from getArchiveItems
+ * @param {Object} filters - Resolved filters (game is never null)
+ */
+function renderArchiveList({ list, count, emptyState }, items, filters) {
+  const matches = items.filter((item) => archiveItemMatches(item, filters));
+  list.innerHTML = '';
+  matches.forEach((item) => list.appendChild(renderArchiveItem(item)));
+
+  // The "no matches" message sits after the list, so the list only ever holds list items
+  list.hidden = matches.length === 0;
+  emptyState.hidden = matches.length > 0;
+
+  count.textContent = `${matches.length} of ${items.length} past ${items.length === 1 ? 'entry' : 'entries'}`;
+}
+
+/**
+ * Renders the archive of past events and leagues
+ * @param {HTMLElement} container - Container element (usually #archive)
+ * @param {Array} events - Validated Event objects
+ * @param {Array} leagues - Validated League objects
+ * @param {string} [currentGame] - Selected game; the game filter starts on it
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ */
+export function renderArchiveView(container, events, leagues, currentGame = null, options = {}) {
+  if (!container) {
+    console.error('Archive container not found');
+    return;
+  }
+
+  container.innerHTML = '';
+
+  const title = document.createElement('h2');
+  title.className = 'section-title';
+  title.id = 'archive-title';
+  title.textContent = 'ARCHIVE';
+  container.appendChild(title);
+
+  const items = getArchiveItems(events, leagues, options.now || new Date());
+  if (items.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.setAttribute('role', 'status');
+    emptyState.textContent = 'No past events or leagues yet.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  const resolveFilters = () => ({
+    ...archiveFilters,
+    game: archiveFilters.game === null ? currentGame || '' : archiveFilters.game,
+  });
+  const filters = resolveFilters();
+
+  const form = document.createElement('div');
+  form.className = 'archive-filters';
+  form.setAttribute('role', 'search');
+
+  const searchLabel = document.createElement('label');
+  searchLabel.className = 'sr-only';
+  searchLabel.setAttribute('for', 'archive-search');
+  searchLabel.textContent = 'Search past events and leagues';
+  form.appendChild(searchLabel);
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.id = 'archive-search';
+  search.className = 'form-input archive-search';
+  search.placeholder = 'Search past events and leagues...';
+  search.autocomplete = 'off';
+  search.value = filters.query;
+  search.setAttribute('aria-controls', 'archive-list');
+  form.appendChild(search);
+
+  const game = createFilterSelect('archive-game', 'Game', ARCHIVE_GAMES, filters.game);
+  const type = createFilterSelect(
+    'archive-type',
+    'Type',
+    [{ id: '', label: 'All types' }, ...CALENDAR_ITEM_TYPES],
+    filters.type
+  );
+  form.appendChild(game.wrapper);
+  form.appendChild(type.wrapper);
+  container.appendChild(form);
+
+  const count = document.createElement('p');
+  count.className = 'archive-count';
+  count.setAttribute('role', 'status');
+  count.setAttribute('aria-live', 'polite');
+  container.appendChild(count);
+
+  const list = document.createElement('div');
+  list.className = 'archive-list';
+  list.id = 'archive-list';
+  list.setAttribute('role', 'list');
+  list.setAttribute('aria-labelledby', 'archive-title');
+  container.appendChild(list);
+
+  const emptyState = document.createElement('div');
+  emptyState.className = 'empty-state archive-empty';
+  emptyState.textContent = 'No past events or leagues match your filters.';
+  container.appendChild(emptyState);
+
+  const elements = { list, count, emptyState };
+  const update = (changes) => {
+    archiveFilters = { ...archiveFilters, ...changes };
+    renderArchiveList(elements, items, resolveFilters());
+  };
+
+  // The raw value is kept so a re-render does not strip spaces being typed; matching ignores them
+  search.addEventListener('input', () => update({ query: search.value }));
+  game.select.addEventListener('change', () => update({ game: game.select.value }));
+  type.select.addEventListener('change', () => update({ type: type.select.value }));
+
+  // Escape clears the query (as in the link search)
+  search.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && search.value) {
+      event.preventDefault();
+      search.value = '';
+      update({ query: '' });
+    }
+  });
+
+  renderArchiveList(elements, items, filters);
+}
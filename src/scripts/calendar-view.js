@@ -0,0 +1,390 @@
+/**
+ * Calendar View Module
+ * Handles the sidebar's month calendar: events and leagues drawn as bars across a month
+ * grid (colored by type, filtered by game), month navigation, and the sidebar view toggle
+ * (List/Calendar/Timeline/Archive)
+ */
+
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+
+/** localStorage key for the selected sidebar view */
+export const SIDEBAR_VIEW_STORAGE_KEY = 'poe-sidebar-view';
+
+/** Sidebar views in toggle order; 'list' is the original leagues + events list */
+export const SIDEBAR_VIEWS = [
+  { id: 'list', label: 'List', description: 'Upcoming leagues and events as a list' },
+  { id: 'calendar', label: 'Calendar', description: 'Leagues and events on a month calendar' },
+  { id: 'timeline', label: 'Timeline', description: 'Past and upcoming leagues of both games' },
+  { id: 'archive', label: 'Archive', description: 'Past events and leagues with their durations' },
+];
+
+export const DEFAULT_SIDEBAR_VIEW = 'list';
+
+/** Bar types in legend order (events without a type are shown as 'event') */
+export const CALENDAR_ITEM_TYPES = [
+  { id: 'league', label: 'League' },
+  { id: 'race', label: 'Race' },
+  { id: 'event', label: 'Event' },
+  { id: 'other', label: 'Other' },
+];
+
+/** Weekday headers; weeks start on Monday */
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First day of the month shown (kept across game switches and re-renders)
+let displayedMonth = null;
+
+/**
+ * Gets the saved sidebar view
+ * @returns {string} - An ID from SIDEBAR_VIEWS (DEFAULT_SIDEBAR_VIEW when nothing valid is saved)
+ */
+export function getSidebarView() {
+  const stored = readStoredJSON(SIDEBAR_VIEW_STORAGE_KEY, DEFAULT_SIDEBAR_VIEW);
+  return SIDEBAR_VIEWS.some((view) => view.id === stored) ? stored : DEFAULT_SIDEBAR_VIEW;
+}
+
+/**
+ * Saves the sidebar view
+ * @param {string} view - An ID from SIDEBAR_VIEWS
+ * @returns {boolean} - True if saved
+ */
+export function setSidebarView(view) {
+  if (!SIDEBAR_VIEWS.some((option) => option.id === view)) {
+    console.warn('Unknown sidebar view:', view);
+    return false;
+  }
+  return writeStoredJSON(SIDEBAR_VIEW_STORAGE_KEY, view);
+}
+
+/**
+ * Returns local midnight of the given date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Adds days to a date (calendar days, so DST changes do not shift the time of day)
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Builds the weeks shown for a month: Monday-to-Sunday rows covering every day of it
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0 = January)
+ * @returns {Array<Array<Date>>} - Weeks of seven local-midnight dates
+ */
+export function getMonthWeeks(year, month) {
+  const first = new Date(year, month, 1);
+  const last = new Date(year, month + 1, 0);
+  // getDay() is 0 for Sunday; shift so Monday is column 0
+  let weekStart = addDays(first, -((first.getDay() + 6) % 7));
+  const weeks = [];
+
+  while (weekStart <= last) {
+    const week = [];
+    for (let day = 0; day < 7; day++) {
+      week.push(addDays(weekStart, day));
+    }
+    weeks.push(week);
+    weekStart = addDays(weekStart, 7);
+  }
+  return weeks;
+}
+
+/**
+ * Collects the leagues and events of a game as calendar items, sorted by start.
+ * Events without a game are shown for both games; league-type events are left out
+ * because leagues come from leagues.json (as in the Events section).
+ * @param {Array} events - Validated Event objects
+ * @param {Array} leagues - Validated League objects
+ * @param {string} [game] - 'poe1' or 'poe2'; every item is included when omitted
+ * @returns {Array<{ id: string, name: string, type: string, start: Date, end: Date, detailsLink: string }>}
+ */
+export function getCalendarItems(events, leagues, game) {
+  const matchesGame = (item) => !game || item.game === undefined || item.game === game;
+  const toItem = (item, type) => ({
+    id: item.id,
+    name: item.name,
+    type,
+    start: new Date(item.startDate),
+    end: new Date(item.endDate),
+    detailsLink: typeof item.detailsLink === 'string' ? item.detailsLink.trim() : '',
+  });
+
+  return [
+    ...(Array.isArray(leagues) ? leagues : [])
+      .filter((league) => league && matchesGame(league))
+      .map((league) => toItem(league, 'league')),
+    ...(Array.isArray(events) ? events : [])
+      .filter((event) => event && event.type !== 'league' && matchesGame(event))
+      .map((event) => toItem(event, event.type || 'event')),
+  ]
+    .filter((item) => !isNaN(item.start.getTime()) && !isNaN(item.end.getTime()))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Lays out the bars of one week. Each item overlapping the week gets a column range and
+ * the first lane where it does not overlap an earlier bar.
+ * @param {Array} items - Calendar items from getCalendarItems (sorted by start)
+ * @param {Date} weekStart - Monday of the week (local midnight)
+ * @returns {Array<{ item: Object, column: number, span: number, lane: number,
+ *   continuesBefore: boolean, continuesAfter: boolean }>}
+ */
+export function layoutWeekBars(items, weekStart) {
+  const weekEnd = addDays(weekStart, 7);
+  const laneEnds = [];
+
+  return items
+    .filter((item) => item.start < weekEnd && item.end > weekStart)
+    .map((item) => {
+      // An item ending exactly at midnight does not occupy that day
+      const firstDay = item.start < weekStart ? weekStart : startOfDay(item.start);
+      const lastDay =
+        item.end >= weekEnd ? addDays(weekEnd, -1) : startOfDay(new Date(item.end - 1));
+      const column = Math.round((firstDay - weekStart) / DAY_MS);
+      const span = Math.max(1, Math.round((lastDay - firstDay) / DAY_MS) + 1);
+
+      let lane = laneEnds.findIndex((end) => end <= column);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = column + span;
+
+      return {
+        item,
+        column,
+        span,
+        lane,
+        continuesBefore: item.start < weekStart,
+        continuesAfter: item.end > weekEnd,
+      };
+    });
+}
+
+/**
+ * Formats the date range of a calendar item for its tooltip
+ * @param {Object} item - Calendar item
+ * @returns {string} - e.g. "Mar 6, 2026 – Jun 28, 2026"
+ */
+function formatItemRange(item) {
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  return `${item.start.toLocaleDateString('en-US', options)} – ${item.end.toLocaleDateString('en-US', options)}`;
+}
+
+/**
+ * Creates the bar element for one week segment of an item
+ * @param {Object} bar - Layout from layoutWeekBars
+ * @returns {HTMLElement}
+ */
+function createBar(bar) {
+  const { item } = bar;
+  const typeLabel = (CALENDAR_ITEM_TYPES.find((type) => type.id === item.type) || {}).label;
+  const element = document.createElement(item.detailsLink ? 'a' : 'span');
+  element.className = `calendar-bar calendar-bar--${item.type}`;
+  if (bar.continuesBefore) element.classList.add('calendar-bar--continues-before');
+  if (bar.continuesAfter) element.classList.add('calendar-bar--continues-after');
+  element.style.gridColumn = `${bar.column + 1} / span ${bar.span}`;
+  element.style.gridRow = String(bar.lane + 2);
+  element.textContent = item.name;
+
+  const label = `${item.name} (${typeLabel || item.type}): ${formatItemRange(item)}`;
+  element.title = label;
+  element.setAttribute('aria-label', label);
+  if (item.detailsLink) {
+    element.href = item.detailsLink;
+    element.target = '_blank';
+    element.rel = 'noopener noreferrer';
+  }
+  return element;
+}
+
+/**
+ * Renders the month calendar
+ * @param {HTMLElement} container - Container element (usually #calendar-view)
+ * @param {Array} events - Validated Event objects
+ * @param {Array} leagues - Validated League objects
+ * @param {string} [currentGame] - 'poe1' or 'poe2'; filters items by game
+ * @param {Object} [options]
+ * @param {Date} [options.month] - Any date in the month to show (default: the month last
+ *   shown, or the current month)
+ * @param {Date} [options.now] - Today's date (highlighted)
+ */
+export function renderCalendarView(container, events, leagues, currentGame = null, options = {}) {
+  if (!container) {
+    console.error('Calendar container not found');
+    return;
+  }
+
+  const now = options.now || new Date();
+  const month = options.month || displayedMonth || now;
+  displayedMonth = new Date(month.getFullYear(), month.getMonth(), 1);
+  // Re-renders another month and keeps focus on the navigation button that was used
+  const showMonth = (offset, className) => {
+    const next = new Date(displayedMonth.getFullYear(), displayedMonth.getMonth() + offset, 1);
+    renderCalendarView(container, events, leagues, currentGame, {
+      month: offset ? next : now,
+      now,
+    });
+    const button = container.querySelector(`.${className}`);
+    if (button) button.focus();
+  };
+
+  container.innerHTML = '';
+
+  // Header: month title with previous/next and "Today" buttons
+  const header = document.createElement('div');
+  header.className = 'calendar-view-header';
+
+  const title = document.createElement('h2');
+  title.className = 'section-title calendar-view-title';
+  title.id = 'calendar-view-title';
+  title.textContent = displayedMonth.toLocaleDateString('en-US', {
+    month: 'long',
+    year: 'numeric',
+  });
+
+  const navButtons = [
+    { className: 'calendar-view-prev', text: '‹', label: 'Previous month', offset: -1 },
+    { className: 'calendar-view-today', text: 'Today', label: 'Current month', offset: 0 },
+    { className: 'calendar-view-next', text: '›', label: 'Next month', offset: 1 },
+  ].map(({ className, text, label, offset }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `link-toolbar-button calendar-view-nav ${className}`;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', () => showMonth(offset, className));
+    return button;
+  });
+
+  header.appendChild(navButtons[0]);
+  header.appendChild(title);
+  header.appendChild(navButtons[1]);
+  header.appendChild(navButtons[2]);
+  container.appendChild(header);
+
+  // Month grid: weekday headers, then one row per week with day numbers and bar lanes
+  const grid = document.createElement('div');
+  grid.className = 'calendar-grid';
+  grid.setAttribute('aria-labelledby', 'calendar-view-title');
+
+  const weekdays = document.createElement('div');
+  weekdays.className = 'calendar-weekdays';
+  weekdays.setAttribute('aria-hidden', 'true');
+  WEEKDAY_LABELS.forEach((label) => {
+    const cell = document.createElement('span');
+    cell.className = 'calendar-weekday';
+    cell.textContent = label;
+    weekdays.appendChild(cell);
+  });
+  grid.appendChild(weekdays);
+
+  const items = getCalendarItems(events, leagues, currentGame);
+  const today = startOfDay(now).getTime();
+
+  getMonthWeeks(displayedMonth.getFullYear(), displayedMonth.getMonth()).forEach((week) => {
+    const row = document.createElement('div');
+    row.className = 'calendar-week';
+
+    week.forEach((day, index) => {
+      const cell = document.createElement('span');
+      cell.className = 'calendar-day';
+      cell.style.gridColumn = String(index + 1);
+      cell.textContent = String(day.getDate());
+      if (day.getMonth() !== displayedMonth.getMonth()) {
+        cell.classList.add('calendar-day--outside');
+      }
+      if (day.getTime() === today) {
+        cell.classList.add('calendar-day--today');
+        cell.setAttribute('aria-current', 'date');
+      }
+      row.appendChild(cell);
+    });
+
+    layoutWeekBars(items, week[0]).forEach((bar) => {
+      row.appendChild(createBar(bar));
+    });
+    grid.appendChild(row);
+  });
+  container.appendChild(grid);
+
+  // Legend of the bar colors
+  const legend = document.createElement('ul');
+  legend.className = 'calendar-legend';
+  legend.setAttribute('aria-label', 'Calendar colors');
+  CALENDAR_ITEM_TYPES.forEach((type) => {
+    const entry = document.createElement('li');
+    entry.className = `calendar-legend-item calendar-legend-item--${type.id}`;
+    entry.textContent = type.label;
+    legend.appendChild(entry);
+  });
+  container.appendChild(legend);
+}
+
+/**
+ * Marks the selected view in the sidebar toggle
+ * @param {HTMLElement} group - Toggle returned by renderSidebarViewToggle
+ * @param {string} view - Selected view ID
+ */
+export function updateSidebarViewToggle(group, view) {
+  if (!group) return;
+
+  group.querySelectorAll('.sidebar-view-button').forEach((button) => {
+    const selected = button.getAttribute('data-view') === view;
+    button.setAttribute('aria-pressed', String(selected));
+    button.classList.toggle('active', selected);
+  });
+}
+
+/**
+ * Renders the sidebar view toggle (one toggle button per view)
+ * @param {HTMLElement} container - Element the toggle is added to
+ * @param {string} currentView - Selected view ID
+ * @param {Function} onChange - Called with the new view ID after it is saved
+ * @returns {HTMLElement|null} - The toggle group
+ */
+export function renderSidebarViewToggle(container, currentView, onChange) {
+  if (!container) {
+    return null;
+  }
+
+  const group = document.createElement('div');
+  group.className = 'sidebar-view-toggle';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Leagues and events view');
+
+  SIDEBAR_VIEWS.forEach((view) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'link-toolbar-button sidebar-view-button';
+    button.textContent = view.label;
+    button.title = view.description;
+    button.setAttribute('data-view', view.id);
+    group.appendChild(button);
+  });
+  updateSidebarViewToggle(group, currentView);
+
+  group.addEventListener('click', (event) => {
+    const button = event.target.closest('.sidebar-view-button');
+    if (!button || button.getAttribute('aria-pressed') === 'true') return;
+
+    const view = button.getAttribute('data-view');
+    setSidebarView(view);
+    updateSidebarViewToggle(group, view);
+    if (typeof onChange === 'function') {
+      onChange(view);
+    }
+  });
+
+  container.appendChild(group);
+  return group;
+}
@@ -0,0 +1,250 @@
+/**
+ * Calendar Module
+ * Handles iCalendar (.ics) export of events and leagues: a calendar per game (written at
+ * build time by scripts/generate-calendars.js for subscriptions) and single-event
+ * downloads from the "Add to calendar" button on event and league cards
+ */
+
+/** Host used in event UIDs so they stay stable across exports */
+const CALENDAR_UID_DOMAIN = 'poe-hub.weosoft.org';
+
+const CALENDAR_PRODUCT_ID = '-//weo-soft//PoE Link Collection Hub//EN';
+
+/** Reminder before the start of every exported event, in minutes */
+const CALENDAR_REMINDER_MINUTES = 30;
+
+const GAME_NAMES = { poe1: 'PoE 1', poe2: 'PoE 2' };
+
+/** CATEGORIES value per event type; leagues use "League" */
+const EVENT_TYPE_CATEGORIES = {
+  league: 'League',
+  race: 'Race',
+  event: 'Event',
+  other: 'Other',
+};
+
+/**
+ * Gets the file name of a game's calendar feed, relative to the site root
+ * @param {string} game - 'poe1' or 'poe2'
+ * @returns {string} - e.g. "calendar-poe1.ics"
+ */
+export function getCalendarFileName(game) {
+  return `calendar-${game}.ics`;
+}
+
+/**
+ * Formats a date as an iCalendar UTC date-time
+ * @param {Date|string} date - Date or ISO timestamp
+ * @returns {string} - e.g. "20260721T092019Z"
+ */
+export function formatICalDate(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/\.\d{3}/, '')
+    .replace(/[-:]/g, '');
+}
+
+/**
+ * Escapes a TEXT property value (backslashes, separators and line breaks)
+ * @param {string} text - Property value
+ * @returns {string}
+ */
+export function escapeICalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets per line, as RFC 5545 requires
+ * (continuation lines start with a space)
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line (CRLF-separated)
+ */
+export function foldICalLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // The first line holds 75 octets; continuation lines hold 74 after the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Builds the VEVENT lines for an event or league
+ * @param {Object} item - Validated Event or League object
+ * @param {'event'|'league'} kind - Where the item comes from (events.json or leagues.json)
+ * @param {Date} now - Export time (DTSTAMP)
+ * @returns {Array<string>} - Unfolded content lines
+ */
+function buildEventLines(item, kind, now) {
+  const game = GAME_NAMES[item.game];
+  const category = kind === 'league' ? 'League' : EVENT_TYPE_CATEGORIES[item.type] || 'Event';
+  const detailsLink = typeof item.detailsLink === 'string' ? item.detailsLink.trim() : '';
+  const description = [
+    typeof item.description === 'string' ? item.description.trim() : '',
+    detailsLink,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${kind}-${item.id}@${CALENDAR_UID_DOMAIN}`,
+    `DTSTAMP:${formatICalDate(now)}`,
+    `DTSTART:${formatICalDate(item.startDate)}`,
+    `DTEND:${formatICalDate(item.endDate)}`,
+    `SUMMARY:${escapeICalText(game ? `${item.name} (${game})` : item.name)}`,
+    `CATEGORIES:${escapeICalText(category)}`,
+  ];
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+  }
+  if (detailsLink) {
+    lines.push(`URL:${detailsLink}`);
+  }
+  lines.push(
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeICalText(`${item.name} starts in ${CALENDAR_REMINDER_MINUTES} minutes`)}`,
+    `TRIGGER:-PT${CALENDAR_REMINDER_MINUTES}M`,
+    'END:VALARM',
+    'END:VEVENT'
+  );
+  return lines;
+}
+
+/**
+ * Builds an iCalendar document
+ * @param {Array<{ item: Object, kind: 'event'|'league' }>} entries - Events and leagues to export
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {Date} [options.now] - Export time (DTSTAMP)
+ * @returns {string} - .ics content with CRLF line endings
+ */
+export function buildCalendar(entries, options = {}) {
+  const now = options.now || new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (options.name) {
+    lines.push(
+      `X-WR-CALNAME:${escapeICalText(options.name)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+      'X-PUBLISHED-TTL:PT12H'
+    );
+  }
+  entries.forEach(({ item, kind }) => {
+    lines.push(...buildEventLines(item, kind, now));
+  });
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldICalLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Builds the calendar for one game from the validated output of loadEvents and loadLeagues.
+ * Events without a game belong to both games; league-type events are left out because
+ * leagues come from leagues.json (as in the Events section).
+ * @param {Array} events - Validated Event objects
+ * @param {Array} leagues - Validated League objects
+ * @param {string} game - 'poe1' or 'poe2'
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Export time (DTSTAMP)
+ * @returns {string} - .ics content
+ */
+export function buildGameCalendar(events, leagues, game, options = {}) {
+  const entries = [
+    ...(Array.isArray(leagues) ? leagues : [])
+      .filter((league) => league && league.game === game)
+      .map((item) => ({ item, kind: 'league' })),
+    ...(Array.isArray(events) ? events : [])
+      .filter(
+        (event) =>
+          event && event.type !== 'league' && (event.game === undefined || event.game === game)
+      )
+      .map((item) => ({ item, kind: 'event' })),
+  ].sort((a, b) => new Date(a.item.startDate) - new Date(b.item.startDate));
+
+  return buildCalendar(entries, {
+    name: `${GAME_NAMES[game] || game} events and leagues – PoE Hub`,
+    now: options.now,
+  });
+}
+
+/**
+ * Downloads a single event or league as an .ics file
+ * @param {Object} item - Event or League object
+ * @param {'event'|'league'} kind - Item kind
+ */
+export function downloadCalendarEvent(item, kind) {
+  const ics = buildCalendar([{ item, kind }]);
+  const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = `${item.id}.ics`;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  // Revoking in the same tick can cancel the download in some browsers (Safari, Firefox)
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Creates the "Add to calendar" button for an event or league card
+ * @param {Object} item - Event or League object
+ * @param {'event'|'league'} kind - Item kind
+ * @returns {HTMLButtonElement}
+ */
+export function createAddToCalendarButton(item, kind) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'add-to-calendar-button';
+  button.textContent = 'Add to calendar';
+  button.setAttribute('aria-label', `Add ${item.name} to calendar (.ics)`);
+  button.addEventListener('click', () => {
+    downloadCalendarEvent(item, kind);
+  });
+  return button;
+}
+
+/**
+ * Creates the link to subscribe to a game's calendar feed. On http(s) pages the link uses
+ * the webcal: scheme so calendar apps subscribe instead of importing a copy.
+ * @param {string} game - 'poe1' or 'poe2'
+ * @returns {HTMLAnchorElement}
+ */
+export function createCalendarSubscribeLink(game) {
+  const url = new URL(getCalendarFileName(game), document.baseURI);
+  const link = document.createElement('a');
+  link.className = 'calendar-subscribe-link';
+  link.href = /^https?:$/.test(url.protocol) ? url.href.replace(/^https?:/, 'webcal:') : url.href;
+  link.textContent = 'Subscribe';
+  link.title = `Subscribe to the ${GAME_NAMES[game] || game} events and leagues calendar`;
+  link.setAttribute(
+    'aria-label',
+    `Subscribe to the ${GAME_NAMES[game] || game} events and leagues calendar`
+  );
+  return link;
+}
@@ -0,0 +1,673 @@
+/**
+ * Shared Collections Module
+ * Handles shareable collection URLs (a title plus a curated set of link-item IDs),
+ * the read-only collection view and the dialog used to create a collection link
+ */
+
+import { renderCategory } from './links.js';
+import { linkMatchesQuery } from './search.js';
+
+/** Query parameter holding the encoded collection */
+export const COLLECTION_PARAM = 'collection';
+
+/** Category ID used for the rendered collection section */
+export const COLLECTION_CATEGORY_ID = 'collection';
+
+/** Maximum number of links and title length accepted in a collection */
+export const MAX_COLLECTION_LINKS = 100;
+export const MAX_COLLECTION_TITLE_LENGTH = 80;
+
+/** Title used when a collection is shared without one */
+const DEFAULT_COLLECTION_TITLE = 'Shared links';
+
+/** Encoded collections start with a format prefix: "1." deflate-raw compressed, "0." plain */
+const COMPRESSED_PREFIX = '1.';
+const PLAIN_PREFIX = '0.';
+
+// Dialog state
+let lastFocusedElement = null;
+
+/**
+ * Encodes bytes as base64url (URL-safe, no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  // Not awaited before reading: the readable side must be drained for the write to finish
+  const writeDone = writer.write(bytes).then(() => writer.close());
+  // Invalid input also rejects the reader below, which is where the error is reported
+  writeDone.catch(() => {});
+
+  const chunks = [];
+  const reader = stream.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+  await writeDone;
+
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+/**
+ * Normalizes and validates a collection
+ * @param {*} collection - { title, linkIds }
+ * @returns {Object|null} - { title, linkIds } with trimmed title and unique IDs, or null if invalid
+ */
+export function normalizeCollection(collection) {
+  if (!collection || typeof collection !== 'object' || !Array.isArray(collection.linkIds)) {
+    return null;
+  }
+
+  const linkIds = [];
+  for (const id of collection.linkIds) {
+    if (typeof id !== 'string' || id.trim().length === 0) {
+      return null;
+    }
+    if (!linkIds.includes(id)) {
+      linkIds.push(id);
+    }
+  }
+  if (linkIds.length === 0 || linkIds.length > MAX_COLLECTION_LINKS) {
+    return null;
+  }
+
+  if (collection.title !== undefined && typeof collection.title !== 'string') {
+    return null;
+  }
+  const title = (collection.title || '').trim().slice(0, MAX_COLLECTION_TITLE_LENGTH);
+
+  return { title: title || DEFAULT_COLLECTION_TITLE, linkIds };
+}
+
+/**
+ * Encodes a collection for use in a URL (compressed when the browser supports it)
+ * @param {Object} collection - { title, linkIds }
+ * @returns {Promise<string>} - Encoded collection
+ * @throws {Error} - If the collection is invalid
+ */
+export async function encodeCollection(collection) {
+  const normalized = normalizeCollection(collection);
+  if (!normalized) {
+    throw new Error(`A collection needs between 1 and ${MAX_COLLECTION_LINKS} link IDs`);
+  }
+
+  const json = JSON.stringify({ t: normalized.title, l: normalized.linkIds });
+  const bytes = new TextEncoder().encode(json);
+
+  if (typeof CompressionStream === 'function') {
+    try {
+      const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+      return COMPRESSED_PREFIX + toBase64Url(compressed);
+    } catch (error) {
+      console.warn('Error compressing collection, using plain encoding:', error);
+    }
+  }
+
+  return PLAIN_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * Decodes a collection from a URL value
+ * @param {string} encoded - Value produced by encodeCollection
+ * @returns {Promise<Object|null>} - { title, linkIds }, or null if the value is invalid
+ */
+export async function decodeCollection(encoded) {
+  if (!encoded || typeof encoded !== 'string') {
+    return null;
+  }
+
+  try {
+    let bytes;
+    if (encoded.startsWith(COMPRESSED_PREFIX)) {
+      if (typeof DecompressionStream !== 'function') {
+        console.warn('Cannot open collection: this browser does not support decompression');
+        return null;
+      }
+      bytes = await transformBytes(
+        fromBase64Url(encoded.slice(COMPRESSED_PREFIX.length)),
+        new DecompressionStream('deflate-raw')
+      );
+    } else if (encoded.startsWith(PLAIN_PREFIX)) {
+      bytes = fromBase64Url(encoded.slice(PLAIN_PREFIX.length));
+    } else {
+      return null;
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    return normalizeCollection({ title: payload.t, linkIds: payload.l });
+  } catch (error) {
+    console.warn('Invalid collection in URL:', error);
+    return null;
+  }
+}
+
+/**
+ * Reads the encoded collection from a URL
+ * @param {string} [href] - URL to read, defaults to the current page
+ * @returns {string|null}
+ */
+export function getCollectionParam(href = window.location.href) {
+  try {
+    return new URL(href).searchParams.get(COLLECTION_PARAM);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the shareable URL for an encoded collection
+ * @param {string} encoded - Value produced by encodeCollection
+ * @param {string} [href] - Page URL to build from, defaults to the current page
+ * @returns {string}
+ */
+export function buildCollectionUrl(encoded, href = window.location.href) {
+  const url = new URL(href);
+  url.searchParams.set(COLLECTION_PARAM, encoded);
+  // The game hash does not apply to collections
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Builds the URL of the page without the collection parameter
+ * @param {string} [href] - Page URL, defaults to the current page
+ * @returns {string}
+ */
+export function removeCollectionParam(href = window.location.href) {
+  const url = new URL(href);
+  url.searchParams.delete(COLLECTION_PARAM);
+  return url.toString();
+}
+
+/**
+ * Resolves collection link IDs against loaded categories.
+ * Each link keeps the category it was found in (`sourceCategoryId`) so disclaimer checks apply.
+ * IDs that cannot be found (e.g. removed links) are skipped.
+ * @param {Array<string>} linkIds - Link-item IDs in display order
+ * @param {Array} categories - Category objects to search (may contain both games)
+ * @returns {Array} - Link objects
+ */
+export function resolveCollectionLinks(linkIds, categories) {
+  const linksById = new Map();
+  (Array.isArray(categories) ? categories : []).forEach((category) => {
+    (category.links || []).forEach((link) => {
+      if (link && link.id && !linksById.has(link.id)) {
+        linksById.set(link.id, { ...link, sourceCategoryId: category.id });
+      }
+    });
+  });
+
+  return linkIds.filter((id) => linksById.has(id)).map((id) => linksById.get(id));
+}
+
+/**
+ * Renders the read-only collection view
+ * @param {HTMLElement} container - Container element (usually #categories)
+ * @param {Object} collection - { title, linkIds }
+ * @param {Array} links - Resolved links (see resolveCollectionLinks)
+ * @param {Function} [onExit] - Called when the user leaves the collection view
+ */
+export function renderCollectionView(container, collection, links, onExit) {
+  if (!container) {
+    console.error('Collection container not found');
+    return;
+  }
+
+  container.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'collection-header';
+
+  const summary = document.createElement('p');
+  summary.className = 'collection-summary';
+  const missing = collection.linkIds.length - links.length;
+  summary.textContent =
+    `You are viewing a shared collection of ${links.length} link${links.length === 1 ? '' : 's'}.` +
+    (missing > 0 ? ` ${missing} link${missing === 1 ? ' is' : 's are'} no longer available.` : '');
+  header.appendChild(summary);
+
+  const exitButton = document.createElement('button');
+  exitButton.type = 'button';
+  exitButton.className = 'link-toolbar-button collection-exit-button';
+  exitButton.textContent = 'Show all links';
+  exitButton.addEventListener('click', () => {
+    if (typeof onExit === 'function') {
+      onExit();
+    }
+  });
+  header.appendChild(exitButton);
+
+  container.appendChild(header);
+
+  if (links.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.setAttribute('role', 'status');
+    emptyState.textContent = 'None of the links in this collection are available anymore.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  renderCategory(container, {
+    id: COLLECTION_CATEGORY_ID,
+    title: collection.title,
+    links,
+  });
+}
+
+/**
+ * Renders the collection dialog HTML structure
+ * @returns {HTMLElement|null} The dialog content element
+ */
+function renderCollectionDialog() {
+  const dialog = document.getElementById('collection-dialog');
+  if (!dialog) {
+    console.error('Collection dialog element not found');
+    return null;
+  }
+
+  const content = dialog.querySelector('.collection-dialog-content');
+  if (!content) {
+    console.error('Collection dialog content element not found');
+    return null;
+  }
+
+  content.innerHTML = '';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'collection-dialog-header';
+
+  const title = document.createElement('h3');
+  title.id = 'collection-dialog-title';
+  title.className = 'collection-dialog-title';
+  title.textContent = 'Share a Collection';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'collection-dialog-close';
+  closeButton.setAttribute('type', 'button');
+  closeButton.setAttribute('aria-label', 'Close share collection dialog');
+  closeButton.innerHTML = '×';
+  header.appendChild(closeButton);
+
+  content.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'collection-dialog-body';
+
+  const form = document.createElement('form');
+  form.className = 'collection-form';
+  form.setAttribute('novalidate', 'true');
+
+  const titleGroup = document.createElement('div');
+  titleGroup.className = 'form-group';
+  const titleLabel = document.createElement('label');
+  titleLabel.setAttribute('for', 'collection-title');
+  titleLabel.textContent = 'Title';
+  titleGroup.appendChild(titleLabel);
+  const titleInput = document.createElement('input');
+  titleInput.id = 'collection-title';
+  titleInput.name = 'title';
+  titleInput.type = 'text';
+  titleInput.className = 'form-input';
+  titleInput.placeholder = 'e.g. League start essentials';
+  titleInput.setAttribute('maxlength', String(MAX_COLLECTION_TITLE_LENGTH));
+  titleGroup.appendChild(titleInput);
+  form.appendChild(titleGroup);
+
+  const filterGroup = document.createElement('div');
+  filterGroup.className = 'form-group';
+  const filterLabel = document.createElement('label');
+  filterLabel.setAttribute('for', 'collection-filter');
+  filterLabel.textContent = 'Links';
+  filterGroup.appendChild(filterLabel);
+  const filterInput = document.createElement('input');
+  filterInput.id = 'collection-filter';
+  filterInput.type = 'search';
+  filterInput.className = 'form-input';
+  filterInput.placeholder = 'Filter links...';
+  filterInput.autocomplete = 'off';
+  filterGroup.appendChild(filterInput);
+  form.appendChild(filterGroup);
+
+  const linkList = document.createElement('div');
+  linkList.className = 'collection-link-list';
+  form.appendChild(linkList);
+
+  const error = document.createElement('div');
+  error.id = 'collection-error';
+  error.className = 'form-error';
+  error.setAttribute('role', 'alert');
+  error.setAttribute('aria-live', 'polite');
+  form.appendChild(error);
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = 'collection-submit-button';
+  submitButton.textContent = 'Create Link';
+  form.appendChild(submitButton);
+
+  body.appendChild(form);
+
+  const result = document.createElement('div');
+  result.className = 'collection-result';
+  result.hidden = true;
+
+  const resultLabel = document.createElement('label');
+  resultLabel.setAttribute('for', 'collection-url');
+  resultLabel.textContent = 'Shareable link';
+  result.appendChild(resultLabel);
+
+  const resultRow = document.createElement('div');
+  resultRow.className = 'collection-result-row';
+  const urlInput = document.createElement('input');
+  urlInput.id = 'collection-url';
+  urlInput.type = 'text';
+  urlInput.className = 'form-input';
+  urlInput.readOnly = true;
+  resultRow.appendChild(urlInput);
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.className = 'link-toolbar-button collection-copy-button';
+  copyButton.textContent = 'Copy';
+  resultRow.appendChild(copyButton);
+  result.appendChild(resultRow);
+
+  body.appendChild(result);
+
+  content.appendChild(body);
+
+  return content;
+}
+
+/**
+ * Fills the dialog with a checkbox per link, grouped by category
+ * @param {HTMLElement} list - .collection-link-list element
+ * @param {Array} categories - Categories to choose links from
+ * @param {Array<string>} selectedIds - Link IDs checked initially
+ */
+function renderCollectionLinkChoices(list, categories, selectedIds) {
+  list.innerHTML = '';
+
+  categories.forEach((category) => {
+    const links = (category.links || []).filter((link) => link.id && !link.custom);
+    if (links.length === 0) return;
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'collection-link-group';
+
+    const legend = document.createElement('legend');
+    legend.textContent = category.title;
+    fieldset.appendChild(legend);
+
+    links.forEach((link) => {
+      const label = document.createElement('label');
+      label.className = 'collection-link-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = link.id;
+      checkbox.checked = selectedIds.includes(link.id);
+      label.appendChild(checkbox);
+
+      const name = document.createElement('span');
+      name.textContent = link.name;
+      label.appendChild(name);
+
+      // Kept on the option so the filter can match like the main link search
+      label.dataset.name = link.name;
+      label.dataset.description = link.description || '';
+      label.dataset.url = link.url;
+      fieldset.appendChild(label);
+    });
+
+    list.appendChild(fieldset);
+  });
+}
+
+/**
+ * Shows only the link choices that match the filter query
+ * @param {HTMLElement} list - .collection-link-list element
+ * @param {string} query - Filter query
+ */
+function filterCollectionLinkChoices(list, query) {
+  list.querySelectorAll('.collection-link-group').forEach((fieldset) => {
+    let visibleCount = 0;
+    fieldset.querySelectorAll('.collection-link-option').forEach((option) => {
+      const { name, description, url } = option.dataset;
+      const matches = linkMatchesQuery({ name, description, url }, query);
+      option.hidden = !matches;
+      if (matches) visibleCount += 1;
+    });
+    fieldset.hidden = visibleCount === 0;
+  });
+}
+
+/**
+ * Creates the shareable URL from the dialog form
+ * @param {Event} event - Form submit event
+ */
+async function handleCollectionSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const error = form.querySelector('#collection-error');
+  error.textContent = '';
+
+  // Keep the order links were listed in, without duplicates across categories
+  const linkIds = Array.from(form.querySelectorAll('.collection-link-option input:checked')).map(
+    (checkbox) => checkbox.value
+  );
+  const uniqueCount = new Set(linkIds).size;
+  if (uniqueCount === 0) {
+    error.textContent = 'Select at least one link';
+    return;
+  }
+  if (uniqueCount > MAX_COLLECTION_LINKS) {
+    error.textContent = `Select at most ${MAX_COLLECTION_LINKS} links`;
+    return;
+  }
+
+  try {
+    const encoded = await encodeCollection({
+      title: form.querySelector('#collection-title').value,
+      linkIds,
+    });
+    const dialog = document.getElementById('collection-dialog');
+    const result = dialog.querySelector('.collection-result');
+    const urlInput = dialog.querySelector('#collection-url');
+    urlInput.value = buildCollectionUrl(encoded);
+    result.hidden = false;
+    urlInput.focus();
+    urlInput.select();
+  } catch (err) {
+    console.error('Error creating collection link:', err);
+    error.textContent = 'Could not create the link. Please try again.';
+  }
+}
+
+/**
+ * Copies the generated URL to the clipboard
+ * @param {HTMLButtonElement} button - Copy button (its label confirms the copy)
+ */
+async function copyCollectionUrl(button) {
+  const urlInput = document.getElementById('collection-url');
+  if (!urlInput || !urlInput.value) return;
+
+  try {
+    await navigator.clipboard.writeText(urlInput.value);
+    button.textContent = 'Copied!';
+  } catch (error) {
+    console.warn('Error copying collection link:', error);
+    urlInput.select();
+    button.textContent = 'Press Ctrl+C to copy';
+  }
+}
+
+/**
+ * Opens the share collection dialog
+ * @param {Array} categories - Categories to choose links from (current game)
+ * @param {Array<string>} [selectedIds] - Link IDs checked initially (e.g. pinned links)
+ */
+export function openCollectionDialog(categories, selectedIds = []) {
+  const dialog = document.getElementById('collection-dialog');
+  if (!dialog) {
+    console.error('Collection dialog element not found');
+    return;
+  }
+
+  lastFocusedElement = document.activeElement;
+
+  const content = dialog.querySelector('.collection-dialog-content');
+  if (!content || content.children.length === 0) {
+    renderCollectionDialog();
+  }
+
+  const form = dialog.querySelector('.collection-form');
+  if (form) {
+    form.reset();
+    form.querySelector('#collection-error').textContent = '';
+    renderCollectionLinkChoices(
+      form.querySelector('.collection-link-list'),
+      Array.isArray(categories) ? categories : [],
+      selectedIds
+    );
+  }
+  const result = dialog.querySelector('.collection-result');
+  if (result) {
+    result.hidden = true;
+    dialog.querySelector('#collection-url').value = '';
+    dialog.querySelector('.collection-copy-button').textContent = 'Copy';
+  }
+
+  dialog.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+
+  const titleField = dialog.querySelector('#collection-title');
+  if (titleField) {
+    setTimeout(() => {
+      titleField.focus();
+    }, 100);
+  }
+}
+
+/**
+ * Closes the share collection dialog
+ */
+export function closeCollectionDialog() {
+  const dialog = document.getElementById('collection-dialog');
+  if (!dialog) {
+    return;
+  }
+
+  dialog.setAttribute('aria-hidden', 'true');
+  document.body.style.overflow = '';
+
+  if (lastFocusedElement && typeof lastFocusedElement.focus === 'function') {
+    lastFocusedElement.focus();
+  }
+  lastFocusedElement = null;
+}
+
+/**
+ * Sets up the share collection dialog
+ */
+export function setupCollectionDialog() {
+  const dialog = document.getElementById('collection-dialog');
+  if (!dialog) {
+    console.error('Collection dialog element not found');
+    return;
+  }
+
+  renderCollectionDialog();
+
+  const form = dialog.querySelector('.collection-form');
+  if (form) {
+    form.addEventListener('submit', handleCollectionSubmit);
+    const filterInput = form.querySelector('#collection-filter');
+    filterInput.addEventListener('input', () => {
+      filterCollectionLinkChoices(form.querySelector('.collection-link-list'), filterInput.value);
+    });
+  }
+
+  const copyButton = dialog.querySelector('.collection-copy-button');
+  if (copyButton) {
+    copyButton.addEventListener('click', () => copyCollectionUrl(copyButton));
+  }
+
+  const closeButton = dialog.querySelector('.collection-dialog-close');
+  if (closeButton) {
+    closeButton.addEventListener('click', closeCollectionDialog);
+  }
+
+  const backdrop = dialog.querySelector('.collection-backdrop');
+  if (backdrop) {
+    backdrop.addEventListener('click', (event) => {
+      if (event.target === backdrop) {
+        closeCollectionDialog();
+      }
+    });
+  }
+
+  const handleEscape = (event) => {
+    if (event.key === 'Escape' && dialog.getAttribute('aria-hidden') === 'false') {
+      closeCollectionDialog();
+    }
+  };
+  document.addEventListener('keydown', handleEscape);
+}
+
+/**
+ * Renders the toolbar button that opens the share collection dialog
+ * @param {HTMLElement} container - Container element (usually #link-toolbar)
+ * @returns {HTMLButtonElement|null} - The created button
+ */
+export function renderShareCollectionButton(container) {
+  if (!container) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-toolbar-button share-collection-button';
+  button.textContent = 'Share';
+  button.setAttribute('aria-label', 'Share a collection of links');
+  button.setAttribute('aria-controls', 'collection-dialog');
+  container.appendChild(button);
+  return button;
+}
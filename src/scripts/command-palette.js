@@ -0,0 +1,428 @@
+/**
+ * Command Palette Module
+ * Handles the Ctrl+K / "/" palette for jumping to any link or running site actions
+ */
+
+import {
+  requiresDisclaimer,
+  hasAcknowledgedDisclaimer,
+  openDisclaimerDialog,
+} from './disclaimer.js';
+import { getLinkHost } from './search.js';
+
+/** Maximum number of results shown at once */
+export const MAX_PALETTE_RESULTS = 30;
+
+// Palette state
+let lastFocusedElement = null;
+let getPaletteItems = null;
+let visibleItems = [];
+let activeIndex = 0;
+
+// The global shortcut listener is attached once; a second listener would toggle the palette twice
+let shortcutsAttached = false;
+
+/**
+ * Scores how well a text fuzzy-matches a query.
+ * Every query character must appear in order; consecutive characters and matches
+ * at the start of words score higher.
+ * @param {string} text - Text to match against
+ * @param {string} query - Search query
+ * @returns {number} - Score (higher is better), or -1 if the text does not match
+ */
+export function fuzzyScore(text, query) {
+  const needle = (query || '').toLowerCase().replace(/\s+/g, '');
+  if (!needle) return 0;
+
+  const haystack = (text || '').toLowerCase();
+  let score = 0;
+  let previousIndex = -1;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, previousIndex + 1);
+    if (index === -1) return -1;
+
+    score += 1;
+    if (index === previousIndex + 1) score += 2;
+    if (index === 0 || /[\s\-_./:]/.test(haystack[index - 1])) score += 3;
+    previousIndex = index;
+  }
+
+  // Prefer shorter texts when scores tie, and exact substrings over scattered matches
+  if (haystack.includes(needle)) score += needle.length;
+  return score - haystack.length / 100;
+}
+
+/**
+ * Builds palette items from categories and actions
+ * @param {Array} categories - Category objects for the current game
+ * @param {Array} [actions] - Actions: { id, label, run }
+ * @returns {Array} - Palette items: actions first, then links (each link once)
+ */
+export function buildPaletteItems(categories, actions = []) {
+  const items = actions.map((action) => ({
+    type: 'action',
+    id: `action-${action.id}`,
+    label: action.label,
+    detail: 'Action',
+    run: action.run,
+  }));
+
+  const seen = new Set();
+  (Array.isArray(categories) ? categories : []).forEach((category) => {
+    (category.links || []).forEach((link) => {
+      if (!link) return;
+      const key = link.id || link.url;
+      if (seen.has(key)) return;
+      seen.add(key);
+      items.push({
+        type: 'link',
+        id: `link-${key}`,
+        label: link.name,
+        detail: `${category.title} · ${getLinkHost(link.url)}`,
+        link,
+        categoryId: category.id,
+      });
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Filters and ranks palette items for a query
+ * @param {Array} items - Palette items from buildPaletteItems
+ * @param {string} query - Search query
+ * @param {number} [limit] - Maximum number of results
+ * @returns {Array} - Matching items, best first (original order for an empty query)
+ */
+export function filterPaletteItems(items, query, limit = MAX_PALETTE_RESULTS) {
+  if (!(query || '').trim()) {
+    return items.slice(0, limit);
+  }
+
+  return items
+    .map((item, index) => ({
+      item,
+      index,
+      // The detail (category and host) counts for less than the name
+      score: Math.max(fuzzyScore(item.label, query), fuzzyScore(item.detail, query) / 2),
+    }))
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+/**
+ * Opens a link in a new tab, going through the same disclaimer check as renderLink
+ * @param {Object} link - Link object
+ * @param {string} categoryId - Category the link belongs to
+ */
+export function openPaletteLink(link, categoryId) {
+  if (requiresDisclaimer(categoryId) && !hasAcknowledgedDisclaimer()) {
+    openDisclaimerDialog(link.url);
+    return;
+  }
+  window.open(link.url, '_blank', 'noopener,noreferrer');
+}
+
+/**
+ * Renders the palette HTML structure
+ * @returns {HTMLElement|null} The palette content element
+ */
+function renderCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  if (!palette) {
+    console.error('Command palette element not found');
+    return null;
+  }
+
+  const content = palette.querySelector('.command-palette-content');
+  if (!content) {
+    console.error('Command palette content element not found');
+    return null;
+  }
+
+  content.innerHTML = '';
+
+  const label = document.createElement('label');
+  label.id = 'command-palette-title';
+  label.className = 'sr-only';
+  label.setAttribute('for', 'command-palette-input');
+  label.textContent = 'Jump to a link or action';
+  content.appendChild(label);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = 'command-palette-input';
+  input.className = 'command-palette-input';
+  input.placeholder = 'Jump to a link or action...';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-expanded', 'true');
+  input.setAttribute('aria-controls', 'command-palette-results');
+  input.setAttribute('aria-autocomplete', 'list');
+  content.appendChild(input);
+
+  const results = document.createElement('ul');
+  results.id = 'command-palette-results';
+  results.className = 'command-palette-results';
+  results.setAttribute('role', 'listbox');
+  results.setAttribute('aria-label', 'Results');
+  content.appendChild(results);
+
+  const hint = document.createElement('p');
+  hint.className = 'command-palette-hint';
+  hint.textContent = '↑↓ to navigate · Enter to open · Esc to close';
+  hint.setAttribute('aria-hidden', 'true');
+  content.appendChild(hint);
+
+  return content;
+}
+
+/**
+ * Marks the active result and keeps it scrolled into view
+ */
+function updateActiveResult() {
+  const input = document.getElementById('command-palette-input');
+  const options = document.querySelectorAll('#command-palette-results .command-palette-option');
+
+  options.forEach((option, index) => {
+    const isActive = index === activeIndex;
+    option.setAttribute('aria-selected', String(isActive));
+    option.classList.toggle('command-palette-option--active', isActive);
+    if (isActive && typeof option.scrollIntoView === 'function') {
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  });
+
+  if (input) {
+    const active = options[activeIndex];
+    if (active) {
+      input.setAttribute('aria-activedescendant', active.id);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+}
+
+/**
+ * Renders the results for the current query
+ */
+function renderResults() {
+  const input = document.getElementById('command-palette-input');
+  const results = document.getElementById('command-palette-results');
+  if (!input || !results) return;
+
+  const items = typeof getPaletteItems === 'function' ? getPaletteItems() : [];
+  visibleItems = filterPaletteItems(items, input.value);
+  activeIndex = 0;
+  results.innerHTML = '';
+
+  if (visibleItems.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'command-palette-empty';
+    empty.setAttribute('role', 'presentation');
+    empty.textContent = 'No matching links or actions.';
+    results.appendChild(empty);
+  }
+
+  visibleItems.forEach((item, index) => {
+    const option = document.createElement('li');
+    option.id = `command-palette-option-${index}`;
+    option.className = `command-palette-option command-palette-option--${item.type}`;
+    option.setAttribute('role', 'option');
+
+    const label = document.createElement('span');
+    label.className = 'command-palette-option-label';
+    label.textContent = item.label;
+    option.appendChild(label);
+
+    const detail = document.createElement('span');
+    detail.className = 'command-palette-option-detail';
+    detail.textContent = item.detail;
+    option.appendChild(detail);
+
+    option.addEventListener('mousedown', (event) => {
+      // Keep focus in the input
+      event.preventDefault();
+    });
+    option.addEventListener('click', () => selectItem(item));
+    option.addEventListener('mousemove', () => {
+      if (activeIndex !== index) {
+        activeIndex = index;
+        updateActiveResult();
+      }
+    });
+
+    results.appendChild(option);
+  });
+
+  updateActiveResult();
+}
+
+/**
+ * Runs an action or opens a link, closing the palette first
+ * @param {Object} item - Palette item
+ */
+function selectItem(item) {
+  if (!item) return;
+
+  // Close without restoring focus: the selected action or link decides where focus goes
+  lastFocusedElement = null;
+  closeCommandPalette();
+
+  if (item.type === 'link') {
+    openPaletteLink(item.link, item.categoryId);
+  } else if (typeof item.run === 'function') {
+    item.run();
+  }
+}
+
+/**
+ * Handles navigation keys inside the palette input
+ * @param {KeyboardEvent} event
+ */
+function handleInputKeydown(event) {
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (visibleItems.length === 0) return;
+    const offset = event.key === 'ArrowDown' ? 1 : -1;
+    activeIndex = (activeIndex + offset + visibleItems.length) % visibleItems.length;
+    updateActiveResult();
+  } else if (event.key === 'Home' || event.key === 'End') {
+    if (visibleItems.length === 0) return;
+    event.preventDefault();
+    activeIndex = event.key === 'Home' ? 0 : visibleItems.length - 1;
+    updateActiveResult();
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    selectItem(visibleItems[activeIndex]);
+  }
+}
+
+/**
+ * Checks whether keyboard input is going into an editable element
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  const tagName = target.tagName.toLowerCase();
+  return (
+    tagName === 'input' ||
+    tagName === 'textarea' ||
+    tagName === 'select' ||
+    target.isContentEditable
+  );
+}
+
+/**
+ * Opens the command palette
+ */
+export function openCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  if (!palette) {
+    console.error('Command palette element not found');
+    return;
+  }
+
+  lastFocusedElement = document.activeElement;
+
+  const content = palette.querySelector('.command-palette-content');
+  if (!content || content.children.length === 0) {
+    renderCommandPalette();
+  }
+
+  const input = palette.querySelector('#command-palette-input');
+  input.value = '';
+  renderResults();
+
+  palette.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+  input.focus();
+}
+
+/**
+ * Closes the command palette
+ */
+export function closeCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  if (!palette) {
+    return;
+  }
+
+  palette.setAttribute('aria-hidden', 'true');
+  document.body.style.overflow = '';
+
+  if (lastFocusedElement && typeof lastFocusedElement.focus === 'function') {
+    lastFocusedElement.focus();
+  }
+  lastFocusedElement = null;
+}
+
+/**
+ * Sets up the command palette and its global shortcuts (Ctrl+K / Cmd+K, and "/" outside text fields)
+ * @param {Function} getItems - Returns the current palette items (see buildPaletteItems)
+ */
+export function setupCommandPalette(getItems) {
+  const palette = document.getElementById('command-palette');
+  if (!palette) {
+    console.error('Command palette element not found');
+    return;
+  }
+
+  getPaletteItems = getItems;
+
+  renderCommandPalette();
+
+  const input = palette.querySelector('#command-palette-input');
+  if (input) {
+    input.addEventListener('input', renderResults);
+    input.addEventListener('keydown', handleInputKeydown);
+  }
+
+  const backdrop = palette.querySelector('.command-palette-backdrop');
+  if (backdrop) {
+    backdrop.addEventListener('click', (event) => {
+      if (event.target === backdrop) {
+        closeCommandPalette();
+      }
+    });
+  }
+
+  if (shortcutsAttached) return;
+  shortcutsAttached = true;
+
+  document.addEventListener('keydown', (event) => {
+    const currentPalette = document.getElementById('command-palette');
+    if (!currentPalette) return;
+    const isOpen = currentPalette.getAttribute('aria-hidden') === 'false';
+
+    if (event.key === 'Escape' && isOpen) {
+      closeCommandPalette();
+      return;
+    }
+
+    const isShortcut =
+      ((event.ctrlKey || event.metaKey) &&
+        !event.altKey &&
+        (event.key || '').toLowerCase() === 'k') ||
+      (event.key === '/' &&
+        !event.ctrlKey &&
+        !event.metaKey &&
+        !event.altKey &&
+        !isEditableTarget(event.target));
+
+    if (isShortcut) {
+      event.preventDefault();
+      if (isOpen) {
+        closeCommandPalette();
+      } else {
+        openCommandPalette();
+      }
+    }
+  });
+}
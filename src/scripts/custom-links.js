@@ -0,0 +1,633 @@
+/**
+ * Custom Links Module
+ * Handles user-defined links and personal categories (stored per game in localStorage)
+ * and the dialog used to manage them
+ */
+
+import { validateLink } from './data.js';
+import { readGameList, writeGameList } from './storage.js';
+
+/** localStorage key for custom links ({ poe1: CustomLink[], poe2: CustomLink[] }) */
+export const CUSTOM_LINKS_STORAGE_KEY = 'poe-custom-links';
+
+/** localStorage key for personal categories ({ poe1: {id, title}[], poe2: {id, title}[] }) */
+export const CUSTOM_CATEGORIES_STORAGE_KEY = 'poe-custom-categories';
+
+/** Default personal category used when no category is chosen or the chosen one is gone */
+export const PERSONAL_CATEGORY_ID = 'my-links';
+const PERSONAL_CATEGORY_TITLE = 'MY LINKS';
+
+/** Select value for "create a new personal category" */
+const NEW_CATEGORY_OPTION = '__new__';
+
+// Dialog state
+let lastFocusedElement = null;
+let onCustomLinksChange = null;
+let currentGame = 'poe1';
+let availableCategories = [];
+
+/**
+ * Creates a reasonably unique ID with the given prefix
+ * @param {string} prefix - ID prefix
+ * @returns {string}
+ */
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Gets the user's custom links for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {Array<Object>} - Custom links that still pass validateLink
+ */
+export function getCustomLinks(game) {
+  return readGameList(CUSTOM_LINKS_STORAGE_KEY, game).filter(
+    (link) => link && typeof link.id === 'string' && validateLink(link)
+  );
+}
+
+/**
+ * Gets the user's personal categories for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {Array<{id: string, title: string}>}
+ */
+export function getCustomCategories(game) {
+  return readGameList(CUSTOM_CATEGORIES_STORAGE_KEY, game).filter(
+    (category) =>
+      category &&
+      typeof category.id === 'string' &&
+      typeof category.title === 'string' &&
+      category.title.trim().length > 0
+  );
+}
+
+/**
+ * Validates custom link form input
+ * @param {Object} input - Form input
+ * @param {string} input.name - Link name (required, 1-100 chars)
+ * @param {string} input.url - Link URL (required, http/https)
+ * @param {string} [input.icon] - Icon URL (optional, http/https)
+ * @param {string} [input.categoryId] - Target category ID
+ * @param {string} [input.newCategoryTitle] - Title for a new personal category (1-50 chars)
+ * @returns {Object} Validation result with valid flag and errors array
+ */
+export function validateCustomLinkInput(input) {
+  const errors = [];
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  const icon = typeof input.icon === 'string' ? input.icon.trim() : '';
+
+  if (name.length === 0) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else if (name.length > 100) {
+    errors.push({ field: 'name', message: 'Name must be 100 characters or less' });
+  }
+
+  if (url.length === 0) {
+    errors.push({ field: 'url', message: 'URL is required' });
+  } else if (!validateLink({ name: 'url', url })) {
+    errors.push({ field: 'url', message: 'Please enter a valid http(s) URL' });
+  }
+
+  if (icon.length > 0 && !validateLink({ name: 'icon', url: icon })) {
+    errors.push({ field: 'icon', message: 'Icon must be a valid http(s) URL' });
+  }
+
+  if (input.categoryId === NEW_CATEGORY_OPTION) {
+    const title = typeof input.newCategoryTitle === 'string' ? input.newCategoryTitle.trim() : '';
+    if (title.length === 0) {
+      errors.push({ field: 'category', message: 'Category name is required' });
+    } else if (title.length > 50) {
+      errors.push({ field: 'category', message: 'Category name must be 50 characters or less' });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Adds a custom link for a game, creating a personal category when requested
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @param {Object} input - Form input (see validateCustomLinkInput)
+ * @returns {Object} - { success: true, link } or { success: false, errors }
+ */
+export function addCustomLink(game, input) {
+  const validation = validateCustomLinkInput(input);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors };
+  }
+
+  let categoryId = input.categoryId || PERSONAL_CATEGORY_ID;
+  if (categoryId === NEW_CATEGORY_OPTION) {
+    const categories = getCustomCategories(game);
+    const category = { id: createId('custom-category'), title: input.newCategoryTitle.trim() };
+    writeGameList(CUSTOM_CATEGORIES_STORAGE_KEY, game, [...categories, category]);
+    categoryId = category.id;
+  }
+
+  const link = {
+    id: createId('custom'),
+    name: input.name.trim(),
+    url: input.url.trim(),
+    categoryId,
+  };
+  const icon = typeof input.icon === 'string' ? input.icon.trim() : '';
+  if (icon) {
+    link.icon = icon;
+  }
+
+  // Final gate: the stored link must pass the same validation as link-items.json entries
+  if (!validateLink(link)) {
+    return { success: false, errors: [{ field: 'url', message: 'Invalid link' }] };
+  }
+
+  writeGameList(CUSTOM_LINKS_STORAGE_KEY, game, [...getCustomLinks(game), link]);
+  return { success: true, link };
+}
+
+/**
+ * Removes a custom link; personal categories left without links are removed too
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @param {string} linkId - Custom link ID
+ */
+export function removeCustomLink(game, linkId) {
+  const links = getCustomLinks(game).filter((link) => link.id !== linkId);
+  writeGameList(CUSTOM_LINKS_STORAGE_KEY, game, links);
+
+  const usedCategoryIds = new Set(links.map((link) => link.categoryId));
+  const categories = getCustomCategories(game).filter((category) =>
+    usedCategoryIds.has(category.id)
+  );
+  writeGameList(CUSTOM_CATEGORIES_STORAGE_KEY, game, categories);
+}
+
+/**
+ * Merges custom links into the categories returned by loadLinks.
+ * Links go into their chosen category; links whose category is not available fall back
+ * to the default personal category. Personal categories are appended after built-in ones.
+ * @param {Array} categories - Array of Category objects from loadLinks
+ * @param {Array} customCategories - Personal categories ({ id, title })
+ * @param {Array} customLinks - Custom links ({ id, name, url, icon?, categoryId })
+ * @returns {Array} - New array of Category objects; custom links are flagged with `custom: true`
+ */
+export function mergeCustomLinks(categories, customCategories, customLinks) {
+  const merged = (Array.isArray(categories) ? categories : []).map((category) => ({
+    ...category,
+    links: [...(category.links || [])],
+  }));
+
+  if (!Array.isArray(customLinks) || customLinks.length === 0) {
+    return merged;
+  }
+
+  const personalCategories = (Array.isArray(customCategories) ? customCategories : []).map(
+    (category) => ({ id: category.id, title: category.title, links: [] })
+  );
+  const fallbackCategory = { id: PERSONAL_CATEGORY_ID, title: PERSONAL_CATEGORY_TITLE, links: [] };
+
+  customLinks.forEach((customLink) => {
+    if (!validateLink(customLink)) {
+      return;
+    }
+    const { categoryId, ...link } = customLink;
+    const target =
+      merged.find((category) => category.id === categoryId) ||
+      personalCategories.find((category) => category.id === categoryId) ||
+      fallbackCategory;
+    target.links.push({ ...link, custom: true });
+  });
+
+  return [
+    ...merged,
+    ...personalCategories.filter((category) => category.links.length > 0),
+    ...(fallbackCategory.links.length > 0 ? [fallbackCategory] : []),
+  ];
+}
+
+/**
+ * Creates a labeled form group with an input and an error element
+ * @param {Object} field - Field definition
+ * @returns {HTMLElement}
+ */
+function createFormGroup({ id, name, label, type = 'text', maxLength, placeholder }) {
+  const group = document.createElement('div');
+  group.className = 'form-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.setAttribute('for', id);
+  labelElement.textContent = label;
+  group.appendChild(labelElement);
+
+  const input = document.createElement('input');
+  input.id = id;
+  input.name = name;
+  input.type = type;
+  input.className = 'form-input';
+  if (maxLength) input.setAttribute('maxlength', String(maxLength));
+  if (placeholder) input.placeholder = placeholder;
+  input.setAttribute('aria-describedby', `${id}-error`);
+  group.appendChild(input);
+
+  const error = document.createElement('div');
+  error.id = `${id}-error`;
+  error.className = 'form-error';
+  error.setAttribute('role', 'alert');
+  error.setAttribute('aria-live', 'polite');
+  group.appendChild(error);
+
+  return group;
+}
+
+/**
+ * Renders the custom link dialog HTML structure
+ * @returns {HTMLElement} The dialog content element
+ */
+function renderCustomLinkDialog() {
+  const dialog = document.getElementById('custom-link-dialog');
+  if (!dialog) {
+    console.error('Custom link dialog element not found');
+    return null;
+  }
+
+  const content = dialog.querySelector('.custom-link-dialog-content');
+  if (!content) {
+    console.error('Custom link dialog content element not found');
+    return null;
+  }
+
+  content.innerHTML = '';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'custom-link-dialog-header';
+
+  const title = document.createElement('h3');
+  title.id = 'custom-link-dialog-title';
+  title.className = 'custom-link-dialog-title';
+  title.textContent = 'My Links';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'custom-link-dialog-close';
+  closeButton.setAttribute('type', 'button');
+  closeButton.setAttribute('aria-label', 'Close custom links dialog');
+  closeButton.innerHTML = '×';
+  header.appendChild(closeButton);
+
+  content.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'custom-link-dialog-body';
+
+  // Create form
+  const form = document.createElement('form');
+  form.className = 'custom-link-form';
+  form.setAttribute('novalidate', 'true');
+
+  form.appendChild(
+    createFormGroup({ id: 'custom-link-name', name: 'name', label: 'Name *', maxLength: 100 })
+  );
+  form.appendChild(
+    createFormGroup({
+      id: 'custom-link-url',
+      name: 'url',
+      label: 'URL *',
+      type: 'url',
+      placeholder: 'https://',
+    })
+  );
+  form.appendChild(
+    createFormGroup({
+      id: 'custom-link-icon',
+      name: 'icon',
+      label: 'Icon URL (optional)',
+      type: 'url',
+      placeholder: 'https://',
+    })
+  );
+
+  // Category select plus title input for a new personal category
+  const categoryGroup = document.createElement('div');
+  categoryGroup.className = 'form-group';
+
+  const categoryLabel = document.createElement('label');
+  categoryLabel.setAttribute('for', 'custom-link-category');
+  categoryLabel.textContent = 'Category';
+  categoryGroup.appendChild(categoryLabel);
+
+  const categorySelect = document.createElement('select');
+  categorySelect.id = 'custom-link-category';
+  categorySelect.name = 'categoryId';
+  categorySelect.className = 'form-input';
+  categorySelect.setAttribute('aria-describedby', 'custom-link-category-error');
+  categoryGroup.appendChild(categorySelect);
+
+  const newCategoryInput = document.createElement('input');
+  newCategoryInput.id = 'custom-link-new-category';
+  newCategoryInput.name = 'newCategoryTitle';
+  newCategoryInput.type = 'text';
+  newCategoryInput.className = 'form-input';
+  newCategoryInput.placeholder = 'New category name';
+  newCategoryInput.setAttribute('maxlength', '50');
+  newCategoryInput.setAttribute('aria-label', 'New category name');
+  newCategoryInput.hidden = true;
+  categoryGroup.appendChild(newCategoryInput);
+
+  const categoryError = document.createElement('div');
+  categoryError.id = 'custom-link-category-error';
+  categoryError.className = 'form-error';
+  categoryError.setAttribute('role', 'alert');
+  categoryError.setAttribute('aria-live', 'polite');
+  categoryGroup.appendChild(categoryError);
+
+  form.appendChild(categoryGroup);
+
+  categorySelect.addEventListener('change', () => {
+    newCategoryInput.hidden = categorySelect.value !== NEW_CATEGORY_OPTION;
+    if (!newCategoryInput.hidden) {
+      newCategoryInput.focus();
+    }
+  });
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = 'custom-link-submit-button';
+  submitButton.textContent = 'Add Link';
+  form.appendChild(submitButton);
+
+  body.appendChild(form);
+
+  // Existing custom links for the current game
+  const listTitle = document.createElement('h4');
+  listTitle.className = 'custom-link-list-title';
+  listTitle.textContent = 'Your links';
+  body.appendChild(listTitle);
+
+  const list = document.createElement('ul');
+  list.className = 'custom-link-list';
+  list.setAttribute('role', 'list');
+  body.appendChild(list);
+
+  content.appendChild(body);
+
+  return content;
+}
+
+/**
+ * Fills the category select with personal categories and the built-in categories of the current game
+ * @param {HTMLSelectElement} select - Category select element
+ */
+function populateCategorySelect(select) {
+  select.innerHTML = '';
+
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+
+  addOption(PERSONAL_CATEGORY_ID, 'My Links (personal)');
+  getCustomCategories(currentGame).forEach((category) => {
+    addOption(category.id, `${category.title} (personal)`);
+  });
+  availableCategories.forEach((category) => {
+    addOption(category.id, category.title);
+  });
+  addOption(NEW_CATEGORY_OPTION, 'New personal category...');
+}
+
+/**
+ * Renders the list of the user's custom links with remove buttons
+ * @param {HTMLElement} list - List element
+ */
+function renderCustomLinkList(list) {
+  list.innerHTML = '';
+
+  const links = getCustomLinks(currentGame);
+  if (links.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-link-list-empty';
+    empty.textContent = 'You have not added any links yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  links.forEach((link) => {
+    const item = document.createElement('li');
+    item.className = 'custom-link-list-item';
+
+    const name = document.createElement('span');
+    name.className = 'custom-link-list-name';
+    name.textContent = link.name;
+    name.title = link.url;
+    item.appendChild(name);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'custom-link-remove-button';
+    removeButton.textContent = 'Remove';
+    removeButton.setAttribute('aria-label', `Remove ${link.name}`);
+    removeButton.addEventListener('click', () => {
+      removeCustomLink(currentGame, link.id);
+      renderCustomLinkList(list);
+      if (typeof onCustomLinksChange === 'function') {
+        onCustomLinksChange();
+      }
+    });
+    item.appendChild(removeButton);
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Clears form values and error messages
+ * @param {HTMLFormElement} form - Custom link form
+ */
+function resetCustomLinkForm(form) {
+  form.reset();
+  form.querySelectorAll('.form-error').forEach((error) => {
+    error.textContent = '';
+  });
+  const newCategoryInput = form.querySelector('#custom-link-new-category');
+  if (newCategoryInput) {
+    newCategoryInput.hidden = true;
+  }
+}
+
+/**
+ * Opens the custom link dialog
+ * @param {string} game - Game the links are added to ('poe1' or 'poe2')
+ * @param {Array} categories - Built-in categories for the game (choices for the category select)
+ */
+export function openCustomLinkDialog(game, categories) {
+  const dialog = document.getElementById('custom-link-dialog');
+  if (!dialog) {
+    console.error('Custom link dialog element not found');
+    return;
+  }
+
+  currentGame = game === 'poe2' ? 'poe2' : 'poe1';
+  availableCategories = Array.isArray(categories) ? categories : [];
+  lastFocusedElement = document.activeElement;
+
+  const content = dialog.querySelector('.custom-link-dialog-content');
+  if (!content || content.children.length === 0) {
+    renderCustomLinkDialog();
+  }
+
+  const form = dialog.querySelector('.custom-link-form');
+  if (form) {
+    resetCustomLinkForm(form);
+    populateCategorySelect(form.querySelector('#custom-link-category'));
+  }
+  const list = dialog.querySelector('.custom-link-list');
+  if (list) {
+    renderCustomLinkList(list);
+  }
+
+  dialog.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+
+  const nameField = dialog.querySelector('#custom-link-name');
+  if (nameField) {
+    setTimeout(() => {
+      nameField.focus();
+    }, 100);
+  }
+}
+
+/**
+ * Closes the custom link dialog
+ */
+export function closeCustomLinkDialog() {
+  const dialog = document.getElementById('custom-link-dialog');
+  if (!dialog) {
+    return;
+  }
+
+  dialog.setAttribute('aria-hidden', 'true');
+  document.body.style.overflow = '';
+
+  if (lastFocusedElement && typeof lastFocusedElement.focus === 'function') {
+    lastFocusedElement.focus();
+  }
+  lastFocusedElement = null;
+}
+
+/**
+ * Handles form submission
+ * @param {Event} event - Form submit event
+ */
+function handleFormSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  form.querySelectorAll('.form-error').forEach((error) => {
+    error.textContent = '';
+  });
+
+  const input = {
+    name: form.querySelector('#custom-link-name').value,
+    url: form.querySelector('#custom-link-url').value,
+    icon: form.querySelector('#custom-link-icon').value,
+    categoryId: form.querySelector('#custom-link-category').value,
+    newCategoryTitle: form.querySelector('#custom-link-new-category').value,
+  };
+
+  const result = addCustomLink(currentGame, input);
+  if (!result.success) {
+    result.errors.forEach((error) => {
+      const errorElement = form.querySelector(`#custom-link-${error.field}-error`);
+      if (errorElement) {
+        errorElement.textContent = error.message;
+      }
+    });
+    return;
+  }
+
+  const categorySelect = form.querySelector('#custom-link-category');
+  const selectedCategory = result.link.categoryId;
+  resetCustomLinkForm(form);
+
+  // A new personal category may have been created; refresh choices and keep it selected
+  populateCategorySelect(categorySelect);
+  categorySelect.value = selectedCategory;
+
+  const list = document.querySelector('#custom-link-dialog .custom-link-list');
+  if (list) {
+    renderCustomLinkList(list);
+  }
+
+  if (typeof onCustomLinksChange === 'function') {
+    onCustomLinksChange();
+  }
+
+  form.querySelector('#custom-link-name').focus();
+}
+
+/**
+ * Sets up the custom link dialog
+ * @param {Function} onChange - Called after a custom link is added or removed
+ */
+export function setupCustomLinkDialog(onChange) {
+  const dialog = document.getElementById('custom-link-dialog');
+  if (!dialog) {
+    console.error('Custom link dialog element not found');
+    return;
+  }
+
+  onCustomLinksChange = onChange;
+
+  renderCustomLinkDialog();
+
+  const form = dialog.querySelector('.custom-link-form');
+  if (form) {
+    form.addEventListener('submit', handleFormSubmit);
+  }
+
+  const closeButton = dialog.querySelector('.custom-link-dialog-close');
+  if (closeButton) {
+    closeButton.addEventListener('click', closeCustomLinkDialog);
+  }
+
+  const backdrop = dialog.querySelector('.custom-link-backdrop');
+  if (backdrop) {
+    backdrop.addEventListener('click', (event) => {
+      if (event.target === backdrop) {
+        closeCustomLinkDialog();
+      }
+    });
+  }
+
+  const handleEscape = (event) => {
+    if (event.key === 'Escape' && dialog.getAttribute('aria-hidden') === 'false') {
+      closeCustomLinkDialog();
+    }
+  };
+  document.addEventListener('keydown', handleEscape);
+}
+
+/**
+ * Renders the toolbar button that opens the custom link dialog
+ * @param {HTMLElement} container - Container element (usually #link-toolbar)
+ * @returns {HTMLButtonElement|null} - The created button
+ */
+export function renderCustomLinksButton(container) {
+  if (!container) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-toolbar-button custom-links-button';
+  button.textContent = '+ My Links';
+  button.setAttribute('aria-label', 'Add or manage your own links');
+  button.setAttribute('aria-controls', 'custom-link-dialog');
+  container.appendChild(button);
+  return button;
+}
@@ -0,0 +1,256 @@
+/**
+ * Customize Module
+ * Handles per-game hidden categories and links, the customize mode toggle and the restore panel
+ */
+
+import { readGameList, writeGameList } from './storage.js';
+
+/** localStorage key for hidden category IDs ({ poe1: string[], poe2: string[] }) */
+export const HIDDEN_CATEGORIES_STORAGE_KEY = 'poe-hidden-categories';
+
+/** localStorage key for hidden link IDs ({ poe1: string[], poe2: string[] }) */
+export const HIDDEN_LINKS_STORAGE_KEY = 'poe-hidden-links';
+
+/**
+ * Keeps only non-empty string IDs
+ * @param {Array} ids
+ * @returns {Array<string>}
+ */
+function onlyIds(ids) {
+  return ids.filter((id) => typeof id === 'string' && id.length > 0);
+}
+
+/**
+ * Gets the hidden category and link IDs for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {{ categories: Array<string>, links: Array<string> }}
+ */
+export function getHiddenItems(game) {
+  return {
+    categories: onlyIds(readGameList(HIDDEN_CATEGORIES_STORAGE_KEY, game)),
+    links: onlyIds(readGameList(HIDDEN_LINKS_STORAGE_KEY, game)),
+  };
+}
+
+/**
+ * Hides or restores a category or link for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @param {'category'|'link'} type - Item type
+ * @param {string} id - Category ID or link-item ID
+ * @returns {boolean} - True if the item is hidden after the toggle
+ */
+export function toggleHiddenItem(game, type, id) {
+  if (!id || typeof id !== 'string' || (type !== 'category' && type !== 'link')) {
+    return false;
+  }
+
+  const key = type === 'category' ? HIDDEN_CATEGORIES_STORAGE_KEY : HIDDEN_LINKS_STORAGE_KEY;
+  const ids = onlyIds(readGameList(key, game));
+  const index = ids.indexOf(id);
+  if (index === -1) {
+    ids.push(id);
+  } else {
+    ids.splice(index, 1);
+  }
+  writeGameList(key, game, ids);
+  return index === -1;
+}
+
+/**
+ * Restores every hidden category and link for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ */
+export function restoreAllHiddenItems(game) {
+  writeGameList(HIDDEN_CATEGORIES_STORAGE_KEY, game, []);
+  writeGameList(HIDDEN_LINKS_STORAGE_KEY, game, []);
+}
+
+/**
+ * Removes hidden categories and links. Categories left without links are dropped.
+ * @param {Array} categories - Array of Category objects
+ * @param {Object} [hiddenItems] - { categories: string[], links: string[] }
+ * @returns {Array} - New array of visible Category objects
+ */
+export function applyHiddenItems(categories, hiddenItems) {
+  if (!Array.isArray(categories)) return [];
+
+  const hiddenCategories = new Set((hiddenItems && hiddenItems.categories) || []);
+  const hiddenLinks = new Set((hiddenItems && hiddenItems.links) || []);
+  if (hiddenCategories.size === 0 && hiddenLinks.size === 0) {
+    return categories;
+  }
+
+  return categories
+    .filter((category) => !hiddenCategories.has(category.id))
+    .map((category) => ({
+      ...category,
+      links: (category.links || []).filter((link) => !link.id || !hiddenLinks.has(link.id)),
+    }))
+    .filter((category) => category.links.length > 0);
+}
+
+/**
+ * Renders the toolbar button that toggles customize mode
+ * @param {HTMLElement} container - Container element (usually #link-toolbar)
+ * @param {Function} onToggle - Called with the new customize mode state
+ * @returns {HTMLButtonElement|null} - The created button
+ */
+export function renderCustomizeButton(container, onToggle) {
+  if (!container) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-toolbar-button customize-button';
+  button.textContent = 'Customize';
+  button.setAttribute('aria-pressed', 'false');
+  button.setAttribute('aria-controls', 'hidden-items-panel');
+  button.addEventListener('click', () => {
+    const enabled = button.getAttribute('aria-pressed') !== 'true';
+    button.setAttribute('aria-pressed', String(enabled));
+    button.classList.toggle('active', enabled);
+    button.textContent = enabled ? 'Done' : 'Customize';
+    if (typeof onToggle === 'function') {
+      onToggle(enabled);
+    }
+  });
+  container.appendChild(button);
+  return button;
+}
+
+/**
+ * Renders the restore panel listing hidden categories and links (shown in customize mode)
+ * @param {HTMLElement} container - Panel element (usually #hidden-items-panel)
+ * @param {Object} hiddenItems - { categories: string[], links: string[] }
+ * @param {Array} categories - All categories for the game (used to resolve titles and names)
+ * @param {Object} handlers - { onRestore(type, id), onRestoreAll(), onResetOrder() }
+ */
+export function renderHiddenItemsPanel(container, hiddenItems, categories, handlers = {}) {
+  if (!container) {
+    return;
+  }
+
+  container.innerHTML = '';
+  container.hidden = false;
+
+  const categoryTitles = new Map();
+  const linkNames = new Map();
+  (Array.isArray(categories) ? categories : []).forEach((category) => {
+    categoryTitles.set(category.id, category.title);
+    (category.links || []).forEach((link) => {
+      if (link.id && !linkNames.has(link.id)) {
+        linkNames.set(link.id, link.name);
+      }
+    });
+  });
+
+  const header = document.createElement('div');
+  header.className = 'hidden-items-header';
+
+  const title = document.createElement('h2');
+  title.className = 'hidden-items-title';
+  title.textContent = 'Hidden items';
+  header.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'hidden-items-hint';
+  hint.textContent =
+    'Use the hide buttons on categories and links to remove them from the page. Drag categories and links (or focus their move handle and use the arrow keys) to reorder them.';
+  header.appendChild(hint);
+
+  container.appendChild(header);
+
+  const items = [
+    ...hiddenItems.categories.map((id) => ({
+      type: 'category',
+      id,
+      label: categoryTitles.get(id) || id,
+    })),
+    ...hiddenItems.links.map((id) => ({ type: 'link', id, label: linkNames.get(id) || id })),
+  ];
+
+  const actions = document.createElement('div');
+  actions.className = 'hidden-items-actions';
+
+  if (typeof handlers.onResetOrder === 'function') {
+    const resetOrderButton = document.createElement('button');
+    resetOrderButton.type = 'button';
+    resetOrderButton.className = 'link-toolbar-button hidden-items-reset-order';
+    resetOrderButton.textContent = 'Reset order';
+    resetOrderButton.addEventListener('click', () => handlers.onResetOrder());
+    actions.appendChild(resetOrderButton);
+  }
+
+  if (items.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'hidden-items-empty';
+    empty.textContent = 'Nothing is hidden.';
+    container.appendChild(empty);
+    if (actions.children.length > 0) {
+      container.appendChild(actions);
+    }
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'hidden-items-list';
+  list.setAttribute('role', 'list');
+
+  items.forEach((item) => {
+    const listItem = document.createElement('li');
+    listItem.className = 'hidden-items-entry';
+
+    const label = document.createElement('span');
+    label.className = 'hidden-items-label';
+    label.textContent = item.label;
+    listItem.appendChild(label);
+
+    const type = document.createElement('span');
+    type.className = 'hidden-items-type';
+    type.textContent = item.type === 'category' ? 'Category' : 'Link';
+    listItem.appendChild(type);
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'hidden-items-restore';
+    restoreButton.textContent = 'Restore';
+    restoreButton.setAttribute('aria-label', `Restore ${item.label}`);
+    restoreButton.setAttribute('data-hidden-type', item.type);
+    restoreButton.setAttribute('data-hidden-id', item.id);
+    restoreButton.addEventListener('click', () => {
+      if (typeof handlers.onRestore === 'function') {
+        handlers.onRestore(item.type, item.id);
+      }
+    });
+    listItem.appendChild(restoreButton);
+
+    list.appendChild(listItem);
+  });
+
+  container.appendChild(list);
+
+  const restoreAllButton = document.createElement('button');
+  restoreAllButton.type = 'button';
+  restoreAllButton.className = 'link-toolbar-button hidden-items-restore-all';
+  restoreAllButton.textContent = 'Restore all';
+  restoreAllButton.addEventListener('click', () => {
+    if (typeof handlers.onRestoreAll === 'function') {
+      handlers.onRestoreAll();
+    }
+  });
+  actions.insertBefore(restoreAllButton, actions.firstChild);
+  container.appendChild(actions);
+}
+
+/**
+ * Hides and clears the restore panel
+ * @param {HTMLElement} container - Panel element (usually #hidden-items-panel)
+ */
+export function clearHiddenItemsPanel(container) {
+  if (!container) {
+    return;
+  }
+  container.innerHTML = '';
+  container.hidden = true;
+}
@@ -15,6 +15,23 @@ export function clearLinksCache() {
   cachedLinkItemsData = null;
 }
 
+/** Link tags are lowercase slugs such as "ssf" or "trade-league" */
+const TAG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_TAG_LENGTH = 30;
+
+/** Link health statuses, usually set by the link checker (scripts/check-links.js) */
+export const LINK_STATUSES = ['ok', 'degraded', 'dead', 'moved'];
+const MAX_STATUS_NOTE_LENGTH = 200;
+
+/**
+ * Changelog entry types for link changes, in display order:
+ * - added / removed: link added to or removed from a category
+ * - moved: link now listed in another category (previousCategoryId)
+ * - renamed: link name changed (previousLinkName)
+ * - updated: URL changed for the same link ID (previousLinkUrl) or description edited
+ */
+export const LINK_CHANGE_TYPES = ['added', 'moved', 'renamed', 'updated', 'removed'];
+
 /**
  * Validates a single Link object
  * @param {Object} link - Link object to validate
@@ -59,6 +76,29 @@ export function validateLink(link) {
     return false;
   }
 
+  // Optional tags validation: unique lowercase slugs (e.g. "ssf", "trade-league")
+  if (link.tags !== undefined) {
+    if (!Array.isArray(link.tags)) {
+      return false;
+    }
+    const validTags = link.tags.every(
+      (tag) => typeof tag === 'string' && tag.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(tag)
+    );
+    if (!validTags || new Set(link.tags).size !== link.tags.length) {
+      return false;
+    }
+  }
+
+  // Optional health status and a short note explaining it (e.g. "Replaced by poe2db.tw")
+  if (link.status !== undefined && !LINK_STATUSES.includes(link.status)) {
+    return false;
+  }
+  if (link.statusNote !== undefined) {
+    if (typeof link.statusNote !== 'string' || link.statusNote.length > MAX_STATUS_NOTE_LENGTH) {
+      return false;
+    }
+  }
+
   return true;
 }
 
@@ -129,6 +169,9 @@ function validateCategoryStructure(category) {
   return poe1Valid && poe2Valid;
 }
 
+/** localStorage key for the selected game ('poe1' or 'poe2') */
+export const GAME_STORAGE_KEY = 'poe-game-selection';
+
 /**
  * Gets the current selected game (poe1 or poe2)
  * Checks URL hash first, then localStorage, then defaults to poe1
@@ -142,7 +185,7 @@ export function getCurrentGame() {
   }
   
   // Fall back to localStorage
-  const stored = localStorage.getItem('poe-game-selection');
+  const stored = localStorage.getItem(GAME_STORAGE_KEY);
   return stored === 'poe2' ? 'poe2' : 'poe1'; // Default to poe1
 }
 
@@ -152,7 +195,7 @@ export function getCurrentGame() {
  */
 export function setCurrentGame(game) {
   if (game === 'poe1' || game === 'poe2') {
-    localStorage.setItem('poe-game-selection', game);
+    localStorage.setItem(GAME_STORAGE_KEY, game);
   }
 }
 
@@ -222,7 +265,8 @@ export async function loadLinks(game = null) {
           continue;
         }
         
-        resolvedLinks.push(linkItem);
+        // Keep the link-item ID so user preferences (pins, etc.) can reference it
+        resolvedLinks.push({ id: linkId, ...linkItem });
       }
       
       // Only include categories that have links for the selected game
@@ -316,8 +360,8 @@ export function validateEvent(event) {
     if (typeof event.bannerImageUrl !== 'string' || event.bannerImageUrl.length > 500) {
       return false;
     }
-    // Validate URL format if provided
-    if (event.bannerImageUrl.trim().length > 0) {
+    // Validate URL format if provided; relative paths (e.g. /images/...) are allowed as for leagues
+    if (event.bannerImageUrl.trim().length > 0 && !event.bannerImageUrl.startsWith('/')) {
       try {
         new URL(event.bannerImageUrl);
       } catch {
@@ -515,17 +559,22 @@ export function validateChangelogEntry(entry) {
     return false;
   }
 
-  // Type validation: must be "added", "removed", or "note"
+  // Type validation: must be "note" or one of LINK_CHANGE_TYPES
   if (!entry.type || typeof entry.type !== 'string') {
     return false;
   }
 
+  // Optional game: the entry only concerns one game (missing means both)
+  if (entry.game !== undefined && entry.game !== 'poe1' && entry.game !== 'poe2') {
+    return false;
+  }
+
   // Handle "note" type entries (general messages)
   if (entry.type === 'note') {
     return entry.message && typeof entry.message === 'string' && entry.message.trim().length > 0;
   }
 
-  if (entry.type !== 'added' && entry.type !== 'removed') {
+  if (!LINK_CHANGE_TYPES.includes(entry.type)) {
     return false;
   }
 
@@ -555,6 +604,37 @@ export function validateChangelogEntry(entry) {
     return false;
   }
 
+  // Type-specific details: where a link moved from, its old name or old URL
+  if (entry.type === 'moved') {
+    if (
+      !entry.previousCategoryId ||
+      typeof entry.previousCategoryId !== 'string' ||
+      entry.previousCategoryId.trim().length === 0
+    ) {
+      return false;
+    }
+  }
+  if (entry.type === 'renamed') {
+    if (
+      !entry.previousLinkName ||
+      typeof entry.previousLinkName !== 'string' ||
+      entry.previousLinkName.trim().length === 0 ||
+      entry.previousLinkName.length > 100
+    ) {
+      return false;
+    }
+  }
+  if (entry.type === 'updated' && entry.previousLinkUrl !== undefined) {
+    try {
+      const previousUrl = new URL(entry.previousLinkUrl);
+      if (!['http:', 'https:'].includes(previousUrl.protocol)) {
+        return false;
+      }
+    } catch {
+      return false;
+    }
+  }
+
   return true;
 }
 
@@ -7,7 +7,7 @@
 let lastFocusedElement = null;
 let pendingLinkUrl = null;
 
-const DISCLAIMER_STORAGE_KEY = 'poe-link-collection-disclaimer-acknowledged';
+export const DISCLAIMER_STORAGE_KEY = 'poe-link-collection-disclaimer-acknowledged';
 const DISCLAIMER_CATEGORIES = ['browser-extensions', 'game-overlay'];
 
 /**
@@ -3,6 +3,8 @@
  * Handles event/league data processing and rendering
  */
 
+import { createAddToCalendarButton, createCalendarSubscribeLink } from './calendar.js';
+
 /**
  * Formats duration in milliseconds to human-readable string
  * @param {number} milliseconds - Duration in milliseconds
@@ -260,6 +262,11 @@ export function renderEvent(container, event) {
     eventElement.appendChild(linkElement);
   }
 
+  // Add to calendar (not for events that have already ended)
+  if (endDate > new Date()) {
+    eventElement.appendChild(createAddToCalendarButton(event, 'event'));
+  }
+
   container.appendChild(eventElement);
 }
 
@@ -298,7 +305,10 @@ export function renderEventsSection(container, events, currentGame = null) {
   sectionTitle.textContent = 'EVENTS';
   sectionHeader.appendChild(sectionTitle);
   
-  // Add "Suggest an Event" button to header
+  // Calendar feed for the selected game, then the "Suggest an Event" button
+  if (currentGame) {
+    sectionHeader.appendChild(createCalendarSubscribeLink(currentGame));
+  }
   addSuggestEventButton(sectionHeader);
   
   container.appendChild(sectionHeader);
@@ -0,0 +1,90 @@
+/**
+ * Last Visit Module
+ * Handles remembering the last update a visitor has seen, for the "new since your last visit"
+ * badge on the Updates button, highlighted changelog groups and new links in the grid
+ */
+
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+
+/** localStorage key for the `lastUpdated` value of updates.json the visitor last saw */
+export const LAST_SEEN_UPDATE_STORAGE_KEY = 'poe-last-seen-update';
+
+/** Days after `added` that a link stays "New" for visitors without a last seen update */
+export const NEW_LINK_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an ISO timestamp
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {number|null} - Milliseconds since the epoch, or null when missing or invalid
+ */
+function toTime(timestamp) {
+  if (!timestamp || typeof timestamp !== 'string') return null;
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Gets the `lastUpdated` value the visitor last saw
+ * @returns {string|null} - ISO timestamp, or null on a first visit
+ */
+export function getLastSeenUpdate() {
+  const stored = readStoredJSON(LAST_SEEN_UPDATE_STORAGE_KEY, null);
+  return toTime(stored) === null ? null : stored;
+}
+
+/**
+ * Remembers that the visitor has seen the updates up to `timestamp`
+ * @param {string} timestamp - `lastUpdated` of updates.json
+ * @returns {boolean} - True if saved
+ */
+export function setLastSeenUpdate(timestamp) {
+  if (toTime(timestamp) === null) return false;
+  return writeStoredJSON(LAST_SEEN_UPDATE_STORAGE_KEY, timestamp);
+}
+
+/**
+ * Checks whether a timestamp is after the last seen update
+ * @param {string} timestamp - e.g. a changelog group date or link.added
+ * @param {string|null} since - Last seen update; nothing is new without one (first visit)
+ * @returns {boolean}
+ */
+export function isNewSince(timestamp, since) {
+  const time = toTime(timestamp);
+  const sinceTime = toTime(since);
+  return time !== null && sinceTime !== null && time > sinceTime;
+}
+
+/**
+ * Checks whether a link counts as new: added after the last seen update or, without one
+ * (first visit), within NEW_LINK_DAYS
+ * @param {string} added - link.added
+ * @param {string|null} since - Last seen update
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isNewLink(added, since, now = new Date()) {
+  if (toTime(since) !== null) return isNewSince(added, since);
+
+  const time = toTime(added);
+  if (time === null) return false;
+  const age = now.getTime() - time;
+  return age >= 0 && age <= NEW_LINK_DAYS * DAY_MS;
+}
+
+/**
+ * Counts changelog entries in groups dated after the last seen update
+ * @param {Array} changelog - Array of changelog date groups
+ * @param {string|null} since - Last seen update
+ * @returns {number}
+ */
+export function countUnreadEntries(changelog, since) {
+  if (!Array.isArray(changelog)) return 0;
+  return changelog.reduce((count, group) => {
+    if (!group || !Array.isArray(group.entries) || !isNewSince(group.date, since)) {
+      return count;
+    }
+    return count + group.entries.length;
+  }, 0);
+}
@@ -0,0 +1,108 @@
+/**
+ * Layout Module
+ * Handles the link layout preference (compact chips, icon grid or detailed cards) and its switcher
+ */
+
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+
+/** localStorage key for the selected layout mode */
+export const LAYOUT_STORAGE_KEY = 'poe-link-layout';
+
+/** Layout modes in switcher order; 'compact' is the original chip style */
+export const LAYOUT_MODES = [
+  { id: 'compact', label: 'Compact', description: 'Compact list' },
+  { id: 'icons', label: 'Icons', description: 'Icon grid' },
+  { id: 'cards', label: 'Cards', description: 'Detailed cards' },
+];
+
+export const DEFAULT_LAYOUT = 'compact';
+
+/**
+ * Checks whether a value is a known layout mode ID
+ * @param {*} layout
+ * @returns {boolean}
+ */
+export function isValidLayout(layout) {
+  return LAYOUT_MODES.some((mode) => mode.id === layout);
+}
+
+/**
+ * Gets the saved layout mode
+ * @returns {string} - Layout mode ID (DEFAULT_LAYOUT if nothing valid is saved)
+ */
+export function getLayout() {
+  const stored = readStoredJSON(LAYOUT_STORAGE_KEY, DEFAULT_LAYOUT);
+  return isValidLayout(stored) ? stored : DEFAULT_LAYOUT;
+}
+
+/**
+ * Saves the layout mode
+ * @param {string} layout - Layout mode ID
+ * @returns {boolean} - True if the layout was saved
+ */
+export function setLayout(layout) {
+  if (!isValidLayout(layout)) {
+    console.warn('Unknown layout mode:', layout);
+    return false;
+  }
+  return writeStoredJSON(LAYOUT_STORAGE_KEY, layout);
+}
+
+/**
+ * Marks the selected layout in a switcher (e.g. after settings were imported)
+ * @param {HTMLElement} group - Switcher returned by renderLayoutSwitcher
+ * @param {string} layout - Selected layout mode ID
+ */
+export function updateLayoutSwitcher(group, layout) {
+  if (!group) return;
+
+  group.querySelectorAll('.layout-switcher-button').forEach((button) => {
+    const selected = button.getAttribute('data-layout') === layout;
+    button.setAttribute('aria-pressed', String(selected));
+    button.classList.toggle('active', selected);
+  });
+}
+
+/**
+ * Renders the layout switcher (one toggle button per mode) into the link toolbar
+ * @param {HTMLElement} container - Toolbar element
+ * @param {string} currentLayout - Selected layout mode ID
+ * @param {Function} onChange - Called with the new layout mode ID after it is saved
+ * @returns {HTMLElement|null} - The switcher group
+ */
+export function renderLayoutSwitcher(container, currentLayout, onChange) {
+  if (!container) {
+    return null;
+  }
+
+  const group = document.createElement('div');
+  group.className = 'layout-switcher';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Link layout');
+
+  LAYOUT_MODES.forEach((mode) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'link-toolbar-button layout-switcher-button';
+    button.textContent = mode.label;
+    button.title = mode.description;
+    button.setAttribute('data-layout', mode.id);
+    group.appendChild(button);
+  });
+  updateLayoutSwitcher(group, currentLayout);
+
+  group.addEventListener('click', (event) => {
+    const button = event.target.closest('.layout-switcher-button');
+    if (!button || button.getAttribute('aria-pressed') === 'true') return;
+
+    const layout = button.getAttribute('data-layout');
+    setLayout(layout);
+    updateLayoutSwitcher(group, layout);
+    if (typeof onChange === 'function') {
+      onChange(layout);
+    }
+  });
+
+  container.appendChild(group);
+  return group;
+}
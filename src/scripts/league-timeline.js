@@ -0,0 +1,247 @@
+/**
+ * League Timeline Module
+ * Handles the horizontal timeline of every league in leagues.json: one row per game on a
+ * scrollable time axis, with start/end markers, durations and a "today" line. The running
+ * and upcoming leagues are highlighted.
+ */
+
+import { calculateEventDurations } from './events.js';
+import { getRunningLeagueForGame, getUpcomingLeaguesForGame } from './leagues.js';
+
+/** Rows of the timeline, top to bottom */
+const TIMELINE_GAMES = [
+  { id: 'poe1', label: 'PoE 1' },
+  { id: 'poe2', label: 'PoE 2' },
+];
+
+/** Horizontal scale of the track */
+const TIMELINE_PX_PER_DAY = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_LABEL_OPTIONS = { month: 'short', timeZone: 'UTC' };
+
+/**
+ * Gets the time span the timeline covers: every league and today, padded to whole
+ * months with one extra month on each side
+ * @param {Array} leagues - Validated League objects
+ * @param {Date} [now]
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getTimelineRange(leagues, now = new Date()) {
+  const times = [now.getTime()];
+  (Array.isArray(leagues) ? leagues : []).forEach((league) => {
+    const start = new Date(league && league.startDate).getTime();
+    const end = new Date(league && league.endDate).getTime();
+    if (!isNaN(start) && !isNaN(end)) times.push(start, end);
+  });
+
+  const min = new Date(Math.min(...times));
+  const max = new Date(Math.max(...times));
+  return {
+    start: new Date(Date.UTC(min.getUTCFullYear(), min.getUTCMonth() - 1, 1)),
+    end: new Date(Date.UTC(max.getUTCFullYear(), max.getUTCMonth() + 2, 1)),
+  };
+}
+
+/**
+ * Gets the state of a league relative to now, using the same rules as the Leagues section
+ * @param {Object} league - League object
+ * @param {Array} leagues - Every league (to find the running one per game)
+ * @param {Date} now
+ * @returns {'running'|'upcoming'|'past'}
+ */
+export function getLeagueTimelineState(league, leagues, now = new Date()) {
+  if (getRunningLeagueForGame(leagues, league.game, now) === league) {
+    return 'running';
+  }
+  if (getUpcomingLeaguesForGame(leagues, league.game, now).includes(league)) {
+    return 'upcoming';
+  }
+  return 'past';
+}
+
+/**
+ * Converts a date to a position on the track
+ * @param {Date|string} date
+ * @param {{ start: Date, end: Date }} range - From getTimelineRange
+ * @returns {number} - Percentage of the track width (0-100)
+ */
+export function getTimelinePosition(date, range) {
+  const total = range.end - range.start;
+  const offset = new Date(date) - range.start;
+  return Math.min(100, Math.max(0, (offset / total) * 100));
+}
+
+/**
+ * Formats a date for bar labels
+ * @param {Date} date
+ * @returns {string} - e.g. "Mar 6, 2026"
+ */
+function formatTimelineDate(date) {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Renders the month ticks of the time axis (year on January and the first month)
+ * @param {HTMLElement} track - Track element
+ * @param {{ start: Date, end: Date }} range
+ */
+function renderTimelineAxis(track, range) {
+  const axis = document.createElement('div');
+  axis.className = 'league-timeline-axis';
+  axis.setAttribute('aria-hidden', 'true');
+
+  let month = new Date(range.start);
+  while (month < range.end) {
+    const tick = document.createElement('span');
+    tick.className = 'league-timeline-tick';
+    tick.style.left = `${getTimelinePosition(month, range)}%`;
+    const showYear = month.getUTCMonth() === 0 || month.getTime() === range.start.getTime();
+    if (showYear) tick.classList.add('league-timeline-tick--year');
+    tick.textContent = showYear
+      ? `${month.toLocaleDateString('en-US', MONTH_LABEL_OPTIONS)} ${month.getUTCFullYear()}`
+      : month.toLocaleDateString('en-US', MONTH_LABEL_OPTIONS);
+    axis.appendChild(tick);
+    month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1));
+  }
+
+  track.appendChild(axis);
+}
+
+/**
+ * Creates the bar of one league
+ * @param {Object} league - League object
+ * @param {string} state - From getLeagueTimelineState
+ * @param {{ start: Date, end: Date }} range
+ * @returns {HTMLElement}
+ */
+function createTimelineBar(league, state, range) {
+  const startDate = new Date(league.startDate);
+  const endDate = new Date(league.endDate);
+  const left = getTimelinePosition(startDate, range);
+  const durations = calculateEventDurations(league);
+  const dates = `${formatTimelineDate(startDate)} – ${formatTimelineDate(endDate)}`;
+  const stateLabel = { running: 'running', upcoming: 'upcoming', past: 'ended' }[state];
+
+  const bar = document.createElement('div');
+  bar.className = `league-timeline-bar league-timeline-bar--${state}`;
+  bar.setAttribute('role', 'listitem');
+  bar.setAttribute('data-league-id', league.id);
+  bar.style.left = `${left}%`;
+  bar.style.width = `${getTimelinePosition(endDate, range) - left}%`;
+  bar.title = `${league.name} (${stateLabel}): ${dates}${durations ? `, ${durations.totalDuration}` : ''}`;
+  bar.setAttribute('aria-label', bar.title);
+
+  ['start', 'end'].forEach((edge) => {
+    const marker = document.createElement('span');
+    marker.className = `league-timeline-marker league-timeline-marker--${edge}`;
+    marker.setAttribute('aria-hidden', 'true');
+    bar.appendChild(marker);
+  });
+
+  const name = document.createElement('span');
+  name.className = 'league-timeline-name';
+  name.textContent = league.name;
+  bar.appendChild(name);
+
+  if (durations) {
+    const duration = document.createElement('span');
+    duration.className = 'league-timeline-duration';
+    duration.textContent = durations.totalDuration;
+    bar.appendChild(duration);
+  }
+  return bar;
+}
+
+/**
+ * Renders the league timeline
+ * @param {HTMLElement} container - Container element (usually #league-timeline)
+ * @param {Array} leagues - Validated League objects (both games)
+ * @param {string} [currentGame] - Selected game; its row is highlighted
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Position of the "today" line
+ */
+export function renderLeagueTimeline(container, leagues, currentGame = null, options = {}) {
+  if (!container) {
+    console.error('League timeline container not found');
+    return;
+  }
+
+  container.innerHTML = '';
+
+  const title = document.createElement('h2');
+  title.className = 'section-title league-timeline-title';
+  title.id = 'league-timeline-title';
+  title.textContent = 'LEAGUE TIMELINE';
+  container.appendChild(title);
+
+  const validLeagues = (Array.isArray(leagues) ? leagues : []).filter(
+    (league) =>
+      league &&
+      !isNaN(new Date(league.startDate).getTime()) &&
+      !isNaN(new Date(league.endDate).getTime())
+  );
+  if (validLeagues.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.setAttribute('role', 'status');
+    emptyState.textContent = 'No leagues available.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  const now = options.now || new Date();
+  const range = getTimelineRange(validLeagues, now);
+  const days = Math.round((range.end - range.start) / DAY_MS);
+
+  const scroller = document.createElement('div');
+  scroller.className = 'league-timeline-scroll';
+  scroller.setAttribute('tabindex', '0');
+  scroller.setAttribute('aria-labelledby', 'league-timeline-title');
+
+  const track = document.createElement('div');
+  track.className = 'league-timeline-track';
+  track.style.width = `${days * TIMELINE_PX_PER_DAY}px`;
+  renderTimelineAxis(track, range);
+
+  TIMELINE_GAMES.forEach((game) => {
+    const row = document.createElement('div');
+    row.className = 'league-timeline-row';
+    if (game.id === currentGame) row.classList.add('league-timeline-row--current');
+    row.setAttribute('role', 'list');
+    row.setAttribute('aria-label', `${game.label} leagues`);
+
+    const label = document.createElement('span');
+    label.className = 'league-timeline-row-label';
+    label.setAttribute('aria-hidden', 'true');
+    label.textContent = game.label;
+    row.appendChild(label);
+
+    validLeagues
+      .filter((league) => league.game === game.id)
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+      .forEach((league) => {
+        const state = getLeagueTimelineState(league, validLeagues, now);
+        row.appendChild(createTimelineBar(league, state, range));
+      });
+    track.appendChild(row);
+  });
+
+  const todayLine = document.createElement('div');
+  todayLine.className = 'league-timeline-today';
+  todayLine.style.left = `${getTimelinePosition(now, range)}%`;
+  todayLine.setAttribute('aria-hidden', 'true');
+  const todayLabel = document.createElement('span');
+  todayLabel.className = 'league-timeline-today-label';
+  todayLabel.textContent = 'Today';
+  todayLine.appendChild(todayLabel);
+  track.appendChild(todayLine);
+
+  scroller.appendChild(track);
+  container.appendChild(scroller);
+
+  // Start scrolled so that today is in the middle
+  const todayOffset = (getTimelinePosition(now, range) / 100) * days * TIMELINE_PX_PER_DAY;
+  scroller.scrollLeft = Math.max(0, todayOffset - scroller.clientWidth / 2);
+}
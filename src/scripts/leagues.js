@@ -4,6 +4,7 @@
  */
 
 import { calculateEventDurations, formatDurationWithSeconds, getCountdownParts } from './events.js';
+import { createAddToCalendarButton } from './calendar.js';
 
 /** @type {ReturnType<typeof setInterval> | null} */
 let runningForIntervalId = null;
@@ -385,6 +386,7 @@ export function renderLeague(container, league) {
     panel.appendChild(label);
     panel.appendChild(bar);
     panel.appendChild(datesElement);
+    panel.appendChild(createAddToCalendarButton(league, 'league'));
     leagueElement.appendChild(panel);
   } else {
     const logoDatesRow = document.createElement('div');
@@ -0,0 +1,139 @@
+/**
+ * Link Status Module
+ * Handles link health status labels and the preference for hiding dead links
+ */
+
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+
+/** localStorage key for the "hide dead links" preference */
+export const HIDE_DEAD_LINKS_STORAGE_KEY = 'poe-link-hide-dead';
+
+/** Badge labels for statuses worth pointing out; 'ok' links get no badge */
+const STATUS_BADGE_LABELS = {
+  degraded: 'Degraded',
+  dead: 'Dead',
+  moved: 'Moved',
+};
+
+/**
+ * Returns the badge label for a link's status
+ * @param {Object} link - Link object
+ * @returns {string} - Label, or empty string when the link needs no badge
+ */
+export function getLinkStatusLabel(link) {
+  return (link && STATUS_BADGE_LABELS[link.status]) || '';
+}
+
+/**
+ * Builds the status line shown in a link's tooltip (e.g. "Status: Dead – Site shut down in 2023")
+ * @param {Object} link - Link object
+ * @returns {string} - Status line, or empty string when there is nothing to say
+ */
+export function getLinkStatusText(link) {
+  if (!link) return '';
+  const label = getLinkStatusLabel(link) || (link.status === 'ok' ? 'OK' : '');
+  const note = typeof link.statusNote === 'string' ? link.statusNote.trim() : '';
+  if (!label) return note;
+  // An OK status is only worth mentioning when it comes with a note
+  if (link.status === 'ok' && !note) return '';
+  return note ? `Status: ${label} – ${note}` : `Status: ${label}`;
+}
+
+/**
+ * Checks whether a link is marked as dead
+ * @param {Object} link - Link object
+ * @returns {boolean}
+ */
+export function isDeadLink(link) {
+  return Boolean(link) && link.status === 'dead';
+}
+
+/**
+ * Counts dead links across categories, counting each link once
+ * @param {Array} categories - Array of Category objects
+ * @returns {number}
+ */
+export function countDeadLinks(categories) {
+  const seen = new Set();
+  (Array.isArray(categories) ? categories : []).forEach((category) => {
+    (category.links || []).forEach((link) => {
+      if (isDeadLink(link)) seen.add(link.id || link.url);
+    });
+  });
+  return seen.size;
+}
+
+/**
+ * Removes dead links from categories. Categories left without links are dropped.
+ * @param {Array} categories - Array of Category objects
+ * @returns {Array} - New array of Category objects
+ */
+export function filterDeadLinks(categories) {
+  if (!Array.isArray(categories)) return [];
+
+  return categories
+    .map((category) => ({
+      ...category,
+      links: (category.links || []).filter((link) => !isDeadLink(link)),
+    }))
+    .filter((category) => category.links.length > 0);
+}
+
+/**
+ * Gets the "hide dead links" preference
+ * @returns {boolean} - True if dead links should be hidden (off by default)
+ */
+export function getHideDeadLinks() {
+  return readStoredJSON(HIDE_DEAD_LINKS_STORAGE_KEY, false) === true;
+}
+
+/**
+ * Saves the "hide dead links" preference
+ * @param {boolean} hide - True to hide dead links
+ * @returns {boolean} - True if the preference was saved
+ */
+export function setHideDeadLinks(hide) {
+  return writeStoredJSON(HIDE_DEAD_LINKS_STORAGE_KEY, Boolean(hide));
+}
+
+/**
+ * Updates the hide dead links toggle. The button is hidden while no link is dead.
+ * @param {HTMLButtonElement} button - Button returned by renderHideDeadLinksButton
+ * @param {boolean} hidden - Whether dead links are currently hidden
+ * @param {number} deadCount - Number of dead links for the current game
+ */
+export function updateHideDeadLinksButton(button, hidden, deadCount) {
+  if (!button) return;
+
+  button.hidden = deadCount === 0;
+  button.setAttribute('aria-pressed', String(hidden));
+  button.classList.toggle('active', hidden);
+  button.textContent = `Hide dead links (${deadCount})`;
+}
+
+/**
+ * Renders the toolbar toggle for hiding dead links
+ * @param {HTMLElement} container - Container element (usually #link-toolbar)
+ * @param {Function} onToggle - Called with the new preference after it is saved
+ * @returns {HTMLButtonElement|null} - The created button (hidden until updateHideDeadLinksButton
+ *   is called with dead links)
+ */
+export function renderHideDeadLinksButton(container, onToggle) {
+  if (!container) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-toolbar-button hide-dead-links-button';
+  updateHideDeadLinksButton(button, getHideDeadLinks(), 0);
+  button.addEventListener('click', () => {
+    const hide = button.getAttribute('aria-pressed') !== 'true';
+    setHideDeadLinks(hide);
+    if (typeof onToggle === 'function') {
+      onToggle(hide);
+    }
+  });
+  container.appendChild(button);
+  return button;
+}
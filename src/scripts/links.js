@@ -5,6 +5,12 @@
 
 import { validateLink } from './data.js';
 import { requiresDisclaimer, hasAcknowledgedDisclaimer, openDisclaimerDialog } from './disclaimer.js';
+import { buildPinnedCategory, PINNED_CATEGORY_ID } from './pins.js';
+import { applyHiddenItems } from './customize.js';
+import { applyCustomOrder } from './reorder.js';
+import { getLinkStatusLabel, getLinkStatusText } from './link-status.js';
+import { formatLinkAge, getLinkAgeDays, isStaleLink } from './stale-links.js';
+import { isNewLink } from './last-visit.js';
 
 /**
  * Resolves an icon path, handling base URL for development/production
@@ -28,26 +34,17 @@ function resolveIconPath(iconPath) {
   return iconPath;
 }
 
-/** Number of days after "added" date to still show the "new" indicator */
-const NEW_LINK_DAYS = 14;
+/** Short labels for links shown from the other game (e.g. when searching both games) */
+const GAME_BADGE_LABELS = {
+  poe1: 'PoE 1',
+  poe2: 'PoE 2',
+};
 
-/**
- * Returns true if the given added date is within NEW_LINK_DAYS of today
- * @param {string} addedDateString - ISO date string (e.g. link.added)
- * @returns {boolean}
- */
-function isNewLink(addedDateString) {
-  if (!addedDateString) return false;
-  try {
-    const added = new Date(addedDateString);
-    const now = new Date();
-    const diffMs = now - added;
-    const diffDays = diffMs / (24 * 60 * 60 * 1000);
-    return diffDays >= 0 && diffDays <= NEW_LINK_DAYS;
-  } catch {
-    return false;
-  }
-}
+/** Layouts with their own link markup; anything else renders the compact chip style */
+const LINK_LAYOUT_CLASSES = {
+  icons: 'icon',
+  cards: 'card',
+};
 
 /**
  * Formats a date string to a readable format
@@ -70,13 +67,108 @@ function formatDate(dateString) {
   }
 }
 
+/**
+ * Creates the pin/unpin toggle button for a link
+ * @param {Object} link - Link object (must have an id)
+ * @param {Object} options - Rendering options with pinnedLinkIds and onTogglePin
+ * @returns {HTMLButtonElement}
+ */
+function createPinToggle(link, options) {
+  const isPinned = Array.isArray(options.pinnedLinkIds) && options.pinnedLinkIds.includes(link.id);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-pin-toggle';
+  if (isPinned) {
+    button.classList.add('link-pin-toggle--active');
+  }
+  button.setAttribute('aria-pressed', String(isPinned));
+  button.setAttribute('aria-label', isPinned ? `Unpin ${link.name}` : `Pin ${link.name}`);
+  button.title = isPinned ? 'Unpin' : 'Pin to top';
+  button.textContent = isPinned ? '\u2605' : '\u2606';
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    options.onTogglePin(link.id);
+  });
+  return button;
+}
+
+/**
+ * Creates the hide button shown on categories and links in customize mode
+ * @param {'category'|'link'} type - Item type passed to onToggleHidden
+ * @param {string} id - Category ID or link-item ID
+ * @param {string} label - Visible name of the item (used for the accessible label)
+ * @param {Function} onToggleHidden - Called with (type, id) when clicked
+ * @returns {HTMLButtonElement}
+ */
+function createHideToggle(type, id, label, onToggleHidden) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = type === 'category' ? 'category-hide-toggle' : 'link-hide-toggle';
+  button.setAttribute('aria-label', `Hide ${label}`);
+  button.title = 'Hide';
+  button.textContent = '\u00d7';
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    onToggleHidden(type, id);
+  });
+  return button;
+}
+
+/**
+ * Returns true when hide buttons should be shown (customize mode with a handler)
+ * @param {Object} options - Rendering options
+ * @returns {boolean}
+ */
+function canHideItems(options) {
+  return Boolean(options.customizeMode) && typeof options.onToggleHidden === 'function';
+}
+
+/**
+ * Returns true when drag handles should be shown (customize mode with reordering enabled)
+ * @param {Object} options - Rendering options
+ * @returns {boolean}
+ */
+function canReorderItems(options) {
+  return Boolean(options.customizeMode) && Boolean(options.reorderable);
+}
+
+/**
+ * Creates the move handle used to reorder a category or link.
+ * Dragging is handled on the draggable parent; the handle gives keyboard users arrow-key moves.
+ * @param {'category'|'link'} type - Item type
+ * @param {string} label - Visible name of the item (used for the accessible label)
+ * @returns {HTMLButtonElement}
+ */
+function createReorderHandle(type, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `reorder-handle reorder-handle--${type}`;
+  button.setAttribute('aria-label', `Move ${label}`);
+  button.setAttribute('aria-describedby', 'reorder-instructions');
+  button.title = 'Drag, or use the arrow keys, to move';
+  button.textContent = '\u2630';
+  return button;
+}
+
 /**
  * Renders a single link element
  * @param {HTMLElement} container - Container element to append link to
  * @param {Object} link - Link object to render
  * @param {string} categoryId - Category ID that this link belongs to
+ * @param {Object} [options] - Rendering options
+ * @param {Array<string>} [options.pinnedLinkIds] - IDs of pinned links (marks their pin toggle active)
+ * @param {Function} [options.onTogglePin] - Called with the link ID when its pin toggle is clicked;
+ *   when set, links with an ID are wrapped together with a pin toggle
+ * @param {boolean} [options.customizeMode] - Shows a hide button on links with an ID
+ * @param {Function} [options.onToggleHidden] - Called with ('link', linkId) when the hide button is clicked
+ * @param {boolean} [options.reorderable] - In customize mode, makes links with an ID draggable with a move handle
+ * @param {string} [options.layout] - 'compact' (default chip), 'icons' (icon only, name in the tooltip)
+ *   or 'cards' (description, status and last checked date shown inline)
+ * @param {string|null} [options.newSince] - Last update the visitor saw; links added after it
+ *   are marked "New" (without one, links added within NEW_LINK_DAYS are)
  */
-export function renderLink(container, link, categoryId) {
+export function renderLink(container, link, categoryId, options = {}) {
   if (!validateLink(link)) {
     console.warn('Invalid link skipped:', link);
     return;
@@ -88,28 +180,61 @@ export function renderLink(container, link, categoryId) {
     linkElement.target = '_blank';
     linkElement.rel = 'noopener noreferrer';
     linkElement.className = 'link-item';
-    if (link.added && isNewLink(link.added)) {
+    const layoutClass = LINK_LAYOUT_CLASSES[options.layout];
+    if (layoutClass) {
+      linkElement.classList.add(`link-item--${layoutClass}`);
+    }
+    if (isNewLink(link.added, options.newSince)) {
       linkElement.classList.add('link-item--new');
     }
-    linkElement.setAttribute('aria-label', link.description || `Visit ${link.name}`);
+    if (link.custom) {
+      linkElement.classList.add('link-item--custom');
+    }
+    const statusLabel = getLinkStatusLabel(link);
+    if (statusLabel) {
+      linkElement.classList.add(`link-item--${link.status}`);
+    }
+    const staleText = isStaleLink(link)
+      ? `Not verified in ${formatLinkAge(getLinkAgeDays(link.lastChecked))}`
+      : '';
+    if (staleText) {
+      linkElement.classList.add('link-item--stale');
+    }
+    const ariaLabel = link.description || `Visit ${link.name}`;
+    linkElement.setAttribute('aria-label', statusLabel ? `${ariaLabel} (${statusLabel})` : ariaLabel);
     linkElement.setAttribute('role', 'listitem');
     linkElement.setAttribute('data-category-id', categoryId);
+    if (link.id) {
+      linkElement.setAttribute('data-link-id', link.id);
+    }
 
     // Create tooltip content
     let tooltipContent = '';
     if (link.description) {
       tooltipContent = link.description;
     }
+    const statusText = getLinkStatusText(link);
+    if (statusText) {
+      tooltipContent = tooltipContent ? `${tooltipContent}\n\n${statusText}` : statusText;
+    }
     if (link.lastChecked) {
       const formattedDate = formatDate(link.lastChecked);
       if (tooltipContent) {
-        tooltipContent += `\n\nLast checked: ${formattedDate}`;
+        tooltipContent += `${statusText ? '\n' : '\n\n'}Last checked: ${formattedDate}`;
       } else {
         tooltipContent = `Last checked: ${formattedDate}`;
       }
+      if (staleText) {
+        tooltipContent += ` (${staleText.toLowerCase()})`;
+      }
+    }
+    // Icon-only links lead with the name since it is not shown
+    if (options.layout === 'icons') {
+      tooltipContent = tooltipContent ? `${link.name}\n\n${tooltipContent}` : link.name;
     }
-    
-    if (tooltipContent) {
+
+    // Cards show the same details inline instead of in a tooltip
+    if (tooltipContent && options.layout !== 'cards') {
       linkElement.setAttribute('data-tooltip', tooltipContent);
       linkElement.title = tooltipContent; // Fallback for accessibility
     }
@@ -129,18 +254,32 @@ export function renderLink(container, link, categoryId) {
         console.warn(`Failed to load icon for "${link.name}": ${iconUrl}`);
         // Hide icon if it fails to load
         this.style.display = 'none';
+        const fallback = linkElement.querySelector('.link-icon-fallback');
+        if (fallback) {
+          fallback.hidden = false;
+        }
       };
       linkElement.appendChild(iconImg);
     }
 
+    // Icon-only links without a (working) icon show the first letter of the name instead
+    if (options.layout === 'icons') {
+      const fallback = document.createElement('span');
+      fallback.className = 'link-icon-fallback';
+      fallback.textContent = link.name.trim().charAt(0).toUpperCase();
+      fallback.setAttribute('aria-hidden', 'true');
+      fallback.hidden = Boolean(iconUrl);
+      linkElement.appendChild(fallback);
+    }
+
     // Add link text
     const linkText = document.createElement('span');
     linkText.className = 'link-text';
     linkText.textContent = link.name;
     linkElement.appendChild(linkText);
 
-    // New indicator badge (when added within last 14 days)
-    if (link.added && isNewLink(link.added)) {
+    // New indicator badge (when added since the visitor's last visit, see isNewLink)
+    if (isNewLink(link.added, options.newSince)) {
       const newBadge = document.createElement('span');
       newBadge.className = 'link-item-new-badge';
       newBadge.textContent = 'New';
@@ -148,6 +287,63 @@ export function renderLink(container, link, categoryId) {
       linkElement.appendChild(newBadge);
     }
 
+    // Subtle marker for links the link checker has not verified in a while
+    if (staleText) {
+      const staleIndicator = document.createElement('span');
+      staleIndicator.className = 'link-item-stale-indicator';
+      staleIndicator.setAttribute('aria-hidden', 'true');
+      linkElement.appendChild(staleIndicator);
+    }
+
+    // Status badge for links that are not working as expected (dead, moved, degraded)
+    if (statusLabel) {
+      const statusBadge = document.createElement('span');
+      statusBadge.className = `link-item-status-badge link-item-status-badge--${link.status}`;
+      statusBadge.textContent = statusLabel;
+      statusBadge.setAttribute('aria-hidden', 'true');
+      linkElement.appendChild(statusBadge);
+    }
+
+    // Game badge for links pulled in from the other game
+    if (link.fromGame && GAME_BADGE_LABELS[link.fromGame]) {
+      linkElement.classList.add('link-item--other-game');
+      const gameBadge = document.createElement('span');
+      gameBadge.className = 'link-item-game-badge';
+      gameBadge.textContent = GAME_BADGE_LABELS[link.fromGame];
+      linkElement.appendChild(gameBadge);
+    }
+
+    // Cards show the description, status and last checked date below the name
+    if (options.layout === 'cards' && (link.description || statusText || link.lastChecked)) {
+      const details = document.createElement('span');
+      details.className = 'link-card-details';
+      if (link.description) {
+        const description = document.createElement('span');
+        description.className = 'link-card-description';
+        description.textContent = link.description;
+        details.appendChild(description);
+      }
+      if (statusText) {
+        const status = document.createElement('span');
+        status.className = 'link-card-status';
+        status.textContent = statusText;
+        details.appendChild(status);
+      }
+      if (link.lastChecked) {
+        const lastChecked = document.createElement('span');
+        lastChecked.className = 'link-card-checked';
+        lastChecked.textContent = `Last checked: ${formatDate(link.lastChecked)}`;
+        details.appendChild(lastChecked);
+        if (staleText) {
+          const stale = document.createElement('span');
+          stale.className = 'link-card-stale';
+          stale.textContent = staleText;
+          details.appendChild(stale);
+        }
+      }
+      linkElement.appendChild(details);
+    }
+
     // Add click handler to intercept clicks for disclaimer categories
     linkElement.addEventListener('click', (event) => {
       if (requiresDisclaimer(categoryId) && !hasAcknowledgedDisclaimer()) {
@@ -157,7 +353,35 @@ export function renderLink(container, link, categoryId) {
       // If disclaimer not required or already acknowledged, let default behavior proceed
     });
 
-    container.appendChild(linkElement);
+    // Pin and hide toggles sit next to the link rather than inside it, so they stay separate controls
+    const actions = [];
+    if (link.id && !link.fromGame) {
+      if (typeof options.onTogglePin === 'function') {
+        actions.push(createPinToggle(link, options));
+      }
+      if (canHideItems(options)) {
+        actions.push(createHideToggle('link', link.id, link.name, options.onToggleHidden));
+      }
+      if (canReorderItems(options)) {
+        actions.push(createReorderHandle('link', link.name));
+      }
+    }
+
+    if (actions.length > 0) {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'link-item-wrapper';
+      wrapper.setAttribute('role', 'listitem');
+      wrapper.setAttribute('data-link-id', link.id);
+      if (canReorderItems(options)) {
+        wrapper.setAttribute('draggable', 'true');
+      }
+      linkElement.removeAttribute('role');
+      wrapper.appendChild(linkElement);
+      actions.forEach((action) => wrapper.appendChild(action));
+      container.appendChild(wrapper);
+    } else {
+      container.appendChild(linkElement);
+    }
   } catch (error) {
     console.error('Error rendering link:', error, link);
   }
@@ -167,10 +391,14 @@ export function renderLink(container, link, categoryId) {
  * Renders a category section with its links
  * @param {HTMLElement} container - Container element to append category to
  * @param {Object} category - Category object to render
+ * @param {Object} [options] - Rendering options passed through to renderLink
  */
-export function renderCategory(container, category) {
+export function renderCategory(container, category, options = {}) {
   const section = document.createElement('section');
   section.className = 'category-section';
+  if (category.id === PINNED_CATEGORY_ID) {
+    section.classList.add('category-section--pinned');
+  }
   // Add full-width class for more-links category (special case)
   if (category.id === 'more-links') {
     section.classList.add('full-width');
@@ -189,13 +417,31 @@ export function renderCategory(container, category) {
   title.textContent = category.title;
   section.appendChild(title);
 
+  // The generated "Pinned" section is controlled by pins, not hidden or reordered directly
+  const isPinnedSection = category.id === PINNED_CATEGORY_ID;
+  if (canHideItems(options) && !isPinnedSection) {
+    section.appendChild(
+      createHideToggle('category', category.id, category.title, options.onToggleHidden)
+    );
+  }
+  // "More links" always stays last, but its links can still be reordered
+  if (canReorderItems(options) && !isPinnedSection && category.id !== 'more-links') {
+    section.setAttribute('draggable', 'true');
+    section.appendChild(createReorderHandle('category', category.title));
+  }
+  const linkOptions = isPinnedSection ? { ...options, reorderable: false } : options;
+
   const linksContainer = document.createElement('div');
   linksContainer.className = 'links-container';
+  if (LINK_LAYOUT_CLASSES[options.layout]) {
+    linksContainer.classList.add(`links-container--${LINK_LAYOUT_CLASSES[options.layout]}`);
+  }
   linksContainer.setAttribute('role', 'list');
   linksContainer.setAttribute('aria-label', `Links in ${category.title}`);
 
   category.links.forEach((link) => {
-    renderLink(linksContainer, link, category.id);
+    // Pinned links keep their original category so disclaimer checks still apply
+    renderLink(linksContainer, link, link.sourceCategoryId || category.id, linkOptions);
   });
 
   section.appendChild(linksContainer);
@@ -206,8 +452,19 @@ export function renderCategory(container, category) {
  * Renders all categories to the page
  * @param {HTMLElement} container - Container element (usually #categories)
  * @param {Array} categories - Array of Category objects to render
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.emptyMessage] - Text shown when there is nothing to render
+ * @param {Array<string>} [options.pinnedLinkIds] - Pinned link IDs, rendered as a "Pinned" category first
+ * @param {Function} [options.onTogglePin] - Pin toggle handler (see renderLink)
+ * @param {Object} [options.hiddenItems] - { categories: string[], links: string[] } left out of the page
+ * @param {boolean} [options.customizeMode] - Shows hide buttons on categories and links
+ * @param {Function} [options.onToggleHidden] - Called with (type, id) when a hide button is clicked
+ * @param {Object} [options.order] - Saved { categories, links } order applied on top of the links.json order
+ * @param {boolean} [options.reorderable] - In customize mode, makes categories and links draggable
+ * @param {string} [options.layout] - Link layout mode (see renderLink)
+ * @param {string|null} [options.newSince] - Marks links added after this as new (see renderLink)
  */
-export function renderAllCategories(container, categories) {
+export function renderAllCategories(container, categories, options = {}) {
   if (!container) {
     console.error('Categories container not found');
     return;
@@ -215,25 +472,53 @@ export function renderAllCategories(container, categories) {
 
   // Clear existing content
   container.innerHTML = '';
+  container.classList.toggle('categories--customizing', canHideItems(options));
 
-  if (!categories || categories.length === 0) {
+  const renderEmptyState = (message) => {
     const emptyState = document.createElement('div');
     emptyState.className = 'empty-state';
     emptyState.setAttribute('role', 'status');
     emptyState.setAttribute('aria-live', 'polite');
-    emptyState.textContent = 'No categories available.';
+    emptyState.textContent = message;
     container.appendChild(emptyState);
+  };
+
+  if (!categories || categories.length === 0) {
+    renderEmptyState(options.emptyMessage || 'No categories available.');
+    return;
+  }
+
+  const hiddenItems = options.hiddenItems || { categories: [], links: [] };
+  const visibleCategories = applyHiddenItems(applyCustomOrder(categories, options.order), hiddenItems);
+
+  // Pinned links stay pinned when only their category is hidden
+  const pinnedCategory = buildPinnedCategory(
+    applyHiddenItems(categories, { categories: [], links: hiddenItems.links }),
+    options.pinnedLinkIds
+  );
+
+  if (visibleCategories.length === 0 && !pinnedCategory) {
+    renderEmptyState('All links are hidden. Use Customize to restore them.');
     return;
   }
 
   // Separate "more-links" category from others
-  const moreLinksCategory = categories.find(cat => cat.id === 'more-links');
-  const otherCategories = categories.filter(cat => cat.id !== 'more-links');
+  const moreLinksCategory = visibleCategories.find(cat => cat.id === 'more-links');
+  const otherCategories = visibleCategories.filter(cat => cat.id !== 'more-links');
+
+  // Render "Pinned" category first (at the top)
+  if (pinnedCategory) {
+    try {
+      renderCategory(container, pinnedCategory, options);
+    } catch (error) {
+      console.error('Error rendering pinned category:', error, pinnedCategory);
+    }
+  }
 
-  // Render all other categories first
+  // Render all other categories next
   otherCategories.forEach((category) => {
     try {
-      renderCategory(container, category);
+      renderCategory(container, category, options);
     } catch (error) {
       console.error('Error rendering category:', error, category);
       // Continue rendering other categories even if one fails
@@ -243,7 +528,7 @@ export function renderAllCategories(container, categories) {
   // Render "more-links" category last (at the bottom)
   if (moreLinksCategory) {
     try {
-      renderCategory(container, moreLinksCategory);
+      renderCategory(container, moreLinksCategory, options);
     } catch (error) {
       console.error('Error rendering more-links category:', error, moreLinksCategory);
     }
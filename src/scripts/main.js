@@ -5,7 +5,55 @@
 
 import { loadLinks, loadEvents, loadLeagues, loadUpdates, getCurrentGame, setCurrentGame } from './data.js';
 import { renderAllCategories } from './links.js';
-import { renderNavigation, setupNavigationHandlers } from './navigation.js';
+import { renderLinkSearch, filterCategoriesByQuery, mergeCategoriesForSearch } from './search.js';
+import { collectTags, filterCategoriesByTags, renderTagFilter } from './tags.js';
+import { getPinnedLinkIds, togglePinnedLink, PINNED_CATEGORY_ID } from './pins.js';
+import {
+  getCustomCategories,
+  getCustomLinks,
+  mergeCustomLinks,
+  openCustomLinkDialog,
+  renderCustomLinksButton,
+  setupCustomLinkDialog,
+} from './custom-links.js';
+import {
+  clearHiddenItemsPanel,
+  getHiddenItems,
+  renderCustomizeButton,
+  renderHiddenItemsPanel,
+  restoreAllHiddenItems,
+  toggleHiddenItem,
+} from './customize.js';
+import {
+  applyCustomOrder,
+  getCustomOrder,
+  moveId,
+  resetCustomOrder,
+  saveCategoryOrder,
+  saveLinkOrder,
+  setupReorderHandlers,
+} from './reorder.js';
+import { getLayout, renderLayoutSwitcher, updateLayoutSwitcher } from './layout.js';
+import {
+  countDeadLinks,
+  filterDeadLinks,
+  getHideDeadLinks,
+  renderHideDeadLinksButton,
+  updateHideDeadLinksButton,
+} from './link-status.js';
+import { openSettingsDialog, renderSettingsButton, setupSettingsDialog } from './settings.js';
+import {
+  decodeCollection,
+  getCollectionParam,
+  openCollectionDialog,
+  removeCollectionParam,
+  renderCollectionView,
+  renderShareCollectionButton,
+  resolveCollectionLinks,
+  setupCollectionDialog,
+} from './collections.js';
+import { buildPaletteItems, setupCommandPalette } from './command-palette.js';
+import { renderNavigation, setupLinkGridNavigation, setupNavigationHandlers } from './navigation.js';
 import { renderEventsSection } from './events.js';
 import {
   getRunningLeagueForGame,
@@ -13,15 +61,61 @@ import {
   renderLeaguesSection,
   updateNavigationCurrentLeague,
 } from './leagues.js';
-import { renderUpdatesButton, toggleChangelog } from './updates.js';
+import { renderUpdatesButton, toggleChangelog, setChangelogGame } from './updates.js';
+import { getLastSeenUpdate, setLastSeenUpdate } from './last-visit.js';
+import {
+  SIDEBAR_VIEWS,
+  getSidebarView,
+  renderCalendarView,
+  renderSidebarViewToggle,
+  updateSidebarViewToggle,
+} from './calendar-view.js';
+import { renderLeagueTimeline } from './league-timeline.js';
+import { renderArchiveView } from './archive.js';
 import { setupContactDialog, openContactDialog } from './contact.js';
 import { setupDisclaimerDialog } from './disclaimer.js';
+import { openStaleLinksDialog, setupStaleLinksDialog } from './stale-links.js';
 import { setupEventSuggestionDialog, openEventSuggestionDialog } from './event-suggestion.js';
 
 // In-memory cache for events and leagues so we don't refetch on every game switch
 let cachedEvents = null;
 let cachedLeagues = null;
 
+// Sidebar view: an ID from SIDEBAR_VIEWS ('list' shows the leagues and events sections)
+let sidebarView = getSidebarView();
+
+// Categories for the current game as returned by loadLinks (before search filtering)
+let currentCategories = [];
+
+// Current link search state; renderToken discards stale async renders while typing
+let searchState = { query: '', includeOtherGame: false };
+let searchRenderToken = 0;
+
+// Selected tag filter chips; a link must have every selected tag
+let selectedTags = [];
+
+// Shared collection from the URL ({ title, linkIds }); while set, only its links are shown
+let activeCollection = null;
+
+// Customize mode shows hide buttons on categories and links plus the restore panel
+let customizeMode = false;
+
+// Nav "Updates" button, once update data has loaded (used by the command palette)
+let updatesButton = null;
+
+// updates.json lastUpdated seen on the previous visit (null on a first visit); read once per
+// page load so "new" markers stay put after the Updates overlay is opened
+const lastSeenUpdate = getLastSeenUpdate();
+
+// Toolbar layout switcher, kept so a settings import can update its selection
+let layoutSwitcher = null;
+
+// Sidebar List/Calendar/Timeline/Archive toggle, kept so a settings import can update its selection
+let sidebarViewToggle = null;
+
+// Toolbar "Hide dead links" toggle, updated with the dead link count on every render
+let hideDeadLinksButton = null;
+
 // Game selector click handlers are attached once to avoid stacking listeners on every switch
 let gameSelectorHandlersAttached = false;
 
@@ -64,8 +158,12 @@ async function loadAndRenderCategories(game = null) {
   categoriesContainer.innerHTML = '<div class="loading" role="status" aria-live="polite">Loading categories...</div>';
 
   try {
-    const categories = await loadLinks(game);
-    renderAllCategories(categoriesContainer, categories);
+    currentCategories = await loadLinks(game);
+    if (activeCollection) {
+      await renderActiveCollection();
+    } else {
+      await renderCategoriesView();
+    }
   } catch (error) {
     console.error('Error loading categories:', error);
     const errorDiv = document.createElement('div');
@@ -77,6 +175,478 @@ async function loadAndRenderCategories(game = null) {
   }
 }
 
+/**
+ * Builds the renderAllCategories options from the user's preferences for the current game
+ * @returns {Object}
+ */
+function getCategoryRenderOptions() {
+  return {
+    pinnedLinkIds: getPinnedLinkIds(getCurrentGame()),
+    onTogglePin: handleTogglePin,
+    hiddenItems: getHiddenItems(getCurrentGame()),
+    customizeMode,
+    onToggleHidden: handleToggleHidden,
+    order: getCustomOrder(getCurrentGame()),
+    reorderable: true,
+    layout: getLayout(),
+    newSince: lastSeenUpdate,
+  };
+}
+
+/**
+ * Saves a moved category or link and re-renders, keeping focus on the item's move handle
+ * @param {Object} move - { type, id, categoryId, targetId, position } from setupReorderHandlers
+ */
+async function handleReorder(move) {
+  const game = getCurrentGame();
+  // Work on the full (unfiltered) order so hidden and non-matching items keep their place
+  const categories = applyCustomOrder(
+    mergeCustomLinks(currentCategories, getCustomCategories(game), getCustomLinks(game)),
+    getCustomOrder(game)
+  );
+
+  if (move.type === 'category') {
+    const ids = categories.map((category) => category.id);
+    saveCategoryOrder(game, moveId(ids, move.id, move.targetId, move.position));
+  } else {
+    const category = categories.find((item) => item.id === move.categoryId);
+    if (!category) return;
+    const ids = category.links.map((link) => link.id).filter(Boolean);
+    saveLinkOrder(game, move.categoryId, moveId(ids, move.id, move.targetId, move.position));
+  }
+
+  await renderCategoriesView();
+
+  const selector =
+    move.type === 'category'
+      ? '#categories .category-section'
+      : `#categories .category-section:not([data-category-id="${PINNED_CATEGORY_ID}"]) .link-item-wrapper`;
+  const attribute = move.type === 'category' ? 'data-category-id' : 'data-link-id';
+  const element = Array.from(document.querySelectorAll(selector)).find(
+    (el) => el.getAttribute(attribute) === move.id
+  );
+  const handle = element && element.querySelector(`.reorder-handle--${move.type}`);
+  if (handle) {
+    handle.focus();
+  }
+}
+
+/**
+ * Pins or unpins a link, re-renders, and keeps keyboard focus on the link's pin toggle
+ * @param {string} linkId - Link-item ID
+ */
+async function handleTogglePin(linkId) {
+  togglePinnedLink(linkId, getCurrentGame());
+  await renderCategoriesView();
+
+  const wrappers = document.querySelectorAll(
+    `#categories .category-section:not([data-category-id="${PINNED_CATEGORY_ID}"]) .link-item-wrapper`
+  );
+  const wrapper = Array.from(wrappers).find((el) => el.getAttribute('data-link-id') === linkId);
+  const toggle = wrapper && wrapper.querySelector('.link-pin-toggle');
+  if (toggle) {
+    toggle.focus();
+  }
+}
+
+/**
+ * Hides or restores a category or link, re-renders, and moves focus to the matching control
+ * in the restore panel (after hiding) or back to the restored item's hide button
+ * @param {'category'|'link'} type - Item type
+ * @param {string} id - Category ID or link-item ID
+ */
+async function handleToggleHidden(type, id) {
+  const hidden = toggleHiddenItem(getCurrentGame(), type, id);
+  await renderCategoriesView();
+
+  let target = null;
+  if (hidden) {
+    target = Array.from(document.querySelectorAll('#hidden-items-panel .hidden-items-restore')).find(
+      (el) => el.getAttribute('data-hidden-type') === type && el.getAttribute('data-hidden-id') === id
+    );
+  } else if (type === 'category') {
+    const section = Array.from(document.querySelectorAll('#categories .category-section')).find(
+      (el) => el.getAttribute('data-category-id') === id
+    );
+    target = section && section.querySelector('.category-hide-toggle');
+  } else {
+    const wrapper = Array.from(document.querySelectorAll('#categories .link-item-wrapper')).find(
+      (el) => el.getAttribute('data-link-id') === id
+    );
+    target = wrapper && wrapper.querySelector('.link-hide-toggle');
+  }
+  if (target && typeof target.focus === 'function') {
+    target.focus();
+  }
+}
+
+/**
+ * Renders or clears the hidden items restore panel depending on customize mode
+ * @param {Array} categories - All categories for the current game, including custom links
+ */
+function renderCustomizePanel(categories) {
+  const panel = document.getElementById('hidden-items-panel');
+  if (!panel) return;
+
+  if (!customizeMode) {
+    clearHiddenItemsPanel(panel);
+    return;
+  }
+
+  const game = getCurrentGame();
+  renderHiddenItemsPanel(panel, getHiddenItems(game), categories, {
+    onRestore: handleToggleHidden,
+    onRestoreAll: () => {
+      restoreAllHiddenItems(game);
+      renderCategoriesView();
+    },
+    onResetOrder: () => {
+      resetCustomOrder(game);
+      renderCategoriesView();
+    },
+  });
+}
+
+/**
+ * Renders the read-only view of the shared collection from the URL.
+ * Links are looked up in both games so a collection can mix PoE 1 and PoE 2 links.
+ */
+async function renderActiveCollection() {
+  const categoriesContainer = document.getElementById('categories');
+  if (!categoriesContainer || !activeCollection) return;
+
+  const game = getCurrentGame();
+  const otherGame = game === 'poe1' ? 'poe2' : 'poe1';
+  let otherCategories = [];
+  try {
+    otherCategories = await loadLinks(otherGame);
+  } catch (error) {
+    console.error('Error loading links for other game:', error);
+  }
+
+  // The toolbar acts on the full link list, so it is hidden while viewing a collection
+  const toolbar = document.getElementById('link-toolbar');
+  if (toolbar) toolbar.hidden = true;
+  renderTagFilter(document.getElementById('tag-filter'), [], [], null);
+  clearHiddenItemsPanel(document.getElementById('hidden-items-panel'));
+
+  const links = resolveCollectionLinks(activeCollection.linkIds, [
+    ...currentCategories,
+    ...otherCategories,
+  ]);
+  renderCollectionView(categoriesContainer, activeCollection, links, exitCollectionView);
+}
+
+/**
+ * Leaves the shared collection view and shows all links again
+ */
+async function exitCollectionView() {
+  activeCollection = null;
+  try {
+    window.history.replaceState({}, '', removeCollectionParam());
+  } catch (_) {
+    // replaceState can throw in file:// context
+  }
+  updateURLHash(getCurrentGame());
+
+  const toolbar = document.getElementById('link-toolbar');
+  if (toolbar) toolbar.hidden = false;
+  await renderCategoriesView();
+
+  const searchInput = document.getElementById('link-search-input');
+  if (searchInput) {
+    searchInput.focus();
+  }
+}
+
+/**
+ * Renders the loaded categories, applying the current search query if any
+ */
+async function renderCategoriesView() {
+  const categoriesContainer = document.getElementById('categories');
+  if (!categoriesContainer || activeCollection) return;
+
+  const renderToken = ++searchRenderToken;
+  const renderOptions = getCategoryRenderOptions();
+  const game = getCurrentGame();
+  let categories = mergeCustomLinks(
+    currentCategories,
+    getCustomCategories(game),
+    getCustomLinks(game)
+  );
+
+  renderCustomizePanel(categories);
+
+  // Dead links are kept in the data for reference; the user can choose to hide them
+  const hideDeadLinks = getHideDeadLinks();
+  updateHideDeadLinksButton(hideDeadLinksButton, hideDeadLinks, countDeadLinks(categories));
+  if (hideDeadLinks) {
+    categories = filterDeadLinks(categories);
+  }
+
+  // Chips list the tags used in this game; selections that no longer apply are dropped
+  const tags = collectTags(categories);
+  selectedTags = selectedTags.filter((tag) => tags.some((item) => item.tag === tag));
+  renderTagFilter(document.getElementById('tag-filter'), tags, selectedTags, handleTagFilterChange);
+  if (selectedTags.length > 0) {
+    renderOptions.emptyMessage = 'No links have all of the selected tags.';
+  }
+
+  if (!searchState.query) {
+    renderAllCategories(
+      categoriesContainer,
+      filterCategoriesByTags(categories, selectedTags),
+      renderOptions
+    );
+    return;
+  }
+
+  if (searchState.includeOtherGame) {
+    const otherGame = game === 'poe1' ? 'poe2' : 'poe1';
+    try {
+      const otherCategories = await loadLinks(otherGame);
+      categories = mergeCategoriesForSearch(
+        categories,
+        hideDeadLinks ? filterDeadLinks(otherCategories) : otherCategories,
+        otherGame
+      );
+    } catch (error) {
+      console.error('Error loading links for other game:', error);
+    }
+  }
+
+  // A newer search started while the other game's links were loading
+  if (renderToken !== searchRenderToken) return;
+
+  renderAllCategories(
+    categoriesContainer,
+    filterCategoriesByTags(filterCategoriesByQuery(categories, searchState.query), selectedTags),
+    {
+      ...renderOptions,
+      emptyMessage: 'No links match your search.',
+    }
+  );
+}
+
+/**
+ * Applies a new tag selection and keeps focus on the chip that was clicked
+ * @param {Array<string>} tags - Selected tags
+ */
+async function handleTagFilterChange(tags) {
+  const focusedTag = document.activeElement ? document.activeElement.getAttribute('data-tag') : null;
+  selectedTags = tags;
+  await renderCategoriesView();
+
+  const tagFilter = document.getElementById('tag-filter');
+  if (!tagFilter) return;
+  const chip = focusedTag ? tagFilter.querySelector(`[data-tag="${focusedTag}"]`) : null;
+  const target = chip || tagFilter.querySelector('.tag-filter-chip');
+  if (target) {
+    target.focus();
+  }
+}
+
+/**
+ * Renders the link search box above the categories grid
+ */
+function setupLinkSearch() {
+  const toolbar = document.getElementById('link-toolbar');
+  if (!toolbar) return;
+
+  renderLinkSearch(toolbar, (state) => {
+    searchState = state;
+    renderCategoriesView();
+  });
+}
+
+/**
+ * Adds the "My Links" toolbar button and sets up the custom link dialog
+ */
+function setupCustomLinks() {
+  setupCustomLinkDialog(() => renderCategoriesView());
+
+  const customLinksButton = renderCustomLinksButton(document.getElementById('link-toolbar'));
+  if (customLinksButton) {
+    customLinksButton.addEventListener('click', () => {
+      openCustomLinkDialog(getCurrentGame(), currentCategories);
+    });
+  }
+}
+
+/**
+ * Adds the "Customize" toolbar button that toggles hide buttons, move handles and the restore panel
+ */
+function setupCustomize() {
+  setupReorderHandlers(document.getElementById('categories'), handleReorder);
+
+  renderCustomizeButton(document.getElementById('link-toolbar'), (enabled) => {
+    customizeMode = enabled;
+    renderCategoriesView();
+  });
+}
+
+/**
+ * Adds the layout switcher (compact, icons, cards) to the toolbar
+ */
+function setupLayoutSwitcher() {
+  layoutSwitcher = renderLayoutSwitcher(document.getElementById('link-toolbar'), getLayout(), () =>
+    renderCategoriesView()
+  );
+}
+
+/**
+ * Renders the month calendar for the current game (only while the calendar view is shown)
+ */
+function renderSidebarCalendar() {
+  const container = document.getElementById('calendar-view');
+  if (!container || sidebarView !== 'calendar') return;
+  renderCalendarView(container, cachedEvents || [], cachedLeagues || [], getCurrentGame());
+}
+
+/**
+ * Renders the league timeline of both games (only while the timeline view is shown)
+ */
+function renderSidebarTimeline() {
+  const container = document.getElementById('league-timeline');
+  if (!container || sidebarView !== 'timeline') return;
+  renderLeagueTimeline(container, cachedLeagues || [], getCurrentGame());
+}
+
+/**
+ * Renders the archive of past events and leagues (only while the archive view is shown)
+ */
+function renderSidebarArchive() {
+  const container = document.getElementById('archive');
+  if (!container || sidebarView !== 'archive') return;
+  renderArchiveView(container, cachedEvents || [], cachedLeagues || [], getCurrentGame());
+}
+
+/**
+ * Shows the selected sidebar view; the calendar, timeline and archive replace the
+ * leagues and events sections
+ */
+function applySidebarView() {
+  const sidebar = document.querySelector('.main-sidebar');
+  if (!sidebar) return;
+  SIDEBAR_VIEWS.forEach((view) => {
+    sidebar.classList.toggle(`main-sidebar--${view.id}`, view.id === sidebarView);
+  });
+  renderSidebarCalendar();
+  renderSidebarTimeline();
+  renderSidebarArchive();
+}
+
+/**
+ * Adds the List/Calendar/Timeline/Archive toggle to the sidebar
+ */
+function setupSidebarViewToggle() {
+  sidebarViewToggle = renderSidebarViewToggle(
+    document.getElementById('sidebar-view-toggle'),
+    sidebarView,
+    (view) => {
+      sidebarView = view;
+      applySidebarView();
+    }
+  );
+  applySidebarView();
+}
+
+/**
+ * Adds the "Hide dead links" toolbar toggle (shown only while the current game has dead links)
+ */
+function setupHideDeadLinks() {
+  hideDeadLinksButton = renderHideDeadLinksButton(document.getElementById('link-toolbar'), () =>
+    renderCategoriesView()
+  );
+}
+
+/**
+ * Adds the "Settings" toolbar button and sets up the export/import dialog.
+ * After an import, switches to the imported game or re-renders with the imported preferences.
+ */
+function setupSettings() {
+  setupSettingsDialog((settings) => {
+    updateLayoutSwitcher(layoutSwitcher, getLayout());
+    sidebarView = getSidebarView();
+    updateSidebarViewToggle(sidebarViewToggle, sidebarView);
+    applySidebarView();
+    if (settings.game) {
+      switchGame(settings.game);
+    } else {
+      renderCategoriesView();
+    }
+  });
+
+  const settingsButton = renderSettingsButton(document.getElementById('link-toolbar'));
+  if (settingsButton) {
+    settingsButton.addEventListener('click', openSettingsDialog);
+  }
+}
+
+/**
+ * Adds the "Share" toolbar button and sets up the share collection dialog.
+ * Pinned links are preselected since they are usually what people want to share.
+ */
+function setupCollections() {
+  setupCollectionDialog();
+
+  const shareButton = renderShareCollectionButton(document.getElementById('link-toolbar'));
+  if (shareButton) {
+    shareButton.addEventListener('click', () => {
+      const game = getCurrentGame();
+      openCollectionDialog(currentCategories, getPinnedLinkIds(game));
+    });
+  }
+}
+
+/**
+ * Sets up the Ctrl+K / "/" command palette with every link for the current game
+ * (custom links included) plus site-wide actions
+ */
+function setupPalette() {
+  setupCommandPalette(() => {
+    const game = getCurrentGame();
+    const otherGame = game === 'poe1' ? 'poe2' : 'poe1';
+    const actions = [
+      {
+        id: 'switch-game',
+        label: `Switch to ${otherGame === 'poe1' ? 'PoE 1' : 'PoE 2'}`,
+        run: () => switchGame(otherGame),
+      },
+    ];
+
+    if (updatesButton) {
+      actions.push({
+        id: 'open-updates',
+        label: 'Open Updates',
+        run: () => {
+          if (updatesButton.getAttribute('aria-expanded') !== 'true') {
+            toggleChangelog(updatesButton);
+          }
+        },
+      });
+    }
+
+    actions.push(
+      { id: 'suggest-event', label: 'Suggest an Event', run: openEventSuggestionDialog },
+      { id: 'contact', label: 'Contact', run: openContactDialog },
+      // Curator tool: links the link checker has not verified recently, for the current game
+      {
+        id: 'stale-links',
+        label: 'Show Stale Links',
+        run: () => openStaleLinksDialog(currentCategories),
+      }
+    );
+
+    const categories = mergeCustomLinks(
+      currentCategories,
+      getCustomCategories(game),
+      getCustomLinks(game)
+    );
+    return buildPaletteItems(getHideDeadLinks() ? filterDeadLinks(categories) : categories, actions);
+  });
+}
+
 /**
  * Updates the game selector button states and attaches click handlers once.
  * Must not add new listeners on every call or the page slows down with each switch.
@@ -160,6 +730,7 @@ async function switchGame(game) {
   setCurrentGame(game);
   updateURLHash(game);
   setupGameSelector();
+  setChangelogGame(game);
   await loadAndRenderCategories(game);
   
   // Re-render leagues with new game filter (use cache to avoid refetching)
@@ -208,6 +779,10 @@ async function switchGame(game) {
       eventsContainer.appendChild(errorDiv);
     }
   }
+
+  renderSidebarCalendar();
+  renderSidebarTimeline();
+  renderSidebarArchive();
 }
 
 /**
@@ -251,9 +826,35 @@ async function init() {
     // Initialize event suggestion dialog
     setupEventSuggestionDialog();
 
+    // Initialize the curator stale links overlay
+    setupStaleLinksDialog();
+
     // Setup game selector
     setupGameSelector();
 
+    // Setup link search, custom links, customize mode, sharing, settings, layout and dead links
+    setupLinkSearch();
+    setupCustomLinks();
+    setupCustomize();
+    setupCollections();
+    setupSettings();
+    setupLayoutSwitcher();
+    setupHideDeadLinks();
+    setupSidebarViewToggle();
+
+    // Setup command palette (Ctrl+K or "/") and arrow-key navigation in the link grid
+    setupPalette();
+    setupLinkGridNavigation(document.getElementById('categories'));
+
+    // A shared collection in the URL replaces the category grid with a read-only view
+    const collectionParam = getCollectionParam();
+    if (collectionParam) {
+      activeCollection = await decodeCollection(collectionParam);
+      if (!activeCollection) {
+        displayError('This shared collection link is invalid or incomplete.');
+      }
+    }
+
     // Load and render categories, leagues, and events in parallel for better performance
     const eventsContainer = document.getElementById('events');
     const leaguesContainer = document.getElementById('leagues');
@@ -318,13 +919,25 @@ async function init() {
       }
     }
 
+    // Fill the month calendar, league timeline and archive once events and leagues have loaded
+    renderSidebarCalendar();
+    renderSidebarTimeline();
+    renderSidebarArchive();
+
     // Add Updates button to navigation if update data is available
     if (updatesResult.status === 'fulfilled' && updatesResult.value) {
       const nav = document.getElementById('navigation');
       if (nav) {
         const navList = nav.querySelector('.nav-list');
         if (navList) {
-          const updatesButton = renderUpdatesButton(navList, updatesResult.value);
+          // First visit: nothing counts as new yet; later visits compare against this update
+          if (!lastSeenUpdate) {
+            setLastSeenUpdate(updatesResult.value.lastUpdated);
+          }
+          updatesButton = renderUpdatesButton(navList, updatesResult.value, {
+            game: getCurrentGame(),
+            lastSeen: lastSeenUpdate,
+          });
           if (updatesButton) {
             updatesButton.addEventListener('click', () => {
               toggleChangelog(updatesButton);
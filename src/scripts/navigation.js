@@ -237,3 +237,146 @@ export function setupNavigationHandlers() {
   });
 }
 
+/**
+ * Returns the link items of the categories grid in document order
+ * @param {HTMLElement} container - Categories container
+ * @returns {Array<HTMLElement>}
+ */
+function getGridLinkItems(container) {
+  return Array.from(container.querySelectorAll('.category-section .link-item'));
+}
+
+/**
+ * Returns the buttons rendered next to a link item (pin, hide, move)
+ * @param {HTMLElement} item - Link item
+ * @returns {Array<HTMLElement>}
+ */
+function getLinkItemActions(item) {
+  const wrapper = item.closest('.link-item-wrapper');
+  return wrapper ? Array.from(wrapper.querySelectorAll('button')) : [];
+}
+
+/**
+ * Finds the link item a focused element belongs to (the link itself or one of its buttons)
+ * @param {HTMLElement} element - Focused element
+ * @returns {HTMLElement|null}
+ */
+function getOwningLinkItem(element) {
+  if (!element || !element.closest) return null;
+  const item = element.closest('.link-item');
+  if (item) return item;
+  const wrapper = element.closest('.link-item-wrapper');
+  return wrapper ? wrapper.querySelector('.link-item') : null;
+}
+
+/**
+ * Makes one link item the grid's single Tab stop (roving tabindex).
+ * Its pin, hide and move buttons follow it in the Tab order; those of every other link are skipped.
+ * @param {HTMLElement} container - Categories container
+ * @param {HTMLElement|null} activeItem - Link item that should receive Tab focus
+ */
+function setGridTabStop(container, activeItem) {
+  getGridLinkItems(container).forEach((item) => {
+    const tabIndex = item === activeItem ? 0 : -1;
+    item.tabIndex = tabIndex;
+    getLinkItemActions(item).forEach((action) => {
+      action.tabIndex = tabIndex;
+    });
+  });
+}
+
+/**
+ * Finds the link item that keyboard navigation should move to
+ * @param {HTMLElement} container - Categories container
+ * @param {HTMLElement} current - Currently focused link item
+ * @param {string} key - KeyboardEvent key
+ * @returns {HTMLElement|null} - Link item to focus, or null if the key is not handled
+ */
+export function getGridNavigationTarget(container, current, key) {
+  const items = getGridLinkItems(container);
+  const index = items.indexOf(current);
+  if (index === -1) return null;
+
+  const sections = Array.from(container.querySelectorAll('.category-section')).filter(
+    (section) => section.querySelector('.link-item')
+  );
+  const section = current.closest('.category-section');
+  const sectionIndex = sections.indexOf(section);
+  const sectionItems = items.filter((item) => item.closest('.category-section') === section);
+
+  switch (key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      return items[index + 1] || current;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      return items[index - 1] || current;
+    case 'Home':
+      return sectionItems[0];
+    case 'End':
+      return sectionItems[sectionItems.length - 1];
+    case 'PageDown': {
+      const next = sections[sectionIndex + 1];
+      return next ? next.querySelector('.link-item') : current;
+    }
+    case 'PageUp': {
+      const previous = sections[sectionIndex - 1];
+      return previous ? previous.querySelector('.link-item') : current;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sets up roving-focus keyboard navigation in the link grid.
+ * Only the active link is a Tab stop, followed by its own pin, hide and move buttons (those of
+ * other links are skipped); arrow keys move between links within and across categories,
+ * Home/End jump to the first/last link of the category and PageUp/PageDown to the previous/next category.
+ * The Tab stop is kept across re-renders (search, game switch, customize mode).
+ * @param {HTMLElement} container - Categories container (usually #categories)
+ */
+export function setupLinkGridNavigation(container) {
+  if (!container) {
+    console.error('Categories container not found');
+    return;
+  }
+
+  // Link ID of the current Tab stop, so it survives re-renders
+  let activeLinkId = null;
+
+  const restoreTabStop = () => {
+    const items = getGridLinkItems(container);
+    const active =
+      (activeLinkId && items.find((item) => item.getAttribute('data-link-id') === activeLinkId)) ||
+      items[0] ||
+      null;
+    setGridTabStop(container, active);
+  };
+
+  container.addEventListener('focusin', (event) => {
+    const item = getOwningLinkItem(event.target);
+    if (!item || !container.contains(item)) return;
+    activeLinkId = item.getAttribute('data-link-id');
+    setGridTabStop(container, item);
+  });
+
+  container.addEventListener('keydown', (event) => {
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    const current = event.target.closest ? event.target.closest('.link-item') : null;
+    if (!current || current !== event.target) return;
+
+    const target = getGridNavigationTarget(container, current, event.key);
+    if (!target) return;
+
+    event.preventDefault();
+    if (target !== current) {
+      target.focus();
+    }
+  });
+
+  if (typeof MutationObserver === 'function') {
+    new MutationObserver(restoreTabStop).observe(container, { childList: true });
+  }
+  restoreTabStop();
+}
@@ -0,0 +1,89 @@
+/**
+ * Pinned Links Module
+ * Handles the user's pinned (favorite) links, stored per game by link-item ID
+ */
+
+import { readGameList, writeGameList } from './storage.js';
+
+/** localStorage key for pinned link IDs ({ poe1: string[], poe2: string[] }) */
+export const PINNED_LINKS_STORAGE_KEY = 'poe-pinned-links';
+
+/** Category ID of the generated "Pinned" section */
+export const PINNED_CATEGORY_ID = 'pinned';
+
+/**
+ * Gets the pinned link-item IDs for a game, in the order they were pinned
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {Array<string>} - Pinned link IDs
+ */
+export function getPinnedLinkIds(game) {
+  return readGameList(PINNED_LINKS_STORAGE_KEY, game).filter(
+    (id) => typeof id === 'string' && id.length > 0
+  );
+}
+
+/**
+ * Checks whether a link is pinned for a game
+ * @param {string} linkId - Link-item ID
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {boolean}
+ */
+export function isLinkPinned(linkId, game) {
+  return getPinnedLinkIds(game).includes(linkId);
+}
+
+/**
+ * Pins or unpins a link for a game
+ * @param {string} linkId - Link-item ID
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {boolean} - True if the link is pinned after the toggle
+ */
+export function togglePinnedLink(linkId, game) {
+  if (!linkId || typeof linkId !== 'string') {
+    return false;
+  }
+
+  const pinned = getPinnedLinkIds(game);
+  const index = pinned.indexOf(linkId);
+  if (index === -1) {
+    pinned.push(linkId);
+  } else {
+    pinned.splice(index, 1);
+  }
+  writeGameList(PINNED_LINKS_STORAGE_KEY, game, pinned);
+  return index === -1;
+}
+
+/**
+ * Builds the "Pinned" category from the links present in the given categories.
+ * Pinned IDs that are not available (e.g. removed from link-items.json) are skipped.
+ * Each link keeps the ID of the category it came from in `sourceCategoryId`.
+ * @param {Array} categories - Array of Category objects
+ * @param {Array<string>} pinnedIds - Pinned link IDs in display order
+ * @returns {Object|null} - Category object, or null if no pinned link is available
+ */
+export function buildPinnedCategory(categories, pinnedIds) {
+  if (!Array.isArray(categories) || !Array.isArray(pinnedIds) || pinnedIds.length === 0) {
+    return null;
+  }
+
+  const linksById = new Map();
+  categories.forEach((category) => {
+    (category.links || []).forEach((link) => {
+      if (link && link.id && !linksById.has(link.id)) {
+        linksById.set(link.id, { ...link, sourceCategoryId: category.id });
+      }
+    });
+  });
+
+  const links = pinnedIds.filter((id) => linksById.has(id)).map((id) => linksById.get(id));
+  if (links.length === 0) {
+    return null;
+  }
+
+  return {
+    id: PINNED_CATEGORY_ID,
+    title: 'PINNED',
+    links,
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * Reorder Module
+ * Handles the user's custom order of categories and links (per game) and the
+ * drag-and-drop / keyboard interactions used to change it in customize mode
+ */
+
+import { readGameList, writeGameList, readStoredJSON, writeStoredJSON } from './storage.js';
+
+/** localStorage key for the category order ({ poe1: string[], poe2: string[] }) */
+export const CATEGORY_ORDER_STORAGE_KEY = 'poe-category-order';
+
+/** localStorage key for the link order per category ({ poe1: { [categoryId]: string[] }, poe2: ... }) */
+export const LINK_ORDER_STORAGE_KEY = 'poe-link-order';
+
+/** Item being dragged: { type, id, categoryId } */
+let dragState = null;
+
+/**
+ * Gets the saved category and link order for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {{ categories: Array<string>, links: Object<string, Array<string>> }}
+ */
+export function getCustomOrder(game) {
+  const stored = readStoredJSON(LINK_ORDER_STORAGE_KEY, {});
+  const gameLinks = stored && typeof stored === 'object' ? stored[game] : null;
+  const links = {};
+  if (gameLinks && typeof gameLinks === 'object' && !Array.isArray(gameLinks)) {
+    Object.entries(gameLinks).forEach(([categoryId, ids]) => {
+      if (Array.isArray(ids)) {
+        links[categoryId] = ids.filter((id) => typeof id === 'string');
+      }
+    });
+  }
+
+  return {
+    categories: readGameList(CATEGORY_ORDER_STORAGE_KEY, game).filter(
+      (id) => typeof id === 'string'
+    ),
+    links,
+  };
+}
+
+/**
+ * Saves the category order for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @param {Array<string>} categoryIds - Category IDs in display order
+ * @returns {boolean} - True if the order was saved
+ */
+export function saveCategoryOrder(game, categoryIds) {
+  return writeGameList(CATEGORY_ORDER_STORAGE_KEY, game, categoryIds);
+}
+
+/**
+ * Saves the link order of one category for a game
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @param {string} categoryId - Category ID
+ * @param {Array<string>} linkIds - Link-item IDs in display order
+ * @returns {boolean} - True if the order was saved
+ */
+export function saveLinkOrder(game, categoryId, linkIds) {
+  const stored = readStoredJSON(LINK_ORDER_STORAGE_KEY, {});
+  const next = stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  const gameLinks =
+    next[game] && typeof next[game] === 'object' && !Array.isArray(next[game]) ? next[game] : {};
+  next[game] = { ...gameLinks, [categoryId]: linkIds };
+  return writeStoredJSON(LINK_ORDER_STORAGE_KEY, next);
+}
+
+/**
+ * Removes the saved category and link order for a game (back to the links.json order)
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ */
+export function resetCustomOrder(game) {
+  writeGameList(CATEGORY_ORDER_STORAGE_KEY, game, []);
+  const stored = readStoredJSON(LINK_ORDER_STORAGE_KEY, {});
+  if (stored && typeof stored === 'object' && !Array.isArray(stored) && stored[game]) {
+    const next = { ...stored };
+    delete next[game];
+    writeStoredJSON(LINK_ORDER_STORAGE_KEY, next);
+  }
+}
+
+/**
+ * Sorts items by a saved ID order. Items in the saved order come first in that order;
+ * items not in it (e.g. newly added to links.json) follow in their original order.
+ * @param {Array} items - Items with an `id`
+ * @param {Array<string>} orderIds - Saved ID order
+ * @returns {Array} - New sorted array
+ */
+function sortByOrder(items, orderIds) {
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    return items;
+  }
+
+  const positions = new Map(orderIds.map((id, index) => [id, index]));
+  const ordered = items.filter((item) => item && positions.has(item.id));
+  const rest = items.filter((item) => !item || !positions.has(item.id));
+  ordered.sort((a, b) => positions.get(a.id) - positions.get(b.id));
+  return [...ordered, ...rest];
+}
+
+/**
+ * Applies a saved order on top of the order from links.json
+ * @param {Array} categories - Array of Category objects
+ * @param {Object} [order] - { categories: string[], links: { [categoryId]: string[] } }
+ * @returns {Array} - New array of Category objects in the custom order
+ */
+export function applyCustomOrder(categories, order) {
+  if (!Array.isArray(categories)) return [];
+  if (!order) return categories;
+
+  const linkOrder = order.links || {};
+  return sortByOrder(categories, order.categories).map((category) =>
+    Array.isArray(linkOrder[category.id])
+      ? { ...category, links: sortByOrder(category.links || [], linkOrder[category.id]) }
+      : category
+  );
+}
+
+/**
+ * Moves an ID next to another ID in a list
+ * @param {Array<string>} ids - Current ID order
+ * @param {string} id - ID to move
+ * @param {string} targetId - ID to move next to
+ * @param {'before'|'after'} position - Side of the target to move to
+ * @returns {Array<string>} - New ID order (unchanged copy if either ID is missing)
+ */
+export function moveId(ids, id, targetId, position) {
+  if (id === targetId || !ids.includes(id) || !ids.includes(targetId)) {
+    return [...ids];
+  }
+
+  const next = ids.filter((item) => item !== id);
+  const targetIndex = next.indexOf(targetId);
+  next.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, id);
+  return next;
+}
+
+/**
+ * Describes a reorderable element (a category section or a link wrapper with a move handle)
+ * @param {Element} element
+ * @returns {Object|null} - { type, id, categoryId, element }
+ */
+function describeItem(element) {
+  if (!element) return null;
+
+  if (element.classList.contains('link-item-wrapper')) {
+    const section = element.closest('.category-section');
+    return {
+      type: 'link',
+      id: element.getAttribute('data-link-id'),
+      categoryId: section ? section.getAttribute('data-category-id') : null,
+      element,
+    };
+  }
+
+  return {
+    type: 'category',
+    id: element.getAttribute('data-category-id'),
+    categoryId: null,
+    element,
+  };
+}
+
+/**
+ * Finds the closest reorderable element around an event target
+ * @param {EventTarget} target
+ * @param {string} [type] - Restrict to 'category' or 'link'
+ * @returns {Element|null}
+ */
+function findReorderable(target, type) {
+  if (!target || typeof target.closest !== 'function') return null;
+
+  const linkWrapper = target.closest('.link-item-wrapper[draggable="true"]');
+  if (linkWrapper && type !== 'category') return linkWrapper;
+  if (type === 'link') return null;
+  return target.closest('.category-section[draggable="true"]');
+}
+
+/**
+ * Returns the reorderable siblings of an item (same type, and same category for links)
+ * @param {Object} item - Result of describeItem
+ * @returns {Array<Element>}
+ */
+function getSiblings(item) {
+  const selector =
+    item.type === 'link'
+      ? '.link-item-wrapper[draggable="true"]'
+      : '.category-section[draggable="true"]';
+  return Array.from(item.element.parentElement ? item.element.parentElement.children : []).filter(
+    (el) => el.matches(selector)
+  );
+}
+
+/**
+ * Clears drop indicators left over from a drag
+ * @param {HTMLElement} container
+ */
+function clearDropIndicators(container) {
+  container.querySelectorAll('.reorder-drop-target').forEach((el) => {
+    el.classList.remove('reorder-drop-target');
+  });
+  container.querySelectorAll('.reorder-dragging').forEach((el) => {
+    el.classList.remove('reorder-dragging');
+  });
+}
+
+/**
+ * Attaches drag-and-drop and keyboard reorder handlers to the categories container.
+ * Handlers are delegated so they survive re-renders; call once per container.
+ * Move handles (.reorder-handle) respond to arrow keys: Left/Up moves earlier, Right/Down later.
+ * @param {HTMLElement} container - Categories container (usually #categories)
+ * @param {Function} onReorder - Called with { type, id, categoryId, targetId, position }
+ */
+export function setupReorderHandlers(container, onReorder) {
+  if (!container) {
+    console.error('Reorder container not found');
+    return;
+  }
+
+  const notify = (item, target, position) => {
+    if (!target || !target.id || target.id === item.id || typeof onReorder !== 'function') {
+      return;
+    }
+    onReorder({
+      type: item.type,
+      id: item.id,
+      categoryId: item.categoryId,
+      targetId: target.id,
+      position,
+    });
+  };
+
+  container.addEventListener('dragstart', (event) => {
+    const element = findReorderable(event.target);
+    if (!element) return;
+
+    dragState = describeItem(element);
+    element.classList.add('reorder-dragging');
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', dragState.id || '');
+    }
+  });
+
+  container.addEventListener('dragover', (event) => {
+    if (!dragState) return;
+    const element = findReorderable(event.target, dragState.type);
+    const target = describeItem(element);
+    if (!target || (target.type === 'link' && target.categoryId !== dragState.categoryId)) {
+      return;
+    }
+
+    // Allow dropping here
+    event.preventDefault();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = 'move';
+    }
+    container.querySelectorAll('.reorder-drop-target').forEach((el) => {
+      if (el !== element) el.classList.remove('reorder-drop-target');
+    });
+    if (target.id !== dragState.id) {
+      element.classList.add('reorder-drop-target');
+    }
+  });
+
+  container.addEventListener('drop', (event) => {
+    if (!dragState) return;
+    const element = findReorderable(event.target, dragState.type);
+    const target = describeItem(element);
+    const item = dragState;
+    dragState = null;
+    clearDropIndicators(container);
+
+    if (!target || (target.type === 'link' && target.categoryId !== item.categoryId)) {
+      return;
+    }
+    event.preventDefault();
+
+    // Dropping on a later item places the dragged item after it, on an earlier item before it
+    const siblings = getSiblings(target);
+    const fromIndex = siblings.findIndex((el) => describeItem(el).id === item.id);
+    const toIndex = siblings.indexOf(element);
+    notify(item, target, fromIndex !== -1 && fromIndex < toIndex ? 'after' : 'before');
+  });
+
+  container.addEventListener('dragend', () => {
+    dragState = null;
+    clearDropIndicators(container);
+  });
+
+  container.addEventListener('keydown', (event) => {
+    const handle =
+      event.target && event.target.closest ? event.target.closest('.reorder-handle') : null;
+    if (!handle) return;
+
+    let offset = 0;
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') offset = -1;
+    if (event.key === 'ArrowRight' || event.key === 'ArrowDown') offset = 1;
+    if (offset === 0) return;
+
+    const type = handle.classList.contains('reorder-handle--link') ? 'link' : 'category';
+    const item = describeItem(findReorderable(handle, type));
+    if (!item) return;
+
+    event.preventDefault();
+    const siblings = getSiblings(item);
+    const neighbor = siblings[siblings.indexOf(item.element) + offset];
+    if (neighbor) {
+      notify(item, describeItem(neighbor), offset < 0 ? 'before' : 'after');
+    }
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * Link Search Module
+ * Handles the search box above the category grid and query matching
+ */
+
+/**
+ * Returns the host of a link URL without a leading "www."
+ * @param {string} url - Link URL
+ * @returns {string} - Host name, or empty string if the URL cannot be parsed
+ */
+export function getLinkHost(url) {
+  if (!url || typeof url !== 'string') return '';
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Checks whether a link matches a search query.
+ * Every whitespace-separated term must appear in the name, description or URL host (case-insensitive).
+ * @param {Object} link - Link object
+ * @param {string} query - Search query
+ * @returns {boolean} - True if the link matches (an empty query matches everything)
+ */
+export function linkMatchesQuery(link, query) {
+  if (!link || typeof link !== 'object') return false;
+
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const haystack = [link.name || '', link.description || '', getLinkHost(link.url)]
+    .join('\n')
+    .toLowerCase();
+
+  return terms.every((term) => haystack.includes(term));
+}
+
+/**
+ * Filters categories down to the links matching a query.
+ * Categories without any matching link are dropped.
+ * @param {Array} categories - Array of Category objects
+ * @param {string} query - Search query
+ * @returns {Array} - New array of Category objects containing only matching links
+ */
+export function filterCategoriesByQuery(categories, query) {
+  if (!Array.isArray(categories)) return [];
+
+  return categories
+    .map((category) => ({
+      ...category,
+      links: (category.links || []).filter((link) => linkMatchesQuery(link, query)),
+    }))
+    .filter((category) => category.links.length > 0);
+}
+
+/**
+ * Merges the other game's categories into the current game's categories for searching.
+ * Links already present in the same category (same URL) are not duplicated; links only
+ * available in the other game are tagged with `fromGame` so they can be labeled.
+ * @param {Array} categories - Categories for the current game
+ * @param {Array} otherCategories - Categories for the other game
+ * @param {string} otherGame - Other game identifier ('poe1' or 'poe2')
+ * @returns {Array} - New array of merged Category objects
+ */
+export function mergeCategoriesForSearch(categories, otherCategories, otherGame) {
+  const merged = (Array.isArray(categories) ? categories : []).map((category) => ({
+    ...category,
+    links: [...(category.links || [])],
+  }));
+
+  if (!Array.isArray(otherCategories)) return merged;
+
+  otherCategories.forEach((otherCategory) => {
+    let target = merged.find((category) => category.id === otherCategory.id);
+    if (!target) {
+      target = { ...otherCategory, links: [] };
+      merged.push(target);
+    }
+
+    const knownUrls = new Set(target.links.map((link) => link.url));
+    (otherCategory.links || []).forEach((link) => {
+      if (!knownUrls.has(link.url)) {
+        knownUrls.add(link.url);
+        target.links.push({ ...link, fromGame: otherGame });
+      }
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Renders the link search box
+ * @param {HTMLElement} container - Container element (usually #link-toolbar)
+ * @param {Function} onChange - Called with { query, includeOtherGame } whenever the search changes
+ * @returns {HTMLElement|null} - The search input element
+ */
+export function renderLinkSearch(container, onChange) {
+  if (!container) {
+    console.error('Link search container not found');
+    return null;
+  }
+
+  const searchWrapper = document.createElement('div');
+  searchWrapper.className = 'link-search';
+  searchWrapper.setAttribute('role', 'search');
+
+  const inputLabel = document.createElement('label');
+  inputLabel.className = 'sr-only';
+  inputLabel.setAttribute('for', 'link-search-input');
+  inputLabel.textContent = 'Search links';
+  searchWrapper.appendChild(inputLabel);
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.id = 'link-search-input';
+  input.className = 'link-search-input';
+  input.placeholder = 'Search links by name, description or site...';
+  input.autocomplete = 'off';
+  input.setAttribute('aria-controls', 'categories');
+  searchWrapper.appendChild(input);
+
+  const toggleLabel = document.createElement('label');
+  toggleLabel.className = 'link-search-toggle';
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.id = 'link-search-other-game';
+  toggle.className = 'link-search-toggle-input';
+  const toggleText = document.createElement('span');
+  toggleText.textContent = 'Search both games';
+  toggleLabel.appendChild(toggle);
+  toggleLabel.appendChild(toggleText);
+  searchWrapper.appendChild(toggleLabel);
+
+  const notifyChange = () => {
+    if (typeof onChange === 'function') {
+      onChange({ query: input.value.trim(), includeOtherGame: toggle.checked });
+    }
+  };
+
+  input.addEventListener('input', notifyChange);
+  toggle.addEventListener('change', notifyChange);
+
+  // Escape clears the query
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && input.value) {
+      event.preventDefault();
+      input.value = '';
+      notifyChange();
+    }
+  });
+
+  container.appendChild(searchWrapper);
+  return input;
+}
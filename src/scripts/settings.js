@@ -0,0 +1,620 @@
+/**
+ * Settings Module
+ * Handles exporting and importing all personal settings as a versioned JSON document
+ */
+
+import { validateLink, getCurrentGame, setCurrentGame } from './data.js';
+import { DISCLAIMER_STORAGE_KEY, hasAcknowledgedDisclaimer } from './disclaimer.js';
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+import { PINNED_LINKS_STORAGE_KEY } from './pins.js';
+import { HIDDEN_CATEGORIES_STORAGE_KEY, HIDDEN_LINKS_STORAGE_KEY } from './customize.js';
+import { CUSTOM_LINKS_STORAGE_KEY, CUSTOM_CATEGORIES_STORAGE_KEY } from './custom-links.js';
+import { CATEGORY_ORDER_STORAGE_KEY, LINK_ORDER_STORAGE_KEY } from './reorder.js';
+import { LAYOUT_MODES, getLayout, isValidLayout, setLayout } from './layout.js';
+import { getHideDeadLinks, setHideDeadLinks } from './link-status.js';
+import { SIDEBAR_VIEWS, getSidebarView, setSidebarView } from './calendar-view.js';
+import {
+  LAST_SEEN_UPDATE_STORAGE_KEY,
+  getLastSeenUpdate,
+  setLastSeenUpdate,
+} from './last-visit.js';
+
+/** Identifies settings documents exported by this site */
+export const SETTINGS_FORMAT = 'poe-link-collection-settings';
+
+/** Current settings document version; bump when the document shape changes */
+export const SETTINGS_VERSION = 1;
+
+const GAMES = ['poe1', 'poe2'];
+
+/**
+ * Checks for a non-empty string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Checks for a parseable ISO timestamp string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTimestamp(value) {
+  return isNonEmptyString(value) && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Checks for a plain object (not null, not an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks for an array of non-empty strings
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIdList(value) {
+  return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+/**
+ * Per-game settings stored as { poe1: ..., poe2: ... } maps in localStorage.
+ * `validate` checks the value for one game; `description` is used in error messages.
+ */
+const GAME_MAP_FIELDS = [
+  {
+    field: 'pinnedLinks',
+    storageKey: PINNED_LINKS_STORAGE_KEY,
+    validate: isIdList,
+    description: 'an array of link IDs',
+  },
+  {
+    field: 'hiddenCategories',
+    storageKey: HIDDEN_CATEGORIES_STORAGE_KEY,
+    validate: isIdList,
+    description: 'an array of category IDs',
+  },
+  {
+    field: 'hiddenLinks',
+    storageKey: HIDDEN_LINKS_STORAGE_KEY,
+    validate: isIdList,
+    description: 'an array of link IDs',
+  },
+  {
+    field: 'customLinks',
+    storageKey: CUSTOM_LINKS_STORAGE_KEY,
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every(
+        (link) =>
+          isPlainObject(link) &&
+          isNonEmptyString(link.id) &&
+          (link.categoryId === undefined || isNonEmptyString(link.categoryId)) &&
+          validateLink(link)
+      ),
+    description: 'an array of links with id, name and http(s) url',
+  },
+  {
+    field: 'customCategories',
+    storageKey: CUSTOM_CATEGORIES_STORAGE_KEY,
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every(
+        (category) =>
+          isPlainObject(category) &&
+          isNonEmptyString(category.id) &&
+          isNonEmptyString(category.title) &&
+          category.title.length <= 50
+      ),
+    description: 'an array of categories with id and title',
+  },
+  {
+    field: 'categoryOrder',
+    storageKey: CATEGORY_ORDER_STORAGE_KEY,
+    validate: isIdList,
+    description: 'an array of category IDs',
+  },
+  {
+    field: 'linkOrder',
+    storageKey: LINK_ORDER_STORAGE_KEY,
+    validate: (value) => isPlainObject(value) && Object.values(value).every(isIdList),
+    description: 'an object mapping category IDs to arrays of link IDs',
+  },
+];
+
+/**
+ * Collects the current settings into a versioned settings document
+ * @returns {Object} - Settings document ({ format, version, exportedAt, settings })
+ */
+export function collectSettings() {
+  const settings = {
+    game: getCurrentGame(),
+    disclaimerAcknowledged: hasAcknowledgedDisclaimer(),
+    layout: getLayout(),
+    hideDeadLinks: getHideDeadLinks(),
+    sidebarView: getSidebarView(),
+    lastSeenUpdate: getLastSeenUpdate(),
+  };
+
+  GAME_MAP_FIELDS.forEach(({ field, storageKey, validate }) => {
+    const stored = readStoredJSON(storageKey, {});
+    const values = {};
+    // Only export values that would pass validation on import
+    GAMES.forEach((game) => {
+      if (isPlainObject(stored) && stored[game] !== undefined && validate(stored[game])) {
+        values[game] = stored[game];
+      }
+    });
+    settings[field] = values;
+  });
+
+  return {
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+}
+
+/**
+ * Validates a settings document before import.
+ * Unknown fields inside `settings` are ignored so newer exports stay importable where possible.
+ * @param {*} settingsDocument - Parsed settings document
+ * @returns {{ valid: boolean, errors: Array<string> }} - Errors name the offending key path
+ */
+export function validateSettingsDocument(settingsDocument) {
+  const errors = [];
+
+  if (!isPlainObject(settingsDocument)) {
+    return { valid: false, errors: ['The file does not contain a settings object.'] };
+  }
+
+  if (settingsDocument.format !== SETTINGS_FORMAT) {
+    errors.push(`format must be "${SETTINGS_FORMAT}".`);
+  }
+
+  if (!Number.isInteger(settingsDocument.version) || settingsDocument.version < 1) {
+    errors.push('version must be a positive integer.');
+  } else if (settingsDocument.version > SETTINGS_VERSION) {
+    errors.push(
+      `version ${settingsDocument.version} is newer than this site supports (${SETTINGS_VERSION}).`
+    );
+  }
+
+  if (!isPlainObject(settingsDocument.settings)) {
+    errors.push('settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  const { settings } = settingsDocument;
+
+  if (settings.game !== undefined && !GAMES.includes(settings.game)) {
+    errors.push('settings.game must be "poe1" or "poe2".');
+  }
+
+  if (
+    settings.disclaimerAcknowledged !== undefined &&
+    typeof settings.disclaimerAcknowledged !== 'boolean'
+  ) {
+    errors.push('settings.disclaimerAcknowledged must be true or false.');
+  }
+
+  if (settings.layout !== undefined && !isValidLayout(settings.layout)) {
+    const layouts = LAYOUT_MODES.map((mode) => `"${mode.id}"`).join(', ');
+    errors.push(`settings.layout must be one of ${layouts}.`);
+  }
+
+  if (settings.hideDeadLinks !== undefined && typeof settings.hideDeadLinks !== 'boolean') {
+    errors.push('settings.hideDeadLinks must be true or false.');
+  }
+
+  if (
+    settings.sidebarView !== undefined &&
+    !SIDEBAR_VIEWS.some((view) => view.id === settings.sidebarView)
+  ) {
+    const views = SIDEBAR_VIEWS.map((view) => `"${view.id}"`).join(', ');
+    errors.push(`settings.sidebarView must be one of ${views}.`);
+  }
+
+  if (
+    settings.lastSeenUpdate !== undefined &&
+    settings.lastSeenUpdate !== null &&
+    !isTimestamp(settings.lastSeenUpdate)
+  ) {
+    errors.push('settings.lastSeenUpdate must be an ISO timestamp or null.');
+  }
+
+  GAME_MAP_FIELDS.forEach(({ field, validate, description }) => {
+    const value = settings[field];
+    if (value === undefined) return;
+
+    if (!isPlainObject(value)) {
+      errors.push(`settings.${field} must be an object with "poe1" and/or "poe2" keys.`);
+      return;
+    }
+
+    Object.keys(value).forEach((game) => {
+      if (!GAMES.includes(game)) {
+        errors.push(`settings.${field}.${game} is not a known game.`);
+      } else if (!validate(value[game])) {
+        errors.push(`settings.${field}.${game} must be ${description}.`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Writes a validated settings document to localStorage.
+ * Fields missing from the document are left unchanged; per-game maps are replaced as a whole.
+ * @param {Object} settingsDocument - Settings document that passed validateSettingsDocument
+ */
+function applySettings(settingsDocument) {
+  const { settings } = settingsDocument;
+
+  if (settings.game !== undefined) {
+    setCurrentGame(settings.game);
+  }
+
+  if (settings.disclaimerAcknowledged !== undefined) {
+    try {
+      if (settings.disclaimerAcknowledged) {
+        localStorage.setItem(DISCLAIMER_STORAGE_KEY, 'true');
+      } else {
+        localStorage.removeItem(DISCLAIMER_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Error saving disclaimer status to localStorage:', error);
+    }
+  }
+
+  if (settings.layout !== undefined) {
+    setLayout(settings.layout);
+  }
+
+  if (settings.hideDeadLinks !== undefined) {
+    setHideDeadLinks(settings.hideDeadLinks);
+  }
+
+  if (settings.sidebarView !== undefined) {
+    setSidebarView(settings.sidebarView);
+  }
+
+  // null (never opened the Updates overlay) clears the value, as on a first visit
+  if (settings.lastSeenUpdate === null) {
+    try {
+      localStorage.removeItem(LAST_SEEN_UPDATE_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Error removing last seen update from localStorage:', error);
+    }
+  } else if (settings.lastSeenUpdate !== undefined) {
+    setLastSeenUpdate(settings.lastSeenUpdate);
+  }
+
+  GAME_MAP_FIELDS.forEach(({ field, storageKey }) => {
+    if (settings[field] !== undefined) {
+      writeStoredJSON(storageKey, settings[field]);
+    }
+  });
+}
+
+/**
+ * Parses, validates and applies settings from exported JSON text
+ * @param {string} text - Contents of a settings file
+ * @returns {{ success: boolean, errors: Array<string>, settings?: Object }}
+ */
+export function importSettings(text) {
+  let settingsDocument;
+  try {
+    settingsDocument = JSON.parse(text);
+  } catch {
+    return { success: false, errors: ['The file is not valid JSON.'] };
+  }
+
+  const validation = validateSettingsDocument(settingsDocument);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors };
+  }
+
+  applySettings(settingsDocument);
+  return { success: true, errors: [], settings: settingsDocument.settings };
+}
+
+/**
+ * Builds the file name for an export (e.g. poe-link-collection-settings-2025-01-31.json)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getSettingsFileName(date = new Date()) {
+  return `${SETTINGS_FORMAT}-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Downloads the current settings as a JSON file
+ */
+export function exportSettings() {
+  const json = JSON.stringify(collectSettings(), null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = getSettingsFileName();
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  // Revoking in the same tick can cancel the download in some browsers (Safari, Firefox)
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Dialog state
+let lastFocusedElement = null;
+let onSettingsImported = null;
+
+/**
+ * Shows a status message in the settings dialog
+ * @param {string} message - Message text
+ * @param {Array<string>} [errors] - Validation errors listed below the message
+ */
+function showSettingsStatus(message, errors = []) {
+  const status = document.querySelector('#settings-dialog .settings-status');
+  if (!status) return;
+
+  status.innerHTML = '';
+  status.classList.toggle('settings-status--error', errors.length > 0);
+
+  const text = document.createElement('p');
+  text.textContent = message;
+  status.appendChild(text);
+
+  if (errors.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'settings-error-list';
+    errors.forEach((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    status.appendChild(list);
+  }
+}
+
+/**
+ * Renders the settings dialog HTML structure
+ * @returns {HTMLElement|null} The dialog content element
+ */
+function renderSettingsDialog() {
+  const dialog = document.getElementById('settings-dialog');
+  if (!dialog) {
+    console.error('Settings dialog element not found');
+    return null;
+  }
+
+  const content = dialog.querySelector('.settings-dialog-content');
+  if (!content) {
+    console.error('Settings dialog content element not found');
+    return null;
+  }
+
+  content.innerHTML = '';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'settings-dialog-header';
+
+  const title = document.createElement('h3');
+  title.id = 'settings-dialog-title';
+  title.className = 'settings-dialog-title';
+  title.textContent = 'Settings';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'settings-dialog-close';
+  closeButton.setAttribute('type', 'button');
+  closeButton.setAttribute('aria-label', 'Close settings dialog');
+  closeButton.innerHTML = '×';
+  header.appendChild(closeButton);
+
+  content.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'settings-dialog-body';
+
+  const intro = document.createElement('p');
+  intro.className = 'settings-intro';
+  intro.textContent =
+    'Export your game selection, pinned links, hidden items, custom links and layout to a file, then import it in another browser.';
+  body.appendChild(intro);
+
+  const actions = document.createElement('div');
+  actions.className = 'settings-actions';
+
+  const exportButton = document.createElement('button');
+  exportButton.type = 'button';
+  exportButton.className = 'settings-export-button';
+  exportButton.textContent = 'Export settings';
+  actions.appendChild(exportButton);
+
+  // Visually hidden file input; the label after it is styled as the button
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.id = 'settings-import-input';
+  importInput.className = 'settings-import-input sr-only';
+  importInput.accept = 'application/json,.json';
+  actions.appendChild(importInput);
+
+  const importLabel = document.createElement('label');
+  importLabel.className = 'settings-import-label link-toolbar-button';
+  importLabel.setAttribute('for', 'settings-import-input');
+  importLabel.textContent = 'Import settings';
+  actions.appendChild(importLabel);
+
+  body.appendChild(actions);
+
+  const status = document.createElement('div');
+  status.className = 'settings-status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  body.appendChild(status);
+
+  content.appendChild(body);
+
+  return content;
+}
+
+/**
+ * Reads the selected settings file and imports it
+ * @param {Event} event - File input change event
+ */
+async function handleImportChange(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  try {
+    const result = importSettings(await file.text());
+    if (!result.success) {
+      showSettingsStatus('Settings were not imported:', result.errors);
+      return;
+    }
+
+    showSettingsStatus('Settings imported.');
+    if (typeof onSettingsImported === 'function') {
+      onSettingsImported(result.settings);
+    }
+  } catch (error) {
+    console.error('Error importing settings:', error);
+    showSettingsStatus('Settings were not imported:', ['The file could not be read.']);
+  } finally {
+    // Allow importing the same file again
+    input.value = '';
+  }
+}
+
+/**
+ * Opens the settings dialog
+ */
+export function openSettingsDialog() {
+  const dialog = document.getElementById('settings-dialog');
+  if (!dialog) {
+    console.error('Settings dialog element not found');
+    return;
+  }
+
+  lastFocusedElement = document.activeElement;
+
+  const status = dialog.querySelector('.settings-status');
+  if (status) {
+    status.innerHTML = '';
+    status.classList.remove('settings-status--error');
+  }
+
+  dialog.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+
+  const exportButton = dialog.querySelector('.settings-export-button');
+  if (exportButton) {
+    setTimeout(() => {
+      exportButton.focus();
+    }, 100);
+  }
+}
+
+/**
+ * Closes the settings dialog
+ */
+export function closeSettingsDialog() {
+  const dialog = document.getElementById('settings-dialog');
+  if (!dialog) {
+    return;
+  }
+
+  dialog.setAttribute('aria-hidden', 'true');
+  document.body.style.overflow = '';
+
+  if (lastFocusedElement && typeof lastFocusedElement.focus === 'function') {
+    lastFocusedElement.focus();
+  }
+  lastFocusedElement = null;
+}
+
+/**
+ * Sets up the settings dialog
+ * @param {Function} onImport - Called with the imported settings after a successful import
+ */
+export function setupSettingsDialog(onImport) {
+  const dialog = document.getElementById('settings-dialog');
+  if (!dialog) {
+    console.error('Settings dialog element not found');
+    return;
+  }
+
+  onSettingsImported = onImport;
+
+  renderSettingsDialog();
+
+  const exportButton = dialog.querySelector('.settings-export-button');
+  if (exportButton) {
+    exportButton.addEventListener('click', () => {
+      try {
+        exportSettings();
+        showSettingsStatus('Settings exported.');
+      } catch (error) {
+        console.error('Error exporting settings:', error);
+        showSettingsStatus('Settings could not be exported.', [error.message]);
+      }
+    });
+  }
+
+  const importInput = dialog.querySelector('#settings-import-input');
+  if (importInput) {
+    importInput.addEventListener('change', handleImportChange);
+  }
+
+  const closeButton = dialog.querySelector('.settings-dialog-close');
+  if (closeButton) {
+    closeButton.addEventListener('click', closeSettingsDialog);
+  }
+
+  const backdrop = dialog.querySelector('.settings-backdrop');
+  if (backdrop) {
+    backdrop.addEventListener('click', (event) => {
+      if (event.target === backdrop) {
+        closeSettingsDialog();
+      }
+    });
+  }
+
+  const handleEscape = (event) => {
+    if (event.key === 'Escape' && dialog.getAttribute('aria-hidden') === 'false') {
+      closeSettingsDialog();
+    }
+  };
+  document.addEventListener('keydown', handleEscape);
+}
+
+/**
+ * Renders the toolbar button that opens the settings dialog
+ * @param {HTMLElement} container - Container element (usually #link-toolbar)
+ * @returns {HTMLButtonElement|null} - The created button
+ */
+export function renderSettingsButton(container) {
+  if (!container) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-toolbar-button settings-button';
+  button.textContent = 'Settings';
+  button.setAttribute('aria-label', 'Export or import your settings');
+  button.setAttribute('aria-controls', 'settings-dialog');
+  container.appendChild(button);
+  return button;
+}
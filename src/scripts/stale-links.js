@@ -0,0 +1,265 @@
+/**
+ * Stale Links Module
+ * Handles detecting links whose lastChecked date is too old and the curator "stale links" overlay
+ */
+
+import { linkHealthConfig } from '../config/link-health.config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns how many whole days ago a link was last checked
+ * @param {string} lastChecked - ISO date string (link.lastChecked)
+ * @param {Date} [now] - Current time
+ * @returns {number|null} - Age in days, or null when the date is missing or invalid
+ */
+export function getLinkAgeDays(lastChecked, now = new Date()) {
+  if (!lastChecked) return null;
+  const checked = new Date(lastChecked);
+  if (Number.isNaN(checked.getTime())) return null;
+  return Math.max(0, Math.floor((now - checked) / DAY_MS));
+}
+
+/**
+ * Formats a link age for display (e.g. "12 days", "4 months", "2 years")
+ * @param {number} days - Age in days
+ * @returns {string}
+ */
+export function formatLinkAge(days) {
+  if (days < 60) return days === 1 ? '1 day' : `${days} days`;
+  if (days < 730) return `${Math.floor(days / 30)} months`;
+  return `${Math.floor(days / 365)} years`;
+}
+
+/**
+ * Checks whether a link was last verified longer ago than the stale period.
+ * Links without a lastChecked date are not stale here (custom links never have one);
+ * groupStaleLinks lists them separately for curators.
+ * @param {Object} link - Link object
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.staleAfterDays] - Stale period (defaults to linkHealthConfig.staleAfterDays)
+ * @returns {boolean}
+ */
+export function isStaleLink(link, options = {}) {
+  // Dead links are already flagged; they stay unchecked on purpose
+  if (!link || link.custom || link.status === 'dead') return false;
+  const { now = new Date(), staleAfterDays = linkHealthConfig.staleAfterDays } = options;
+  const age = getLinkAgeDays(link.lastChecked, now);
+  return age !== null && age > staleAfterDays;
+}
+
+/**
+ * Collects stale and never-checked links per category, oldest first
+ * @param {Array} categories - Array of Category objects (without custom links or the pinned section)
+ * @param {Object} [options] - { now, staleAfterDays } as for isStaleLink
+ * @returns {Array<{ id: string, title: string, links: Array }>} - Categories with at least one
+ *   stale link; each link gets an `ageDays` field (null when never checked)
+ */
+export function groupStaleLinks(categories, options = {}) {
+  const { now = new Date() } = options;
+
+  return (Array.isArray(categories) ? categories : [])
+    .map((category) => {
+      const links = (category.links || [])
+        .filter(
+          (link) =>
+            link &&
+            !link.custom &&
+            link.status !== 'dead' &&
+            (!link.lastChecked || isStaleLink(link, options))
+        )
+        .map((link) => ({ ...link, ageDays: getLinkAgeDays(link.lastChecked, now) }))
+        .sort((a, b) => (b.ageDays ?? Infinity) - (a.ageDays ?? Infinity));
+      return { id: category.id, title: category.title, links };
+    })
+    .filter((category) => category.links.length > 0);
+}
+
+// Dialog state
+let lastFocusedElement = null;
+
+/**
+ * Renders the stale links list into the dialog body
+ * @param {HTMLElement} body - Dialog body element
+ * @param {Array} groups - Result of groupStaleLinks
+ * @param {number} staleAfterDays - Stale period shown in the intro
+ */
+function renderStaleLinksList(body, groups, staleAfterDays) {
+  body.innerHTML = '';
+
+  const total = groups.reduce((sum, group) => sum + group.links.length, 0);
+  const intro = document.createElement('p');
+  intro.className = 'stale-links-intro';
+  intro.textContent =
+    total === 0
+      ? `Every link was checked within the last ${staleAfterDays} days.`
+      : `${total} ${total === 1 ? 'link has' : 'links have'} not been checked in over ${staleAfterDays} days. Run npm run check-links to verify them.`;
+  body.appendChild(intro);
+
+  groups.forEach((group) => {
+    const section = document.createElement('section');
+    section.className = 'stale-links-group';
+    section.setAttribute('data-category-id', group.id);
+
+    const heading = document.createElement('h4');
+    heading.className = 'stale-links-category';
+    heading.textContent = `${group.title} (${group.links.length})`;
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'stale-links-list';
+    group.links.forEach((link) => {
+      const item = document.createElement('li');
+      item.className = 'stale-links-item';
+      if (link.id) {
+        item.setAttribute('data-link-id', link.id);
+      }
+
+      const anchor = document.createElement('a');
+      anchor.href = link.url;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener noreferrer';
+      anchor.textContent = link.name;
+      item.appendChild(anchor);
+
+      const age = document.createElement('span');
+      age.className = 'stale-links-age';
+      age.textContent =
+        link.ageDays === null ? 'Never checked' : `${formatLinkAge(link.ageDays)} ago`;
+      item.appendChild(age);
+
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    body.appendChild(section);
+  });
+}
+
+/**
+ * Renders the stale links dialog HTML structure
+ * @returns {HTMLElement|null} The dialog content element
+ */
+function renderStaleLinksDialog() {
+  const dialog = document.getElementById('stale-links-dialog');
+  if (!dialog) {
+    console.error('Stale links dialog element not found');
+    return null;
+  }
+
+  const content = dialog.querySelector('.stale-links-dialog-content');
+  if (!content) {
+    console.error('Stale links dialog content element not found');
+    return null;
+  }
+
+  content.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'stale-links-dialog-header';
+
+  const title = document.createElement('h3');
+  title.id = 'stale-links-dialog-title';
+  title.className = 'stale-links-dialog-title';
+  title.textContent = 'Stale Links';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'stale-links-dialog-close';
+  closeButton.setAttribute('type', 'button');
+  closeButton.setAttribute('aria-label', 'Close stale links dialog');
+  closeButton.innerHTML = '×';
+  header.appendChild(closeButton);
+
+  content.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'stale-links-dialog-body';
+  content.appendChild(body);
+
+  return content;
+}
+
+/**
+ * Opens the stale links dialog for the given categories
+ * @param {Array} categories - Categories for the current game (see groupStaleLinks)
+ * @param {Object} [options] - { now, staleAfterDays } as for isStaleLink
+ */
+export function openStaleLinksDialog(categories, options = {}) {
+  const dialog = document.getElementById('stale-links-dialog');
+  const body = dialog && dialog.querySelector('.stale-links-dialog-body');
+  if (!body) {
+    console.error('Stale links dialog element not found');
+    return;
+  }
+
+  const staleAfterDays = options.staleAfterDays || linkHealthConfig.staleAfterDays;
+  renderStaleLinksList(
+    body,
+    groupStaleLinks(categories, { ...options, staleAfterDays }),
+    staleAfterDays
+  );
+
+  lastFocusedElement = document.activeElement;
+  dialog.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+
+  const closeButton = dialog.querySelector('.stale-links-dialog-close');
+  if (closeButton) {
+    setTimeout(() => {
+      closeButton.focus();
+    }, 100);
+  }
+}
+
+/**
+ * Closes the stale links dialog
+ */
+export function closeStaleLinksDialog() {
+  const dialog = document.getElementById('stale-links-dialog');
+  if (!dialog) {
+    return;
+  }
+
+  dialog.setAttribute('aria-hidden', 'true');
+  document.body.style.overflow = '';
+
+  if (lastFocusedElement && typeof lastFocusedElement.focus === 'function') {
+    lastFocusedElement.focus();
+  }
+  lastFocusedElement = null;
+}
+
+/**
+ * Sets up the stale links dialog
+ */
+export function setupStaleLinksDialog() {
+  const dialog = document.getElementById('stale-links-dialog');
+  if (!dialog) {
+    console.error('Stale links dialog element not found');
+    return;
+  }
+
+  renderStaleLinksDialog();
+
+  const closeButton = dialog.querySelector('.stale-links-dialog-close');
+  if (closeButton) {
+    closeButton.addEventListener('click', closeStaleLinksDialog);
+  }
+
+  const backdrop = dialog.querySelector('.stale-links-backdrop');
+  if (backdrop) {
+    backdrop.addEventListener('click', (event) => {
+      if (event.target === backdrop) {
+        closeStaleLinksDialog();
+      }
+    });
+  }
+
+  const handleEscape = (event) => {
+    if (event.key === 'Escape' && dialog.getAttribute('aria-hidden') === 'false') {
+      closeStaleLinksDialog();
+    }
+  };
+  document.addEventListener('keydown', handleEscape);
+}
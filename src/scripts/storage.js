@@ -0,0 +1,67 @@
+/**
+ * Local Storage Module
+ * Shared helpers for reading and writing JSON user preferences in localStorage
+ */
+
+/**
+ * Reads and parses a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when the key is missing, unreadable or not valid JSON
+ * @returns {*} - Parsed value or fallback
+ */
+export function readStoredJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (raw === null) {
+      return fallback;
+    }
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Error reading ${key} from localStorage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Serializes a value as JSON and writes it to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} - True if the value was saved
+ */
+export function writeStoredJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Error saving ${key} to localStorage:`, error);
+    return false;
+  }
+}
+
+/**
+ * Reads the list stored for one game from a per-game map ({ poe1: [...], poe2: [...] })
+ * @param {string} key - Storage key of the per-game map
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @returns {Array} - Stored array for the game, or an empty array
+ */
+export function readGameList(key, game) {
+  const stored = readStoredJSON(key, {});
+  if (!stored || typeof stored !== 'object' || !Array.isArray(stored[game])) {
+    return [];
+  }
+  return stored[game];
+}
+
+/**
+ * Replaces the list stored for one game in a per-game map, keeping the other game's list
+ * @param {string} key - Storage key of the per-game map
+ * @param {string} game - Game identifier ('poe1' or 'poe2')
+ * @param {Array} list - New array for the game
+ * @returns {boolean} - True if the value was saved
+ */
+export function writeGameList(key, game, list) {
+  const stored = readStoredJSON(key, {});
+  const next = stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  next[game] = list;
+  return writeStoredJSON(key, next);
+}
@@ -0,0 +1,136 @@
+/**
+ * Tags Module
+ * Handles link tags and the tag filter chips above the category grid
+ */
+
+/** Display labels for known tags; other tags are title-cased from their slug */
+const TAG_LABELS = {
+  ssf: 'SSF',
+  'trade-league': 'Trade League',
+  'desktop-app': 'Desktop App',
+  'open-source': 'Open Source',
+  'requires-login': 'Requires Login',
+};
+
+/**
+ * Returns the display label for a tag
+ * @param {string} tag - Tag slug (e.g. "trade-league")
+ * @returns {string} - Label (e.g. "Trade League")
+ */
+export function formatTagLabel(tag) {
+  if (TAG_LABELS[tag]) return TAG_LABELS[tag];
+  return String(tag)
+    .split('-')
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Collects the tags used by links across categories
+ * @param {Array} categories - Array of Category objects
+ * @returns {Array<{ tag: string, count: number }>} - Tags by link count (most used first), then by label
+ */
+export function collectTags(categories) {
+  const counts = new Map();
+  const seenLinks = new Set();
+
+  (Array.isArray(categories) ? categories : []).forEach((category) => {
+    (category.links || []).forEach((link) => {
+      if (!link || !Array.isArray(link.tags)) return;
+      // Count each link once even if it appears in several categories
+      const key = link.id || link.url;
+      if (seenLinks.has(key)) return;
+      seenLinks.add(key);
+      link.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+  });
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || formatTagLabel(a.tag).localeCompare(formatTagLabel(b.tag))
+  );
+}
+
+/**
+ * Filters categories down to the links that have every selected tag.
+ * Categories without any matching link are dropped.
+ * @param {Array} categories - Array of Category objects
+ * @param {Array<string>} selectedTags - Tags a link must all have (empty keeps everything)
+ * @returns {Array} - New array of Category objects containing only matching links
+ */
+export function filterCategoriesByTags(categories, selectedTags) {
+  if (!Array.isArray(categories)) return [];
+  if (!Array.isArray(selectedTags) || selectedTags.length === 0) return categories;
+
+  return categories
+    .map((category) => ({
+      ...category,
+      links: (category.links || []).filter(
+        (link) => Array.isArray(link.tags) && selectedTags.every((tag) => link.tags.includes(tag))
+      ),
+    }))
+    .filter((category) => category.links.length > 0);
+}
+
+/**
+ * Renders the tag filter chips. The container is hidden when no link has tags.
+ * @param {HTMLElement} container - Container element (usually #tag-filter)
+ * @param {Array<{ tag: string, count: number }>} tags - Tags from collectTags
+ * @param {Array<string>} selectedTags - Currently selected tags
+ * @param {Function} onChange - Called with the new array of selected tags
+ */
+export function renderTagFilter(container, tags, selectedTags, onChange) {
+  if (!container) {
+    return;
+  }
+
+  container.innerHTML = '';
+  container.hidden = !Array.isArray(tags) || tags.length === 0;
+  if (container.hidden) return;
+
+  const selected = Array.isArray(selectedTags) ? selectedTags : [];
+
+  const label = document.createElement('span');
+  label.className = 'tag-filter-label';
+  label.textContent = 'Tags:';
+  container.appendChild(label);
+
+  tags.forEach(({ tag, count }) => {
+    const isSelected = selected.includes(tag);
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-filter-chip';
+    chip.classList.toggle('active', isSelected);
+    chip.setAttribute('aria-pressed', String(isSelected));
+    chip.setAttribute('data-tag', tag);
+    chip.textContent = formatTagLabel(tag);
+
+    const countBadge = document.createElement('span');
+    countBadge.className = 'tag-filter-count';
+    countBadge.textContent = String(count);
+    countBadge.setAttribute('aria-label', `${count} links`);
+    chip.appendChild(countBadge);
+
+    chip.addEventListener('click', () => {
+      const next = isSelected ? selected.filter((item) => item !== tag) : [...selected, tag];
+      if (typeof onChange === 'function') {
+        onChange(next);
+      }
+    });
+    container.appendChild(chip);
+  });
+
+  if (selected.length > 0) {
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = 'tag-filter-clear';
+    clearButton.textContent = 'Clear';
+    clearButton.setAttribute('aria-label', 'Clear tag filter');
+    clearButton.addEventListener('click', () => {
+      if (typeof onChange === 'function') {
+        onChange([]);
+      }
+    });
+    container.appendChild(clearButton);
+  }
+}
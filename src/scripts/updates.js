@@ -3,6 +3,9 @@
  * Handles update/changelog data processing and rendering
  */
 
+import { LINK_CHANGE_TYPES } from './data.js';
+import { setLastSeenUpdate, isNewSince, countUnreadEntries } from './last-visit.js';
+
 /**
  * Formats ISO 8601 timestamp to human-readable date string
  * @param {string} timestamp - ISO 8601 timestamp
@@ -35,12 +38,18 @@ export function formatUpdateDate(timestamp) {
 }
 
 /**
- * Compares two link datasets to generate changelog entries
+ * Compares two link datasets to generate changelog entries.
+ * Links are matched by category and URL first; links left over on both sides are then
+ * paired by link ID (or by URL) to detect moves, URL changes and renames instead of
+ * reporting a removal plus an addition.
  * @param {Array} currentLinks - Current link data (Category array)
  * @param {Array} previousLinks - Previous link data (Category array)
+ * @param {Object} [options]
+ * @param {string} [options.game] - Game the link lists belong to ('poe1' or 'poe2'); set as
+ *   `game` on every entry when diffing per-game lists
  * @returns {Array} - Array of ChangelogEntry objects
  */
-export function compareLinks(currentLinks, previousLinks) {
+export function compareLinks(currentLinks, previousLinks, options = {}) {
   if (!currentLinks || !previousLinks) {
     return [];
   }
@@ -54,83 +63,183 @@ export function compareLinks(currentLinks, previousLinks) {
     // Create unique keys for all links: ${categoryId}:${url}
     const createLinkKey = (categoryId, url) => `${categoryId}:${url}`;
 
-    // Build maps of keys to link details for current and previous
-    const currentMap = new Map();
-    const previousMap = new Map();
-
-    // Process current links
-    currentLinks.forEach((category) => {
-      if (!category || !category.id || !Array.isArray(category.links)) {
-        return;
-      }
-      category.links.forEach((link) => {
-        if (link && link.url) {
-          const key = createLinkKey(category.id, link.url);
-          currentMap.set(key, {
-            categoryId: category.id,
-            linkName: link.name || '',
-            linkUrl: link.url,
-          });
+    // Build a map of keys to link details
+    const buildLinkMap = (categories) => {
+      const map = new Map();
+      categories.forEach((category) => {
+        if (!category || !category.id || !Array.isArray(category.links)) {
+          return;
         }
+        category.links.forEach((link) => {
+          if (link && link.url) {
+            map.set(createLinkKey(category.id, link.url), {
+              id: link.id,
+              categoryId: category.id,
+              linkName: link.name || '',
+              linkUrl: link.url,
+              description: link.description || '',
+            });
+          }
+        });
       });
+      return map;
+    };
+
+    const currentMap = buildLinkMap(currentLinks);
+    const previousMap = buildLinkMap(previousLinks);
+
+    const { game } = options;
+    const toEntry = (type, linkData, extra = {}) => ({
+      type,
+      categoryId: linkData.categoryId,
+      linkName: linkData.linkName,
+      linkUrl: linkData.linkUrl,
+      ...extra,
+      ...(game ? { game } : {}),
     });
 
-    // Process previous links
-    previousLinks.forEach((category) => {
-      if (!category || !category.id || !Array.isArray(category.links)) {
-        return;
+    // Name and description edits of a link that exists on both sides
+    const detectEdits = (current, previous, urlChanged) => {
+      const entries = [];
+      if (current.linkName !== previous.linkName) {
+        entries.push(toEntry('renamed', current, { previousLinkName: previous.linkName }));
       }
-      category.links.forEach((link) => {
-        if (link && link.url) {
-          const key = createLinkKey(category.id, link.url);
-          previousMap.set(key, {
-            categoryId: category.id,
-            linkName: link.name || '',
-            linkUrl: link.url,
-          });
-        }
-      });
-    });
+      if (urlChanged) {
+        entries.push(toEntry('updated', current, { previousLinkUrl: previous.linkUrl }));
+      } else if (current.description !== previous.description) {
+        entries.push(toEntry('updated', current));
+      }
+      return entries;
+    };
 
-    const changelog = [];
+    const changes = [];
+    const addedLinks = [];
+    const removedLinks = [];
 
-    // Find additions: keys in current but not in previous
     currentMap.forEach((linkData, key) => {
-      if (!previousMap.has(key)) {
-        changelog.push({
-          type: 'added',
-          categoryId: linkData.categoryId,
-          linkName: linkData.linkName,
-          linkUrl: linkData.linkUrl,
-        });
+      const previous = previousMap.get(key);
+      if (previous) {
+        changes.push(...detectEdits(linkData, previous, false));
+      } else {
+        addedLinks.push(linkData);
       }
     });
-
-    // Find removals: keys in previous but not in current
     previousMap.forEach((linkData, key) => {
       if (!currentMap.has(key)) {
-        changelog.push({
-          type: 'removed',
-          categoryId: linkData.categoryId,
-          linkName: linkData.linkName,
-          linkUrl: linkData.linkUrl,
-        });
+        removedLinks.push(linkData);
       }
     });
 
-    return changelog;
+    // Pair leftover links: same ID in the same category (URL changed), then same ID
+    // elsewhere, then same URL elsewhere (moved)
+    const matchers = [
+      (current, previous) =>
+        current.id && current.id === previous.id && current.categoryId === previous.categoryId,
+      (current, previous) => current.id && current.id === previous.id,
+      (current, previous) => current.linkUrl === previous.linkUrl,
+    ];
+    const unmatchedAdded = [];
+    addedLinks.forEach((current) => {
+      let index = -1;
+      matchers.some((matches) => {
+        index = removedLinks.findIndex((previous) => matches(current, previous));
+        return index !== -1;
+      });
+      if (index === -1) {
+        unmatchedAdded.push(current);
+        return;
+      }
+
+      const [previous] = removedLinks.splice(index, 1);
+      if (current.categoryId !== previous.categoryId) {
+        changes.push(toEntry('moved', current, { previousCategoryId: previous.categoryId }));
+      }
+      changes.push(...detectEdits(current, previous, current.linkUrl !== previous.linkUrl));
+    });
+
+    const changelog = [
+      ...unmatchedAdded.map((linkData) => toEntry('added', linkData)),
+      ...changes,
+      ...removedLinks.map((linkData) => toEntry('removed', linkData)),
+    ];
+
+    // Keep entries grouped by type in display order
+    return changelog.sort(
+      (a, b) => LINK_CHANGE_TYPES.indexOf(a.type) - LINK_CHANGE_TYPES.indexOf(b.type)
+    );
   } catch (error) {
     console.error('Error comparing links:', error);
     return [];
   }
 }
 
+/** Section headings for link change entries in the changelog */
+const CHANGE_SECTION_TITLES = {
+  added: 'Added',
+  moved: 'Moved',
+  renamed: 'Renamed',
+  updated: 'Updated',
+  removed: 'Removed',
+};
+
+/**
+ * Formats the text shown for a link change entry
+ * @param {Object} entry - ChangelogEntry (not a note)
+ * @returns {string} - e.g. "Tool (trade)", "Tool (builds → trade)", "Old → New (trade)"
+ */
+export function formatChangelogEntryText(entry) {
+  switch (entry.type) {
+    case 'moved':
+      return entry.previousCategoryId
+        ? `${entry.linkName} (${entry.previousCategoryId} → ${entry.categoryId})`
+        : `${entry.linkName} (${entry.categoryId})`;
+    case 'renamed':
+      return entry.previousLinkName
+        ? `${entry.previousLinkName} → ${entry.linkName} (${entry.categoryId})`
+        : `${entry.linkName} (${entry.categoryId})`;
+    case 'updated':
+      return `${entry.linkName} (${entry.categoryId}): ${entry.previousLinkUrl ? 'new URL' : 'description updated'}`;
+    default:
+      return `${entry.linkName} (${entry.categoryId})`;
+  }
+}
+
+/**
+ * Filters changelog groups to the entries relevant to one game.
+ * Entries without a `game` concern both games and are always kept; groups left without
+ * entries are dropped.
+ * @param {Array} changelog - Array of changelog date groups
+ * @param {string} [game] - 'poe1' or 'poe2'; every entry is kept when omitted
+ * @returns {Array} - Filtered changelog groups
+ */
+export function filterChangelogByGame(changelog, game) {
+  if (!Array.isArray(changelog)) {
+    return [];
+  }
+  if (!game) {
+    return changelog;
+  }
+
+  return changelog
+    .map((group) => {
+      if (!group || !Array.isArray(group.entries)) {
+        return group;
+      }
+      const entries = group.entries.filter((entry) => !entry || !entry.game || entry.game === game);
+      return { ...group, entries };
+    })
+    .filter((group) => !group || !Array.isArray(group.entries) || group.entries.length > 0);
+}
+
 /**
  * Renders changelog entries grouped by date and type
  * @param {HTMLElement} container - Container element to append changelog to
  * @param {Array} changelog - Array of changelog date groups, each with date and entries array
+ * @param {Object} [options]
+ * @param {string|null} [options.newSince] - Last update the visitor saw; later groups are
+ *   highlighted as new
  */
-export function renderChangelog(container, changelog) {
+export function renderChangelog(container, changelog, options = {}) {
   if (!container) {
     console.warn('Changelog container not found');
     return;
@@ -177,6 +286,13 @@ export function renderChangelog(container, changelog) {
     dateLabel.className = 'changelog-date-label';
     dateLabel.textContent = formatUpdateDate(group.date || '');
     dateHeader.appendChild(dateLabel);
+    if (isNewSince(group.date, options.newSince)) {
+      dateGroup.classList.add('changelog-date-group--new');
+      const newLabel = document.createElement('span');
+      newLabel.className = 'changelog-new-label';
+      newLabel.textContent = 'New since your last visit';
+      dateHeader.appendChild(newLabel);
+    }
     dateGroup.appendChild(dateHeader);
 
     // Filter and validate entries for this group
@@ -189,7 +305,7 @@ export function renderChangelog(container, changelog) {
       if (entry.type === 'note') {
         return entry.message && typeof entry.message === 'string';
       }
-      if (entry.type !== 'added' && entry.type !== 'removed') {
+      if (!LINK_CHANGE_TYPES.includes(entry.type)) {
         console.warn('Invalid changelog entry type skipped:', entry);
         return false;
       }
@@ -204,10 +320,7 @@ export function renderChangelog(container, changelog) {
       return; // Skip empty groups
     }
 
-    // Separate entries by type
     const noteEntries = validEntries.filter((e) => e.type === 'note');
-    const addedEntries = validEntries.filter((e) => e.type === 'added');
-    const removedEntries = validEntries.filter((e) => e.type === 'removed');
 
     const entriesContainer = document.createElement('div');
     entriesContainer.className = 'changelog-entries-container';
@@ -227,72 +340,155 @@ export function renderChangelog(container, changelog) {
       entriesContainer.appendChild(noteSection);
     }
 
-    // Render added entries
-    if (addedEntries.length > 0) {
-      const addedSection = document.createElement('div');
-      addedSection.className = 'changelog-added';
+    // Render one section per link change type (Added, Moved, Renamed, Updated, Removed)
+    LINK_CHANGE_TYPES.forEach((type) => {
+      const typeEntries = validEntries.filter((e) => e.type === type);
+      if (typeEntries.length === 0) {
+        return;
+      }
+
+      const section = document.createElement('div');
+      section.className = `changelog-${type}`;
 
-      const addedTitle = document.createElement('h4');
-      addedTitle.className = 'changelog-section-title';
-      addedTitle.textContent = 'Added';
-      addedSection.appendChild(addedTitle);
+      const sectionTitle = document.createElement('h4');
+      sectionTitle.className = 'changelog-section-title';
+      sectionTitle.textContent = CHANGE_SECTION_TITLES[type];
+      section.appendChild(sectionTitle);
 
-      const addedList = document.createElement('ul');
-      addedList.className = 'changelog-list';
-      addedList.setAttribute('role', 'list');
+      const list = document.createElement('ul');
+      list.className = 'changelog-list';
+      list.setAttribute('role', 'list');
 
-      addedEntries.forEach((entry) => {
+      typeEntries.forEach((entry) => {
         const listItem = document.createElement('li');
-        listItem.className = 'changelog-entry changelog-added-entry';
+        listItem.className = `changelog-entry changelog-${type}-entry`;
         listItem.setAttribute('role', 'listitem');
 
         const entryText = document.createElement('span');
         entryText.className = 'changelog-entry-text';
-        entryText.textContent = `${entry.linkName} (${entry.categoryId})`;
+        // Display entry even if category doesn't exist (category may have been removed)
+        entryText.textContent = formatChangelogEntryText(entry);
 
         listItem.appendChild(entryText);
-        addedList.appendChild(listItem);
+        list.appendChild(listItem);
       });
 
-      addedSection.appendChild(addedList);
-      entriesContainer.appendChild(addedSection);
-    }
+      section.appendChild(list);
+      entriesContainer.appendChild(section);
+    });
 
-    // Render removed entries
-    if (removedEntries.length > 0) {
-      const removedSection = document.createElement('div');
-      removedSection.className = 'changelog-removed';
+    dateGroup.appendChild(entriesContainer);
+    container.appendChild(dateGroup);
+  });
+}
 
-      const removedTitle = document.createElement('h4');
-      removedTitle.className = 'changelog-section-title';
-      removedTitle.textContent = 'Removed';
-      removedSection.appendChild(removedTitle);
+/** Short game names for the Updates overlay filter */
+const GAME_NAMES = { poe1: 'PoE 1', poe2: 'PoE 2' };
 
-      const removedList = document.createElement('ul');
-      removedList.className = 'changelog-list';
-      removedList.setAttribute('role', 'list');
+// Updates overlay state: the record shown, the selected game, whether the
+// "only this game" filter is switched off and the update seen on the previous visit
+let overlayUpdateRecord = null;
+let overlayGame = null;
+let showAllGames = false;
+let overlayLastSeen = null;
 
-      removedEntries.forEach((entry) => {
-        const listItem = document.createElement('li');
-        listItem.className = 'changelog-entry changelog-removed-entry';
-        listItem.setAttribute('role', 'listitem');
+/**
+ * Checks whether any changelog entry is limited to one game
+ * @param {Array} changelog - Array of changelog date groups
+ * @returns {boolean}
+ */
+function hasGameSpecificEntries(changelog) {
+  return (changelog || []).some(
+    (group) =>
+      group && Array.isArray(group.entries) && group.entries.some((entry) => entry && entry.game)
+  );
+}
 
-        const entryText = document.createElement('span');
-        entryText.className = 'changelog-entry-text';
-        // Display entry even if category doesn't exist (category may have been removed)
-        entryText.textContent = `${entry.linkName} (${entry.categoryId})`;
+/**
+ * Renders the changelog (filtered to the selected game unless "all games" is chosen)
+ * into the overlay body and syncs the game filter toggle
+ * @param {HTMLElement} overlay - Changelog overlay element
+ */
+function renderChangelogOverlayBody(overlay) {
+  const scrollableContent = overlay.querySelector('.changelog-overlay-body');
+  if (!scrollableContent) {
+    return;
+  }
 
-        listItem.appendChild(entryText);
-        removedList.appendChild(listItem);
-      });
+  const changelog = (overlayUpdateRecord && overlayUpdateRecord.changelog) || [];
+  const canFilter = Boolean(GAME_NAMES[overlayGame]) && hasGameSpecificEntries(changelog);
 
-      removedSection.appendChild(removedList);
-      entriesContainer.appendChild(removedSection);
-    }
+  const filterLabel = overlay.querySelector('.changelog-game-filter');
+  if (filterLabel) {
+    filterLabel.hidden = !canFilter;
+    filterLabel.querySelector('.changelog-game-filter-input').checked = !showAllGames;
+    filterLabel.querySelector('.changelog-game-filter-text').textContent = canFilter
+      ? `Only ${GAME_NAMES[overlayGame]} changes`
+      : '';
+  }
 
-    dateGroup.appendChild(entriesContainer);
-    container.appendChild(dateGroup);
-  });
+  scrollableContent.innerHTML = '';
+  const visibleChangelog =
+    canFilter && !showAllGames ? filterChangelogByGame(changelog, overlayGame) : changelog;
+  if (visibleChangelog.length > 0) {
+    renderChangelog(scrollableContent, visibleChangelog, { newSince: overlayLastSeen });
+  } else {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'changelog-empty';
+    emptyState.setAttribute('role', 'status');
+    emptyState.setAttribute('aria-live', 'polite');
+    emptyState.textContent =
+      changelog.length > 0
+        ? `No changes for ${GAME_NAMES[overlayGame]} yet.`
+        : 'No changes in this update.';
+    scrollableContent.appendChild(emptyState);
+  }
+}
+
+/**
+ * Shows the number of changes since the last visit (for the selected game) on the
+ * Updates button, or removes the badge when there are none
+ * @param {HTMLElement} button - The Updates button
+ */
+function syncUnreadBadge(button) {
+  if (!button) {
+    return;
+  }
+
+  const changelog = (overlayUpdateRecord && overlayUpdateRecord.changelog) || [];
+  const unread = countUnreadEntries(
+    filterChangelogByGame(changelog, GAME_NAMES[overlayGame] ? overlayGame : undefined),
+    overlayLastSeen
+  );
+  let badge = button.querySelector('.nav-updates-badge');
+
+  if (unread === 0 || button.dataset.seen === 'true') {
+    if (badge) badge.remove();
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'nav-updates-badge';
+    button.appendChild(badge);
+  }
+  const label = document.createElement('span');
+  label.className = 'sr-only';
+  label.textContent = ` new ${unread === 1 ? 'change' : 'changes'} since your last visit`;
+  badge.replaceChildren(String(unread), label);
+}
+
+/**
+ * Sets the game the Updates overlay is filtered to (call when the selected game changes)
+ * @param {string} game - 'poe1' or 'poe2'
+ */
+export function setChangelogGame(game) {
+  overlayGame = game;
+  const overlay = document.getElementById('changelog-overlay');
+  if (overlay) {
+    renderChangelogOverlayBody(overlay);
+  }
+  syncUnreadBadge(document.querySelector('.nav-updates-button'));
 }
 
 /**
@@ -345,26 +541,33 @@ function createChangelogOverlay(updateRecord) {
 
   content.appendChild(header);
 
+  // Game filter toggle (hidden unless some entries are limited to one game)
+  const filterLabel = document.createElement('label');
+  filterLabel.className = 'changelog-game-filter';
+  const filterInput = document.createElement('input');
+  filterInput.type = 'checkbox';
+  filterInput.className = 'changelog-game-filter-input';
+  const filterText = document.createElement('span');
+  filterText.className = 'changelog-game-filter-text';
+  filterLabel.appendChild(filterInput);
+  filterLabel.appendChild(filterText);
+  content.appendChild(filterLabel);
+
   // Create scrollable content area
   const scrollableContent = document.createElement('div');
   scrollableContent.className = 'changelog-overlay-body';
-  
-  // Render changelog
-  const changelog = updateRecord.changelog || [];
-  if (changelog.length > 0) {
-    renderChangelog(scrollableContent, changelog);
-  } else {
-    const emptyState = document.createElement('div');
-    emptyState.className = 'changelog-empty';
-    emptyState.setAttribute('role', 'status');
-    emptyState.setAttribute('aria-live', 'polite');
-    emptyState.textContent = 'No changes in this update.';
-    scrollableContent.appendChild(emptyState);
-  }
-
   content.appendChild(scrollableContent);
   overlay.appendChild(content);
 
+  // Render changelog
+  overlayUpdateRecord = updateRecord;
+  renderChangelogOverlayBody(overlay);
+
+  filterInput.addEventListener('change', () => {
+    showAllGames = !filterInput.checked;
+    renderChangelogOverlayBody(overlay);
+  });
+
   // Add to body
   document.body.appendChild(overlay);
 
@@ -375,13 +578,21 @@ function createChangelogOverlay(updateRecord) {
  * Renders the Updates button in the navigation bar
  * @param {HTMLElement} navList - Navigation list element
  * @param {Object} updateRecord - UpdateRecord object with lastUpdated and changelog
+ * @param {Object} [options]
+ * @param {string} [options.game] - Selected game ('poe1' or 'poe2'); the overlay can then be
+ *   filtered to changes for that game
+ * @param {string|null} [options.lastSeen] - Update seen on the previous visit (see
+ *   last-visit.js); newer changes get an unread badge and are highlighted in the overlay
  * @returns {HTMLElement} - The created button element
  */
-export function renderUpdatesButton(navList, updateRecord) {
+export function renderUpdatesButton(navList, updateRecord, options = {}) {
   if (!navList || !updateRecord) {
     return null;
   }
 
+  overlayGame = options.game || null;
+  overlayLastSeen = options.lastSeen || null;
+
   const formattedDate = formatUpdateDate(updateRecord.lastUpdated);
   
   // Create list item for the button
@@ -401,6 +612,7 @@ export function renderUpdatesButton(navList, updateRecord) {
 
   // Create overlay (initially hidden)
   const overlay = createChangelogOverlay(updateRecord);
+  syncUnreadBadge(updatesButton);
 
   // Add close handlers
   const closeButton = overlay.querySelector('.changelog-overlay-close');
@@ -516,6 +728,13 @@ export function toggleChangelog(button) {
   // Prevent body scroll when overlay is open
   if (newExpandedState) {
     document.body.style.overflow = 'hidden';
+
+    // Opening the overlay marks the updates as seen (groups stay highlighted until reload)
+    if (overlayUpdateRecord) {
+      setLastSeenUpdate(overlayUpdateRecord.lastUpdated);
+    }
+    button.dataset.seen = 'true';
+    syncUnreadBadge(button);
   } else {
     document.body.style.overflow = '';
   }
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getArchiveItems,
+  archiveItemMatches,
+  renderArchiveView,
+} from '../../src/scripts/archive.js';
+
+const leagues = [
+  {
+    id: 'druids',
+    name: 'The Last of the Druids',
+    game: 'poe2',
+    startDate: '2025-12-12T19:00:00.000Z',
+    endDate: '2026-05-20T21:00:00.000Z',
+  },
+  {
+    id: 'mirage',
+    name: 'Mirage',
+    game: 'poe1',
+    startDate: '2026-03-06T19:00:00.000Z',
+    endDate: '2026-06-28T21:00:00.000Z',
+  },
+  {
+    id: 'allflame',
+    name: 'Curse of the Allflame',
+    game: 'poe1',
+    startDate: '2026-07-24T19:00:00.000Z',
+    endDate: '2026-11-24T21:00:00.000Z',
+  },
+];
+
+const events = [
+  {
+    id: 'druid-race',
+    name: 'Druid Race',
+    type: 'race',
+    game: 'poe2',
+    startDate: '2026-03-29T19:00:00.000Z',
+    endDate: '2026-04-13T21:00:00.000Z',
+    description: 'First to kill the boss wins',
+    detailsLink: 'https://example.com/race',
+  },
+  {
+    id: 'reveal',
+    name: 'Reveal Livestream',
+    startDate: '2026-07-16T20:00:00.000Z',
+    endDate: '2026-07-16T22:00:00.000Z',
+  },
+  {
+    id: 'launch',
+    name: 'Mirage Launch',
+    type: 'league',
+    game: 'poe1',
+    startDate: '2026-03-06T19:00:00.000Z',
+    endDate: '2026-03-07T19:00:00.000Z',
+  },
+];
+
+const now = new Date('2026-08-01T12:00:00.000Z');
+
+describe('getArchiveItems', () => {
+  it('should keep ended leagues and events, newest first, with their durations', () => {
+    const items = getArchiveItems(events, leagues, now);
+
+    expect(items.map((item) => [item.kind, item.id, item.type])).toEqual([
+      ['event', 'reveal', 'event'],
+      ['league', 'mirage', 'league'],
+      ['league', 'druids', 'league'],
+      ['event', 'druid-race', 'race'],
+    ]);
+    expect(items[1].totalDuration).toBe('114d 2h 0m');
+    expect(items[3].detailsLink).toBe('https://example.com/race');
+  });
+
+  it('should handle missing data', () => {
+    expect(getArchiveItems(null, undefined, now)).toEqual([]);
+  });
+});
+
+describe('archiveItemMatches', () => {
+  const [reveal, mirage, , race] = getArchiveItems(events, leagues, now);
+
+  it('should match every query term in the name or description', () => {
+    expect(archiveItemMatches(race, { query: 'race BOSS' })).toBe(true);
+    expect(archiveItemMatches(race, { query: 'race mirage' })).toBe(false);
+    expect(archiveItemMatches(mirage)).toBe(true);
+  });
+
+  it('should filter by game and type, keeping events for both games', () => {
+    expect(archiveItemMatches(mirage, { game: 'poe2' })).toBe(false);
+    expect(archiveItemMatches(reveal, { game: 'poe2' })).toBe(true);
+    expect(archiveItemMatches(race, { type: 'race' })).toBe(true);
+    expect(archiveItemMatches(mirage, { type: 'race' })).toBe(false);
+  });
+});
+
+describe('renderArchiveView', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.innerHTML = '';
+    document.body.appendChild(container);
+  });
+
+  const ids = () =>
+    [...container.querySelectorAll('.archive-item')].map((item) =>
+      item.getAttribute('data-archive-id')
+    );
+
+  it('should start on the selected game and show durations', () => {
+    renderArchiveView(container, events, leagues, 'poe1', { now });
+
+    expect(container.querySelector('#archive-game').value).toBe('poe1');
+    expect(ids()).toEqual(['event-reveal', 'league-mirage']);
+    expect(container.querySelector('.archive-count').textContent).toBe('2 of 4 past entries');
+
+    const mirage = container.querySelector('[data-archive-id="league-mirage"]');
+    expect(mirage.querySelector('.archive-item-meta').textContent).toMatch(/^PoE 1 · League · /);
+    expect(mirage.querySelector('.duration-value').textContent).toBe('114d 2h 0m');
+  });
+
+  it('should search and filter by game and type', () => {
+    renderArchiveView(container, events, leagues, 'poe1', { now });
+
+    const game = container.querySelector('#archive-game');
+    game.value = '';
+    game.dispatchEvent(new Event('change'));
+    expect(ids()).toHaveLength(4);
+
+    const type = container.querySelector('#archive-type');
+    type.value = 'race';
+    type.dispatchEvent(new Event('change'));
+    expect(ids()).toEqual(['event-druid-race']);
+    expect(container.querySelector('a.archive-item-name').href).toBe('https://example.com/race');
+
+    const search = container.querySelector('#archive-search');
+    search.value = 'mirage';
+    search.dispatchEvent(new Event('input'));
+    const list = container.querySelector('.archive-list');
+    const emptyState = container.querySelector('.archive-empty');
+    expect(list.hidden).toBe(true);
+    expect(list.children).toHaveLength(0);
+    expect(emptyState.hidden).toBe(false);
+    expect(emptyState.textContent).toBe('No past events or leagues match your filters.');
+
+    search.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(search.value).toBe('');
+    expect(ids()).toEqual(['event-druid-race']);
+    expect(list.hidden).toBe(false);
+    expect(emptyState.hidden).toBe(true);
+  });
+
+  it('should keep the chosen filters and the typed query when re-rendered for another game', () => {
+    renderArchiveView(container, events, leagues, 'poe1', { now });
+    const search = container.querySelector('#archive-search');
+    search.value = 'druid ';
+    search.dispatchEvent(new Event('input'));
+
+    renderArchiveView(container, events, leagues, 'poe2', { now });
+
+    expect(container.querySelector('#archive-search').value).toBe('druid ');
+    expect(container.querySelector('#archive-game').value).toBe('');
+    expect(container.querySelector('#archive-type').value).toBe('race');
+    expect(ids()).toEqual(['event-druid-race']);
+  });
+
+  it('should show an empty state without past entries', () => {
+    renderArchiveView(container, events, leagues, 'poe1', { now: new Date('2025-01-01') });
+
+    expect(container.querySelector('.empty-state').textContent).toBe(
+      'No past events or leagues yet.'
+    );
+    expect(container.querySelector('.archive-list')).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SIDEBAR_VIEW_STORAGE_KEY,
+  getSidebarView,
+  setSidebarView,
+  getMonthWeeks,
+  getCalendarItems,
+  layoutWeekBars,
+  renderCalendarView,
+  renderSidebarViewToggle,
+} from '../../src/scripts/calendar-view.js';
+
+// Local dates, so the tests do not depend on the time zone they run in
+const at = (month, day, hour = 12) => new Date(2026, month, day, hour).toISOString();
+
+const leagues = [
+  { id: 'mirage', name: 'Mirage', game: 'poe1', startDate: at(2, 6), endDate: at(5, 28) },
+  { id: 'druids', name: 'Druids', game: 'poe2', startDate: at(1, 1), endDate: at(4, 20) },
+];
+
+const events = [
+  {
+    id: 'race',
+    name: 'Race',
+    type: 'race',
+    game: 'poe1',
+    startDate: at(2, 10, 18),
+    endDate: at(2, 10, 20),
+    detailsLink: 'https://example.com/race',
+  },
+  { id: 'reveal', name: 'Reveal', startDate: at(2, 9), endDate: at(2, 11) },
+  { id: 'launch', name: 'Launch', type: 'league', startDate: at(2, 6), endDate: at(2, 7) },
+];
+
+describe('getSidebarView / setSidebarView', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should default to the list and remember the calendar', () => {
+    expect(getSidebarView()).toBe('list');
+    expect(setSidebarView('calendar')).toBe(true);
+    expect(getSidebarView()).toBe('calendar');
+    expect(setSidebarView('timeline')).toBe(true);
+    expect(getSidebarView()).toBe('timeline');
+  });
+
+  it('should ignore unknown views', () => {
+    expect(setSidebarView('agenda')).toBe(false);
+    localStorage.setItem(SIDEBAR_VIEW_STORAGE_KEY, JSON.stringify('grid'));
+    expect(getSidebarView()).toBe('list');
+  });
+});
+
+describe('getMonthWeeks', () => {
+  it('should cover the month in Monday-to-Sunday weeks', () => {
+    const weeks = getMonthWeeks(2026, 2);
+
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0][0]).toEqual(new Date(2026, 1, 23));
+    expect(weeks[0][6]).toEqual(new Date(2026, 2, 1));
+    expect(weeks[5][1]).toEqual(new Date(2026, 2, 31));
+  });
+});
+
+describe('getCalendarItems', () => {
+  it('should keep the game’s leagues and events, typed and sorted by start', () => {
+    const items = getCalendarItems(events, leagues, 'poe1');
+
+    expect(items.map((item) => [item.id, item.type])).toEqual([
+      ['mirage', 'league'],
+      ['reveal', 'event'],
+      ['race', 'race'],
+    ]);
+    expect(items[2].detailsLink).toBe('https://example.com/race');
+  });
+
+  it('should include every game without a selection and handle missing data', () => {
+    expect(getCalendarItems(events, leagues)).toHaveLength(4);
+    expect(getCalendarItems(null, undefined, 'poe1')).toEqual([]);
+  });
+});
+
+describe('layoutWeekBars', () => {
+  it('should clip bars to the week and stack overlapping ones', () => {
+    const items = getCalendarItems(events, leagues, 'poe1');
+    const bars = layoutWeekBars(items, new Date(2026, 2, 9));
+
+    expect(
+      bars.map(({ item, column, span, lane, continuesBefore, continuesAfter }) => [
+        item.id,
+        column,
+        span,
+        lane,
+        continuesBefore,
+        continuesAfter,
+      ])
+    ).toEqual([
+      ['mirage', 0, 7, 0, true, true],
+      ['reveal', 0, 3, 1, false, false],
+      ['race', 1, 1, 2, false, false],
+    ]);
+  });
+
+  it('should reuse a lane once the earlier bar has ended', () => {
+    const items = [
+      { id: 'a', start: new Date(2026, 2, 9, 10), end: new Date(2026, 2, 10, 10) },
+      { id: 'b', start: new Date(2026, 2, 12, 10), end: new Date(2026, 2, 13, 0) },
+    ];
+
+    expect(layoutWeekBars(items, new Date(2026, 2, 9))).toMatchObject([
+      { column: 0, span: 2, lane: 0 },
+      { column: 3, span: 1, lane: 0 },
+    ]);
+  });
+});
+
+describe('renderCalendarView', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.innerHTML = '';
+    document.body.appendChild(container);
+  });
+
+  it('should render the month with colored bars and mark today', () => {
+    renderCalendarView(container, events, leagues, 'poe1', {
+      month: new Date(2026, 2, 1),
+      now: new Date(2026, 2, 10, 9),
+    });
+
+    expect(container.querySelector('.calendar-view-title').textContent).toBe('March 2026');
+    expect(container.querySelectorAll('.calendar-week')).toHaveLength(6);
+    expect(container.querySelector('[aria-current="date"]').textContent).toBe('10');
+
+    const race = container.querySelector('.calendar-bar--race');
+    expect(race.tagName).toBe('A');
+    expect(race.href).toBe('https://example.com/race');
+    expect(race.textContent).toBe('Race');
+    expect(container.querySelector('.calendar-bar--event').tagName).toBe('SPAN');
+    expect(container.querySelector('.calendar-bar--league')).toBeTruthy();
+    expect(container.querySelector('.calendar-bar[aria-label^="Druids"]')).toBeNull();
+    expect(container.querySelectorAll('.calendar-legend-item')).toHaveLength(4);
+  });
+
+  it('should move between months and back to today', () => {
+    const now = new Date(2026, 2, 10, 9);
+    renderCalendarView(container, events, leagues, 'poe1', { month: now, now });
+
+    container.querySelector('.calendar-view-next').click();
+    expect(container.querySelector('.calendar-view-title').textContent).toBe('April 2026');
+    expect(document.activeElement).toBe(container.querySelector('.calendar-view-next'));
+
+    container.querySelector('.calendar-view-prev').click();
+    container.querySelector('.calendar-view-prev').click();
+    expect(container.querySelector('.calendar-view-title').textContent).toBe('February 2026');
+
+    container.querySelector('.calendar-view-today').click();
+    expect(container.querySelector('.calendar-view-title').textContent).toBe('March 2026');
+  });
+
+  it('should keep the shown month when re-rendered for another game', () => {
+    renderCalendarView(container, events, leagues, 'poe1', { month: new Date(2026, 4, 1) });
+    renderCalendarView(container, events, leagues, 'poe2');
+
+    expect(container.querySelector('.calendar-view-title').textContent).toBe('May 2026');
+    expect(container.querySelector('.calendar-bar--league').textContent).toBe('Druids');
+  });
+});
+
+describe('renderSidebarViewToggle', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should save and report the selected view', () => {
+    const container = document.createElement('div');
+    const changes = [];
+    const group = renderSidebarViewToggle(container, 'list', (view) => changes.push(view));
+
+    const [list, calendar] = group.querySelectorAll('.sidebar-view-button');
+    expect(list.getAttribute('aria-pressed')).toBe('true');
+
+    calendar.click();
+    expect(calendar.getAttribute('aria-pressed')).toBe('true');
+    expect(list.getAttribute('aria-pressed')).toBe('false');
+    expect(getSidebarView()).toBe('calendar');
+
+    calendar.click();
+    expect(changes).toEqual(['calendar']);
+  });
+
+  it('should not render without a container', () => {
+    expect(renderSidebarViewToggle(null, 'list')).toBeNull();
+  });
+});
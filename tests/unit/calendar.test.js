@@ -0,0 +1,160 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  getCalendarFileName,
+  formatICalDate,
+  escapeICalText,
+  foldICalLine,
+  buildCalendar,
+  buildGameCalendar,
+  createAddToCalendarButton,
+  createCalendarSubscribeLink,
+} from '../../src/scripts/calendar.js';
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+
+const race = {
+  id: 'race',
+  name: 'Druid Race',
+  type: 'race',
+  game: 'poe2',
+  startDate: '2026-03-29T19:00:00.000Z',
+  endDate: '2026-03-29T21:00:00.000Z',
+  description: 'Kill Tavakai; first wins, fast',
+  detailsLink: 'https://example.com/race',
+};
+
+const sharedEvent = {
+  id: 'livestream',
+  name: 'Reveal',
+  type: 'event',
+  startDate: '2026-03-10T20:00:00.000Z',
+  endDate: '2026-03-10T22:00:00.000Z',
+};
+
+const league = {
+  id: 'mirage',
+  name: 'Mirage',
+  game: 'poe1',
+  startDate: '2026-03-06T19:00:00.000Z',
+  endDate: '2026-06-28T21:00:00.000Z',
+};
+
+/** Unfolds an .ics document into its content lines */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('iCalendar helpers', () => {
+  it('should format UTC date-times', () => {
+    expect(formatICalDate('2026-03-29T19:00:00.500Z')).toBe('20260329T190000Z');
+    expect(getCalendarFileName('poe2')).toBe('calendar-poe2.ics');
+  });
+
+  it('should escape text values', () => {
+    expect(escapeICalText('a, b; c\\d\nnext')).toBe('a\\, b\\; c\\\\d\\nnext');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldICalLine(line);
+    const encoder = new TextEncoder();
+
+    folded.split('\r\n').forEach((part) => {
+      expect(encoder.encode(part).length).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+    expect(foldICalLine('SHORT:line')).toBe('SHORT:line');
+  });
+});
+
+describe('buildCalendar', () => {
+  it('should build a VEVENT with a reminder for an event', () => {
+    const lines = unfold(buildCalendar([{ item: race, kind: 'event' }], { now }));
+
+    expect(lines.slice(0, 5)).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//weo-soft//PoE Link Collection Hub//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ]);
+    expect(lines).toContain('UID:event-race@poe-hub.weosoft.org');
+    expect(lines).toContain('DTSTAMP:20260301T120000Z');
+    expect(lines).toContain('DTSTART:20260329T190000Z');
+    expect(lines).toContain('DTEND:20260329T210000Z');
+    expect(lines).toContain('SUMMARY:Druid Race (PoE 2)');
+    expect(lines).toContain('CATEGORIES:Race');
+    expect(lines).toContain(
+      'DESCRIPTION:Kill Tavakai\\; first wins\\, fast\\n\\nhttps://example.com/race'
+    );
+    expect(lines).toContain('URL:https://example.com/race');
+    expect(lines).toContain('TRIGGER:-PT30M');
+    expect(lines.slice(-3)).toEqual(['END:VEVENT', 'END:VCALENDAR', '']);
+  });
+
+  it('should only name the calendar when a name is given', () => {
+    expect(buildCalendar([], { now })).not.toContain('X-WR-CALNAME');
+    expect(unfold(buildCalendar([], { name: 'Test', now }))).toContain('X-WR-CALNAME:Test');
+  });
+});
+
+describe('buildGameCalendar', () => {
+  it("should include the game's leagues and events plus events for both games", () => {
+    const leagueEvent = { ...sharedEvent, id: 'league-event', type: 'league' };
+    const ics = buildGameCalendar([race, sharedEvent, leagueEvent], [league], 'poe1', { now });
+    const uids = unfold(ics).filter((line) => line.startsWith('UID:'));
+
+    expect(uids).toEqual([
+      'UID:league-mirage@poe-hub.weosoft.org',
+      'UID:event-livestream@poe-hub.weosoft.org',
+    ]);
+    expect(unfold(ics)).toContain('X-WR-CALNAME:PoE 1 events and leagues – PoE Hub');
+  });
+
+  it('should handle missing data', () => {
+    expect(buildGameCalendar(null, undefined, 'poe2', { now })).not.toContain('BEGIN:VEVENT');
+  });
+});
+
+describe('calendar buttons', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('should download a single event as an .ics file', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:calendar');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('race.ics');
+      expect(this.href).toBe('blob:calendar');
+    });
+
+    const button = createAddToCalendarButton(race, 'event');
+    expect(button.getAttribute('aria-label')).toBe('Add Druid Race to calendar (.ics)');
+    button.click();
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('text/calendar;charset=utf-8');
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(text).toContain('UID:event-race@poe-hub.weosoft.org');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:calendar');
+  });
+
+  it('should link the game feed with the webcal scheme', () => {
+    const link = createCalendarSubscribeLink('poe2');
+
+    expect(link.href).toBe(
+      new URL('calendar-poe2.ics', document.baseURI).href.replace(/^https?:/, 'webcal:')
+    );
+    expect(link.getAttribute('aria-label')).toBe(
+      'Subscribe to the PoE 2 events and leagues calendar'
+    );
+  });
+});
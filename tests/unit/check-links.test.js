@@ -0,0 +1,380 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  getComparableHost,
+  classifyRequestError,
+  checkUrl,
+  checkLinks,
+  runWithConcurrency,
+  applyReportToLinkItems,
+  getStatusUpdate,
+  toDataTimestamp,
+  main,
+} from '../../scripts/check-links.js';
+import { detectIndent, readJsonFile, writeJsonFile } from '../../scripts/lib/json-files.js';
+
+let server;
+let baseUrl;
+let port;
+
+/** Stub routes for the local test server */
+function handleRequest(request, response) {
+  const { pathname } = new URL(request.url, 'http://127.0.0.1');
+
+  switch (pathname) {
+    case '/ok':
+      response.writeHead(200, { 'content-type': 'text/plain' });
+      response.end('ok');
+      break;
+    case '/get-only':
+      response.writeHead(request.method === 'HEAD' ? 405 : 200);
+      response.end();
+      break;
+    case '/missing':
+      response.writeHead(404);
+      response.end();
+      break;
+    case '/forbidden':
+      response.writeHead(403);
+      response.end();
+      break;
+    case '/redirect':
+      response.writeHead(301, { location: '/ok' });
+      response.end();
+      break;
+    case '/new-domain':
+      // Same server, but a different host name
+      response.writeHead(302, { location: `http://localhost:${port}/ok` });
+      response.end();
+      break;
+    case '/loop':
+      response.writeHead(302, { location: '/loop' });
+      response.end();
+      break;
+    case '/slow':
+      setTimeout(() => {
+        response.writeHead(200);
+        response.end();
+      }, 500);
+      break;
+    default:
+      response.writeHead(500);
+      response.end();
+  }
+}
+
+beforeAll(async () => {
+  server = createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('getComparableHost', () => {
+  it('should lowercase the host and drop "www."', () => {
+    expect(getComparableHost('https://WWW.PathOfExile.com/trade')).toBe('pathofexile.com');
+  });
+
+  it('should return an empty string for invalid URLs', () => {
+    expect(getComparableHost('not a url')).toBe('');
+  });
+});
+
+describe('classifyRequestError', () => {
+  it('should classify aborts as timeouts', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    expect(classifyRequestError(error).outcome).toBe('timeout');
+  });
+
+  it('should classify certificate errors as TLS failures', () => {
+    const error = new TypeError('fetch failed', {
+      cause: Object.assign(new Error('certificate has expired'), { code: 'CERT_HAS_EXPIRED' }),
+    });
+    expect(classifyRequestError(error)).toEqual({
+      outcome: 'tls-error',
+      error: 'CERT_HAS_EXPIRED: certificate has expired',
+    });
+  });
+
+  it('should classify unresolvable hosts as dead', () => {
+    const error = new TypeError('fetch failed', {
+      cause: Object.assign(new Error('getaddrinfo ENOTFOUND example.invalid'), {
+        code: 'ENOTFOUND',
+      }),
+    });
+    expect(classifyRequestError(error).outcome).toBe('dead');
+  });
+
+  it('should fall back to a generic error', () => {
+    expect(classifyRequestError(new Error('boom'))).toEqual({ outcome: 'error', error: 'boom' });
+  });
+});
+
+describe('checkUrl', () => {
+  it('should report reachable links as ok', async () => {
+    const result = await checkUrl(`${baseUrl}/ok`);
+    expect(result.outcome).toBe('ok');
+    expect(result.httpStatus).toBe(200);
+    expect(result.redirects).toEqual([]);
+    expect(result.error).toBeNull();
+  });
+
+  it('should retry with GET when HEAD is not supported', async () => {
+    const result = await checkUrl(`${baseUrl}/get-only`);
+    expect(result.outcome).toBe('ok');
+    expect(result.httpStatus).toBe(200);
+  });
+
+  it('should flag error statuses as dead', async () => {
+    const result = await checkUrl(`${baseUrl}/missing`);
+    expect(result.outcome).toBe('dead');
+    expect(result.httpStatus).toBe(404);
+  });
+
+  it('should flag refused automated requests as blocked', async () => {
+    const result = await checkUrl(`${baseUrl}/forbidden`);
+    expect(result.outcome).toBe('blocked');
+  });
+
+  it('should follow same-domain redirects', async () => {
+    const result = await checkUrl(`${baseUrl}/redirect`);
+    expect(result.outcome).toBe('ok');
+    expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+    expect(result.redirects).toEqual([
+      { status: 301, from: `${baseUrl}/redirect`, to: `${baseUrl}/ok` },
+    ]);
+  });
+
+  it('should flag redirects to a new domain as moved', async () => {
+    const result = await checkUrl(`${baseUrl}/new-domain`);
+    expect(result.outcome).toBe('moved');
+    expect(result.finalUrl).toBe(`http://localhost:${port}/ok`);
+  });
+
+  it('should stop after maxRedirects', async () => {
+    const result = await checkUrl(`${baseUrl}/loop`, { maxRedirects: 3 });
+    expect(result.outcome).toBe('error');
+    expect(result.redirects).toHaveLength(3);
+    expect(result.error).toBe('More than 3 redirects');
+  });
+
+  it('should time out slow responses', async () => {
+    const result = await checkUrl(`${baseUrl}/slow`, { timeoutMs: 50 });
+    expect(result.outcome).toBe('timeout');
+  });
+
+  it('should flag connection refusals as dead', async () => {
+    const closed = createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const closedPort = closed.address().port;
+    await new Promise((resolve) => closed.close(resolve));
+
+    const result = await checkUrl(`http://127.0.0.1:${closedPort}/`);
+    expect(result.outcome).toBe('dead');
+    expect(result.error).toContain('ECONNREFUSED');
+  });
+
+  it('should flag TLS failures', async () => {
+    const fetchImpl = () =>
+      Promise.reject(
+        new TypeError('fetch failed', {
+          cause: Object.assign(new Error('self-signed certificate'), {
+            code: 'DEPTH_ZERO_SELF_SIGNED_CERT',
+          }),
+        })
+      );
+    const result = await checkUrl('https://self-signed.example/', { fetchImpl });
+    expect(result.outcome).toBe('tls-error');
+  });
+});
+
+describe('runWithConcurrency', () => {
+  it('should keep result order and respect the limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+      return item * 10;
+    });
+    expect(results).toEqual([10, 20, 30, 40, 50]);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should handle an empty list', async () => {
+    expect(await runWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
+
+describe('checkLinks', () => {
+  it('should build a report with a summary per outcome', async () => {
+    const linkItems = {
+      good: { name: 'Good', url: `${baseUrl}/ok` },
+      gone: { name: 'Gone', url: `${baseUrl}/missing` },
+    };
+    const seen = [];
+    const report = await checkLinks(linkItems, {
+      concurrency: 2,
+      now: new Date('2026-01-26T18:00:00.123Z'),
+      onResult: (item) => seen.push(item.id),
+    });
+
+    expect(report.generatedAt).toBe('2026-01-26T18:00:00Z');
+    expect(report.summary).toMatchObject({ total: 2, ok: 1, dead: 1, moved: 0 });
+    expect(report.results.map((item) => [item.id, item.outcome])).toEqual([
+      ['good', 'ok'],
+      ['gone', 'dead'],
+    ]);
+    expect(report.results[0].name).toBe('Good');
+    expect(seen.sort()).toEqual(['gone', 'good']);
+  });
+
+  it('should only check the requested IDs', async () => {
+    const report = await checkLinks(
+      { a: { name: 'A', url: `${baseUrl}/ok` }, b: { name: 'B', url: `${baseUrl}/ok` } },
+      { ids: ['b'] }
+    );
+    expect(report.results.map((item) => item.id)).toEqual(['b']);
+  });
+});
+
+describe('getStatusUpdate', () => {
+  it('should map conclusive outcomes to link statuses', () => {
+    expect(getStatusUpdate({ outcome: 'ok' })).toEqual({ status: 'ok' });
+    expect(getStatusUpdate({ outcome: 'moved', finalUrl: 'https://new.example/' })).toEqual({
+      status: 'moved',
+      statusNote: 'Redirects to https://new.example/',
+    });
+    expect(getStatusUpdate({ outcome: 'dead', httpStatus: 404 })).toEqual({
+      status: 'dead',
+      statusNote: 'HTTP 404',
+    });
+    expect(getStatusUpdate({ outcome: 'dead', httpStatus: null, error: 'ENOTFOUND: x' })).toEqual({
+      status: 'dead',
+      statusNote: 'ENOTFOUND: x',
+    });
+    expect(getStatusUpdate({ outcome: 'tls-error', error: 'CERT_HAS_EXPIRED' })).toEqual({
+      status: 'degraded',
+      statusNote: 'TLS error: CERT_HAS_EXPIRED',
+    });
+  });
+
+  it('should leave inconclusive outcomes alone', () => {
+    ['blocked', 'timeout', 'error'].forEach((outcome) => {
+      expect(getStatusUpdate({ outcome })).toBeNull();
+    });
+  });
+});
+
+describe('applyReportToLinkItems', () => {
+  const checked = '2024-01-01T00:00:00Z';
+  const report = {
+    generatedAt: '2026-01-26T18:00:00Z',
+    results: [
+      { id: 'a', outcome: 'ok' },
+      { id: 'b', outcome: 'dead', httpStatus: 410 },
+      { id: 'c', outcome: 'moved', finalUrl: 'https://new.example/' },
+      { id: 'd', outcome: 'timeout' },
+      { id: 'e', outcome: 'dead', httpStatus: 404 },
+    ],
+  };
+
+  it('should update lastChecked for reachable links and status for conclusive results', () => {
+    const linkItems = {
+      a: { name: 'A', url: 'https://a.example', lastChecked: checked },
+      b: { name: 'B', url: 'https://b.example', lastChecked: checked },
+      c: { name: 'C', url: 'https://c.example', lastChecked: checked },
+      d: { name: 'D', url: 'https://d.example', lastChecked: checked },
+      f: { name: 'F', url: 'https://f.example', lastChecked: checked },
+    };
+
+    const { linkItems: updated, updated: ids } = applyReportToLinkItems(linkItems, report);
+    expect(ids).toEqual(['a', 'b', 'c']);
+    expect(updated.a).toEqual({ ...linkItems.a, lastChecked: report.generatedAt, status: 'ok' });
+    expect(updated.b).toEqual({ ...linkItems.b, status: 'dead', statusNote: 'HTTP 410' });
+    expect(updated.c).toMatchObject({
+      lastChecked: report.generatedAt,
+      status: 'moved',
+      statusNote: 'Redirects to https://new.example/',
+    });
+    expect(updated.d).toBe(linkItems.d);
+    expect(updated.f).toBe(linkItems.f);
+    expect(linkItems.a.lastChecked).toBe(checked);
+  });
+
+  it('should keep a hand-written note while the status is unchanged', () => {
+    const linkItems = {
+      e: { name: 'E', url: 'https://e.example', status: 'dead', statusNote: 'Kept for reference' },
+    };
+
+    const { linkItems: updated, updated: ids } = applyReportToLinkItems(linkItems, report);
+    expect(ids).toEqual([]);
+    expect(updated.e.statusNote).toBe('Kept for reference');
+  });
+
+  it('should drop the old note when a link recovers', () => {
+    const linkItems = {
+      a: { name: 'A', url: 'https://a.example', status: 'dead', statusNote: 'HTTP 500' },
+    };
+
+    const { linkItems: updated } = applyReportToLinkItems(linkItems, report);
+    expect(updated.a.status).toBe('ok');
+    expect(updated.a).not.toHaveProperty('statusNote');
+  });
+});
+
+describe('toDataTimestamp', () => {
+  it('should drop milliseconds', () => {
+    expect(toDataTimestamp(new Date('2026-01-26T18:00:00.999Z'))).toBe('2026-01-26T18:00:00Z');
+  });
+});
+
+describe('main', () => {
+  it('should reject a zero or invalid timeout before checking anything', async () => {
+    await expect(main(['--timeout', '0', '--data', 'missing'])).rejects.toThrow(
+      'Expected a whole number of at least 1, got "0"'
+    );
+    await expect(main(['--timeout', '1.5', '--data', 'missing'])).rejects.toThrow('got "1.5"');
+  });
+});
+
+describe('json-files', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'poe-links-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should detect indentation', () => {
+    expect(detectIndent('{\n    "a": 1\n}')).toBe(4);
+    expect(detectIndent('[\r\n  1\r\n]')).toBe(2);
+    expect(detectIndent('{}')).toBe(2);
+  });
+
+  it('should keep indentation and line endings when rewriting a file', async () => {
+    const path = join(dir, 'data.json');
+    const original = '{\r\n    "a": [\r\n        1\r\n    ]\r\n}\r\n';
+    await writeFile(path, original, 'utf8');
+
+    const { data, format } = await readJsonFile(path);
+    expect(format).toEqual({ indent: 4, eol: '\r\n' });
+    await writeJsonFile(path, data, format);
+    expect(await readFile(path, 'utf8')).toBe(original);
+  });
+});
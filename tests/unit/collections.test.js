@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  normalizeCollection,
+  encodeCollection,
+  decodeCollection,
+  getCollectionParam,
+  buildCollectionUrl,
+  removeCollectionParam,
+  resolveCollectionLinks,
+  renderCollectionView,
+  setupCollectionDialog,
+  openCollectionDialog,
+  closeCollectionDialog,
+  MAX_COLLECTION_LINKS,
+  COLLECTION_CATEGORY_ID,
+} from '../../src/scripts/collections.js';
+
+const categories = [
+  {
+    id: 'builds',
+    title: 'BUILDS',
+    links: [
+      { id: 'poe-ninja-builds', name: 'poe.ninja Builds', url: 'https://poe.ninja/builds' },
+      { id: 'pobarchives', name: 'PoB Archives', url: 'https://pobarchives.com' },
+    ],
+  },
+  {
+    id: 'browser-extensions',
+    title: 'BROWSER EXTENSIONS',
+    links: [{ id: 'better-trading', name: 'Better Trading', url: 'https://example.com/bt' }],
+  },
+];
+
+describe('normalizeCollection', () => {
+  it('should trim the title and drop duplicate IDs', () => {
+    expect(normalizeCollection({ title: '  League start  ', linkIds: ['a', 'b', 'a'] })).toEqual({
+      title: 'League start',
+      linkIds: ['a', 'b'],
+    });
+  });
+
+  it('should use a default title', () => {
+    expect(normalizeCollection({ linkIds: ['a'] }).title).toBe('Shared links');
+  });
+
+  it('should reject invalid collections', () => {
+    expect(normalizeCollection(null)).toBeNull();
+    expect(normalizeCollection({ title: 'x', linkIds: [] })).toBeNull();
+    expect(normalizeCollection({ title: 'x', linkIds: ['a', 3] })).toBeNull();
+    expect(normalizeCollection({ title: 5, linkIds: ['a'] })).toBeNull();
+    const tooMany = Array.from({ length: MAX_COLLECTION_LINKS + 1 }, (_, i) => `link-${i}`);
+    expect(normalizeCollection({ linkIds: tooMany })).toBeNull();
+  });
+});
+
+describe('encodeCollection / decodeCollection', () => {
+  it('should round-trip a collection through a compressed, URL-safe value', async () => {
+    const collection = {
+      title: 'League start essentials',
+      linkIds: ['poe-ninja-builds', 'pobarchives', 'better-trading'],
+    };
+
+    const encoded = await encodeCollection(collection);
+
+    expect(encoded.startsWith('1.')).toBe(true);
+    expect(encoded).toMatch(/^[A-Za-z0-9._-]+$/);
+    expect(await decodeCollection(encoded)).toEqual(collection);
+  });
+
+  it('should decode plain-encoded collections', async () => {
+    const json = JSON.stringify({ t: 'Plain', l: ['a'] });
+    const encoded = '0.' + btoa(json).replace(/=+$/, '');
+
+    expect(await decodeCollection(encoded)).toEqual({ title: 'Plain', linkIds: ['a'] });
+  });
+
+  it('should throw when encoding an invalid collection', async () => {
+    await expect(encodeCollection({ title: 'Empty', linkIds: [] })).rejects.toThrow();
+  });
+
+  it('should return null for invalid values', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await decodeCollection('')).toBeNull();
+    expect(await decodeCollection('2.abc')).toBeNull();
+    expect(await decodeCollection('1.not-deflate')).toBeNull();
+    expect(await decodeCollection('0.' + btoa('{"t":"x","l":[]}'))).toBeNull();
+    warn.mockRestore();
+  });
+});
+
+describe('collection URLs', () => {
+  it('should add the collection parameter and drop the game hash', () => {
+    const url = buildCollectionUrl('1.abc', 'https://example.com/hub/?x=1#poe2');
+    expect(url).toBe('https://example.com/hub/?x=1&collection=1.abc');
+    expect(getCollectionParam(url)).toBe('1.abc');
+  });
+
+  it('should remove the collection parameter', () => {
+    expect(removeCollectionParam('https://example.com/hub/?collection=1.abc&x=1')).toBe(
+      'https://example.com/hub/?x=1'
+    );
+    expect(getCollectionParam('https://example.com/hub/')).toBeNull();
+  });
+});
+
+describe('resolveCollectionLinks', () => {
+  it('should return links in collection order with their source category', () => {
+    const links = resolveCollectionLinks(['better-trading', 'missing', 'pobarchives'], categories);
+
+    expect(links.map((link) => link.id)).toEqual(['better-trading', 'pobarchives']);
+    expect(links[0].sourceCategoryId).toBe('browser-extensions');
+  });
+});
+
+describe('renderCollectionView', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  it('should render the collection as a single read-only category', () => {
+    const collection = { title: 'League start', linkIds: ['pobarchives', 'gone'] };
+    const links = resolveCollectionLinks(collection.linkIds, categories);
+
+    renderCollectionView(container, collection, links);
+
+    const section = container.querySelector('section.category-section');
+    expect(section.getAttribute('data-category-id')).toBe(COLLECTION_CATEGORY_ID);
+    expect(section.querySelector('.category-title').textContent).toBe('League start');
+    expect(section.querySelectorAll('a.link-item')).toHaveLength(1);
+    expect(container.querySelector('.link-pin-toggle')).toBeNull();
+    expect(container.querySelector('.collection-summary').textContent).toBe(
+      'You are viewing a shared collection of 1 link. 1 link is no longer available.'
+    );
+  });
+
+  it('should keep disclaimer categories on collection links', () => {
+    const links = resolveCollectionLinks(['better-trading'], categories);
+    renderCollectionView(container, { title: 'Tools', linkIds: ['better-trading'] }, links);
+
+    expect(container.querySelector('a.link-item').getAttribute('data-category-id')).toBe(
+      'browser-extensions'
+    );
+  });
+
+  it('should call onExit from the "Show all links" button', () => {
+    const onExit = vi.fn();
+    renderCollectionView(container, { title: 'Empty', linkIds: ['gone'] }, [], onExit);
+
+    expect(container.querySelector('.empty-state')).toBeTruthy();
+    container.querySelector('.collection-exit-button').click();
+    expect(onExit).toHaveBeenCalled();
+  });
+});
+
+describe('share collection dialog', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="collection-dialog" aria-hidden="true">
+        <div class="collection-backdrop"></div>
+        <div class="collection-dialog-content"></div>
+      </div>
+    `;
+    setupCollectionDialog();
+  });
+
+  it('should list links by category and preselect the given IDs', () => {
+    openCollectionDialog(categories, ['pobarchives']);
+
+    const dialog = document.getElementById('collection-dialog');
+    expect(dialog.getAttribute('aria-hidden')).toBe('false');
+    expect(dialog.querySelectorAll('.collection-link-group')).toHaveLength(2);
+    const checked = Array.from(dialog.querySelectorAll('input[type="checkbox"]:checked'));
+    expect(checked.map((input) => input.value)).toEqual(['pobarchives']);
+
+    closeCollectionDialog();
+    expect(dialog.getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should filter link choices', () => {
+    openCollectionDialog(categories);
+
+    const filter = document.getElementById('collection-filter');
+    filter.value = 'ninja';
+    filter.dispatchEvent(new Event('input'));
+
+    const visible = Array.from(document.querySelectorAll('.collection-link-option')).filter(
+      (option) => !option.hidden
+    );
+    expect(visible).toHaveLength(1);
+    expect(document.querySelectorAll('.collection-link-group[hidden]')).toHaveLength(1);
+  });
+
+  it('should require at least one link', () => {
+    openCollectionDialog(categories);
+
+    document
+      .querySelector('.collection-form')
+      .dispatchEvent(new Event('submit', { cancelable: true }));
+
+    expect(document.getElementById('collection-error').textContent).toBe(
+      'Select at least one link'
+    );
+  });
+
+  it('should create a shareable URL for the selected links', async () => {
+    openCollectionDialog(categories, ['poe-ninja-builds', 'better-trading']);
+    document.getElementById('collection-title').value = 'League start';
+
+    document
+      .querySelector('.collection-form')
+      .dispatchEvent(new Event('submit', { cancelable: true }));
+
+    const urlInput = document.getElementById('collection-url');
+    await vi.waitFor(() => expect(urlInput.value).not.toBe(''));
+    expect(document.querySelector('.collection-result').hidden).toBe(false);
+    expect(await decodeCollection(getCollectionParam(urlInput.value))).toEqual({
+      title: 'League start',
+      linkIds: ['poe-ninja-builds', 'better-trading'],
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  fuzzyScore,
+  buildPaletteItems,
+  filterPaletteItems,
+  openPaletteLink,
+  setupCommandPalette,
+  openCommandPalette,
+  closeCommandPalette,
+} from '../../src/scripts/command-palette.js';
+
+const categories = [
+  {
+    id: 'trade',
+    title: 'Trade',
+    links: [
+      { id: 'trade-site', name: 'Official Trade', url: 'https://www.pathofexile.com/trade' },
+      { id: 'poe-ninja', name: 'poe.ninja', url: 'https://poe.ninja' },
+    ],
+  },
+  {
+    id: 'browser-extensions',
+    title: 'Browser Extensions',
+    links: [{ id: 'better-trading', name: 'Better Trading', url: 'https://example.com/bt' }],
+  },
+];
+
+/**
+ * Dispatches a keydown event
+ * @param {EventTarget} target
+ * @param {Object} init - KeyboardEvent init
+ */
+function pressKey(target, init) {
+  target.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+}
+
+describe('fuzzyScore', () => {
+  it('should match characters in order', () => {
+    expect(fuzzyScore('Official Trade', 'oftr')).toBeGreaterThan(0);
+    expect(fuzzyScore('Official Trade', 'rtof')).toBe(-1);
+  });
+
+  it('should prefer consecutive and word-start matches', () => {
+    expect(fuzzyScore('Official Trade', 'trade')).toBeGreaterThan(
+      fuzzyScore('Better Trading Tools', 'trdg')
+    );
+    expect(fuzzyScore('poe.ninja', 'ninja')).toBeGreaterThan(fuzzyScore('Unjinxable', 'nja'));
+  });
+
+  it('should return 0 for an empty query', () => {
+    expect(fuzzyScore('anything', '  ')).toBe(0);
+  });
+});
+
+describe('buildPaletteItems', () => {
+  it('should list actions first, then each link once with its category', () => {
+    const run = vi.fn();
+    const items = buildPaletteItems(
+      [...categories, categories[0]],
+      [{ id: 'contact', label: 'Contact', run }]
+    );
+
+    expect(items[0]).toMatchObject({ type: 'action', label: 'Contact', run });
+    expect(items.filter((item) => item.type === 'link')).toHaveLength(3);
+    expect(items[1]).toMatchObject({
+      type: 'link',
+      label: 'Official Trade',
+      categoryId: 'trade',
+      detail: 'Trade · pathofexile.com',
+    });
+  });
+});
+
+describe('filterPaletteItems', () => {
+  const items = buildPaletteItems(categories, [{ id: 'contact', label: 'Contact', run: () => {} }]);
+
+  it('should return items in their original order for an empty query', () => {
+    expect(filterPaletteItems(items, '').map((item) => item.label)).toEqual([
+      'Contact',
+      'Official Trade',
+      'poe.ninja',
+      'Better Trading',
+    ]);
+  });
+
+  it('should rank the best match first and drop non-matches', () => {
+    const results = filterPaletteItems(items, 'ninja');
+    expect(results[0].label).toBe('poe.ninja');
+    expect(results.some((item) => item.label === 'Contact')).toBe(false);
+  });
+
+  it('should match on the category title', () => {
+    const results = filterPaletteItems(items, 'browser ext');
+    expect(results.map((item) => item.label)).toEqual(['Better Trading']);
+  });
+
+  it('should respect the limit', () => {
+    expect(filterPaletteItems(items, '', 2)).toHaveLength(2);
+  });
+});
+
+describe('openPaletteLink', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should open normal links in a new tab', () => {
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+    openPaletteLink(categories[0].links[0], 'trade');
+    expect(open).toHaveBeenCalledWith(
+      'https://www.pathofexile.com/trade',
+      '_blank',
+      'noopener,noreferrer'
+    );
+  });
+
+  it('should show the disclaimer for disclaimer categories until acknowledged', () => {
+    document.body.innerHTML = `
+      <div id="disclaimer-dialog" aria-hidden="true">
+        <div class="disclaimer-backdrop"></div>
+        <div class="disclaimer-dialog-content"></div>
+      </div>
+    `;
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+
+    openPaletteLink(categories[1].links[0], 'browser-extensions');
+    expect(open).not.toHaveBeenCalled();
+    expect(document.getElementById('disclaimer-dialog').getAttribute('aria-hidden')).toBe('false');
+
+    localStorage.setItem('poe-link-collection-disclaimer-acknowledged', 'true');
+    openPaletteLink(categories[1].links[0], 'browser-extensions');
+    expect(open).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('command palette', () => {
+  let run;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="outside">Outside</button>
+      <input id="other-input" type="text" />
+      <div id="command-palette" aria-hidden="true">
+        <div class="command-palette-backdrop"></div>
+        <div class="command-palette-content"></div>
+      </div>
+    `;
+    document.body.style.overflow = '';
+    run = vi.fn();
+    setupCommandPalette(() =>
+      buildPaletteItems(categories, [{ id: 'switch', label: 'Switch to PoE 2', run }])
+    );
+  });
+
+  afterEach(() => {
+    closeCommandPalette();
+    vi.restoreAllMocks();
+  });
+
+  const palette = () => document.getElementById('command-palette');
+  const input = () => document.getElementById('command-palette-input');
+  const options = () => document.querySelectorAll('.command-palette-option');
+
+  it('should open with Ctrl+K and "/" and close with Escape', () => {
+    pressKey(document.body, { key: 'k', ctrlKey: true });
+    expect(palette().getAttribute('aria-hidden')).toBe('false');
+    expect(document.activeElement).toBe(input());
+
+    pressKey(input(), { key: 'Escape' });
+    expect(palette().getAttribute('aria-hidden')).toBe('true');
+
+    pressKey(document.body, { key: '/' });
+    expect(palette().getAttribute('aria-hidden')).toBe('false');
+  });
+
+  it('should not open with "/" while typing in a text field', () => {
+    const other = document.getElementById('other-input');
+    other.focus();
+    pressKey(other, { key: '/' });
+    expect(palette().getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should restore focus when closed', () => {
+    const outside = document.getElementById('outside');
+    outside.focus();
+    openCommandPalette();
+    closeCommandPalette();
+    expect(document.activeElement).toBe(outside);
+  });
+
+  it('should filter results as the user types', () => {
+    openCommandPalette();
+    expect(options()).toHaveLength(4);
+
+    input().value = 'ninja';
+    input().dispatchEvent(new Event('input'));
+    expect(options()[0].textContent).toContain('poe.ninja');
+
+    input().value = 'zzzz';
+    input().dispatchEvent(new Event('input'));
+    expect(options()).toHaveLength(0);
+    expect(document.querySelector('.command-palette-empty')).not.toBeNull();
+  });
+
+  it('should move the active option with the arrow keys', () => {
+    openCommandPalette();
+    expect(input().getAttribute('aria-activedescendant')).toBe(options()[0].id);
+
+    pressKey(input(), { key: 'ArrowDown' });
+    expect(options()[1].getAttribute('aria-selected')).toBe('true');
+    expect(input().getAttribute('aria-activedescendant')).toBe(options()[1].id);
+
+    pressKey(input(), { key: 'ArrowUp' });
+    pressKey(input(), { key: 'ArrowUp' });
+    expect(options()[3].getAttribute('aria-selected')).toBe('true');
+  });
+
+  it('should run the active action on Enter and close', () => {
+    openCommandPalette();
+    pressKey(input(), { key: 'Enter' });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(palette().getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should open the selected link', () => {
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+    openCommandPalette();
+    input().value = 'official';
+    input().dispatchEvent(new Event('input'));
+    options()[0].click();
+    expect(open).toHaveBeenCalledWith(
+      'https://www.pathofexile.com/trade',
+      '_blank',
+      'noopener,noreferrer'
+    );
+  });
+});
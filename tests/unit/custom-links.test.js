@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  validateCustomLinkInput,
+  addCustomLink,
+  removeCustomLink,
+  getCustomLinks,
+  getCustomCategories,
+  mergeCustomLinks,
+  setupCustomLinkDialog,
+  openCustomLinkDialog,
+  closeCustomLinkDialog,
+  PERSONAL_CATEGORY_ID,
+} from '../../src/scripts/custom-links.js';
+
+describe('validateCustomLinkInput', () => {
+  it('should accept a valid link', () => {
+    const result = validateCustomLinkInput({
+      name: 'Guild Sheet',
+      url: 'https://docs.google.com/spreadsheets/d/abc',
+      categoryId: 'trade',
+    });
+    expect(result.valid).toBe(true);
+    expect(result.errors).toHaveLength(0);
+  });
+
+  it('should require name and URL', () => {
+    const result = validateCustomLinkInput({ name: '  ', url: '' });
+    expect(result.valid).toBe(false);
+    expect(result.errors.map((e) => e.field)).toEqual(['name', 'url']);
+  });
+
+  it('should reject non-http URLs and icons', () => {
+    const result = validateCustomLinkInput({
+      name: 'Bad',
+      url: 'javascript:alert(1)',
+      icon: 'ftp://example.com/icon.png',
+    });
+    expect(result.errors.map((e) => e.field)).toEqual(['url', 'icon']);
+  });
+
+  it('should require a title for a new personal category', () => {
+    const result = validateCustomLinkInput({
+      name: 'Bot',
+      url: 'https://discord.com',
+      categoryId: '__new__',
+      newCategoryTitle: '',
+    });
+    expect(result.errors).toEqual([{ field: 'category', message: 'Category name is required' }]);
+  });
+});
+
+describe('addCustomLink / removeCustomLink', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should store a link for the given game only', () => {
+    const result = addCustomLink('poe1', {
+      name: 'Guild Sheet',
+      url: 'https://example.com/sheet',
+      categoryId: 'trade',
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.link.id).toMatch(/^custom-/);
+    expect(getCustomLinks('poe1')).toEqual([result.link]);
+    expect(getCustomLinks('poe2')).toEqual([]);
+  });
+
+  it('should create a personal category when requested', () => {
+    const result = addCustomLink('poe1', {
+      name: 'Guild Bot',
+      url: 'https://example.com/bot',
+      categoryId: '__new__',
+      newCategoryTitle: 'Guild Tools',
+    });
+
+    const categories = getCustomCategories('poe1');
+    expect(categories).toHaveLength(1);
+    expect(categories[0].title).toBe('Guild Tools');
+    expect(result.link.categoryId).toBe(categories[0].id);
+  });
+
+  it('should not store invalid links', () => {
+    const result = addCustomLink('poe1', { name: '', url: 'nope' });
+    expect(result.success).toBe(false);
+    expect(getCustomLinks('poe1')).toEqual([]);
+  });
+
+  it('should remove links and drop empty personal categories', () => {
+    const { link } = addCustomLink('poe1', {
+      name: 'Guild Bot',
+      url: 'https://example.com/bot',
+      categoryId: '__new__',
+      newCategoryTitle: 'Guild Tools',
+    });
+
+    removeCustomLink('poe1', link.id);
+
+    expect(getCustomLinks('poe1')).toEqual([]);
+    expect(getCustomCategories('poe1')).toEqual([]);
+  });
+});
+
+describe('mergeCustomLinks', () => {
+  const categories = [
+    {
+      id: 'trade',
+      title: 'TRADE',
+      links: [{ id: 'official-trade', name: 'Trade', url: 'https://www.pathofexile.com/trade' }],
+    },
+  ];
+
+  it('should return categories unchanged when there are no custom links', () => {
+    expect(mergeCustomLinks(categories, [], [])).toEqual(categories);
+  });
+
+  it('should append custom links to existing and personal categories', () => {
+    const merged = mergeCustomLinks(
+      categories,
+      [{ id: 'custom-category-1', title: 'Guild Tools' }],
+      [
+        { id: 'custom-1', name: 'Sheet', url: 'https://example.com/sheet', categoryId: 'trade' },
+        {
+          id: 'custom-2',
+          name: 'Bot',
+          url: 'https://example.com/bot',
+          categoryId: 'custom-category-1',
+        },
+        { id: 'custom-3', name: 'Lost', url: 'https://example.com/lost', categoryId: 'removed' },
+      ]
+    );
+
+    expect(merged.map((c) => c.id)).toEqual(['trade', 'custom-category-1', PERSONAL_CATEGORY_ID]);
+    expect(merged[0].links).toHaveLength(2);
+    expect(merged[0].links[1]).toEqual({
+      id: 'custom-1',
+      name: 'Sheet',
+      url: 'https://example.com/sheet',
+      custom: true,
+    });
+    expect(merged[1].links[0].name).toBe('Bot');
+    expect(merged[2].links[0].name).toBe('Lost');
+    expect(categories[0].links).toHaveLength(1);
+  });
+
+  it('should skip custom links that fail validateLink', () => {
+    const merged = mergeCustomLinks(
+      categories,
+      [],
+      [{ id: 'custom-1', name: 'Bad', url: 'not-a-url', categoryId: 'trade' }]
+    );
+    expect(merged[0].links).toHaveLength(1);
+  });
+});
+
+describe('custom link dialog', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = `
+      <div id="custom-link-dialog" aria-hidden="true">
+        <div class="custom-link-backdrop"></div>
+        <div class="custom-link-dialog-content"></div>
+      </div>
+    `;
+  });
+
+  it('should list personal and built-in categories when opened', () => {
+    setupCustomLinkDialog(() => {});
+    openCustomLinkDialog('poe1', [{ id: 'trade', title: 'TRADE', links: [] }]);
+
+    const dialog = document.getElementById('custom-link-dialog');
+    expect(dialog.getAttribute('aria-hidden')).toBe('false');
+
+    const options = Array.from(dialog.querySelectorAll('#custom-link-category option'));
+    expect(options.map((o) => o.value)).toEqual([PERSONAL_CATEGORY_ID, 'trade', '__new__']);
+
+    closeCustomLinkDialog();
+    expect(dialog.getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should show field errors and not save invalid input', () => {
+    const onChange = vi.fn();
+    setupCustomLinkDialog(onChange);
+    openCustomLinkDialog('poe1', []);
+
+    const form = document.querySelector('.custom-link-form');
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    expect(document.getElementById('custom-link-name-error').textContent).toBe('Name is required');
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('should save a valid link and notify about the change', () => {
+    const onChange = vi.fn();
+    setupCustomLinkDialog(onChange);
+    openCustomLinkDialog('poe2', []);
+
+    document.getElementById('custom-link-name').value = 'Guild Sheet';
+    document.getElementById('custom-link-url').value = 'https://example.com/sheet';
+    document
+      .querySelector('.custom-link-form')
+      .dispatchEvent(new Event('submit', { cancelable: true }));
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(getCustomLinks('poe2')).toHaveLength(1);
+    expect(document.querySelectorAll('.custom-link-list-item')).toHaveLength(1);
+  });
+});
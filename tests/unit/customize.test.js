@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getHiddenItems,
+  toggleHiddenItem,
+  restoreAllHiddenItems,
+  applyHiddenItems,
+  renderCustomizeButton,
+  renderHiddenItemsPanel,
+  clearHiddenItemsPanel,
+  HIDDEN_CATEGORIES_STORAGE_KEY,
+  HIDDEN_LINKS_STORAGE_KEY,
+} from '../../src/scripts/customize.js';
+
+describe('toggleHiddenItem', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should hide and restore categories and links', () => {
+    expect(toggleHiddenItem('poe1', 'category', 'trade')).toBe(true);
+    expect(toggleHiddenItem('poe1', 'link', 'poe-ninja-builds')).toBe(true);
+    expect(getHiddenItems('poe1')).toEqual({
+      categories: ['trade'],
+      links: ['poe-ninja-builds'],
+    });
+
+    expect(toggleHiddenItem('poe1', 'category', 'trade')).toBe(false);
+    expect(getHiddenItems('poe1').categories).toEqual([]);
+  });
+
+  it('should keep hidden items separate per game', () => {
+    toggleHiddenItem('poe2', 'link', 'pobarchives');
+
+    expect(getHiddenItems('poe1')).toEqual({ categories: [], links: [] });
+    expect(JSON.parse(localStorage.getItem(HIDDEN_LINKS_STORAGE_KEY))).toEqual({
+      poe2: ['pobarchives'],
+    });
+  });
+
+  it('should ignore invalid types and IDs', () => {
+    expect(toggleHiddenItem('poe1', 'event', 'x')).toBe(false);
+    expect(toggleHiddenItem('poe1', 'link', '')).toBe(false);
+    expect(localStorage.getItem(HIDDEN_LINKS_STORAGE_KEY)).toBeNull();
+  });
+});
+
+describe('restoreAllHiddenItems', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should clear hidden items for one game only', () => {
+    toggleHiddenItem('poe1', 'category', 'trade');
+    toggleHiddenItem('poe1', 'link', 'one');
+    toggleHiddenItem('poe2', 'link', 'two');
+
+    restoreAllHiddenItems('poe1');
+
+    expect(getHiddenItems('poe1')).toEqual({ categories: [], links: [] });
+    expect(getHiddenItems('poe2').links).toEqual(['two']);
+    expect(JSON.parse(localStorage.getItem(HIDDEN_CATEGORIES_STORAGE_KEY))).toEqual({ poe1: [] });
+  });
+});
+
+describe('applyHiddenItems', () => {
+  const categories = [
+    {
+      id: 'cat1',
+      title: 'Category 1',
+      links: [
+        { id: 'one', name: 'One', url: 'https://one.example.com' },
+        { id: 'two', name: 'Two', url: 'https://two.example.com' },
+      ],
+    },
+    {
+      id: 'cat2',
+      title: 'Category 2',
+      links: [{ id: 'three', name: 'Three', url: 'https://three.example.com' }],
+    },
+  ];
+
+  it('should return categories unchanged when nothing is hidden', () => {
+    expect(applyHiddenItems(categories, { categories: [], links: [] })).toBe(categories);
+    expect(applyHiddenItems(categories)).toBe(categories);
+  });
+
+  it('should remove hidden categories and links', () => {
+    const result = applyHiddenItems(categories, { categories: ['cat2'], links: ['one'] });
+
+    expect(result).toHaveLength(1);
+    expect(result[0].links.map((link) => link.id)).toEqual(['two']);
+    // Original categories are not mutated
+    expect(categories[0].links).toHaveLength(2);
+  });
+
+  it('should drop categories whose links are all hidden', () => {
+    const result = applyHiddenItems(categories, { categories: [], links: ['three'] });
+    expect(result.map((category) => category.id)).toEqual(['cat1']);
+  });
+
+  it('should return an empty array for invalid input', () => {
+    expect(applyHiddenItems(null, { categories: [], links: [] })).toEqual([]);
+  });
+});
+
+describe('renderCustomizeButton', () => {
+  it('should toggle customize mode on click', () => {
+    const container = document.createElement('div');
+    const onToggle = vi.fn();
+    const button = renderCustomizeButton(container, onToggle);
+
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+    button.click();
+    expect(onToggle).toHaveBeenLastCalledWith(true);
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(button.textContent).toBe('Done');
+
+    button.click();
+    expect(onToggle).toHaveBeenLastCalledWith(false);
+    expect(button.textContent).toBe('Customize');
+  });
+
+  it('should return null without a container', () => {
+    expect(renderCustomizeButton(null, () => {})).toBeNull();
+  });
+});
+
+describe('renderHiddenItemsPanel', () => {
+  let container;
+
+  const categories = [
+    {
+      id: 'trade',
+      title: 'TRADE',
+      links: [{ id: 'one', name: 'Link One', url: 'https://one.example.com' }],
+    },
+  ];
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.hidden = true;
+  });
+
+  it('should list hidden categories and links by title and name', () => {
+    renderHiddenItemsPanel(
+      container,
+      { categories: ['trade'], links: ['one', 'gone'] },
+      categories
+    );
+
+    expect(container.hidden).toBe(false);
+    const labels = Array.from(container.querySelectorAll('.hidden-items-label')).map(
+      (el) => el.textContent
+    );
+    // Unknown IDs (e.g. removed from link-items.json) fall back to the ID
+    expect(labels).toEqual(['TRADE', 'Link One', 'gone']);
+  });
+
+  it('should call onRestore and onRestoreAll', () => {
+    const onRestore = vi.fn();
+    const onRestoreAll = vi.fn();
+    renderHiddenItemsPanel(container, { categories: [], links: ['one'] }, categories, {
+      onRestore,
+      onRestoreAll,
+    });
+
+    const restoreButton = container.querySelector('.hidden-items-restore');
+    expect(restoreButton.getAttribute('aria-label')).toBe('Restore Link One');
+    restoreButton.click();
+    expect(onRestore).toHaveBeenCalledWith('link', 'one');
+
+    container.querySelector('.hidden-items-restore-all').click();
+    expect(onRestoreAll).toHaveBeenCalled();
+  });
+
+  it('should show an empty message when nothing is hidden', () => {
+    renderHiddenItemsPanel(container, { categories: [], links: [] }, categories);
+
+    expect(container.querySelector('.hidden-items-empty').textContent).toBe('Nothing is hidden.');
+    expect(container.querySelector('.hidden-items-restore-all')).toBeNull();
+  });
+
+  it('should clear and hide the panel', () => {
+    renderHiddenItemsPanel(container, { categories: ['trade'], links: [] }, categories);
+    clearHiddenItemsPanel(container);
+
+    expect(container.hidden).toBe(true);
+    expect(container.innerHTML).toBe('');
+  });
+});
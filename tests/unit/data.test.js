@@ -83,6 +83,45 @@ describe('validateLink', () => {
     };
     expect(validateLink(link)).toBe(false);
   });
+
+  it('should accept link with optional tags', () => {
+    const link = {
+      name: 'Test Link',
+      url: 'https://example.com',
+      tags: ['ssf', 'trade-league', 'desktop-app'],
+    };
+    expect(validateLink(link)).toBe(true);
+  });
+
+  it('should reject invalid tags', () => {
+    const base = { name: 'Test Link', url: 'https://example.com' };
+    expect(validateLink({ ...base, tags: 'ssf' })).toBe(false);
+    expect(validateLink({ ...base, tags: ['SSF'] })).toBe(false);
+    expect(validateLink({ ...base, tags: ['trade league'] })).toBe(false);
+    expect(validateLink({ ...base, tags: [''] })).toBe(false);
+    expect(validateLink({ ...base, tags: [42] })).toBe(false);
+    expect(validateLink({ ...base, tags: ['ssf', 'ssf'] })).toBe(false);
+    expect(validateLink({ ...base, tags: ['a'.repeat(31)] })).toBe(false);
+  });
+
+  it('should accept link with optional status and status note', () => {
+    const base = { name: 'Test Link', url: 'https://example.com' };
+    ['ok', 'degraded', 'dead', 'moved'].forEach((status) => {
+      expect(validateLink({ ...base, status })).toBe(true);
+    });
+    expect(validateLink({ ...base, status: 'dead', statusNote: 'Site shut down in 2023' })).toBe(
+      true
+    );
+  });
+
+  it('should reject invalid status and status note', () => {
+    const base = { name: 'Test Link', url: 'https://example.com' };
+    expect(validateLink({ ...base, status: 'broken' })).toBe(false);
+    expect(validateLink({ ...base, status: 'Dead' })).toBe(false);
+    expect(validateLink({ ...base, status: null })).toBe(false);
+    expect(validateLink({ ...base, statusNote: 42 })).toBe(false);
+    expect(validateLink({ ...base, statusNote: 'a'.repeat(201) })).toBe(false);
+  });
 });
 
 describe('validateCategory', () => {
@@ -195,6 +234,7 @@ describe('loadLinks', () => {
     expect(categories[0].id).toBe('builds');
     expect(categories[0].links).toHaveLength(1);
     expect(categories[0].links[0].name).toBe('Test Link');
+    expect(categories[0].links[0].id).toBe('test-link');
   });
 
   it('should handle network errors gracefully', async () => {
@@ -340,6 +380,18 @@ describe('validateEvent', () => {
     };
     expect(validateEvent(event)).toBe(false);
   });
+
+  it('should accept banner images given as relative paths or URLs', () => {
+    const base = {
+      id: 'test-event',
+      name: 'Test Event',
+      startDate: '2024-07-26T16:00:00Z',
+      endDate: '2024-12-02T16:00:00Z',
+    };
+    expect(validateEvent({ ...base, bannerImageUrl: '/images/banner.png' })).toBe(true);
+    expect(validateEvent({ ...base, bannerImageUrl: 'https://example.com/banner.png' })).toBe(true);
+    expect(validateEvent({ ...base, bannerImageUrl: 'images/banner.png' })).toBe(false);
+  });
 });
 
 describe('loadEvents', () => {
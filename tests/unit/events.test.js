@@ -5,6 +5,7 @@ import {
   formatRemainingSecondsOnly,
   getCountdownParts,
   getTruncatedRemainingSeconds,
+  renderEventsSection,
 } from '../../src/scripts/events.js';
 
 describe('formatDuration', () => {
@@ -145,3 +146,43 @@ describe('calculateEventDurations', () => {
   });
 });
 
+
+describe('renderEventsSection', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const events = [
+    {
+      id: 'race',
+      name: 'Race',
+      type: 'race',
+      game: 'poe1',
+      startDate: '2026-03-20T18:00:00.000Z',
+      endDate: '2026-03-20T20:00:00.000Z',
+    },
+  ];
+
+  it('should link the calendar feed of the selected game and offer each event as .ics', () => {
+    const container = document.createElement('section');
+    renderEventsSection(container, events, 'poe1');
+
+    const subscribe = container.querySelector('.events-section-header .calendar-subscribe-link');
+    expect(subscribe.getAttribute('href')).toMatch(/^webcal:\/\/.+\/calendar-poe1\.ics$/);
+    expect(container.querySelector('.event-item .add-to-calendar-button').textContent).toBe(
+      'Add to calendar'
+    );
+  });
+
+  it('should not link a calendar feed without a selected game', () => {
+    const container = document.createElement('section');
+    renderEventsSection(container, events);
+
+    expect(container.querySelector('.calendar-subscribe-link')).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { filterValidItems, main } from '../../scripts/generate-calendars.js';
+import { validateEvent } from '../../src/scripts/data.js';
+
+const events = [
+  {
+    id: 'race',
+    name: 'Race',
+    type: 'race',
+    game: 'poe2',
+    startDate: '2026-03-29T19:00:00.000Z',
+    endDate: '2026-03-29T21:00:00.000Z',
+  },
+  { id: 'broken', name: 'Broken', startDate: 'soon', endDate: 'later' },
+];
+
+const leagues = [
+  {
+    id: 'mirage',
+    name: 'Mirage',
+    game: 'poe1',
+    startDate: '2026-03-06T19:00:00.000Z',
+    endDate: '2026-06-28T21:00:00.000Z',
+  },
+];
+
+describe('filterValidItems', () => {
+  it('should keep the items the runtime loader accepts', () => {
+    expect(filterValidItems(events, validateEvent)).toEqual([events[0]]);
+    expect(filterValidItems({}, validateEvent)).toEqual([]);
+  });
+});
+
+describe('main', () => {
+  let dir;
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write one calendar per game', async () => {
+    dir = await mkdtemp(join(tmpdir(), 'poe-calendars-'));
+    await writeFile(join(dir, 'events.json'), JSON.stringify(events));
+    await writeFile(join(dir, 'leagues.json'), JSON.stringify(leagues));
+    vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    expect(await main(['--data', dir, '--out', join(dir, 'dist')])).toBe(0);
+
+    const poe1 = await readFile(join(dir, 'dist', 'calendar-poe1.ics'), 'utf8');
+    const poe2 = await readFile(join(dir, 'dist', 'calendar-poe2.ics'), 'utf8');
+    expect(poe1).toContain('UID:league-mirage@poe-hub.weosoft.org');
+    expect(poe1).not.toContain('UID:event-race');
+    expect(poe2).toContain('UID:event-race@poe-hub.weosoft.org');
+    expect(poe2).not.toContain('broken');
+  });
+});
@@ -0,0 +1,235 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  resolveCategories,
+  diffLinkData,
+  prependChangelogGroup,
+  readPreviousData,
+  main,
+} from '../../scripts/generate-changelog.js';
+import { validateUpdateRecord } from '../../src/scripts/data.js';
+
+const linkItems = {
+  ninja: { name: 'poe.ninja', url: 'https://poe.ninja' },
+  'ninja-poe2': { name: 'poe.ninja', url: 'https://poe.ninja/poe2' },
+  trade: { name: 'Trade', url: 'https://www.pathofexile.com/trade' },
+  craft: { name: 'Craft of Exile', url: 'https://craftofexile.com' },
+};
+
+const previousLinks = {
+  economy: { id: 'economy', title: 'Economy', poe1: ['ninja', 'trade'], poe2: ['ninja-poe2'] },
+};
+
+const currentLinks = {
+  economy: { id: 'economy', title: 'Economy', poe1: ['ninja'], poe2: ['ninja-poe2'] },
+  crafting: { id: 'crafting', title: 'Crafting', poe1: ['craft'], poe2: ['craft'] },
+};
+
+const updates = {
+  lastUpdated: '2026-07-21T09:20:19Z',
+  changelog: [
+    {
+      date: '2026-07-21T09:20:19Z',
+      entries: [{ type: 'note', message: 'Older change' }],
+    },
+  ],
+};
+
+const craftAdded = {
+  type: 'added',
+  categoryId: 'crafting',
+  linkName: 'Craft of Exile',
+  linkUrl: 'https://craftofexile.com',
+};
+
+describe('resolveCategories', () => {
+  it('should merge both games into one link list per category', () => {
+    expect(resolveCategories(currentLinks, linkItems)).toEqual([
+      {
+        id: 'economy',
+        links: [
+          { id: 'ninja', name: 'poe.ninja', url: 'https://poe.ninja' },
+          { id: 'ninja-poe2', name: 'poe.ninja', url: 'https://poe.ninja/poe2' },
+        ],
+      },
+      {
+        id: 'crafting',
+        links: [{ id: 'craft', name: 'Craft of Exile', url: 'https://craftofexile.com' }],
+      },
+    ]);
+  });
+
+  it('should resolve only one game when asked', () => {
+    expect(resolveCategories(currentLinks, linkItems, 'poe2')[0].links).toEqual([
+      { id: 'ninja-poe2', name: 'poe.ninja', url: 'https://poe.ninja/poe2' },
+    ]);
+  });
+
+  it('should skip unknown link IDs and handle missing data', () => {
+    expect(resolveCategories({ a: { id: 'a', poe1: ['missing'] } }, linkItems)).toEqual([
+      { id: 'a', links: [] },
+    ]);
+    expect(resolveCategories(null, null)).toEqual([]);
+  });
+});
+
+describe('diffLinkData', () => {
+  it('should tag changes for one game and list changes for both games once', () => {
+    const current = {
+      links: {
+        ...currentLinks,
+        economy: { ...currentLinks.economy, poe2: ['ninja-poe2', 'trade'] },
+      },
+      linkItems,
+    };
+
+    expect(diffLinkData(current, { links: previousLinks, linkItems })).toEqual([
+      craftAdded,
+      {
+        type: 'added',
+        categoryId: 'economy',
+        linkName: 'Trade',
+        linkUrl: 'https://www.pathofexile.com/trade',
+        game: 'poe2',
+      },
+      {
+        type: 'removed',
+        categoryId: 'economy',
+        linkName: 'Trade',
+        linkUrl: 'https://www.pathofexile.com/trade',
+        game: 'poe1',
+      },
+    ]);
+  });
+});
+
+describe('prependChangelogGroup', () => {
+  it('should prepend a new dated group and bump lastUpdated', () => {
+    const { updates: next, added } = prependChangelogGroup(
+      updates,
+      [craftAdded],
+      '2026-08-01T10:00:00Z'
+    );
+
+    expect(added).toEqual([craftAdded]);
+    expect(next.lastUpdated).toBe('2026-08-01T10:00:00Z');
+    expect(next.changelog).toEqual([
+      { date: '2026-08-01T10:00:00Z', entries: [craftAdded] },
+      updates.changelog[0],
+    ]);
+    expect(validateUpdateRecord(next)).toBe(true);
+  });
+
+  it('should add to the newest group from the same day without repeating entries', () => {
+    const first = prependChangelogGroup(updates, [craftAdded], '2026-08-01T10:00:00Z').updates;
+    const trade = {
+      ...craftAdded,
+      type: 'removed',
+      categoryId: 'economy',
+      linkUrl: 'https://x.example',
+    };
+    const { updates: next, added } = prependChangelogGroup(
+      first,
+      [craftAdded, trade],
+      '2026-08-01T18:00:00Z'
+    );
+
+    expect(added).toEqual([trade]);
+    expect(next.changelog).toHaveLength(2);
+    expect(next.changelog[0]).toEqual({
+      date: '2026-08-01T18:00:00Z',
+      entries: [craftAdded, trade],
+    });
+  });
+
+  it('should leave the record unchanged when every entry is already listed', () => {
+    const first = prependChangelogGroup(updates, [craftAdded], '2026-08-01T10:00:00Z').updates;
+    const result = prependChangelogGroup(first, [craftAdded], '2026-08-01T12:00:00Z');
+
+    expect(result.added).toEqual([]);
+    expect(result.updates).toBe(first);
+  });
+});
+
+describe('generate-changelog CLI', () => {
+  let dir;
+
+  const git = (...args) =>
+    execFileSync('git', ['-C', dir, '-c', 'user.name=test', '-c', 'user.email=t@t.test', ...args], {
+      stdio: 'pipe',
+    });
+
+  const writeData = async (folder, links) => {
+    await mkdir(folder, { recursive: true });
+    await writeFile(join(folder, 'links.json'), JSON.stringify(links, null, 4));
+    await writeFile(join(folder, 'link-items.json'), JSON.stringify(linkItems, null, 4));
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'poe-changelog-'));
+    await writeData(dir, previousLinks);
+    await writeFile(join(dir, 'updates.json'), `${JSON.stringify(updates, null, 2)}\n`);
+    vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const readUpdates = async () => JSON.parse(await readFile(join(dir, 'updates.json'), 'utf8'));
+
+  it('should diff against a git ref and write a dated group', async () => {
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'data');
+    await writeData(dir, currentLinks);
+
+    expect(await main(['--data', dir, '--date', '2026-08-01T10:00:00.500Z'])).toBe(0);
+
+    const next = await readUpdates();
+    expect(next.lastUpdated).toBe('2026-08-01T10:00:00Z');
+    expect(next.changelog[0]).toEqual({
+      date: '2026-08-01T10:00:00Z',
+      entries: [
+        craftAdded,
+        {
+          type: 'removed',
+          categoryId: 'economy',
+          linkName: 'Trade',
+          linkUrl: 'https://www.pathofexile.com/trade',
+          game: 'poe1',
+        },
+      ],
+    });
+    expect(next.changelog[1]).toEqual(updates.changelog[0]);
+  });
+
+  it('should diff against a previous data folder', async () => {
+    const previousDir = join(dir, 'previous');
+    await writeData(previousDir, previousLinks);
+    await writeData(dir, currentLinks);
+
+    await main(['--data', dir, '--since', previousDir, '--date', '2026-08-01T10:00:00Z']);
+    expect((await readUpdates()).changelog[0].entries).toHaveLength(2);
+  });
+
+  it('should not write anything on a dry run or without changes', async () => {
+    const before = await readFile(join(dir, 'updates.json'), 'utf8');
+
+    await main(['--data', dir, '--since', dir]);
+    await writeData(join(dir, 'previous'), previousLinks);
+    await writeData(dir, currentLinks);
+    await main(['--data', dir, '--since', join(dir, 'previous', 'links.json'), '--dry-run']);
+
+    expect(await readFile(join(dir, 'updates.json'), 'utf8')).toBe(before);
+  });
+
+  it('should explain unknown git refs', async () => {
+    await expect(readPreviousData('no-such-ref', dir)).rejects.toThrow(/at "no-such-ref"/);
+  });
+});
@@ -0,0 +1,137 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  escapeXml,
+  renderEntriesHtml,
+  buildFeedItems,
+  buildAtomFeed,
+  buildRssFeed,
+  main,
+} from '../../scripts/generate-feeds.js';
+
+const siteUrl = 'https://hub.example/';
+
+const updates = {
+  lastUpdated: '2026-07-21T09:20:19Z',
+  changelog: [
+    {
+      date: '2026-06-25T18:00:00Z',
+      entries: [{ type: 'note', message: 'Events <updated> & more' }],
+    },
+    {
+      date: '2026-07-21T09:20:19Z',
+      entries: [
+        {
+          type: 'added',
+          categoryId: 'economy',
+          linkName: 'PoeHow',
+          linkUrl: 'https://poe.how/?a=1&b=2',
+        },
+        {
+          type: 'removed',
+          categoryId: 'builds',
+          linkName: 'Gone',
+          linkUrl: 'https://gone.example',
+          game: 'poe2',
+        },
+      ],
+    },
+    { date: '2026-05-01T00:00:00Z', entries: [] },
+  ],
+};
+
+describe('escapeXml', () => {
+  it('should escape markup characters', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+    );
+  });
+});
+
+describe('renderEntriesHtml', () => {
+  it('should list entries per type, linking all but removed links', () => {
+    expect(renderEntriesHtml(updates.changelog[1].entries)).toBe(
+      '<h3>Added</h3><ul><li><a href="https://poe.how/?a=1&amp;b=2">PoeHow (economy)</a></li></ul>' +
+        '<h3>Removed</h3><ul><li>Gone (builds) [PoE 2]</li></ul>'
+    );
+    expect(renderEntriesHtml(updates.changelog[0].entries)).toBe(
+      '<h3>Notes</h3><ul><li>Events &lt;updated&gt; &amp; more</li></ul>'
+    );
+  });
+});
+
+describe('buildFeedItems', () => {
+  it('should build one item per non-empty group, newest first', () => {
+    const items = buildFeedItems(updates, { siteUrl });
+
+    expect(items.map((item) => item.title)).toEqual([
+      'July 21, 2026: 1 link added, 1 removed',
+      'June 25, 2026: 1 note',
+    ]);
+    expect(items[0]).toMatchObject({
+      id: 'tag:hub.example,2026-07-21:updates/2026-07-21T09:20:19.000Z',
+      link: siteUrl,
+      date: '2026-07-21T09:20:19.000Z',
+    });
+  });
+
+  it('should respect the limit and handle missing data', () => {
+    expect(buildFeedItems(updates, { siteUrl, limit: 1 })).toHaveLength(1);
+    expect(buildFeedItems(null, { siteUrl })).toEqual([]);
+  });
+});
+
+describe('buildAtomFeed / buildRssFeed', () => {
+  it('should build an Atom feed with escaped HTML content', () => {
+    const feed = buildAtomFeed(updates, { siteUrl });
+
+    expect(feed).toMatch(/^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns=/);
+    expect(feed).toContain('<link rel="self" href="https://hub.example/atom.xml"/>');
+    expect(feed).toContain('<updated>2026-07-21T09:20:19.000Z</updated>');
+    expect(feed.match(/<entry>/g)).toHaveLength(2);
+    expect(feed).toContain('<content type="html">&lt;h3&gt;Added&lt;/h3&gt;');
+  });
+
+  it('should build an RSS feed with RFC 822 dates', () => {
+    const feed = buildRssFeed(updates, { siteUrl });
+
+    expect(feed).toContain('<rss version="2.0"');
+    expect(feed).toContain('<pubDate>Tue, 21 Jul 2026 09:20:19 GMT</pubDate>');
+    expect(feed).toContain('<lastBuildDate>Tue, 21 Jul 2026 09:20:19 GMT</lastBuildDate>');
+    expect(feed.match(/<item>/g)).toHaveLength(2);
+  });
+});
+
+describe('main', () => {
+  let dir;
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write both feeds to the output folder', async () => {
+    dir = await mkdtemp(join(tmpdir(), 'poe-feeds-'));
+    await writeFile(join(dir, 'updates.json'), JSON.stringify(updates));
+    vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    const out = join(dir, 'dist');
+    expect(
+      await main(['--data', dir, '--out', out, '--site', 'https://hub.example/sub', '--limit', '1'])
+    ).toBe(0);
+
+    const atom = await readFile(join(out, 'atom.xml'), 'utf8');
+    expect(atom.match(/<entry>/g)).toHaveLength(1);
+    expect(atom).toContain('<link rel="self" href="https://hub.example/sub/atom.xml"/>');
+    expect(await readFile(join(out, 'rss.xml'), 'utf8')).toContain(
+      '<link>https://hub.example/sub/</link>'
+    );
+  });
+
+  it('should reject an invalid limit', async () => {
+    await expect(main(['--limit', '0'])).rejects.toThrow('Invalid --limit: 0');
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  LAST_SEEN_UPDATE_STORAGE_KEY,
+  getLastSeenUpdate,
+  setLastSeenUpdate,
+  isNewSince,
+  isNewLink,
+  countUnreadEntries,
+} from '../../src/scripts/last-visit.js';
+
+describe('getLastSeenUpdate / setLastSeenUpdate', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should return null on a first visit', () => {
+    expect(getLastSeenUpdate()).toBeNull();
+  });
+
+  it('should remember the last seen update', () => {
+    expect(setLastSeenUpdate('2025-02-01T10:00:00Z')).toBe(true);
+    expect(getLastSeenUpdate()).toBe('2025-02-01T10:00:00Z');
+  });
+
+  it('should ignore invalid timestamps', () => {
+    expect(setLastSeenUpdate('not a date')).toBe(false);
+    expect(setLastSeenUpdate(undefined)).toBe(false);
+    localStorage.setItem(LAST_SEEN_UPDATE_STORAGE_KEY, JSON.stringify({ date: 'x' }));
+    expect(getLastSeenUpdate()).toBeNull();
+  });
+});
+
+describe('isNewSince', () => {
+  it('should compare against the last seen update', () => {
+    expect(isNewSince('2025-02-02', '2025-02-01T10:00:00Z')).toBe(true);
+    expect(isNewSince('2025-02-01T10:00:00Z', '2025-02-01T10:00:00Z')).toBe(false);
+    expect(isNewSince('2025-01-01', '2025-02-01T10:00:00Z')).toBe(false);
+  });
+
+  it('should treat nothing as new without a last visit or a valid date', () => {
+    expect(isNewSince('2025-02-02', null)).toBe(false);
+    expect(isNewSince(undefined, '2025-02-01T10:00:00Z')).toBe(false);
+    expect(isNewSince('soon', '2025-02-01T10:00:00Z')).toBe(false);
+  });
+});
+
+describe('isNewLink', () => {
+  const now = new Date('2025-02-20T12:00:00Z');
+
+  it('should compare against the last seen update when there is one', () => {
+    expect(isNewLink('2025-02-02', '2025-02-01T10:00:00Z', now)).toBe(true);
+    expect(isNewLink('2025-02-19', '2025-02-19T10:00:00Z', now)).toBe(false);
+  });
+
+  it('should fall back to links added within NEW_LINK_DAYS on a first visit', () => {
+    expect(isNewLink('2025-02-10', null, now)).toBe(true);
+    expect(isNewLink('2025-02-06T12:00:00Z', null, now)).toBe(true);
+    expect(isNewLink('2025-02-01', null, now)).toBe(false);
+    expect(isNewLink('2025-03-01', null, now)).toBe(false);
+    expect(isNewLink(undefined, null, now)).toBe(false);
+  });
+});
+
+describe('countUnreadEntries', () => {
+  const changelog = [
+    {
+      date: '2025-03-01T10:00:00Z',
+      entries: [
+        { type: 'note', message: 'a' },
+        { type: 'note', message: 'b' },
+      ],
+    },
+    { date: '2025-02-01T10:00:00Z', entries: [{ type: 'note', message: 'c' }] },
+  ];
+
+  it('should count entries in groups after the last seen update', () => {
+    expect(countUnreadEntries(changelog, '2025-02-01T10:00:00Z')).toBe(2);
+    expect(countUnreadEntries(changelog, '2025-01-01T00:00:00Z')).toBe(3);
+  });
+
+  it('should count nothing on a first visit or for invalid data', () => {
+    expect(countUnreadEntries(changelog, null)).toBe(0);
+    expect(countUnreadEntries(null, '2025-01-01T00:00:00Z')).toBe(0);
+    expect(countUnreadEntries([null, { date: '2025-03-01' }], '2025-01-01T00:00:00Z')).toBe(0);
+  });
+});
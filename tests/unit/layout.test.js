@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getLayout,
+  setLayout,
+  isValidLayout,
+  renderLayoutSwitcher,
+  updateLayoutSwitcher,
+  DEFAULT_LAYOUT,
+  LAYOUT_STORAGE_KEY,
+} from '../../src/scripts/layout.js';
+
+describe('layout preference', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should default to the compact layout', () => {
+    expect(getLayout()).toBe(DEFAULT_LAYOUT);
+    expect(DEFAULT_LAYOUT).toBe('compact');
+  });
+
+  it('should persist a valid layout', () => {
+    expect(setLayout('cards')).toBe(true);
+    expect(getLayout()).toBe('cards');
+    expect(JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY))).toBe('cards');
+  });
+
+  it('should reject unknown layouts', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(setLayout('table')).toBe(false);
+    expect(getLayout()).toBe('compact');
+    warn.mockRestore();
+  });
+
+  it('should fall back to the default for invalid stored values', () => {
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify('table'));
+    expect(getLayout()).toBe('compact');
+  });
+
+  it('should validate layout IDs', () => {
+    expect(isValidLayout('icons')).toBe(true);
+    expect(isValidLayout('Icons')).toBe(false);
+    expect(isValidLayout(undefined)).toBe(false);
+  });
+});
+
+describe('renderLayoutSwitcher', () => {
+  let container;
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+  });
+
+  const pressed = (group) =>
+    Array.from(group.querySelectorAll('[aria-pressed="true"]')).map((button) =>
+      button.getAttribute('data-layout')
+    );
+
+  it('should render one toggle per layout with the current one pressed', () => {
+    const group = renderLayoutSwitcher(container, 'icons', () => {});
+
+    expect(group.getAttribute('role')).toBe('group');
+    expect(group.querySelectorAll('.layout-switcher-button')).toHaveLength(3);
+    expect(pressed(group)).toEqual(['icons']);
+  });
+
+  it('should save and report a new layout when clicked', () => {
+    const onChange = vi.fn();
+    const group = renderLayoutSwitcher(container, 'compact', onChange);
+
+    group.querySelector('[data-layout="cards"]').click();
+
+    expect(onChange).toHaveBeenCalledWith('cards');
+    expect(getLayout()).toBe('cards');
+    expect(pressed(group)).toEqual(['cards']);
+  });
+
+  it('should ignore clicks on the current layout', () => {
+    const onChange = vi.fn();
+    const group = renderLayoutSwitcher(container, 'compact', onChange);
+
+    group.querySelector('[data-layout="compact"]').click();
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('should update the pressed button from outside', () => {
+    const group = renderLayoutSwitcher(container, 'compact', () => {});
+    updateLayoutSwitcher(group, 'icons');
+    expect(pressed(group)).toEqual(['icons']);
+  });
+
+  it('should return null without a container', () => {
+    expect(renderLayoutSwitcher(null, 'compact', () => {})).toBeNull();
+  });
+});
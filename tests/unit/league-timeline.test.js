@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getTimelineRange,
+  getLeagueTimelineState,
+  getTimelinePosition,
+  renderLeagueTimeline,
+} from '../../src/scripts/league-timeline.js';
+
+const leagues = [
+  {
+    id: 'mirage',
+    name: 'Mirage',
+    game: 'poe1',
+    startDate: '2026-03-06T19:00:00.000Z',
+    endDate: '2026-06-28T21:00:00.000Z',
+  },
+  {
+    id: 'druids',
+    name: 'Druids',
+    game: 'poe2',
+    startDate: '2025-12-12T19:00:00.000Z',
+    endDate: '2026-05-20T21:00:00.000Z',
+  },
+  {
+    id: 'ancients',
+    name: 'Ancients',
+    game: 'poe2',
+    startDate: '2026-05-29T19:00:00.000Z',
+    endDate: '2026-10-31T21:00:00.000Z',
+  },
+];
+
+const now = new Date('2026-04-15T12:00:00.000Z');
+
+describe('getTimelineRange', () => {
+  it('should cover every league plus a month on each side', () => {
+    const range = getTimelineRange(leagues, now);
+
+    expect(range.start.toISOString()).toBe('2025-11-01T00:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+  });
+
+  it('should include today and skip invalid leagues', () => {
+    const range = getTimelineRange([{ startDate: 'soon', endDate: 'later' }], now);
+
+    expect(range.start.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-06-01T00:00:00.000Z');
+  });
+});
+
+describe('getTimelinePosition', () => {
+  it('should place dates as a percentage of the range, clamped to the track', () => {
+    const range = {
+      start: new Date('2026-01-01T00:00:00.000Z'),
+      end: new Date('2026-01-11T00:00:00.000Z'),
+    };
+
+    expect(getTimelinePosition('2026-01-06T00:00:00.000Z', range)).toBe(50);
+    expect(getTimelinePosition('2025-12-01T00:00:00.000Z', range)).toBe(0);
+    expect(getTimelinePosition('2026-02-01T00:00:00.000Z', range)).toBe(100);
+  });
+});
+
+describe('getLeagueTimelineState', () => {
+  it('should match the running and upcoming leagues of each game', () => {
+    expect(getLeagueTimelineState(leagues[0], leagues, now)).toBe('running');
+    expect(getLeagueTimelineState(leagues[1], leagues, now)).toBe('running');
+    expect(getLeagueTimelineState(leagues[2], leagues, now)).toBe('upcoming');
+    expect(getLeagueTimelineState(leagues[1], leagues, new Date('2026-05-25'))).toBe('past');
+  });
+});
+
+describe('renderLeagueTimeline', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.innerHTML = '';
+    document.body.appendChild(container);
+  });
+
+  it('should draw one row per game with a bar per league', () => {
+    renderLeagueTimeline(container, leagues, 'poe2', { now });
+
+    const rows = container.querySelectorAll('.league-timeline-row');
+    expect([...rows].map((row) => row.getAttribute('aria-label'))).toEqual([
+      'PoE 1 leagues',
+      'PoE 2 leagues',
+    ]);
+    expect(rows[1].classList.contains('league-timeline-row--current')).toBe(true);
+    expect(rows[0].classList.contains('league-timeline-row--current')).toBe(false);
+    expect(
+      [...rows[1].querySelectorAll('.league-timeline-bar')].map((bar) => bar.dataset.leagueId)
+    ).toEqual(['druids', 'ancients']);
+    expect(container.querySelector('.league-timeline-track').style.width).toBe('790px');
+  });
+
+  it('should show markers, state and duration on each bar', () => {
+    renderLeagueTimeline(container, leagues, 'poe1', { now });
+
+    const mirage = container.querySelector('[data-league-id="mirage"]');
+    expect(mirage.classList.contains('league-timeline-bar--running')).toBe(true);
+    expect(mirage.querySelectorAll('.league-timeline-marker')).toHaveLength(2);
+    expect(mirage.querySelector('.league-timeline-name').textContent).toBe('Mirage');
+    expect(mirage.querySelector('.league-timeline-duration').textContent).toBe('114d 2h 0m');
+    expect(mirage.getAttribute('aria-label')).toMatch(/^Mirage \(running\): .+, 114d 2h 0m$/);
+    expect(
+      container
+        .querySelector('[data-league-id="ancients"]')
+        .classList.contains('league-timeline-bar--upcoming')
+    ).toBe(true);
+  });
+
+  it('should draw month ticks and the today line', () => {
+    renderLeagueTimeline(container, leagues, 'poe1', { now });
+
+    const ticks = container.querySelectorAll('.league-timeline-tick');
+    expect(ticks).toHaveLength(13);
+    expect(ticks[0].textContent).toBe('Nov 2025');
+    expect(ticks[2].textContent).toBe('Jan 2026');
+    expect(ticks[3].textContent).toBe('Feb');
+
+    const today = container.querySelector('.league-timeline-today');
+    const range = getTimelineRange(leagues, now);
+    expect(today.style.left).toBe(`${getTimelinePosition(now, range)}%`);
+  });
+
+  it('should show an empty state without leagues', () => {
+    renderLeagueTimeline(container, [], 'poe1', { now });
+
+    expect(container.querySelector('.empty-state').textContent).toBe('No leagues available.');
+    expect(container.querySelector('.league-timeline-track')).toBeNull();
+  });
+});
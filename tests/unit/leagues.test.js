@@ -152,6 +152,9 @@ describe('renderLeaguesSection', () => {
 
     expect(container.classList.contains(LEAGUES_SECTION_EMPTY_CLASS)).toBe(false);
     expect(container.querySelector('.leagues-list')).toBeTruthy();
+    expect(container.querySelector('.add-to-calendar-button').getAttribute('aria-label')).toBe(
+      'Add Next League to calendar (.ics)'
+    );
 
     vi.useRealTimers();
   });
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getLinkStatusLabel,
+  getLinkStatusText,
+  isDeadLink,
+  countDeadLinks,
+  filterDeadLinks,
+  getHideDeadLinks,
+  setHideDeadLinks,
+  updateHideDeadLinksButton,
+  renderHideDeadLinksButton,
+  HIDE_DEAD_LINKS_STORAGE_KEY,
+} from '../../src/scripts/link-status.js';
+
+const categories = [
+  {
+    id: 'tools',
+    title: 'Tools',
+    links: [
+      { id: 'alive', name: 'Alive', url: 'https://alive.example', status: 'ok' },
+      { id: 'gone', name: 'Gone', url: 'https://gone.example', status: 'dead' },
+    ],
+  },
+  {
+    id: 'archive',
+    title: 'Archive',
+    links: [{ id: 'gone', name: 'Gone', url: 'https://gone.example', status: 'dead' }],
+  },
+];
+
+describe('getLinkStatusLabel', () => {
+  it('should label statuses that need attention', () => {
+    expect(getLinkStatusLabel({ status: 'dead' })).toBe('Dead');
+    expect(getLinkStatusLabel({ status: 'moved' })).toBe('Moved');
+    expect(getLinkStatusLabel({ status: 'degraded' })).toBe('Degraded');
+  });
+
+  it('should not label ok or missing statuses', () => {
+    expect(getLinkStatusLabel({ status: 'ok' })).toBe('');
+    expect(getLinkStatusLabel({})).toBe('');
+    expect(getLinkStatusLabel(null)).toBe('');
+  });
+});
+
+describe('getLinkStatusText', () => {
+  it('should combine the status and note', () => {
+    expect(getLinkStatusText({ status: 'moved', statusNote: 'Now at example.org' })).toBe(
+      'Status: Moved – Now at example.org'
+    );
+    expect(getLinkStatusText({ status: 'dead' })).toBe('Status: Dead');
+  });
+
+  it('should only mention an ok status when it has a note', () => {
+    expect(getLinkStatusText({ status: 'ok' })).toBe('');
+    expect(getLinkStatusText({ status: 'ok', statusNote: 'Back online' })).toBe(
+      'Status: OK – Back online'
+    );
+  });
+
+  it('should show a note without a status as is', () => {
+    expect(getLinkStatusText({ statusNote: ' Kept for reference ' })).toBe('Kept for reference');
+    expect(getLinkStatusText({})).toBe('');
+  });
+});
+
+describe('dead links', () => {
+  it('should detect dead links', () => {
+    expect(isDeadLink({ status: 'dead' })).toBe(true);
+    expect(isDeadLink({ status: 'moved' })).toBe(false);
+    expect(isDeadLink(null)).toBe(false);
+  });
+
+  it('should count each dead link once', () => {
+    expect(countDeadLinks(categories)).toBe(1);
+    expect(countDeadLinks(null)).toBe(0);
+  });
+
+  it('should drop dead links and emptied categories', () => {
+    const filtered = filterDeadLinks(categories);
+    expect(filtered).toHaveLength(1);
+    expect(filtered[0].links.map((link) => link.id)).toEqual(['alive']);
+    expect(categories[0].links).toHaveLength(2);
+  });
+});
+
+describe('hide dead links preference', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should default to showing dead links', () => {
+    expect(getHideDeadLinks()).toBe(false);
+  });
+
+  it('should save the preference', () => {
+    expect(setHideDeadLinks(true)).toBe(true);
+    expect(getHideDeadLinks()).toBe(true);
+    expect(localStorage.getItem(HIDE_DEAD_LINKS_STORAGE_KEY)).toBe('true');
+  });
+
+  it('should ignore unexpected stored values', () => {
+    localStorage.setItem(HIDE_DEAD_LINKS_STORAGE_KEY, '"yes"');
+    expect(getHideDeadLinks()).toBe(false);
+  });
+});
+
+describe('renderHideDeadLinksButton', () => {
+  let container;
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+  });
+
+  it('should return null without a container', () => {
+    expect(renderHideDeadLinksButton(null, () => {})).toBeNull();
+  });
+
+  it('should stay hidden until there are dead links', () => {
+    const button = renderHideDeadLinksButton(container, () => {});
+    expect(button.hidden).toBe(true);
+
+    updateHideDeadLinksButton(button, false, 3);
+    expect(button.hidden).toBe(false);
+    expect(button.textContent).toBe('Hide dead links (3)');
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+  });
+
+  it('should save the toggled preference and notify', () => {
+    const onToggle = vi.fn();
+    const button = renderHideDeadLinksButton(container, onToggle);
+    updateHideDeadLinksButton(button, false, 1);
+
+    button.click();
+    expect(onToggle).toHaveBeenCalledWith(true);
+    expect(getHideDeadLinks()).toBe(true);
+
+    updateHideDeadLinksButton(button, true, 1);
+    expect(button.classList.contains('active')).toBe(true);
+    button.click();
+    expect(onToggle).toHaveBeenLastCalledWith(false);
+    expect(getHideDeadLinks()).toBe(false);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { renderLink, renderCategory, renderAllCategories } from '../../src/scripts/links.js';
 
 describe('renderLink', () => {
@@ -93,6 +93,177 @@ describe('renderLink', () => {
     expect(icon.src).toBe('https://example.com/custom-icon.png');
   });
 
+  it('should render a pin toggle next to the link when a pin handler is given', () => {
+    const onTogglePin = vi.fn();
+    const link = { id: 'test-link', name: 'Test Link', url: 'https://example.com' };
+
+    renderLink(container, link, 'cat', { pinnedLinkIds: [], onTogglePin });
+
+    const wrapper = container.querySelector('.link-item-wrapper');
+    expect(wrapper.getAttribute('role')).toBe('listitem');
+    expect(wrapper.querySelector('a.link-item').hasAttribute('role')).toBe(false);
+
+    const toggle = wrapper.querySelector('button.link-pin-toggle');
+    expect(toggle.getAttribute('aria-pressed')).toBe('false');
+    expect(toggle.getAttribute('aria-label')).toBe('Pin Test Link');
+
+    toggle.click();
+    expect(onTogglePin).toHaveBeenCalledWith('test-link');
+  });
+
+  it('should mark the pin toggle of pinned links as pressed', () => {
+    const link = { id: 'test-link', name: 'Test Link', url: 'https://example.com' };
+
+    renderLink(container, link, 'cat', { pinnedLinkIds: ['test-link'], onTogglePin: () => {} });
+
+    const toggle = container.querySelector('button.link-pin-toggle');
+    expect(toggle.getAttribute('aria-pressed')).toBe('true');
+    expect(toggle.getAttribute('aria-label')).toBe('Unpin Test Link');
+  });
+
+  it('should not wrap links without a pin handler', () => {
+    const link = { id: 'test-link', name: 'Test Link', url: 'https://example.com' };
+
+    renderLink(container, link, 'cat');
+
+    expect(container.querySelector('.link-item-wrapper')).toBeNull();
+    expect(container.querySelector('a.link-item').getAttribute('role')).toBe('listitem');
+  });
+
+  it('should label links from the other game', () => {
+    const link = {
+      name: 'Test Link',
+      url: 'https://example.com',
+      fromGame: 'poe2',
+    };
+
+    renderLink(container, link);
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.classList.contains('link-item--other-game')).toBe(true);
+    expect(linkElement.querySelector('.link-item-game-badge').textContent).toBe('PoE 2');
+  });
+
+  it('should render icon-only links with the name in the tooltip and a letter fallback', () => {
+    const link = { name: 'poe.ninja', url: 'https://poe.ninja', description: 'Economy' };
+
+    renderLink(container, link, 'cat', { layout: 'icons' });
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.classList.contains('link-item--icon')).toBe(true);
+    expect(linkElement.getAttribute('data-tooltip')).toBe('poe.ninja\n\nEconomy');
+    const fallback = linkElement.querySelector('.link-icon-fallback');
+    expect(fallback.textContent).toBe('P');
+    expect(fallback.hidden).toBe(false);
+  });
+
+  it('should hide the icon fallback until the icon fails to load', () => {
+    const link = { name: 'Trade', url: 'https://example.com', icon: '/images/trade.png' };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    renderLink(container, link, 'cat', { layout: 'icons' });
+
+    const fallback = container.querySelector('.link-icon-fallback');
+    expect(fallback.hidden).toBe(true);
+    container.querySelector('.link-favicon').onerror();
+    expect(fallback.hidden).toBe(false);
+    warn.mockRestore();
+  });
+
+  it('should show the description and last checked date inline on cards', () => {
+    const link = {
+      name: 'Test Link',
+      url: 'https://example.com',
+      description: 'A description',
+      lastChecked: '2024-01-15T12:00:00Z',
+    };
+
+    renderLink(container, link, 'cat', { layout: 'cards' });
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.classList.contains('link-item--card')).toBe(true);
+    expect(linkElement.querySelector('.link-card-description').textContent).toBe('A description');
+    expect(linkElement.querySelector('.link-card-checked').textContent).toBe(
+      'Last checked: Jan 15, 2024'
+    );
+    expect(linkElement.hasAttribute('data-tooltip')).toBe(false);
+  });
+
+  it('should render the compact chip style by default', () => {
+    renderLink(container, { name: 'Test Link', url: 'https://example.com', description: 'Desc' });
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.className).toBe('link-item');
+    expect(linkElement.querySelector('.link-card-details')).toBeNull();
+    expect(linkElement.querySelector('.link-icon-fallback')).toBeNull();
+  });
+
+  it('should show a status badge and add the status to the tooltip', () => {
+    const link = {
+      name: 'Old Tool',
+      url: 'https://example.com',
+      description: 'A description',
+      lastChecked: '2024-01-15T12:00:00Z',
+      status: 'dead',
+      statusNote: 'Site shut down in 2023',
+    };
+
+    renderLink(container, link, 'cat');
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.classList.contains('link-item--dead')).toBe(true);
+    expect(linkElement.querySelector('.link-item-status-badge--dead').textContent).toBe('Dead');
+    expect(linkElement.getAttribute('data-tooltip')).toBe(
+      'A description\n\nStatus: Dead – Site shut down in 2023\nLast checked: Jan 15, 2024'
+    );
+    expect(linkElement.getAttribute('aria-label')).toBe('A description (Dead)');
+  });
+
+  it('should not badge links with an ok status', () => {
+    renderLink(container, { name: 'Fine', url: 'https://example.com', status: 'ok' });
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.querySelector('.link-item-status-badge')).toBeNull();
+    expect(linkElement.className).toBe('link-item');
+    expect(linkElement.hasAttribute('data-tooltip')).toBe(false);
+  });
+
+  it('should show the status inline on cards', () => {
+    const link = {
+      name: 'Moved Tool',
+      url: 'https://example.com',
+      status: 'moved',
+      statusNote: 'Redirects to https://example.org/',
+    };
+
+    renderLink(container, link, 'cat', { layout: 'cards' });
+
+    expect(container.querySelector('.link-card-status').textContent).toBe(
+      'Status: Moved – Redirects to https://example.org/'
+    );
+  });
+
+  it('should mark links added since the last visit as new', () => {
+    const link = { name: 'Fresh', url: 'https://example.com', added: '2025-03-01T10:00:00Z' };
+
+    renderLink(container, link, 'cat', { newSince: '2025-02-01T10:00:00Z' });
+    renderLink(container, link, 'cat', { newSince: '2025-03-01T10:00:00Z' });
+    renderLink(container, link, 'cat');
+
+    const [newLink, seenLink, oldLink] = container.querySelectorAll('a.link-item');
+    expect(newLink.classList.contains('link-item--new')).toBe(true);
+    expect(newLink.querySelector('.link-item-new-badge').textContent).toBe('New');
+    expect(seenLink.classList.contains('link-item--new')).toBe(false);
+    expect(oldLink.querySelector('.link-item-new-badge')).toBeNull();
+  });
+
+  it('should mark recently added links as new on a first visit', () => {
+    const added = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+
+    renderLink(container, { name: 'Fresh', url: 'https://example.com', added }, 'cat');
+
+    expect(container.querySelector('a.link-item').classList.contains('link-item--new')).toBe(true);
+  });
 });
 
 describe('renderCategory', () => {
@@ -130,6 +301,24 @@ describe('renderCategory', () => {
     const links = linksContainer.querySelectorAll('a.link-item');
     expect(links.length).toBe(2);
   });
+
+  it('should mark the links container with the layout and keep the wide class', () => {
+    const category = {
+      id: 'big',
+      title: 'Big',
+      links: Array.from({ length: 11 }, (_, index) => ({
+        name: `Link ${index}`,
+        url: `https://example${index}.com`,
+      })),
+    };
+
+    renderCategory(container, category, { layout: 'cards' });
+
+    expect(container.querySelector('section').classList.contains('wide')).toBe(true);
+    expect(
+      container.querySelector('.links-container').classList.contains('links-container--card')
+    ).toBe(true);
+  });
 });
 
 describe('renderAllCategories', () => {
@@ -168,6 +357,237 @@ describe('renderAllCategories', () => {
     expect(emptyState.getAttribute('role')).toBe('status');
   });
 
+  it('should render pinned links in a Pinned category at the top', () => {
+    const categories = [
+      {
+        id: 'more-links',
+        title: 'More Links',
+        links: [{ id: 'more', name: 'More', url: 'https://more.example.com' }],
+      },
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [
+          { id: 'one', name: 'Link 1', url: 'https://example1.com' },
+          { id: 'two', name: 'Link 2', url: 'https://example2.com' },
+        ],
+      },
+    ];
+
+    renderAllCategories(container, categories, { pinnedLinkIds: ['two'], onTogglePin: () => {} });
+
+    const sections = container.querySelectorAll('section.category-section');
+    expect(sections).toHaveLength(3);
+    expect(sections[0].getAttribute('data-category-id')).toBe('pinned');
+    expect(sections[0].classList.contains('category-section--pinned')).toBe(true);
+    expect(sections[2].getAttribute('data-category-id')).toBe('more-links');
+
+    const pinnedLink = sections[0].querySelector('a.link-item');
+    expect(pinnedLink.getAttribute('data-link-id')).toBe('two');
+    // Pinned links keep their source category (used for disclaimer checks)
+    expect(pinnedLink.getAttribute('data-category-id')).toBe('cat1');
+  });
+
+  it('should not render a Pinned category without pinned links', () => {
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [{ id: 'one', name: 'Link 1', url: 'https://example1.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, { pinnedLinkIds: ['missing'] });
+
+    expect(container.querySelector('[data-category-id="pinned"]')).toBeNull();
+  });
+
+  it('should use a custom empty message when provided', () => {
+    renderAllCategories(container, [], { emptyMessage: 'No links match your search.' });
+
+    const emptyState = container.querySelector('.empty-state');
+    expect(emptyState.textContent).toBe('No links match your search.');
+  });
+
+  it('should leave out hidden categories and links', () => {
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [
+          { id: 'one', name: 'Link 1', url: 'https://example1.com' },
+          { id: 'two', name: 'Link 2', url: 'https://example2.com' },
+        ],
+      },
+      {
+        id: 'cat2',
+        title: 'Category 2',
+        links: [{ id: 'three', name: 'Link 3', url: 'https://example3.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, {
+      hiddenItems: { categories: ['cat2'], links: ['one'] },
+    });
+
+    const sections = container.querySelectorAll('section.category-section');
+    expect(sections).toHaveLength(1);
+    expect(sections[0].getAttribute('data-category-id')).toBe('cat1');
+    const links = sections[0].querySelectorAll('a.link-item');
+    expect(links).toHaveLength(1);
+    expect(links[0].getAttribute('data-link-id')).toBe('two');
+  });
+
+  it('should keep pinned links from hidden categories in the Pinned section', () => {
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [{ id: 'one', name: 'Link 1', url: 'https://example1.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, {
+      pinnedLinkIds: ['one'],
+      hiddenItems: { categories: ['cat1'], links: [] },
+    });
+
+    const sections = container.querySelectorAll('section.category-section');
+    expect(sections).toHaveLength(1);
+    expect(sections[0].getAttribute('data-category-id')).toBe('pinned');
+  });
+
+  it('should show an empty state when everything is hidden', () => {
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [{ id: 'one', name: 'Link 1', url: 'https://example1.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, {
+      hiddenItems: { categories: ['cat1'], links: [] },
+    });
+
+    expect(container.querySelector('.empty-state').textContent).toBe(
+      'All links are hidden. Use Customize to restore them.'
+    );
+  });
+
+  it('should render hide buttons in customize mode', () => {
+    const onToggleHidden = vi.fn();
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [{ id: 'one', name: 'Link 1', url: 'https://example1.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, {
+      pinnedLinkIds: ['one'],
+      customizeMode: true,
+      onToggleHidden,
+    });
+
+    expect(container.classList.contains('categories--customizing')).toBe(true);
+    // The generated Pinned section cannot be hidden itself
+    expect(container.querySelector('[data-category-id="pinned"] .category-hide-toggle')).toBeNull();
+
+    const section = container.querySelector('section[data-category-id="cat1"]');
+    const categoryToggle = section.querySelector('.category-hide-toggle');
+    expect(categoryToggle.getAttribute('aria-label')).toBe('Hide Category 1');
+    categoryToggle.click();
+    expect(onToggleHidden).toHaveBeenCalledWith('category', 'cat1');
+
+    const linkToggle = section.querySelector('.link-item-wrapper .link-hide-toggle');
+    expect(linkToggle.getAttribute('aria-label')).toBe('Hide Link 1');
+    linkToggle.click();
+    expect(onToggleHidden).toHaveBeenCalledWith('link', 'one');
+  });
+
+  it('should not render hide buttons outside customize mode', () => {
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [{ id: 'one', name: 'Link 1', url: 'https://example1.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, { onToggleHidden: () => {} });
+
+    expect(container.classList.contains('categories--customizing')).toBe(false);
+    expect(container.querySelector('.category-hide-toggle')).toBeNull();
+    expect(container.querySelector('.link-hide-toggle')).toBeNull();
+  });
+
+  it('should apply a saved order to categories and links', () => {
+    const categories = [
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [
+          { id: 'one', name: 'Link 1', url: 'https://example1.com' },
+          { id: 'two', name: 'Link 2', url: 'https://example2.com' },
+        ],
+      },
+      {
+        id: 'cat2',
+        title: 'Category 2',
+        links: [{ id: 'three', name: 'Link 3', url: 'https://example3.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, {
+      order: { categories: ['cat2'], links: { cat1: ['two'] } },
+    });
+
+    const sections = container.querySelectorAll('section.category-section');
+    expect(sections[0].getAttribute('data-category-id')).toBe('cat2');
+    expect(sections[1].querySelector('a.link-item').getAttribute('data-link-id')).toBe('two');
+  });
+
+  it('should render move handles in customize mode except on Pinned and More Links', () => {
+    const categories = [
+      {
+        id: 'more-links',
+        title: 'More Links',
+        links: [{ id: 'more', name: 'More', url: 'https://more.example.com' }],
+      },
+      {
+        id: 'cat1',
+        title: 'Category 1',
+        links: [{ id: 'one', name: 'Link 1', url: 'https://example1.com' }],
+      },
+    ];
+
+    renderAllCategories(container, categories, {
+      pinnedLinkIds: ['one'],
+      onTogglePin: () => {},
+      customizeMode: true,
+      reorderable: true,
+    });
+
+    const pinned = container.querySelector('section[data-category-id="pinned"]');
+    expect(pinned.getAttribute('draggable')).toBeNull();
+    expect(pinned.querySelector('.reorder-handle')).toBeNull();
+
+    const moreLinks = container.querySelector('section[data-category-id="more-links"]');
+    expect(moreLinks.querySelector(':scope > .reorder-handle--category')).toBeNull();
+    expect(moreLinks.querySelector('.reorder-handle--link')).toBeTruthy();
+
+    const section = container.querySelector('section[data-category-id="cat1"]');
+    expect(section.getAttribute('draggable')).toBe('true');
+    expect(section.querySelector('.reorder-handle--category').getAttribute('aria-label')).toBe(
+      'Move Category 1'
+    );
+    const wrapper = section.querySelector('.link-item-wrapper');
+    expect(wrapper.getAttribute('draggable')).toBe('true');
+    expect(wrapper.querySelector('.reorder-handle--link').getAttribute('aria-label')).toBe('Move Link 1');
+  });
+
   it('should handle null categories gracefully', () => {
     renderAllCategories(container, null);
 
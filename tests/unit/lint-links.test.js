@@ -0,0 +1,136 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { normalizeUrl, lintLinkReferences, main } from '../../scripts/lint-links.js';
+
+const linkItems = {
+  ninja: { name: 'poe.ninja', url: 'https://poe.ninja' },
+  'ninja-poe2': { name: 'poe.ninja', url: 'https://poe.ninja/' },
+  trade: { name: 'Trade', url: 'https://www.pathofexile.com/trade' },
+  'trade-copy': { name: 'Trade (copy)', url: 'https://pathofexile.com/trade/#top' },
+  unused: { name: 'Unused', url: 'https://unused.example' },
+};
+
+describe('normalizeUrl', () => {
+  it('should ignore case, www, trailing slashes and hashes', () => {
+    expect(normalizeUrl('https://WWW.Example.com/Path/#top')).toBe('example.com/Path');
+    expect(normalizeUrl('http://example.com:8080/?q=1')).toBe('example.com:8080?q=1');
+    expect(normalizeUrl(' Not A URL ')).toBe('not a url');
+  });
+});
+
+describe('lintLinkReferences', () => {
+  it('should accept consistent data', () => {
+    expect(
+      lintLinkReferences(
+        { economy: { id: 'economy', title: 'Economy', poe1: ['ninja'], poe2: ['ninja-poe2'] } },
+        { ninja: linkItems.ninja, 'ninja-poe2': linkItems['ninja-poe2'] }
+      )
+    ).toEqual([]);
+  });
+
+  it('should report missing IDs, repeats, orphans and duplicate URLs', () => {
+    const links = {
+      economy: {
+        id: 'economy',
+        title: 'Economy',
+        poe1: ['ninja', 'missing'],
+        poe2: ['ninja-poe2'],
+      },
+      trade: { id: 'trade', title: 'Trade', poe1: ['trade', 'trade-copy', 'trade'], poe2: [] },
+    };
+
+    expect(lintLinkReferences(links, linkItems)).toEqual([
+      {
+        severity: 'error',
+        file: 'links.json',
+        path: 'economy.poe1[1]',
+        message: 'references unknown link item "missing"',
+      },
+      {
+        severity: 'error',
+        file: 'links.json',
+        path: 'trade.poe1[2]',
+        message: 'repeats "trade" (already at [0])',
+      },
+      {
+        severity: 'warning',
+        file: 'link-items.json',
+        path: 'unused',
+        message: 'is not referenced by any category',
+      },
+      {
+        severity: 'warning',
+        file: 'link-items.json',
+        path: 'trade-copy',
+        message: 'has the same URL as "trade"',
+      },
+    ]);
+  });
+
+  it('should flag per-game variants with the same URL when both are used for one game', () => {
+    const links = {
+      economy: { id: 'economy', title: 'Economy', poe1: ['ninja'], poe2: ['ninja', 'ninja-poe2'] },
+    };
+
+    expect(lintLinkReferences(links, linkItems)).toContainEqual({
+      severity: 'warning',
+      file: 'link-items.json',
+      path: 'ninja-poe2',
+      message: 'has the same URL as "ninja"',
+    });
+  });
+
+  it('should handle missing data', () => {
+    expect(lintLinkReferences(null, null)).toEqual([]);
+  });
+});
+
+describe('main', () => {
+  let dir;
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  const run = async (links, items, argv = []) => {
+    dir = await mkdtemp(join(tmpdir(), 'poe-lint-links-'));
+    await writeFile(join(dir, 'links.json'), JSON.stringify(links));
+    await writeFile(join(dir, 'link-items.json'), JSON.stringify(items));
+    const output = [];
+    vi.spyOn(process.stdout, 'write').mockImplementation((text) => {
+      output.push(text);
+      return true;
+    });
+    const code = await main(['--data', dir, ...argv]);
+    return { code, output: output.join('') };
+  };
+
+  it('should fail on errors and print each problem', async () => {
+    const { code, output } = await run(
+      { economy: { id: 'economy', title: 'Economy', poe1: ['missing'], poe2: [] } },
+      {}
+    );
+
+    expect(code).toBe(1);
+    expect(output).toContain('error   links.json: economy.poe1[0] references unknown link item');
+    expect(output).toContain('1 error, 0 warnings');
+  });
+
+  it('should only fail on warnings with --strict', async () => {
+    const links = { economy: { id: 'economy', title: 'Economy', poe1: ['ninja'], poe2: [] } };
+    const items = { ninja: linkItems.ninja, unused: linkItems.unused };
+
+    expect((await run(links, items)).code).toBe(0);
+    await rm(dir, { recursive: true, force: true });
+    expect((await run(links, items, ['--strict'])).code).toBe(1);
+  });
+
+  it('should pass the shipped data', async () => {
+    vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    expect(await main([])).toBe(0);
+  });
+});
@@ -1,5 +1,11 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { getCurrentPage, setActiveNavigation } from '../../src/scripts/navigation.js';
+import {
+  getCurrentPage,
+  getGridNavigationTarget,
+  setActiveNavigation,
+  setupLinkGridNavigation,
+} from '../../src/scripts/navigation.js';
+import { renderAllCategories } from '../../src/scripts/links.js';
 
 describe('getCurrentPage', () => {
   beforeEach(() => {
@@ -65,3 +71,176 @@ describe('setActiveNavigation', () => {
   });
 });
 
+
+describe('link grid keyboard navigation', () => {
+  let container;
+
+  /**
+   * Renders sections with the given number of links into the container
+   * @param {Array<number>} counts - Links per section
+   */
+  function renderGrid(counts) {
+    container.innerHTML = counts
+      .map(
+        (count, sectionIndex) => `
+          <section class="category-section" data-category-id="c${sectionIndex}">
+            <div class="links-container">
+              ${Array.from(
+                { length: count },
+                (_, linkIndex) =>
+                  `<a class="link-item" href="#" data-link-id="c${sectionIndex}-l${linkIndex}">Link</a>`
+              ).join('')}
+            </div>
+          </section>
+        `
+      )
+      .join('');
+  }
+
+  const link = (id) => container.querySelector(`[data-link-id="${id}"]`);
+  const press = (target, key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="categories"></div>';
+    container = document.getElementById('categories');
+    renderGrid([3, 2, 2]);
+    setupLinkGridNavigation(container);
+  });
+
+  it('should make only the first link a Tab stop', () => {
+    const tabStops = container.querySelectorAll('.link-item[tabindex="0"]');
+    expect(tabStops).toHaveLength(1);
+    expect(tabStops[0]).toBe(link('c0-l0'));
+  });
+
+  it('should move between links within and across categories with the arrow keys', () => {
+    link('c0-l2').focus();
+    press(link('c0-l2'), 'ArrowRight');
+    expect(document.activeElement).toBe(link('c1-l0'));
+    expect(link('c1-l0').tabIndex).toBe(0);
+    expect(link('c0-l2').tabIndex).toBe(-1);
+
+    press(link('c1-l0'), 'ArrowUp');
+    expect(document.activeElement).toBe(link('c0-l2'));
+  });
+
+  it('should stay on the first and last link at the grid edges', () => {
+    link('c0-l0').focus();
+    const event = press(link('c0-l0'), 'ArrowLeft');
+    expect(event.defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(link('c0-l0'));
+  });
+
+  it('should jump within a category with Home and End', () => {
+    link('c0-l1').focus();
+    press(link('c0-l1'), 'End');
+    expect(document.activeElement).toBe(link('c0-l2'));
+    press(link('c0-l2'), 'Home');
+    expect(document.activeElement).toBe(link('c0-l0'));
+  });
+
+  it('should jump between categories with PageUp and PageDown', () => {
+    link('c0-l1').focus();
+    press(link('c0-l1'), 'PageDown');
+    expect(document.activeElement).toBe(link('c1-l0'));
+    press(link('c1-l0'), 'PageDown');
+    expect(document.activeElement).toBe(link('c2-l0'));
+    press(link('c2-l0'), 'PageUp');
+    expect(document.activeElement).toBe(link('c1-l0'));
+  });
+
+  it('should ignore other keys and modified arrow keys', () => {
+    link('c0-l0').focus();
+    expect(press(link('c0-l0'), 'Enter').defaultPrevented).toBe(false);
+    expect(press(link('c0-l0'), 'ArrowRight', { shiftKey: true }).defaultPrevented).toBe(false);
+    expect(document.activeElement).toBe(link('c0-l0'));
+  });
+
+  it('should keep the Tab stop on the same link after a re-render', async () => {
+    link('c1-l1').focus();
+    renderGrid([3, 2, 2]);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(link('c1-l1').tabIndex).toBe(0);
+    expect(container.querySelectorAll('.link-item[tabindex="0"]')).toHaveLength(1);
+  });
+
+  it('should return null from getGridNavigationTarget for unhandled keys', () => {
+    expect(getGridNavigationTarget(container, link('c0-l0'), 'a')).toBeNull();
+    expect(getGridNavigationTarget(container, link('c0-l0'), 'End')).toBe(link('c0-l2'));
+  });
+});
+
+describe('link grid Tab order with link buttons', () => {
+  let container;
+
+  /**
+   * Elements reachable with Tab, in document order
+   * @returns {Array<HTMLElement>}
+   */
+  const tabOrder = () =>
+    Array.from(container.querySelectorAll('a[href], button, [tabindex]')).filter(
+      (element) => element.tabIndex >= 0
+    );
+  const link = (id) => container.querySelector(`.link-item[data-link-id="${id}"]`);
+  const label = (element) => element.getAttribute('aria-label');
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="categories"></div>';
+    container = document.getElementById('categories');
+    renderAllCategories(
+      container,
+      [
+        {
+          id: 'cat1',
+          title: 'Category 1',
+          links: [
+            { id: 'one', name: 'Link 1', url: 'https://example1.com' },
+            { id: 'two', name: 'Link 2', url: 'https://example2.com' },
+          ],
+        },
+        {
+          id: 'cat2',
+          title: 'Category 2',
+          links: [{ id: 'three', name: 'Link 3', url: 'https://example3.com' }],
+        },
+      ],
+      {
+        pinnedLinkIds: [],
+        onTogglePin: () => {},
+        customizeMode: true,
+        onToggleHidden: () => {},
+      }
+    );
+    setupLinkGridNavigation(container);
+  });
+
+  it('should only reach the buttons of the link holding the Tab stop', () => {
+    const order = tabOrder().filter((element) => element.closest('.link-item-wrapper'));
+
+    expect(order.map(label)).toEqual(['Visit Link 1', 'Pin Link 1', 'Hide Link 1']);
+  });
+
+  it('should move the buttons along with the Tab stop', () => {
+    link('one').focus();
+    link('one').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'PageDown', bubbles: true, cancelable: true })
+    );
+
+    expect(document.activeElement).toBe(link('three'));
+    const order = tabOrder().filter((element) => element.closest('.link-item-wrapper'));
+    expect(order.map(label)).toEqual(['Visit Link 3', 'Pin Link 3', 'Hide Link 3']);
+  });
+
+  it('should make the link of a focused button the Tab stop', () => {
+    container.querySelector('[aria-label="Pin Link 2"]').focus();
+
+    expect(link('two').tabIndex).toBe(0);
+    expect(link('one').tabIndex).toBe(-1);
+    expect(container.querySelector('[aria-label="Pin Link 1"]').tabIndex).toBe(-1);
+  });
+});
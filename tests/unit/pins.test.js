@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getPinnedLinkIds,
+  isLinkPinned,
+  togglePinnedLink,
+  buildPinnedCategory,
+  PINNED_LINKS_STORAGE_KEY,
+  PINNED_CATEGORY_ID,
+} from '../../src/scripts/pins.js';
+
+describe('togglePinnedLink', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should pin and unpin a link for a game', () => {
+    expect(togglePinnedLink('poe-ninja-builds', 'poe1')).toBe(true);
+    expect(isLinkPinned('poe-ninja-builds', 'poe1')).toBe(true);
+
+    expect(togglePinnedLink('poe-ninja-builds', 'poe1')).toBe(false);
+    expect(isLinkPinned('poe-ninja-builds', 'poe1')).toBe(false);
+  });
+
+  it('should keep pins separate per game', () => {
+    togglePinnedLink('pobarchives', 'poe1');
+
+    expect(getPinnedLinkIds('poe1')).toEqual(['pobarchives']);
+    expect(getPinnedLinkIds('poe2')).toEqual([]);
+    expect(JSON.parse(localStorage.getItem(PINNED_LINKS_STORAGE_KEY))).toEqual({
+      poe1: ['pobarchives'],
+    });
+  });
+
+  it('should keep pins in the order they were added', () => {
+    togglePinnedLink('b', 'poe1');
+    togglePinnedLink('a', 'poe1');
+    expect(getPinnedLinkIds('poe1')).toEqual(['b', 'a']);
+  });
+
+  it('should ignore invalid link IDs', () => {
+    expect(togglePinnedLink('', 'poe1')).toBe(false);
+    expect(getPinnedLinkIds('poe1')).toEqual([]);
+  });
+});
+
+describe('buildPinnedCategory', () => {
+  const categories = [
+    {
+      id: 'builds',
+      title: 'BUILDS',
+      links: [
+        { id: 'maxroll', name: 'Maxroll', url: 'https://maxroll.gg' },
+        { id: 'pohx', name: 'Pohx', url: 'https://pohx.net' },
+      ],
+    },
+    {
+      id: 'game-overlay',
+      title: 'GAME OVERLAY',
+      links: [{ id: 'exiled-exchange', name: 'Exiled Exchange', url: 'https://example.com' }],
+    },
+  ];
+
+  it('should collect pinned links in pin order with their source category', () => {
+    const pinned = buildPinnedCategory(categories, ['exiled-exchange', 'maxroll']);
+
+    expect(pinned.id).toBe(PINNED_CATEGORY_ID);
+    expect(pinned.links.map((link) => link.id)).toEqual(['exiled-exchange', 'maxroll']);
+    expect(pinned.links[0].sourceCategoryId).toBe('game-overlay');
+    expect(pinned.links[1].sourceCategoryId).toBe('builds');
+  });
+
+  it('should skip IDs that are not available', () => {
+    const pinned = buildPinnedCategory(categories, ['removed-link', 'pohx']);
+    expect(pinned.links.map((link) => link.id)).toEqual(['pohx']);
+  });
+
+  it('should return null when nothing pinned is available', () => {
+    expect(buildPinnedCategory(categories, [])).toBeNull();
+    expect(buildPinnedCategory(categories, ['removed-link'])).toBeNull();
+  });
+});
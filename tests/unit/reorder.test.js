@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getCustomOrder,
+  saveCategoryOrder,
+  saveLinkOrder,
+  resetCustomOrder,
+  applyCustomOrder,
+  moveId,
+  setupReorderHandlers,
+  CATEGORY_ORDER_STORAGE_KEY,
+  LINK_ORDER_STORAGE_KEY,
+} from '../../src/scripts/reorder.js';
+import { renderAllCategories } from '../../src/scripts/links.js';
+
+const categories = [
+  {
+    id: 'cat1',
+    title: 'Category 1',
+    links: [
+      { id: 'one', name: 'One', url: 'https://one.example.com' },
+      { id: 'two', name: 'Two', url: 'https://two.example.com' },
+      { id: 'three', name: 'Three', url: 'https://three.example.com' },
+    ],
+  },
+  {
+    id: 'cat2',
+    title: 'Category 2',
+    links: [{ id: 'four', name: 'Four', url: 'https://four.example.com' }],
+  },
+  {
+    id: 'cat3',
+    title: 'Category 3',
+    links: [{ id: 'five', name: 'Five', url: 'https://five.example.com' }],
+  },
+];
+
+describe('custom order storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should return an empty order by default', () => {
+    expect(getCustomOrder('poe1')).toEqual({ categories: [], links: {} });
+  });
+
+  it('should save category and link order per game', () => {
+    saveCategoryOrder('poe1', ['cat2', 'cat1']);
+    saveLinkOrder('poe1', 'cat1', ['two', 'one']);
+    saveLinkOrder('poe2', 'cat1', ['three']);
+
+    expect(getCustomOrder('poe1')).toEqual({
+      categories: ['cat2', 'cat1'],
+      links: { cat1: ['two', 'one'] },
+    });
+    expect(getCustomOrder('poe2')).toEqual({ categories: [], links: { cat1: ['three'] } });
+  });
+
+  it('should reset the order for one game only', () => {
+    saveCategoryOrder('poe1', ['cat2']);
+    saveLinkOrder('poe1', 'cat1', ['two']);
+    saveLinkOrder('poe2', 'cat1', ['three']);
+
+    resetCustomOrder('poe1');
+
+    expect(getCustomOrder('poe1')).toEqual({ categories: [], links: {} });
+    expect(JSON.parse(localStorage.getItem(LINK_ORDER_STORAGE_KEY))).toEqual({
+      poe2: { cat1: ['three'] },
+    });
+    expect(JSON.parse(localStorage.getItem(CATEGORY_ORDER_STORAGE_KEY))).toEqual({ poe1: [] });
+  });
+
+  it('should ignore malformed stored link order', () => {
+    localStorage.setItem(LINK_ORDER_STORAGE_KEY, JSON.stringify({ poe1: ['cat1'] }));
+    expect(getCustomOrder('poe1').links).toEqual({});
+  });
+});
+
+describe('applyCustomOrder', () => {
+  it('should return categories unchanged without a saved order', () => {
+    expect(applyCustomOrder(categories)).toBe(categories);
+    expect(applyCustomOrder(null, { categories: [] })).toEqual([]);
+  });
+
+  it('should apply the saved category and link order', () => {
+    const result = applyCustomOrder(categories, {
+      categories: ['cat3', 'cat1'],
+      links: { cat1: ['three', 'one'] },
+    });
+
+    // Categories not in the saved order follow in their original order
+    expect(result.map((category) => category.id)).toEqual(['cat3', 'cat1', 'cat2']);
+    expect(result[1].links.map((link) => link.id)).toEqual(['three', 'one', 'two']);
+    // Original categories are not mutated
+    expect(categories[0].links[0].id).toBe('one');
+  });
+
+  it('should ignore saved IDs that no longer exist', () => {
+    const result = applyCustomOrder(categories, { categories: ['gone', 'cat2'], links: {} });
+    expect(result.map((category) => category.id)).toEqual(['cat2', 'cat1', 'cat3']);
+  });
+});
+
+describe('moveId', () => {
+  it('should move an ID before or after another ID', () => {
+    expect(moveId(['a', 'b', 'c'], 'c', 'a', 'before')).toEqual(['c', 'a', 'b']);
+    expect(moveId(['a', 'b', 'c'], 'a', 'b', 'after')).toEqual(['b', 'a', 'c']);
+    expect(moveId(['a', 'b', 'c'], 'a', 'c', 'after')).toEqual(['b', 'c', 'a']);
+  });
+
+  it('should return an unchanged copy for unknown IDs', () => {
+    const ids = ['a', 'b'];
+    const result = moveId(ids, 'x', 'a', 'before');
+    expect(result).toEqual(ids);
+    expect(result).not.toBe(ids);
+  });
+});
+
+describe('setupReorderHandlers', () => {
+  let container;
+  let onReorder;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onReorder = vi.fn();
+    setupReorderHandlers(container, onReorder);
+    renderAllCategories(container, categories, {
+      customizeMode: true,
+      reorderable: true,
+      onTogglePin: () => {},
+    });
+  });
+
+  const pressKey = (element, key) => {
+    element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  };
+
+  const dispatchDrag = (element, type) => {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    element.dispatchEvent(event);
+    return event;
+  };
+
+  it('should move a link later with the arrow keys', () => {
+    const handle = container.querySelector('[data-link-id="one"] .reorder-handle--link');
+    pressKey(handle, 'ArrowRight');
+
+    expect(onReorder).toHaveBeenCalledWith({
+      type: 'link',
+      id: 'one',
+      categoryId: 'cat1',
+      targetId: 'two',
+      position: 'after',
+    });
+  });
+
+  it('should move a category earlier with the arrow keys', () => {
+    const section = container.querySelector('section[data-category-id="cat2"]');
+    pressKey(section.querySelector('.reorder-handle--category'), 'ArrowUp');
+
+    expect(onReorder).toHaveBeenCalledWith({
+      type: 'category',
+      id: 'cat2',
+      categoryId: null,
+      targetId: 'cat1',
+      position: 'before',
+    });
+  });
+
+  it('should not move past the first item', () => {
+    const handle = container.querySelector('[data-link-id="one"] .reorder-handle--link');
+    pressKey(handle, 'ArrowLeft');
+    pressKey(handle, 'Enter');
+
+    expect(onReorder).not.toHaveBeenCalled();
+  });
+
+  it('should reorder links by drag and drop within a category', () => {
+    const dragged = container.querySelector('.link-item-wrapper[data-link-id="three"]');
+    const target = container.querySelector('.link-item-wrapper[data-link-id="one"]');
+
+    dispatchDrag(dragged, 'dragstart');
+    const dragOver = dispatchDrag(target, 'dragover');
+    expect(dragOver.defaultPrevented).toBe(true);
+    expect(target.classList.contains('reorder-drop-target')).toBe(true);
+    dispatchDrag(target, 'drop');
+
+    expect(onReorder).toHaveBeenCalledWith({
+      type: 'link',
+      id: 'three',
+      categoryId: 'cat1',
+      targetId: 'one',
+      position: 'before',
+    });
+    expect(container.querySelector('.reorder-drop-target')).toBeNull();
+  });
+
+  it('should not drop links into another category', () => {
+    const dragged = container.querySelector('.link-item-wrapper[data-link-id="one"]');
+    const target = container.querySelector('.link-item-wrapper[data-link-id="four"]');
+
+    dispatchDrag(dragged, 'dragstart');
+    expect(dispatchDrag(target, 'dragover').defaultPrevented).toBe(false);
+    dispatchDrag(target, 'drop');
+
+    expect(onReorder).not.toHaveBeenCalled();
+  });
+
+  it('should place a category after a later drop target', () => {
+    const dragged = container.querySelector('section[data-category-id="cat1"]');
+    const target = container.querySelector('section[data-category-id="cat3"]');
+
+    dispatchDrag(dragged, 'dragstart');
+    dispatchDrag(target, 'drop');
+
+    expect(onReorder).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'category', id: 'cat1', targetId: 'cat3', position: 'after' })
+    );
+  });
+});
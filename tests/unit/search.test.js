@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getLinkHost,
+  linkMatchesQuery,
+  filterCategoriesByQuery,
+  mergeCategoriesForSearch,
+  renderLinkSearch,
+} from '../../src/scripts/search.js';
+
+describe('getLinkHost', () => {
+  it('should return host without www prefix', () => {
+    expect(getLinkHost('https://www.pathofexile.com/trade')).toBe('pathofexile.com');
+    expect(getLinkHost('https://poe.ninja/builds')).toBe('poe.ninja');
+  });
+
+  it('should return empty string for invalid URLs', () => {
+    expect(getLinkHost('not a url')).toBe('');
+    expect(getLinkHost(undefined)).toBe('');
+  });
+});
+
+describe('linkMatchesQuery', () => {
+  const link = {
+    name: 'Craft of Exile',
+    url: 'https://www.craftofexile.com/',
+    description: 'Crafting simulator and calculator',
+  };
+
+  it('should match everything for an empty query', () => {
+    expect(linkMatchesQuery(link, '')).toBe(true);
+    expect(linkMatchesQuery(link, '   ')).toBe(true);
+  });
+
+  it('should match name, description and host case-insensitively', () => {
+    expect(linkMatchesQuery(link, 'craft')).toBe(true);
+    expect(linkMatchesQuery(link, 'SIMULATOR')).toBe(true);
+    expect(linkMatchesQuery(link, 'craftofexile.com')).toBe(true);
+  });
+
+  it('should not match the URL path or protocol', () => {
+    const withPath = { name: 'Trade', url: 'https://example.com/secret-path' };
+    expect(linkMatchesQuery(withPath, 'secret')).toBe(false);
+    expect(linkMatchesQuery(withPath, 'https')).toBe(false);
+  });
+
+  it('should require every term to match', () => {
+    expect(linkMatchesQuery(link, 'craft calculator')).toBe(true);
+    expect(linkMatchesQuery(link, 'craft trade')).toBe(false);
+  });
+
+  it('should reject invalid links', () => {
+    expect(linkMatchesQuery(null, 'x')).toBe(false);
+  });
+});
+
+describe('filterCategoriesByQuery', () => {
+  const categories = [
+    {
+      id: 'trade',
+      title: 'TRADE',
+      links: [
+        { name: 'Official Trade', url: 'https://www.pathofexile.com/trade' },
+        { name: 'Map Search', url: 'https://mapsearch.easyexile.tools/' },
+      ],
+    },
+    {
+      id: 'crafting',
+      title: 'CRAFTING',
+      links: [{ name: 'Craft of Exile', url: 'https://www.craftofexile.com/' }],
+    },
+  ];
+
+  it('should keep only matching links and drop empty categories', () => {
+    const result = filterCategoriesByQuery(categories, 'trade');
+    expect(result).toHaveLength(1);
+    expect(result[0].id).toBe('trade');
+    expect(result[0].links).toHaveLength(1);
+    expect(result[0].links[0].name).toBe('Official Trade');
+  });
+
+  it('should not mutate the input categories', () => {
+    filterCategoriesByQuery(categories, 'trade');
+    expect(categories[0].links).toHaveLength(2);
+  });
+
+  it('should return an empty array for invalid input', () => {
+    expect(filterCategoriesByQuery(null, 'trade')).toEqual([]);
+  });
+});
+
+describe('mergeCategoriesForSearch', () => {
+  it('should add other-game links tagged with fromGame and skip duplicate URLs', () => {
+    const current = [
+      {
+        id: 'builds',
+        title: 'BUILDS',
+        links: [{ name: 'PoBArchives', url: 'https://pobarchives.com' }],
+      },
+    ];
+    const other = [
+      {
+        id: 'builds',
+        title: 'BUILDS',
+        links: [
+          { name: 'PoBArchives', url: 'https://pobarchives.com' },
+          { name: 'Maxroll PoE 2', url: 'https://maxroll.gg/poe2' },
+        ],
+      },
+      {
+        id: 'atlas',
+        title: 'ATLAS',
+        links: [{ name: 'Atlas Tool', url: 'https://atlas.example.com' }],
+      },
+    ];
+
+    const merged = mergeCategoriesForSearch(current, other, 'poe2');
+
+    expect(merged).toHaveLength(2);
+    expect(merged[0].links).toHaveLength(2);
+    expect(merged[0].links[0].fromGame).toBeUndefined();
+    expect(merged[0].links[1].fromGame).toBe('poe2');
+    expect(merged[1].id).toBe('atlas');
+    expect(merged[1].links[0].fromGame).toBe('poe2');
+    expect(current[0].links).toHaveLength(1);
+  });
+});
+
+describe('renderLinkSearch', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  it('should render a labeled search input and other-game toggle', () => {
+    renderLinkSearch(container, () => {});
+
+    const input = container.querySelector('input[type="search"]');
+    expect(input).toBeTruthy();
+    expect(container.querySelector('label[for="link-search-input"]')).toBeTruthy();
+    expect(container.querySelector('#link-search-other-game')).toBeTruthy();
+    expect(container.querySelector('.link-search').getAttribute('role')).toBe('search');
+  });
+
+  it('should report query and toggle changes', () => {
+    const onChange = vi.fn();
+    const input = renderLinkSearch(container, onChange);
+
+    input.value = '  ninja ';
+    input.dispatchEvent(new Event('input'));
+    expect(onChange).toHaveBeenLastCalledWith({ query: 'ninja', includeOtherGame: false });
+
+    const toggle = container.querySelector('#link-search-other-game');
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event('change'));
+    expect(onChange).toHaveBeenLastCalledWith({ query: 'ninja', includeOtherGame: true });
+  });
+
+  it('should clear the query on Escape', () => {
+    const onChange = vi.fn();
+    const input = renderLinkSearch(container, onChange);
+
+    input.value = 'ninja';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(input.value).toBe('');
+    expect(onChange).toHaveBeenLastCalledWith({ query: '', includeOtherGame: false });
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  collectSettings,
+  validateSettingsDocument,
+  importSettings,
+  getSettingsFileName,
+  setupSettingsDialog,
+  openSettingsDialog,
+  closeSettingsDialog,
+  SETTINGS_FORMAT,
+  SETTINGS_VERSION,
+} from '../../src/scripts/settings.js';
+import { getPinnedLinkIds, togglePinnedLink } from '../../src/scripts/pins.js';
+import { getHiddenItems, toggleHiddenItem } from '../../src/scripts/customize.js';
+import { addCustomLink, getCustomLinks } from '../../src/scripts/custom-links.js';
+import { getCustomOrder, saveLinkOrder } from '../../src/scripts/reorder.js';
+import { hasAcknowledgedDisclaimer } from '../../src/scripts/disclaimer.js';
+import { getLayout, setLayout } from '../../src/scripts/layout.js';
+import { getHideDeadLinks, setHideDeadLinks } from '../../src/scripts/link-status.js';
+import { getSidebarView, setSidebarView } from '../../src/scripts/calendar-view.js';
+import { getLastSeenUpdate, setLastSeenUpdate } from '../../src/scripts/last-visit.js';
+
+/**
+ * Builds a minimal valid settings document
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function buildDocument(settings = {}) {
+  return { format: SETTINGS_FORMAT, version: SETTINGS_VERSION, settings };
+}
+
+describe('collectSettings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.location.hash = '';
+  });
+
+  it('should bundle every personal setting in a versioned document', () => {
+    localStorage.setItem('poe-game-selection', 'poe2');
+    localStorage.setItem('poe-link-collection-disclaimer-acknowledged', 'true');
+    togglePinnedLink('poe-ninja-builds', 'poe1');
+    toggleHiddenItem('poe2', 'category', 'trade');
+    addCustomLink('poe1', { name: 'Sheet', url: 'https://example.com/sheet' });
+    saveLinkOrder('poe1', 'trade', ['b', 'a']);
+    setSidebarView('calendar');
+    setLastSeenUpdate('2025-01-30T12:00:00Z');
+
+    const exported = collectSettings();
+
+    expect(exported.format).toBe(SETTINGS_FORMAT);
+    expect(exported.version).toBe(SETTINGS_VERSION);
+    expect(typeof exported.exportedAt).toBe('string');
+    expect(exported.settings.game).toBe('poe2');
+    expect(exported.settings.disclaimerAcknowledged).toBe(true);
+    expect(exported.settings.pinnedLinks).toEqual({ poe1: ['poe-ninja-builds'] });
+    expect(exported.settings.hiddenCategories).toEqual({ poe2: ['trade'] });
+    expect(exported.settings.customLinks.poe1).toHaveLength(1);
+    expect(exported.settings.linkOrder).toEqual({ poe1: { trade: ['b', 'a'] } });
+    expect(exported.settings.sidebarView).toBe('calendar');
+    expect(exported.settings.lastSeenUpdate).toBe('2025-01-30T12:00:00Z');
+    expect(validateSettingsDocument(exported).valid).toBe(true);
+  });
+
+  it('should leave out stored values that would fail validation', () => {
+    localStorage.setItem('poe-pinned-links', JSON.stringify({ poe1: [42], poe2: ['ok'] }));
+
+    expect(collectSettings().settings.pinnedLinks).toEqual({ poe2: ['ok'] });
+  });
+});
+
+describe('validateSettingsDocument', () => {
+  it('should accept a minimal document', () => {
+    expect(validateSettingsDocument(buildDocument())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should reject non-objects and wrong formats', () => {
+    expect(validateSettingsDocument(null).valid).toBe(false);
+    expect(validateSettingsDocument([]).valid).toBe(false);
+
+    const result = validateSettingsDocument({ format: 'other', version: 1, settings: {} });
+    expect(result.errors).toEqual([`format must be "${SETTINGS_FORMAT}".`]);
+  });
+
+  it('should reject missing and newer versions', () => {
+    expect(validateSettingsDocument({ format: SETTINGS_FORMAT, settings: {} }).errors).toEqual([
+      'version must be a positive integer.',
+    ]);
+    expect(
+      validateSettingsDocument({ ...buildDocument(), version: SETTINGS_VERSION + 1 }).errors[0]
+    ).toMatch(/newer than this site supports/);
+  });
+
+  it('should report the key path of invalid settings', () => {
+    const result = validateSettingsDocument(
+      buildDocument({
+        game: 'poe3',
+        disclaimerAcknowledged: 'yes',
+        layout: 'grid',
+        hideDeadLinks: 'yes',
+        sidebarView: 'grid',
+        lastSeenUpdate: 'yesterday',
+        pinnedLinks: { poe1: ['ok', ''] },
+        hiddenLinks: [],
+        customLinks: { poe2: [{ id: 'custom-1', name: 'Bad', url: 'ftp://example.com' }] },
+        customCategories: { poe1: [{ id: 'custom-category-1' }] },
+        linkOrder: { poe1: { trade: 'a' }, poe9: {} },
+      })
+    );
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'settings.game must be "poe1" or "poe2".',
+      'settings.disclaimerAcknowledged must be true or false.',
+      'settings.layout must be one of "compact", "icons", "cards".',
+      'settings.hideDeadLinks must be true or false.',
+      'settings.sidebarView must be one of "list", "calendar", "timeline", "archive".',
+      'settings.lastSeenUpdate must be an ISO timestamp or null.',
+      'settings.pinnedLinks.poe1 must be an array of link IDs.',
+      'settings.hiddenLinks must be an object with "poe1" and/or "poe2" keys.',
+      'settings.customLinks.poe2 must be an array of links with id, name and http(s) url.',
+      'settings.customCategories.poe1 must be an array of categories with id and title.',
+      'settings.linkOrder.poe1 must be an object mapping category IDs to arrays of link IDs.',
+      'settings.linkOrder.poe9 is not a known game.',
+    ]);
+  });
+
+  it('should ignore unknown settings fields', () => {
+    expect(validateSettingsDocument(buildDocument({ theme: 'dark' })).valid).toBe(true);
+  });
+});
+
+describe('importSettings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.location.hash = '';
+  });
+
+  it('should reject invalid JSON without changing anything', () => {
+    togglePinnedLink('keep-me', 'poe1');
+
+    const result = importSettings('{not json');
+
+    expect(result).toEqual({ success: false, errors: ['The file is not valid JSON.'] });
+    expect(getPinnedLinkIds('poe1')).toEqual(['keep-me']);
+  });
+
+  it('should not apply a document that fails validation', () => {
+    togglePinnedLink('keep-me', 'poe1');
+
+    const result = importSettings(
+      JSON.stringify(buildDocument({ game: 'poe2', pinnedLinks: { poe1: [1] } }))
+    );
+
+    expect(result.success).toBe(false);
+    expect(getPinnedLinkIds('poe1')).toEqual(['keep-me']);
+    expect(localStorage.getItem('poe-game-selection')).toBeNull();
+  });
+
+  it('should round-trip exported settings', () => {
+    localStorage.setItem('poe-link-collection-disclaimer-acknowledged', 'true');
+    togglePinnedLink('poe-ninja-builds', 'poe2');
+    toggleHiddenItem('poe1', 'link', 'pobarchives');
+    addCustomLink('poe1', { name: 'Sheet', url: 'https://example.com/sheet' });
+    saveLinkOrder('poe2', 'trade', ['b', 'a']);
+    setLayout('cards');
+    setHideDeadLinks(true);
+    setSidebarView('archive');
+    setLastSeenUpdate('2025-01-30T12:00:00Z');
+    const exported = JSON.stringify(collectSettings());
+
+    localStorage.clear();
+    const result = importSettings(exported);
+
+    expect(result.success).toBe(true);
+    expect(result.settings.game).toBe('poe1');
+    expect(hasAcknowledgedDisclaimer()).toBe(true);
+    expect(getPinnedLinkIds('poe2')).toEqual(['poe-ninja-builds']);
+    expect(getHiddenItems('poe1').links).toEqual(['pobarchives']);
+    expect(getCustomLinks('poe1')[0].name).toBe('Sheet');
+    expect(getCustomOrder('poe2').links).toEqual({ trade: ['b', 'a'] });
+    expect(getLayout()).toBe('cards');
+    expect(getHideDeadLinks()).toBe(true);
+    expect(getSidebarView()).toBe('archive');
+    expect(getLastSeenUpdate()).toBe('2025-01-30T12:00:00Z');
+  });
+
+  it('should clear the last seen update when the document has none', () => {
+    setLastSeenUpdate('2025-01-30T12:00:00Z');
+
+    expect(importSettings(JSON.stringify(buildDocument({ lastSeenUpdate: null }))).success).toBe(
+      true
+    );
+    expect(getLastSeenUpdate()).toBeNull();
+  });
+
+  it('should leave settings missing from the document unchanged', () => {
+    togglePinnedLink('keep-me', 'poe1');
+    localStorage.setItem('poe-link-collection-disclaimer-acknowledged', 'true');
+
+    importSettings(JSON.stringify(buildDocument({ disclaimerAcknowledged: false, game: 'poe2' })));
+
+    expect(getPinnedLinkIds('poe1')).toEqual(['keep-me']);
+    expect(hasAcknowledgedDisclaimer()).toBe(false);
+    expect(localStorage.getItem('poe-game-selection')).toBe('poe2');
+  });
+});
+
+describe('getSettingsFileName', () => {
+  it('should include the export date', () => {
+    expect(getSettingsFileName(new Date('2025-01-31T12:00:00Z'))).toBe(
+      'poe-link-collection-settings-2025-01-31.json'
+    );
+  });
+});
+
+describe('settings dialog', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.location.hash = '';
+    document.body.innerHTML = `
+      <div id="settings-dialog" aria-hidden="true">
+        <div class="settings-backdrop"></div>
+        <div class="settings-dialog-content"></div>
+      </div>
+    `;
+  });
+
+  /**
+   * Simulates choosing a file in the import input
+   * @param {string} text - File contents
+   */
+  const chooseFile = async (text) => {
+    const input = document.getElementById('settings-import-input');
+    Object.defineProperty(input, 'files', {
+      configurable: true,
+      value: [{ text: () => Promise.resolve(text) }],
+    });
+    input.dispatchEvent(new Event('change'));
+    await vi.waitFor(() => {
+      expect(document.querySelector('.settings-status').textContent).not.toBe('');
+    });
+  };
+
+  it('should open and close', () => {
+    setupSettingsDialog(() => {});
+    openSettingsDialog();
+
+    const dialog = document.getElementById('settings-dialog');
+    expect(dialog.getAttribute('aria-hidden')).toBe('false');
+    expect(dialog.querySelector('.settings-export-button')).toBeTruthy();
+
+    closeSettingsDialog();
+    expect(dialog.getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should import a valid file and notify with the imported settings', async () => {
+    const onImport = vi.fn();
+    setupSettingsDialog(onImport);
+    openSettingsDialog();
+
+    await chooseFile(JSON.stringify(buildDocument({ game: 'poe2' })));
+
+    expect(onImport).toHaveBeenCalledWith({ game: 'poe2' });
+    expect(document.querySelector('.settings-status').textContent).toBe('Settings imported.');
+  });
+
+  it('should list validation errors for an invalid file', async () => {
+    const onImport = vi.fn();
+    setupSettingsDialog(onImport);
+    openSettingsDialog();
+
+    await chooseFile(JSON.stringify(buildDocument({ game: 'poe3' })));
+
+    expect(onImport).not.toHaveBeenCalled();
+    const status = document.querySelector('.settings-status');
+    expect(status.classList.contains('settings-status--error')).toBe(true);
+    expect(status.querySelector('.settings-error-list li').textContent).toBe(
+      'settings.game must be "poe1" or "poe2".'
+    );
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getLinkAgeDays,
+  formatLinkAge,
+  isStaleLink,
+  groupStaleLinks,
+  openStaleLinksDialog,
+  closeStaleLinksDialog,
+  setupStaleLinksDialog,
+} from '../../src/scripts/stale-links.js';
+import { renderLink } from '../../src/scripts/links.js';
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+const categories = [
+  {
+    id: 'tools',
+    title: 'Tools',
+    links: [
+      {
+        id: 'fresh',
+        name: 'Fresh',
+        url: 'https://fresh.example',
+        lastChecked: '2026-05-20T00:00:00Z',
+      },
+      { id: 'old', name: 'Old', url: 'https://old.example', lastChecked: '2026-01-01T00:00:00Z' },
+      {
+        id: 'older',
+        name: 'Older',
+        url: 'https://older.example',
+        lastChecked: '2025-01-01T00:00:00Z',
+      },
+      { id: 'never', name: 'Never', url: 'https://never.example' },
+    ],
+  },
+  {
+    id: 'archive',
+    title: 'Archive',
+    links: [
+      {
+        id: 'gone',
+        name: 'Gone',
+        url: 'https://gone.example',
+        lastChecked: '2024-01-01T00:00:00Z',
+        status: 'dead',
+      },
+      { id: 'custom-1', name: 'Mine', url: 'https://mine.example', custom: true },
+    ],
+  },
+];
+
+describe('getLinkAgeDays', () => {
+  it('should count whole days since the last check', () => {
+    expect(getLinkAgeDays('2026-05-20T00:00:00Z', now)).toBe(12);
+    expect(getLinkAgeDays('2026-06-01T00:00:00Z', now)).toBe(0);
+  });
+
+  it('should return null for missing or invalid dates', () => {
+    expect(getLinkAgeDays(undefined, now)).toBeNull();
+    expect(getLinkAgeDays('not a date', now)).toBeNull();
+  });
+
+  it('should not return negative ages for future dates', () => {
+    expect(getLinkAgeDays('2026-07-01T00:00:00Z', now)).toBe(0);
+  });
+});
+
+describe('formatLinkAge', () => {
+  it('should use days, months or years depending on the age', () => {
+    expect(formatLinkAge(1)).toBe('1 day');
+    expect(formatLinkAge(45)).toBe('45 days');
+    expect(formatLinkAge(151)).toBe('5 months');
+    expect(formatLinkAge(800)).toBe('2 years');
+  });
+});
+
+describe('isStaleLink', () => {
+  it('should flag links checked longer ago than the stale period', () => {
+    expect(isStaleLink(categories[0].links[0], { now, staleAfterDays: 90 })).toBe(false);
+    expect(isStaleLink(categories[0].links[1], { now, staleAfterDays: 90 })).toBe(true);
+    expect(isStaleLink(categories[0].links[1], { now, staleAfterDays: 365 })).toBe(false);
+  });
+
+  it('should not flag never-checked, dead or custom links', () => {
+    expect(isStaleLink(categories[0].links[3], { now })).toBe(false);
+    expect(isStaleLink(categories[1].links[0], { now })).toBe(false);
+    expect(isStaleLink(categories[1].links[1], { now })).toBe(false);
+    expect(isStaleLink(null)).toBe(false);
+  });
+});
+
+describe('groupStaleLinks', () => {
+  it('should list stale and never-checked links per category, oldest first', () => {
+    const groups = groupStaleLinks(categories, { now, staleAfterDays: 90 });
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ id: 'tools', title: 'Tools' });
+    expect(groups[0].links.map((link) => [link.id, link.ageDays])).toEqual([
+      ['never', null],
+      ['older', 516],
+      ['old', 151],
+    ]);
+  });
+
+  it('should keep never-checked links regardless of the stale period', () => {
+    expect(groupStaleLinks([categories[0]], { now, staleAfterDays: 1000 })).toEqual([
+      { id: 'tools', title: 'Tools', links: [expect.objectContaining({ id: 'never' })] },
+    ]);
+    expect(groupStaleLinks(null)).toEqual([]);
+  });
+});
+
+describe('stale links dialog', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="stale-links-dialog" aria-hidden="true">
+        <div class="stale-links-backdrop"></div>
+        <div class="stale-links-dialog-content"></div>
+      </div>
+    `;
+    setupStaleLinksDialog();
+  });
+
+  it('should open with stale links grouped by category and close', () => {
+    openStaleLinksDialog(categories, { now, staleAfterDays: 90 });
+
+    const dialog = document.getElementById('stale-links-dialog');
+    expect(dialog.getAttribute('aria-hidden')).toBe('false');
+    expect(dialog.querySelector('.stale-links-intro').textContent).toBe(
+      '3 links have not been checked in over 90 days. Run npm run check-links to verify them.'
+    );
+    expect(dialog.querySelector('.stale-links-category').textContent).toBe('Tools (3)');
+    const items = Array.from(dialog.querySelectorAll('.stale-links-item'));
+    expect(items.map((item) => item.querySelector('.stale-links-age').textContent)).toEqual([
+      'Never checked',
+      '17 months ago',
+      '5 months ago',
+    ]);
+    expect(items[0].querySelector('a').getAttribute('href')).toBe('https://never.example');
+
+    closeStaleLinksDialog();
+    expect(dialog.getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should say so when every link is fresh', () => {
+    openStaleLinksDialog(
+      [categories[0]].map((category) => ({
+        ...category,
+        links: category.links.slice(0, 1),
+      })),
+      { now, staleAfterDays: 90 }
+    );
+
+    expect(document.querySelector('.stale-links-intro').textContent).toBe(
+      'Every link was checked within the last 90 days.'
+    );
+    expect(document.querySelector('.stale-links-group')).toBeNull();
+  });
+
+  it('should close on Escape', () => {
+    openStaleLinksDialog(categories, { now });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(document.getElementById('stale-links-dialog').getAttribute('aria-hidden')).toBe('true');
+  });
+});
+
+describe('stale indicator in renderLink', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  it('should mark links not verified within the stale period', () => {
+    renderLink(container, {
+      name: 'Old',
+      url: 'https://old.example',
+      lastChecked: '2020-01-15T12:00:00Z',
+    });
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.classList.contains('link-item--stale')).toBe(true);
+    expect(linkElement.querySelector('.link-item-stale-indicator')).toBeTruthy();
+    expect(linkElement.getAttribute('data-tooltip')).toMatch(
+      /^Last checked: Jan 15, 2020 \(not verified in \d+ years\)$/
+    );
+  });
+
+  it('should not mark recently checked links', () => {
+    renderLink(container, {
+      name: 'Fresh',
+      url: 'https://fresh.example',
+      lastChecked: new Date().toISOString(),
+    });
+
+    const linkElement = container.querySelector('a.link-item');
+    expect(linkElement.classList.contains('link-item--stale')).toBe(false);
+    expect(linkElement.querySelector('.link-item-stale-indicator')).toBeNull();
+  });
+
+  it('should show the stale note inline on cards', () => {
+    renderLink(
+      container,
+      { name: 'Old', url: 'https://old.example', lastChecked: '2020-01-15T12:00:00Z' },
+      'cat',
+      { layout: 'cards' }
+    );
+
+    expect(container.querySelector('.link-card-stale').textContent).toMatch(
+      /^Not verified in \d+ years$/
+    );
+  });
+});
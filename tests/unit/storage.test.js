@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  readStoredJSON,
+  writeStoredJSON,
+  readGameList,
+  writeGameList,
+} from '../../src/scripts/storage.js';
+
+describe('readStoredJSON / writeStoredJSON', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should round-trip JSON values', () => {
+    expect(writeStoredJSON('test-key', { a: [1, 2] })).toBe(true);
+    expect(readStoredJSON('test-key', null)).toEqual({ a: [1, 2] });
+  });
+
+  it('should return the fallback for missing keys', () => {
+    expect(readStoredJSON('missing-key', 'fallback')).toBe('fallback');
+  });
+
+  it('should return the fallback for invalid JSON', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem('broken-key', '{not json');
+    expect(readStoredJSON('broken-key', [])).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(
+      'Error reading broken-key from localStorage:',
+      expect.any(SyntaxError)
+    );
+  });
+});
+
+describe('readGameList / writeGameList', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should store lists per game without touching the other game', () => {
+    writeGameList('per-game', 'poe1', ['a']);
+    writeGameList('per-game', 'poe2', ['b', 'c']);
+
+    expect(readGameList('per-game', 'poe1')).toEqual(['a']);
+    expect(readGameList('per-game', 'poe2')).toEqual(['b', 'c']);
+  });
+
+  it('should return an empty array when nothing or garbage is stored', () => {
+    expect(readGameList('per-game', 'poe1')).toEqual([]);
+    localStorage.setItem('per-game', JSON.stringify({ poe1: 'nope' }));
+    expect(readGameList('per-game', 'poe1')).toEqual([]);
+  });
+});
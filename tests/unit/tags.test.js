@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  formatTagLabel,
+  collectTags,
+  filterCategoriesByTags,
+  renderTagFilter,
+} from '../../src/scripts/tags.js';
+
+const categories = [
+  {
+    id: 'trade',
+    title: 'Trade',
+    links: [
+      {
+        id: 'official-trade',
+        name: 'Official Trade',
+        url: 'https://a.com',
+        tags: ['trade-league'],
+      },
+      {
+        id: 'apt',
+        name: 'Awakened PoE Trade',
+        url: 'https://b.com',
+        tags: ['trade-league', 'desktop-app', 'open-source'],
+      },
+    ],
+  },
+  {
+    id: 'tools',
+    title: 'Tools',
+    links: [
+      { id: 'pob', name: 'Path of Building', url: 'https://c.com', tags: ['ssf', 'open-source'] },
+      { id: 'wiki', name: 'Wiki', url: 'https://d.com' },
+    ],
+  },
+  {
+    id: 'pinned-copy',
+    title: 'Again',
+    links: [{ id: 'pob', name: 'Path of Building', url: 'https://c.com', tags: ['ssf'] }],
+  },
+];
+
+describe('formatTagLabel', () => {
+  it('should use known labels and title-case other slugs', () => {
+    expect(formatTagLabel('ssf')).toBe('SSF');
+    expect(formatTagLabel('trade-league')).toBe('Trade League');
+    expect(formatTagLabel('mobile-friendly')).toBe('Mobile Friendly');
+  });
+});
+
+describe('collectTags', () => {
+  it('should count each link once and sort by usage then label', () => {
+    expect(collectTags(categories)).toEqual([
+      { tag: 'open-source', count: 2 },
+      { tag: 'trade-league', count: 2 },
+      { tag: 'desktop-app', count: 1 },
+      { tag: 'ssf', count: 1 },
+    ]);
+  });
+
+  it('should return an empty list when no link has tags', () => {
+    expect(
+      collectTags([{ id: 'a', title: 'A', links: [{ name: 'x', url: 'https://x.com' }] }])
+    ).toEqual([]);
+    expect(collectTags(null)).toEqual([]);
+  });
+});
+
+describe('filterCategoriesByTags', () => {
+  it('should keep links that have every selected tag and drop empty categories', () => {
+    const result = filterCategoriesByTags(categories, ['open-source', 'trade-league']);
+    expect(result.map((category) => category.id)).toEqual(['trade']);
+    expect(result[0].links.map((link) => link.id)).toEqual(['apt']);
+  });
+
+  it('should match across categories', () => {
+    const result = filterCategoriesByTags(categories, ['open-source']);
+    expect(result.map((category) => category.id)).toEqual(['trade', 'tools']);
+  });
+
+  it('should return the categories unchanged without selected tags', () => {
+    expect(filterCategoriesByTags(categories, [])).toBe(categories);
+  });
+});
+
+describe('renderTagFilter', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  it('should hide the container when there are no tags', () => {
+    renderTagFilter(container, [], [], () => {});
+    expect(container.hidden).toBe(true);
+    expect(container.children).toHaveLength(0);
+  });
+
+  it('should render a chip per tag with its count and pressed state', () => {
+    renderTagFilter(container, collectTags(categories), ['ssf'], () => {});
+
+    const chips = container.querySelectorAll('.tag-filter-chip');
+    expect(container.hidden).toBe(false);
+    expect(chips).toHaveLength(4);
+    expect(chips[0].textContent).toBe('Open Source2');
+    const ssf = container.querySelector('[data-tag="ssf"]');
+    expect(ssf.getAttribute('aria-pressed')).toBe('true');
+    expect(ssf.classList.contains('active')).toBe(true);
+  });
+
+  it('should add and remove tags from the selection', () => {
+    const onChange = vi.fn();
+    renderTagFilter(container, collectTags(categories), ['ssf'], onChange);
+
+    container.querySelector('[data-tag="open-source"]').click();
+    expect(onChange).toHaveBeenLastCalledWith(['ssf', 'open-source']);
+
+    container.querySelector('[data-tag="ssf"]').click();
+    expect(onChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('should offer a clear button only when tags are selected', () => {
+    const onChange = vi.fn();
+    renderTagFilter(container, collectTags(categories), [], onChange);
+    expect(container.querySelector('.tag-filter-clear')).toBeNull();
+
+    renderTagFilter(container, collectTags(categories), ['ssf', 'open-source'], onChange);
+    container.querySelector('.tag-filter-clear').click();
+    expect(onChange).toHaveBeenCalledWith([]);
+  });
+});
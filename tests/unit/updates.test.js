@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { validateUpdateRecord, loadUpdates, validateChangelogEntry } from '../../src/scripts/data.js';
-import { formatUpdateDate, compareLinks, renderChangelog, renderUpdateSection } from '../../src/scripts/updates.js';
+import { getLastSeenUpdate } from '../../src/scripts/last-visit.js';
+import { formatUpdateDate, compareLinks, renderChangelog, renderUpdateSection, filterChangelogByGame, renderUpdatesButton, setChangelogGame, toggleChangelog } from '../../src/scripts/updates.js';
 
 describe('validateUpdateRecord', () => {
   it('should validate a valid update record', () => {
@@ -223,12 +224,16 @@ describe('Edge Cases', () => {
       ];
 
       const changelog = compareLinks(currentLinks, previousLinks);
-      // Should detect as added in trade and removed from builds
-      expect(changelog.length).toBe(2);
-      const added = changelog.find((e) => e.type === 'added' && e.categoryId === 'trade');
-      const removed = changelog.find((e) => e.type === 'removed' && e.categoryId === 'builds');
-      expect(added).toBeTruthy();
-      expect(removed).toBeTruthy();
+      // Should detect as moved from builds to trade
+      expect(changelog).toEqual([
+        {
+          type: 'moved',
+          categoryId: 'trade',
+          linkName: 'Tool',
+          linkUrl: 'https://example.com',
+          previousCategoryId: 'builds',
+        },
+      ]);
     });
 
     it('should handle categories with no links', () => {
@@ -445,6 +450,41 @@ describe('validateChangelogEntry', () => {
     expect(validateChangelogEntry(undefined)).toBe(false);
     expect(validateChangelogEntry('string')).toBe(false);
   });
+
+  it('should validate moved, renamed and updated entries', () => {
+    const base = { categoryId: 'trade', linkName: 'Tool', linkUrl: 'https://example.com' };
+    expect(validateChangelogEntry({ ...base, type: 'moved', previousCategoryId: 'builds' })).toBe(
+      true
+    );
+    expect(validateChangelogEntry({ ...base, type: 'renamed', previousLinkName: 'Old' })).toBe(
+      true
+    );
+    expect(validateChangelogEntry({ ...base, type: 'updated' })).toBe(true);
+    expect(
+      validateChangelogEntry({ ...base, type: 'updated', previousLinkUrl: 'https://old.example' })
+    ).toBe(true);
+  });
+
+  it('should accept an optional game and reject unknown games', () => {
+    const base = { categoryId: 'trade', linkName: 'Tool', linkUrl: 'https://example.com' };
+    expect(validateChangelogEntry({ ...base, type: 'added', game: 'poe2' })).toBe(true);
+    expect(validateChangelogEntry({ type: 'note', message: 'Hi', game: 'poe1' })).toBe(true);
+    expect(validateChangelogEntry({ ...base, type: 'added', game: 'poe3' })).toBe(false);
+    expect(validateChangelogEntry({ type: 'note', message: 'Hi', game: '' })).toBe(false);
+  });
+
+  it('should reject moved, renamed and updated entries without valid previous values', () => {
+    const base = { categoryId: 'trade', linkName: 'Tool', linkUrl: 'https://example.com' };
+    expect(validateChangelogEntry({ ...base, type: 'moved' })).toBe(false);
+    expect(validateChangelogEntry({ ...base, type: 'moved', previousCategoryId: ' ' })).toBe(false);
+    expect(validateChangelogEntry({ ...base, type: 'renamed' })).toBe(false);
+    expect(
+      validateChangelogEntry({ ...base, type: 'renamed', previousLinkName: 'a'.repeat(101) })
+    ).toBe(false);
+    expect(validateChangelogEntry({ ...base, type: 'updated', previousLinkUrl: 'ftp://x' })).toBe(
+      false
+    );
+  });
 });
 
 describe('compareLinks', () => {
@@ -625,6 +665,106 @@ describe('compareLinks', () => {
     expect(changelog[0].type).toBe('added');
     expect(changelog[0].categoryId).toBe('builds');
   });
+
+  it('should detect a URL change for the same link ID', () => {
+    const changelog = compareLinks(
+      [{ id: 'trade', links: [{ id: 'tool', name: 'Tool', url: 'https://new.example' }] }],
+      [{ id: 'trade', links: [{ id: 'tool', name: 'Tool', url: 'https://old.example' }] }]
+    );
+
+    expect(changelog).toEqual([
+      {
+        type: 'updated',
+        categoryId: 'trade',
+        linkName: 'Tool',
+        linkUrl: 'https://new.example',
+        previousLinkUrl: 'https://old.example',
+      },
+    ]);
+  });
+
+  it('should detect renamed links and description edits', () => {
+    const changelog = compareLinks(
+      [
+        {
+          id: 'trade',
+          links: [
+            { id: 'a', name: 'New Name', url: 'https://a.example' },
+            { id: 'b', name: 'Tool B', url: 'https://b.example', description: 'Now with filters' },
+          ],
+        },
+      ],
+      [
+        {
+          id: 'trade',
+          links: [
+            { id: 'a', name: 'Old Name', url: 'https://a.example' },
+            { id: 'b', name: 'Tool B', url: 'https://b.example', description: 'Price checks' },
+          ],
+        },
+      ]
+    );
+
+    expect(changelog).toEqual([
+      {
+        type: 'renamed',
+        categoryId: 'trade',
+        linkName: 'New Name',
+        linkUrl: 'https://a.example',
+        previousLinkName: 'Old Name',
+      },
+      { type: 'updated', categoryId: 'trade', linkName: 'Tool B', linkUrl: 'https://b.example' },
+    ]);
+  });
+
+  it('should report every change of a link that moved, was renamed and got a new URL', () => {
+    const changelog = compareLinks(
+      [
+        { id: 'builds', links: [] },
+        { id: 'trade', links: [{ id: 'tool', name: 'Tool 2', url: 'https://new.example' }] },
+      ],
+      [
+        { id: 'builds', links: [{ id: 'tool', name: 'Tool', url: 'https://old.example' }] },
+        { id: 'trade', links: [] },
+      ]
+    );
+
+    expect(changelog.map((entry) => entry.type)).toEqual(['moved', 'renamed', 'updated']);
+    expect(changelog[0]).toMatchObject({ categoryId: 'trade', previousCategoryId: 'builds' });
+  });
+
+  it('should set the game on every entry when diffing per-game lists', () => {
+    const changelog = compareLinks(
+      [{ id: 'trade', links: [{ id: 'new', name: 'New', url: 'https://new.example' }] }],
+      [{ id: 'trade', links: [{ id: 'old', name: 'Old', url: 'https://old.example' }] }],
+      { game: 'poe2' }
+    );
+
+    expect(changelog.map((entry) => [entry.type, entry.game])).toEqual([
+      ['added', 'poe2'],
+      ['removed', 'poe2'],
+    ]);
+  });
+
+  it('should order entries as added, moved, renamed, updated, removed', () => {
+    const changelog = compareLinks(
+      [
+        { id: 'a', links: [{ id: 'new', name: 'New', url: 'https://new.example' }] },
+        { id: 'b', links: [{ id: 'moved', name: 'Moved', url: 'https://moved.example' }] },
+      ],
+      [
+        {
+          id: 'a',
+          links: [
+            { id: 'moved', name: 'Moved', url: 'https://moved.example' },
+            { id: 'gone', name: 'Gone', url: 'https://gone.example' },
+          ],
+        },
+      ]
+    );
+
+    expect(changelog.map((entry) => entry.type)).toEqual(['added', 'moved', 'removed']);
+  });
 });
 
 describe('renderChangelog', () => {
@@ -718,6 +858,38 @@ describe('renderChangelog', () => {
     expect(removedSection.querySelectorAll('.changelog-entry')).toHaveLength(1);
   });
 
+  it('should render moved, renamed and updated entries in their own sections', () => {
+    const base = { categoryId: 'trade', linkName: 'Tool', linkUrl: 'https://example.com' };
+    const changelog = [
+      {
+        date: '2025-01-27T10:00:00Z',
+        entries: [
+          { ...base, type: 'updated', previousLinkUrl: 'https://old.example' },
+          { ...base, type: 'renamed', previousLinkName: 'Old Tool' },
+          { ...base, type: 'moved', previousCategoryId: 'builds' },
+          { ...base, type: 'updated' },
+        ],
+      },
+    ];
+
+    const container = document.getElementById('test-container');
+    renderChangelog(container, changelog);
+
+    const titles = Array.from(container.querySelectorAll('.changelog-section-title'));
+    expect(titles.map((title) => title.textContent)).toEqual(['Moved', 'Renamed', 'Updated']);
+    expect(container.querySelector('.changelog-moved-entry').textContent).toBe(
+      'Tool (builds → trade)'
+    );
+    expect(container.querySelector('.changelog-renamed-entry').textContent).toBe(
+      'Old Tool → Tool (trade)'
+    );
+    const updated = Array.from(container.querySelectorAll('.changelog-updated-entry'));
+    expect(updated.map((entry) => entry.textContent)).toEqual([
+      'Tool (trade): new URL',
+      'Tool (trade): description updated',
+    ]);
+  });
+
   it('should display link name and category in entries', () => {
     const changelog = [
       {
@@ -836,3 +1008,166 @@ describe('renderChangelog', () => {
     expect(entries).toHaveLength(1);
   });
 });
+
+describe('per-game changelog', () => {
+  const base = { categoryId: 'builds', linkUrl: 'https://example.com' };
+  const updateRecord = {
+    lastUpdated: '2025-02-01T10:00:00Z',
+    changelog: [
+      {
+        date: '2025-02-01T10:00:00Z',
+        entries: [
+          { ...base, type: 'added', linkName: 'Both Games' },
+          { ...base, type: 'added', linkName: 'PoE 2 Build', game: 'poe2' },
+        ],
+      },
+      {
+        date: '2025-01-01T10:00:00Z',
+        entries: [{ ...base, type: 'removed', linkName: 'PoE 1 Build', game: 'poe1' }],
+      },
+    ],
+  };
+
+  const getEntryTexts = () =>
+    Array.from(document.querySelectorAll('#changelog-overlay .changelog-entry')).map(
+      (entry) => entry.textContent
+    );
+
+  beforeEach(() => {
+    document.body.innerHTML = '<ul class="nav-list"></ul>';
+  });
+
+  it('should keep entries for the game and entries without a game', () => {
+    expect(filterChangelogByGame(updateRecord.changelog, 'poe1')).toEqual([
+      { date: '2025-02-01T10:00:00Z', entries: [updateRecord.changelog[0].entries[0]] },
+      updateRecord.changelog[1],
+    ]);
+    expect(filterChangelogByGame(updateRecord.changelog, 'poe2')).toEqual([
+      updateRecord.changelog[0],
+    ]);
+    expect(filterChangelogByGame(updateRecord.changelog)).toBe(updateRecord.changelog);
+    expect(filterChangelogByGame(null, 'poe1')).toEqual([]);
+  });
+
+  it('should filter the overlay to the selected game and follow game changes', () => {
+    renderUpdatesButton(document.querySelector('.nav-list'), updateRecord, { game: 'poe1' });
+
+    const filter = document.querySelector('.changelog-game-filter');
+    expect(filter.hidden).toBe(false);
+    expect(filter.textContent).toBe('Only PoE 1 changes');
+    expect(getEntryTexts()).toEqual(['Both Games (builds)', 'PoE 1 Build (builds)']);
+
+    setChangelogGame('poe2');
+    expect(filter.textContent).toBe('Only PoE 2 changes');
+    expect(getEntryTexts()).toEqual(['Both Games (builds)', 'PoE 2 Build (builds)']);
+  });
+
+  it('should show every game when the filter is switched off', () => {
+    renderUpdatesButton(document.querySelector('.nav-list'), updateRecord, { game: 'poe1' });
+
+    const input = document.querySelector('.changelog-game-filter-input');
+    input.checked = false;
+    input.dispatchEvent(new Event('change'));
+    expect(getEntryTexts()).toHaveLength(3);
+
+    input.checked = true;
+    input.dispatchEvent(new Event('change'));
+    expect(getEntryTexts()).toHaveLength(2);
+  });
+
+  it('should hide the filter when no entry is limited to one game', () => {
+    const [latest] = updateRecord.changelog;
+    const sharedOnly = { ...updateRecord, changelog: [{ ...latest, entries: [latest.entries[0]] }] };
+    renderUpdatesButton(document.querySelector('.nav-list'), sharedOnly, { game: 'poe1' });
+
+    expect(document.querySelector('.changelog-game-filter').hidden).toBe(true);
+    expect(getEntryTexts()).toEqual(['Both Games (builds)']);
+  });
+
+  it('should say so when the selected game has no changes', () => {
+    renderUpdatesButton(
+      document.querySelector('.nav-list'),
+      { ...updateRecord, changelog: [updateRecord.changelog[1]] },
+      { game: 'poe2' }
+    );
+
+    expect(document.querySelector('#changelog-overlay .changelog-empty').textContent).toBe(
+      'No changes for PoE 2 yet.'
+    );
+  });
+});
+
+describe('changes since the last visit', () => {
+  const base = { categoryId: 'builds', linkUrl: 'https://example.com' };
+  const updateRecord = {
+    lastUpdated: '2025-03-01T10:00:00Z',
+    changelog: [
+      {
+        date: '2025-03-01T10:00:00Z',
+        entries: [
+          { ...base, type: 'added', linkName: 'New Tool' },
+          { ...base, type: 'added', linkName: 'PoE 2 Tool', game: 'poe2' },
+        ],
+      },
+      {
+        date: '2025-02-01T10:00:00Z',
+        entries: [{ ...base, type: 'removed', linkName: 'Old Tool' }],
+      },
+      {
+        date: '2025-01-01T10:00:00Z',
+        entries: [{ ...base, type: 'added', linkName: 'Seen Tool' }],
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<ul class="nav-list"></ul>';
+    localStorage.clear();
+  });
+
+  const render = (options) =>
+    renderUpdatesButton(document.querySelector('.nav-list'), updateRecord, options);
+
+  it('should badge the button with the number of unread changes for the game', () => {
+    const button = render({ game: 'poe1', lastSeen: '2025-01-01T10:00:00Z' });
+
+    const badge = button.querySelector('.nav-updates-badge');
+    expect(badge.textContent).toBe('2 new changes since your last visit');
+    expect(badge.firstChild.textContent).toBe('2');
+
+    setChangelogGame('poe2');
+    expect(button.querySelector('.nav-updates-badge').firstChild.textContent).toBe('3');
+  });
+
+  it('should not badge the button on a first visit or when everything was seen', () => {
+    expect(render({ game: 'poe1' }).querySelector('.nav-updates-badge')).toBeNull();
+
+    document.body.innerHTML = '<ul class="nav-list"></ul>';
+    const button = render({ game: 'poe1', lastSeen: updateRecord.lastUpdated });
+    expect(button.querySelector('.nav-updates-badge')).toBeNull();
+    expect(document.querySelector('.changelog-date-group--new')).toBeNull();
+  });
+
+  it('should highlight groups newer than the last visit', () => {
+    render({ lastSeen: '2025-01-01T10:00:00Z' });
+
+    const groups = document.querySelectorAll('#changelog-overlay .changelog-date-group');
+    expect(
+      Array.from(groups).map((group) => group.classList.contains('changelog-date-group--new'))
+    ).toEqual([true, true, false]);
+    expect(groups[0].querySelector('.changelog-new-label').textContent).toBe(
+      'New since your last visit'
+    );
+  });
+
+  it('should mark the updates as seen when the overlay is opened', () => {
+    const button = render({ game: 'poe1', lastSeen: '2025-01-01T10:00:00Z' });
+
+    toggleChangelog(button);
+
+    expect(getLastSeenUpdate()).toBe(updateRecord.lastUpdated);
+    expect(button.querySelector('.nav-updates-badge')).toBeNull();
+    expect(document.querySelectorAll('.changelog-date-group--new')).toHaveLength(2);
+    toggleChangelog(button);
+  });
+});
@@ -0,0 +1,262 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { copyFile, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  DATA_FILES,
+  formatKeyPath,
+  checkDateRanges,
+  loadValidators,
+  validateDataFolder,
+} from '../../scripts/validate-data.js';
+import {
+  validateLink,
+  validateEvent,
+  validateLeague,
+  validateUpdateRecord,
+} from '../../src/scripts/data.js';
+
+const SCHEMAS_DIR = 'public/schemas';
+
+describe('formatKeyPath', () => {
+  it('should turn JSON Pointers into readable key paths', () => {
+    expect(formatKeyPath('')).toBe('(root)');
+    expect(formatKeyPath('/3/endDate')).toBe('[3].endDate');
+    expect(formatKeyPath('/poe-ninja/tags/1')).toBe('poe-ninja.tags[1]');
+    expect(formatKeyPath('/changelog/0/entries/2/linkUrl')).toBe('changelog[0].entries[2].linkUrl');
+    expect(formatKeyPath('/a~1b/c~0d')).toBe('a/b.c~d');
+  });
+});
+
+describe('checkDateRanges', () => {
+  it('should report items that end before they start', () => {
+    expect(
+      checkDateRanges([
+        { startDate: '2024-01-01T00:00:00Z', endDate: '2024-02-01T00:00:00Z' },
+        { startDate: '2024-02-01T00:00:00Z', endDate: '2024-01-01T00:00:00Z' },
+      ])
+    ).toEqual([{ path: '[1].endDate', message: 'must be after startDate' }]);
+    expect(checkDateRanges(null)).toEqual([]);
+  });
+});
+
+describe('validateDataFolder', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'poe-data-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Copies the real data files into the temp folder, then overwrites some of them
+   * @param {Object} overrides - File name -> data (or raw string)
+   */
+  const writeDataFolder = async (overrides = {}) => {
+    for (const { file } of DATA_FILES) {
+      await copyFile(join('public/data', file), join(dir, file));
+    }
+    for (const [file, data] of Object.entries(overrides)) {
+      await writeFile(join(dir, file), typeof data === 'string' ? data : JSON.stringify(data));
+    }
+  };
+
+  it('should accept the shipped data files', async () => {
+    expect(await validateDataFolder({ schemasDir: SCHEMAS_DIR })).toEqual([]);
+  });
+
+  it('should report every problem with its file and key path', async () => {
+    await writeDataFolder({
+      'links.json': {
+        trade: { id: 'trade', title: 'T'.repeat(51), poe1: ['a', ''] },
+      },
+      'link-items.json': {
+        good: { name: 'Good', url: 'https://example.com' },
+        bad: { name: 'Bad', url: 'ftp://example.com', tags: ['SSF'], status: 'gone' },
+      },
+      'events.json': [
+        {
+          id: 'race',
+          name: 'Race',
+          startDate: '2024-02-01T00:00:00Z',
+          endDate: '2024-01-01T00:00:00Z',
+          type: 'livestream',
+        },
+      ],
+      'leagues.json': [
+        { id: 'x', name: 'X', startDate: '2024-01-01T00:00:00Z', endDate: '2024-02-01T00:00:00Z' },
+      ],
+      'updates.json': {
+        lastUpdated: 'yesterday',
+        changelog: [
+          {
+            date: '2024-01-01T00:00:00Z',
+            entries: [
+              { type: 'note', message: ' ' },
+              { type: 'added', categoryId: 'trade', linkName: 'Trade' },
+            ],
+          },
+        ],
+      },
+    });
+
+    const problems = await validateDataFolder({ dataDir: dir, schemasDir: SCHEMAS_DIR });
+
+    expect(problems).toEqual([
+      { file: 'links.json', path: 'trade.poe2', message: 'is required' },
+      {
+        file: 'links.json',
+        path: 'trade.title',
+        message: 'must NOT have more than 50 characters',
+      },
+      {
+        file: 'links.json',
+        path: 'trade.poe1[1]',
+        message: 'must NOT have fewer than 1 characters',
+      },
+      { file: 'links.json', path: 'trade.poe1[1]', message: 'must match pattern "\\S"' },
+      { file: 'link-items.json', path: 'bad.url', message: 'must match pattern "^https?://"' },
+      {
+        file: 'link-items.json',
+        path: 'bad.tags[0]',
+        message: 'must match pattern "^[a-z0-9]+(?:-[a-z0-9]+)*$"',
+      },
+      {
+        file: 'link-items.json',
+        path: 'bad.status',
+        message: 'must be one of "ok", "degraded", "dead", "moved"',
+      },
+      {
+        file: 'events.json',
+        path: '[0].type',
+        message: 'must be one of "league", "race", "event", "other"',
+      },
+      { file: 'events.json', path: '[0].endDate', message: 'must be after startDate' },
+      { file: 'leagues.json', path: '[0].game', message: 'is required' },
+      { file: 'updates.json', path: 'lastUpdated', message: 'must match format "date-time"' },
+      {
+        file: 'updates.json',
+        path: 'changelog[0].entries[0].message',
+        message: 'must match pattern "\\S"',
+      },
+      { file: 'updates.json', path: 'changelog[0].entries[1].linkUrl', message: 'is required' },
+    ]);
+  });
+
+  it('should report unreadable and malformed files', async () => {
+    await writeDataFolder({ 'updates.json': '{ "lastUpdated": ' });
+    await rm(join(dir, 'leagues.json'));
+
+    const problems = await validateDataFolder({ dataDir: dir, schemasDir: SCHEMAS_DIR });
+
+    expect(problems).toEqual([
+      { file: 'leagues.json', path: '(file)', message: 'could not be read (ENOENT)' },
+      {
+        file: 'updates.json',
+        path: '(file)',
+        message: expect.stringMatching(/^is not valid JSON/),
+      },
+    ]);
+  });
+});
+
+describe('schemas mirror the runtime validators', () => {
+  let validators;
+
+  beforeAll(async () => {
+    ({ validators } = await loadValidators(SCHEMAS_DIR));
+  });
+
+  const event = {
+    id: 'e',
+    name: 'Event',
+    startDate: '2024-01-01T00:00:00Z',
+    endDate: '2024-02-01T00:00:00Z',
+  };
+
+  it.each([
+    { name: 'Link', url: 'https://example.com' },
+    { name: '', url: 'https://example.com' },
+    { name: 'Link', url: 'not a url' },
+    { name: 'x'.repeat(101), url: 'https://example.com' },
+    { name: 'Link', url: 'https://example.com', icon: ' ' },
+    { name: 'Link', url: 'https://example.com', tags: ['ssf', 'ssf'] },
+    { name: 'Link', url: 'https://example.com', status: 'moved', statusNote: 'New home' },
+    { name: 'Link', url: 'https://example.com', statusNote: 'x'.repeat(201) },
+  ])('link-items: %j', (link) => {
+    expect(validators['link-items.schema.json']({ id: link })).toBe(validateLink(link));
+  });
+
+  it.each([
+    event,
+    { ...event, type: 'race', game: 'poe2' },
+    { ...event, type: 'livestream' },
+    { ...event, game: 'poe3' },
+    { ...event, bannerImageUrl: '/images/banner.png' },
+    { ...event, detailsLink: '' },
+    { ...event, description: 'x'.repeat(2001) },
+    { ...event, id: ' ' },
+  ])('events: %j', (item) => {
+    expect(validators['events.schema.json']([item])).toBe(validateEvent(item));
+  });
+
+  it.each([
+    { ...event, game: 'poe1' },
+    event,
+    { ...event, game: 'poe1', bannerImageUrl: '/images/league.png' },
+    { ...event, game: 'poe1', detailsLink: 'https://example.com' },
+  ])('leagues: %j', (item) => {
+    expect(validators['leagues.schema.json']([item])).toBe(validateLeague(item));
+  });
+
+  it.each([
+    { lastUpdated: '2024-01-01T00:00:00Z', changelog: [] },
+    { changelog: [] },
+    {
+      lastUpdated: '2024-01-01T00:00:00Z',
+      changelog: [{ date: '2024-01-01T00:00:00Z', entries: [{ type: 'note', message: 'Hi' }] }],
+    },
+    {
+      lastUpdated: '2024-01-01T00:00:00Z',
+      changelog: [{ date: '2024-01-01T00:00:00Z', entries: [{ type: 'renamed' }] }],
+    },
+    ...[
+      { type: 'moved', previousCategoryId: 'builds' },
+      { type: 'moved' },
+      { type: 'renamed', previousLinkName: 'Old' },
+      { type: 'renamed', previousLinkName: '' },
+      { type: 'updated' },
+      { type: 'updated', previousLinkUrl: 'not a url' },
+      { type: 'modified' },
+      { type: 'added', game: 'poe2' },
+      { type: 'added', game: 'poe3' },
+    ].map((change) => ({
+      lastUpdated: '2024-01-01T00:00:00Z',
+      changelog: [
+        {
+          date: '2024-01-01T00:00:00Z',
+          entries: [
+            { categoryId: 'trade', linkName: 'X', linkUrl: 'https://x.example', ...change },
+          ],
+        },
+      ],
+    })),
+    {
+      lastUpdated: '2024-01-01T00:00:00Z',
+      changelog: [
+        {
+          date: '2024-01-01T00:00:00Z',
+          entries: [
+            { type: 'removed', categoryId: 'trade', linkName: 'X', linkUrl: 'https://x.example' },
+          ],
+        },
+      ],
+    },
+  ])('updates: %j', (record) => {
+    expect(validators['updates.schema.json'](record)).toBe(validateUpdateRecord(record));
+  });
+});